@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * 公司资料导出脚本
+ * 功能：刷新指定公司的资料缓存，并将 companies 表导出为网页使用的 prototype/company-profiles.js
+ */
+
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { FinnhubService } from '../src/services/finnhub.js';
+import { CompanyService } from '../src/services/company.js';
+import { DatabaseService } from '../src/utils/database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// 解析命令行参数
+const { values: args } = parseArgs({
+  options: {
+    // 逗号分隔的股票代码，导出前先从 Finnhub 刷新这些公司的资料
+    tickers: { type: 'string' },
+    refresh: { type: 'boolean', default: false },
+    output: { type: 'string', default: path.join(projectRoot, 'prototype', 'company-profiles.js') }
+  }
+});
+
+const database = new DatabaseService(process.env.NEON_DATABASE_URL);
+
+/**
+ * 生成网页脚本内容
+ * @param {Array<Object>} profiles - 公司资料列表
+ * @returns {string} 脚本内容
+ */
+function renderProfilesScript(profiles) {
+  const data = {};
+  for (const profile of profiles) {
+    data[profile.ticker] = {
+      name: profile.name,
+      nameZh: profile.nameZh,
+      nameZhTw: profile.nameZhTw,
+      sector: profile.sector,
+      exchange: profile.exchange,
+      marketCap: profile.marketCap,
+      logoUrl: profile.logoUrl,
+      website: profile.website
+    };
+  }
+
+  return `// 公司资料（由 _scripts/export-company-profiles.mjs 根据 companies 表生成，请勿手动修改）
+window.COMPANY_PROFILES = ${JSON.stringify(data, null, 4)};
+`;
+}
+
+async function main() {
+  try {
+    const tickers = (args.tickers || '')
+      .split(',')
+      .map(ticker => ticker.trim().toUpperCase())
+      .filter(Boolean);
+
+    if (tickers.length > 0) {
+      const companies = new CompanyService({
+        finnhub: new FinnhubService(process.env.FINNHUB_API_KEY),
+        database
+      });
+
+      for (const ticker of tickers) {
+        await companies.getProfile(ticker, { refresh: args.refresh });
+      }
+    }
+
+    const profiles = await database.getCompanies();
+    await writeFile(args.output, renderProfilesScript(profiles), 'utf-8');
+
+    console.log(`✅ 已导出 ${profiles.length} 家公司资料: ${args.output}`);
+
+  } catch (error) {
+    console.error('❌ 导出公司资料失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 未捕获的错误:', error);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * 播客摘要导出脚本
+ * 功能：将数据库中的结构化摘要（标题、概览、关键指标）和各长度版本的音频导出为网页使用的 prototype/episode-summaries.js
+ */
+
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { DatabaseService } from '../src/utils/database.js';
+import { formatMetricValue } from '../src/utils/summary-renderer.js';
+import { EPISODE_VARIANTS, getVariantLabels } from '../src/utils/episode-variants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// 解析命令行参数
+const { values: args } = parseArgs({
+  options: {
+    limit: { type: 'string', default: '50' },
+    language: { type: 'string', default: 'zh-CN' },
+    output: { type: 'string', default: path.join(projectRoot, 'prototype', 'episode-summaries.js') }
+  }
+});
+
+const database = new DatabaseService(process.env.NEON_DATABASE_URL);
+
+/**
+ * 提取卡片需要的字段
+ * @param {Object} summaryData - 结构化摘要
+ * @param {string} language - 语言代码
+ * @returns {Object} 卡片数据
+ */
+function toCardSummary(summaryData, language) {
+  const overview = summaryData.sections.find(section => section.key === 'overview');
+
+  return {
+    headline: summaryData.headline,
+    overview: overview?.content || '',
+    keyMetrics: summaryData.keyMetrics.map(metric => ({
+      ...metric,
+      display: formatMetricValue(metric, language)
+    }))
+  };
+}
+
+/**
+ * 提取播放器切换长度版本需要的字段（早期记录只有主字段中的一个版本）
+ * @param {Object} report - 财报记录
+ * @param {string} language - 语言代码
+ * @returns {Array<Object>} 长度版本 [{ variant, label, audioUrl, durationSeconds }]（按快讯、标准、深度排序）
+ */
+function toVariantList(report, language) {
+  const labels = getVariantLabels(language);
+  const variants = Object.keys(report.variants).length > 0
+    ? report.variants
+    : { [report.metadata?.variant || EPISODE_VARIANTS.STANDARD]: { audioUrl: report.audioUrl, durationSeconds: null } };
+
+  return Object.values(EPISODE_VARIANTS)
+    .filter(variant => variants[variant]?.audioUrl)
+    .map(variant => ({
+      variant,
+      label: labels[variant],
+      audioUrl: variants[variant].audioUrl,
+      durationSeconds: variants[variant].durationSeconds ?? null
+    }));
+}
+
+async function main() {
+  try {
+    const reports = await database.getRecentEarningsReports(parseInt(args.limit), args.language);
+    const summaries = {};
+
+    for (const report of reports) {
+      const key = `${report.ticker}-${report.year}Q${report.quarter}`;
+      // 早期记录没有结构化摘要，网页保留静态内容
+      if (summaries[key] || !report.summaryData) continue;
+
+      summaries[key] = {
+        ...toCardSummary(report.summaryData, args.language),
+        variants: toVariantList(report, args.language)
+      };
+    }
+
+    const content = `// 播客结构化摘要（由 _scripts/export-episode-summaries.mjs 根据 earnings_reports.summary_data 生成，请勿手动修改）
+window.EPISODE_SUMMARIES = ${JSON.stringify(summaries, null, 4)};
+`;
+    await writeFile(args.output, content, 'utf-8');
+
+    console.log(`✅ 已导出 ${Object.keys(summaries).length} 条播客摘要: ${args.output}`);
+
+  } catch (error) {
+    console.error('❌ 导出播客摘要失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 未捕获的错误:', error);
+  process.exit(1);
+});
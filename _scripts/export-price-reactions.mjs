@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * 股价反应导出脚本
+ * 功能：为近期播客补全尚未满5个交易日的股价反应，并导出为网页使用的 prototype/price-reactions.js
+ */
+
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { FinnhubService } from '../src/services/finnhub.js';
+import { createCandleProvider, getPriceReaction, PRICE_SOURCES } from '../src/services/market-data.js';
+import { DatabaseService } from '../src/utils/database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// 解析命令行参数
+const { values: args } = parseArgs({
+  options: {
+    limit: { type: 'string', default: '50' },
+    // 重新计算缺失或不完整的股价反应并写回数据库
+    refresh: { type: 'boolean', default: false },
+    'price-source': { type: 'string', default: PRICE_SOURCES.FINNHUB },
+    'price-fixture': { type: 'string' },
+    output: { type: 'string', default: path.join(projectRoot, 'prototype', 'price-reactions.js') }
+  }
+});
+
+const database = new DatabaseService(process.env.NEON_DATABASE_URL);
+
+/**
+ * 补全单条记录的股价反应
+ * @param {Object} report - 财报记录
+ * @param {Object} provider - 行情来源
+ * @returns {Promise<Object|null>} 股价反应
+ */
+async function refreshReaction(report, provider) {
+  const metadata = report.metadata || {};
+  const reportDate = metadata.priceReaction?.reportDate || metadata.earningsSurprise?.reportDate;
+
+  if (!reportDate) {
+    return metadata.priceReaction || null;
+  }
+
+  const priceReaction = await getPriceReaction({
+    provider,
+    symbol: report.ticker,
+    reportDate,
+    // 沿用首次计算时判定的发布时段
+    reportHour: metadata.priceReaction?.timing || metadata.earningsSurprise?.reportHour
+  });
+
+  if (priceReaction) {
+    await database.updateReportMetadata(report.id, { priceReaction });
+    console.log(`📈 已更新 ${report.ticker} ${report.year}Q${report.quarter} 股价反应${priceReaction.complete ? '' : '（未满5个交易日）'}`);
+  }
+
+  return priceReaction || metadata.priceReaction || null;
+}
+
+async function main() {
+  try {
+    const provider = args.refresh
+      ? createCandleProvider(args['price-source'], {
+        finnhub: args['price-source'] === PRICE_SOURCES.FINNHUB ? new FinnhubService(process.env.FINNHUB_API_KEY) : null,
+        filePath: args['price-fixture']
+      })
+      : null;
+
+    const reports = await database.getRecentEarningsReports(parseInt(args.limit));
+    const reactions = {};
+
+    for (const report of reports) {
+      const key = `${report.ticker}-${report.year}Q${report.quarter}`;
+      // 同一期间多语言版本的股价反应相同，只处理一次
+      if (reactions[key]) continue;
+
+      let reaction = report.metadata?.priceReaction || null;
+
+      if (provider && !reaction?.complete) {
+        try {
+          reaction = await refreshReaction(report, provider);
+        } catch (error) {
+          console.warn(`⚠️ ${key} 股价反应更新失败: ${error.message}`);
+        }
+      }
+
+      if (reaction) {
+        reactions[key] = reaction;
+      }
+    }
+
+    const content = `// 财报后股价反应（由 _scripts/export-price-reactions.mjs 根据 earnings_reports 元数据生成，请勿手动修改）
+window.PRICE_REACTIONS = ${JSON.stringify(reactions, null, 4)};
+`;
+    await writeFile(args.output, content, 'utf-8');
+
+    console.log(`✅ 已导出 ${Object.keys(reactions).length} 条股价反应: ${args.output}`);
+
+  } catch (error) {
+    console.error('❌ 导出股价反应失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 未捕获的错误:', error);
+  process.exit(1);
+});
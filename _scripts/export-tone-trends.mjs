@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * 管理层语气趋势导出脚本
+ * 功能：将各公司历次财报的管理层语气评分导出为网页使用的 prototype/tone-trends.js，用于绘制语气走势
+ */
+
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { DatabaseService } from '../src/utils/database.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// 解析命令行参数
+const { values: args } = parseArgs({
+  options: {
+    ticker: { type: 'string' },
+    language: { type: 'string', default: 'zh-CN' },
+    // 每个公司最多导出的期数
+    limit: { type: 'string', default: '12' },
+    output: { type: 'string', default: path.join(projectRoot, 'prototype', 'tone-trends.js') }
+  }
+});
+
+const database = new DatabaseService(process.env.NEON_DATABASE_URL);
+
+/**
+ * 转换为图表使用的数据点
+ * @param {Object} entry - 语气记录 { year, quarter, toneScores }
+ * @returns {Object} 数据点
+ */
+function toTrendPoint({ year, quarter, toneScores }) {
+  return {
+    period: `${year}Q${quarter}`,
+    overall: toneScores.overall,
+    preparedRemarks: toneScores.sections.prepared_remarks?.score ?? null,
+    qa: toneScores.sections.qa?.score ?? null,
+    guidanceConfidence: toneScores.guidanceConfidence.score,
+    hedgingPer1k: toneScores.hedging.per1k,
+    sharpDrop: toneScores.sharpDrop
+  };
+}
+
+async function main() {
+  try {
+    const trends = await database.getToneTrends({
+      ticker: args.ticker,
+      language: args.language,
+      limit: parseInt(args.limit)
+    });
+
+    const points = Object.fromEntries(
+      Object.entries(trends).map(([ticker, entries]) => [ticker, entries.map(toTrendPoint)])
+    );
+
+    const content = `// 管理层语气趋势（由 _scripts/export-tone-trends.mjs 根据 earnings_reports.tone_scores 生成，请勿手动修改）
+window.TONE_TRENDS = ${JSON.stringify(points, null, 4)};
+`;
+    await writeFile(args.output, content, 'utf-8');
+
+    console.log(`✅ 已导出 ${Object.keys(points).length} 家公司的语气趋势: ${args.output}`);
+
+  } catch (error) {
+    console.error('❌ 导出语气趋势失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 未捕获的错误:', error);
+  process.exit(1);
+});
@@ -13,9 +13,25 @@ import { fileURLToPath } from 'node:url';
 // 导入核心服务模块
 import { FinnhubService } from '../src/services/finnhub.js';
 import { GeminiService } from '../src/services/gemini.js';
+import { createLLMProvider, LLM_PROVIDERS } from '../src/services/llm-providers/index.js';
 import { CozeService } from '../src/services/coze.js';
+import { CompanyService, buildEpisodeIntro } from '../src/services/company.js';
+import { createTranscriptProvider, TRANSCRIPT_SOURCES } from '../src/services/transcript-providers/index.js';
+import { createCandleProvider, getPriceReaction, PRICE_SOURCES } from '../src/services/market-data.js';
 import { DatabaseService } from '../src/utils/database.js';
 import { Logger } from '../src/utils/logger.js';
+import { flattenTranscript, getTranscriptStats } from '../src/utils/transcript.js';
+import { factCheckSummary } from '../src/utils/fact-check.js';
+import { scoreSummaryQuality } from '../src/utils/quality-rubric.js';
+import { SCRIPT_FORMATS, DIALOGUE_SPEAKERS, QA_DIGEST_MODES } from '../src/utils/summary-schema.js';
+import { withDeadline } from '../src/utils/http-client.js';
+import { parsePromptVersions } from '../src/utils/prompt-registry.js';
+import { UsageTracker } from '../src/utils/usage-tracker.js';
+import { GLOSSARY_MODES } from '../src/utils/glossary.js';
+import { COMPLIANCE_MODES, COMPLIANCE_ACTIONS, loadComplianceRules } from '../src/utils/compliance.js';
+import { EPISODE_VARIANTS, parseVariants, getPrimaryVariant, estimateDurationSeconds } from '../src/utils/episode-variants.js';
+import { OUTPUT_LANGUAGES, parseLanguages, getLanguageLabel } from '../src/utils/languages.js';
+import { renderBilingualHtml } from '../src/utils/bilingual-view.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,103 +43,635 @@ const { values: args } = parseArgs({
     ticker: { type: 'string' },
     year: { type: 'string' },
     quarter: { type: 'string' },
-    language: { type: 'string', default: 'zh-CN' }
+    // 输出语言（逗号分隔）: zh-CN / zh-TW / zh-HK（粤语）/ en-US，多个语言共用一次文字稿和市场数据获取，全部通过后在同一事务中保存
+    language: { type: 'string', default: 'zh-CN' },
+    // 自动选择最新一期尚未生成播客的财报
+    latest: { type: 'boolean', default: false },
+    // 文字稿来源: finnhub / file / youtube，后两者通过 --input 指定文件路径或视频URL
+    source: { type: 'string', default: TRANSCRIPT_SOURCES.FINNHUB },
+    input: { type: 'string' },
+    // 股价数据来源: finnhub / fixture，fixture 通过 --price-fixture 指定本地K线文件
+    'price-source': { type: 'string', default: PRICE_SOURCES.FINNHUB },
+    'price-fixture': { type: 'string' },
+    // 节目形式: monologue（单人播报）/ dialogue（主持人与分析师对话）
+    format: { type: 'string', default: SCRIPT_FORMATS.MONOLOGUE },
+    // 大模型后端: gemini / openai / mock
+    llm: { type: 'string', default: process.env.LLM_PROVIDER || LLM_PROVIDERS.GEMINI },
+    // 分析师问答摘要: off（不生成）/ store（保存到报告）/ narrate（保存并作为节目的独立段落播报）
+    'qa-digest': { type: 'string', default: process.env.QA_DIGEST_MODE || QA_DIGEST_MODES.STORE },
+    // 术语统一: off（不处理）/ report（只报告不一致译法）/ fix（替换为术语表中的标准译法）
+    glossary: { type: 'string', default: process.env.GLOSSARY_MODE || GLOSSARY_MODES.FIX },
+    // 合规检查: rewrite（由模型改写投资建议用语，仍有命中时停止）/ fail（发现投资建议用语即停止）
+    compliance: { type: 'string', default: process.env.COMPLIANCE_MODE || COMPLIANCE_MODES.REWRITE },
+    // 节目长度版本（逗号分隔）: flash（约1分钟快讯）/ standard（标准版）/ deep（约15分钟深度解读），每个版本单独合成音频
+    variants: { type: 'string', default: process.env.EPISODE_VARIANTS || EPISODE_VARIANTS.STANDARD },
+    // 与往期对比时读取的往期财报数量（0-4，0 表示不对比）
+    'prior-quarters': { type: 'string', default: process.env.SUMMARY_PRIOR_QUARTERS || '4' },
+    // 固定提示词模板版本，例如 summary@2,dialogue@1（未指定的模板使用最新版本）
+    'prompt-versions': { type: 'string', default: process.env.PROMPT_VERSIONS || '' }
   }
 });
 
 // 验证必需参数
-if (!args.ticker || !args.year || !args.quarter) {
-  console.error('❌ 缺少必需参数: --ticker, --year, --quarter');
+if (!args.ticker || (!args.latest && (!args.year || !args.quarter))) {
+  console.error('❌ 缺少必需参数: --ticker, 以及 --year 和 --quarter（或使用 --latest）');
   process.exit(1);
 }
 
+if (!Object.values(SCRIPT_FORMATS).includes(args.format)) {
+  console.error(`❌ 不支持的节目形式: ${args.format}（可选: ${Object.values(SCRIPT_FORMATS).join(', ')}）`);
+  process.exit(1);
+}
+
+if (!Object.values(QA_DIGEST_MODES).includes(args['qa-digest'])) {
+  console.error(`❌ 不支持的问答摘要模式: ${args['qa-digest']}（可选: ${Object.values(QA_DIGEST_MODES).join(', ')}）`);
+  process.exit(1);
+}
+
+if (!Object.values(GLOSSARY_MODES).includes(args.glossary)) {
+  console.error(`❌ 不支持的术语统一模式: ${args.glossary}（可选: ${Object.values(GLOSSARY_MODES).join(', ')}）`);
+  process.exit(1);
+}
+
+if (!Object.values(COMPLIANCE_MODES).includes(args.compliance)) {
+  console.error(`❌ 不支持的合规检查模式: ${args.compliance}（可选: ${Object.values(COMPLIANCE_MODES).join(', ')}）`);
+  process.exit(1);
+}
+
+// 启动时校验自定义合规规则，避免生成摘要后才发现配置错误
+try {
+  loadComplianceRules();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+let variants;
+try {
+  variants = parseVariants(args.variants);
+} catch (error) {
+  console.error(`❌ 不支持的节目版本: ${args.variants}（可选: ${Object.values(EPISODE_VARIANTS).join(', ')}）`);
+  process.exit(1);
+}
+const primaryVariant = getPrimaryVariant(variants);
+
+let languages;
+try {
+  languages = parseLanguages(args.language);
+} catch (error) {
+  console.error(`❌ 不支持的语言: ${args.language}（可选: ${Object.values(OUTPUT_LANGUAGES).join(', ')}）`);
+  process.exit(1);
+}
+
+const priorQuarters = Number(args['prior-quarters']);
+if (!Number.isInteger(priorQuarters) || priorQuarters < 0 || priorQuarters > 4) {
+  console.error(`❌ --prior-quarters 必须是 0-4 之间的整数: ${args['prior-quarters']}`);
+  process.exit(1);
+}
+
+if (args.source !== TRANSCRIPT_SOURCES.FINNHUB) {
+  if (args.latest) {
+    console.error('❌ --latest 仅支持 Finnhub 文字稿来源');
+    process.exit(1);
+  }
+  if (!args.input) {
+    console.error(`❌ 文字稿来源 ${args.source} 需要通过 --input 指定文件路径或视频URL`);
+    process.exit(1);
+  }
+}
+
 // 初始化日志记录器
 const logger = new Logger({
   outputDir: path.join(projectRoot, 'logs'),
-  filename: `${args.ticker}-${args.year}Q${args.quarter}-${Date.now()}.log`
+  filename: `${args.ticker}-${args.latest ? 'latest' : `${args.year}Q${args.quarter}`}-${Date.now()}.log`
 });
 
-// 初始化服务
+// 初始化服务（大模型和语音合成的用量按费率表计费，写入报告元数据和运行日志）
+const usageTracker = new UsageTracker();
 const finnhub = new FinnhubService(process.env.FINNHUB_API_KEY);
-const gemini = new GeminiService(process.env.GEMINI_API_KEY);
-const coze = new CozeService(process.env.COZE_API_KEY);
+
+// 创建大模型、文字稿和股价数据后端，--llm / --source / --price-source 取值无效或缺少对应配置时直接退出
+let llmProvider;
+let transcriptProvider;
+let candleProvider;
+try {
+  llmProvider = createLLMProvider(args.llm);
+  transcriptProvider = createTranscriptProvider(args.source, { finnhub, input: args.input });
+  candleProvider = createCandleProvider(args['price-source'], { finnhub, filePath: args['price-fixture'] });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const gemini = new GeminiService(process.env.GEMINI_API_KEY, {
+  provider: llmProvider,
+  promptVersions: parsePromptVersions(args['prompt-versions']),
+  usage: usageTracker
+});
+const coze = new CozeService(process.env.COZE_API_KEY, { usage: usageTracker });
 const database = new DatabaseService(process.env.NEON_DATABASE_URL);
+const companies = new CompanyService({ finnhub, database });
+
+// 整条流水线的取消信号：收到 SIGINT/SIGTERM 时中止进行中的请求
+const pipelineController = new AbortController();
+for (const signalName of ['SIGINT', 'SIGTERM']) {
+  process.once(signalName, () => {
+    logger.warn(`🛑 收到 ${signalName}，正在取消生成流程...`);
+    pipelineController.abort(new Error(`Pipeline cancelled by ${signalName}`));
+  });
+}
+
+/**
+ * 生成一个长度版本的播客脚本：生成摘要、核对数字并评分，未通过数字核对或质量门槛时抛出错误
+ * @param {Object} params - 参数对象
+ * @param {string} params.variant - 节目长度版本
+ * @param {Object|null} params.reuse - 此前生成的版本（沿用分块笔记、分析师问答摘要和语气评分）
+ * @param {Object} params.context - 本期该语言节目的共用数据 { language, transcript, year, quarter, company, earningsSurprise, priceReaction, priorReports, previousReport, outputDir }
+ * @returns {Promise<Object>} 摘要生成结果，附带 factCheck 和 quality
+ */
+async function generateVariantScript({ variant, reuse, context }) {
+  const { language, transcript, year, quarter, company, earningsSurprise, priceReaction, priorReports, previousReport, outputDir } = context;
+
+  logger.info(`🤖 生成AI摘要（${language}, ${variant}）...`);
+  const result = await withDeadline('summary', signal => gemini.generateSummary({
+    transcript,
+    ticker: args.ticker,
+    year,
+    quarter,
+    language,
+    earningsSurprise,
+    company,
+    priceReaction,
+    format: args.format,
+    priorReports,
+    previousReport,
+    qaMode: args['qa-digest'],
+    glossaryMode: args.glossary,
+    complianceMode: args.compliance,
+    variant,
+    reuse,
+    signal
+  }), { signal: pipelineController.signal });
+  const { summary, speechText, document: summaryData, metadata: summaryMetadata, toneScores } = result;
+  
+  logger.info('✅ AI摘要生成成功', { 
+    language,
+    variant,
+    summaryLength: summary.length,
+    strategy: summaryMetadata.strategy,
+    chunks: summaryMetadata.chunks?.length || 0,
+    keyMetrics: summaryData.keyMetrics.length,
+    guidanceItems: summaryData.guidance.length,
+    schemaAttempts: summaryMetadata.schemaAttempts,
+    qaExchanges: summaryMetadata.qaDigest?.exchanges || 0,
+    evasiveAnswers: summaryMetadata.qaDigest?.evasive || 0,
+    toneOverall: toneScores?.overall ?? null,
+    guidanceConfidence: toneScores?.guidanceConfidence.score ?? null,
+    toneSharpDrop: toneScores?.sharpDrop || false,
+    glossaryDeviations: summaryMetadata.glossary?.total || 0,
+    complianceFlagged: summaryMetadata.compliance.flagged
+  });
+
+  // 合规检查结果，仍有投资建议用语时在语音合成前停止
+  const compliance = summaryMetadata.compliance;
+  await import('node:fs/promises').then(fs => 
+    fs.writeFile(
+      path.join(outputDir, variantFileName('compliance.json', variant)), 
+      JSON.stringify(compliance, null, 2), 
+      'utf-8'
+    )
+  );
+
+  if (!compliance.passed) {
+    const blocked = compliance.decisions.filter(decision => decision.action !== COMPLIANCE_ACTIONS.REWRITTEN);
+    logger.error('❌ 合规检查未通过', {
+      mode: compliance.mode,
+      flagged: compliance.flagged,
+      decisions: blocked.slice(0, 10).map(decision => `${decision.path}: ${decision.matches.map(match => match.match).join(', ')}`)
+    });
+    throw new Error(`Compliance check failed: ${blocked.length} passage(s) contain investment advice (see ${path.join(outputDir, variantFileName('compliance.json', variant))})`);
+  }
+
+  for (const decision of compliance.decisions) {
+    logger.warn(`🛡️ 已改写投资建议用语: ${decision.path}`, { matches: decision.matches.map(match => match.match), rewritten: decision.rewritten });
+  }
+  logger.info('✅ 合规检查通过', { mode: compliance.mode, flagged: compliance.flagged });
+
+  // 核对摘要中的数字，不通过比例超过上限时在语音合成前停止
+  logger.info('🔎 核对摘要中的数字...');
+  const factCheck = factCheckSummary({
+    document: summaryData,
+    transcript,
+    earningsSurprise,
+    priceReaction,
+    priorReports
+  });
+
+  await import('node:fs/promises').then(fs => 
+    fs.writeFile(
+      path.join(outputDir, variantFileName('fact-check.json', variant)), 
+      JSON.stringify(factCheck, null, 2), 
+      'utf-8'
+    )
+  );
+
+  const flaggedClaims = factCheck.claims.filter(claim => claim.status !== 'supported');
+  if (!factCheck.passed) {
+    logger.error('❌ 数字核对未通过', {
+      total: factCheck.total,
+      flagged: factCheck.flagged,
+      mismatchRate: factCheck.mismatchRate,
+      maxMismatchRate: factCheck.maxMismatchRate,
+      claims: flaggedClaims.slice(0, 10).map(claim => `${claim.status}: ${claim.text}`)
+    });
+    throw new Error(`Fact-check failed: ${factCheck.flagged}/${factCheck.total} figures unsupported (see ${path.join(outputDir, variantFileName('fact-check.json', variant))})`);
+  }
+
+  logger.info('✅ 数字核对通过', {
+    total: factCheck.total,
+    flagged: factCheck.flagged,
+    mismatchRate: factCheck.mismatchRate
+  });
+  for (const claim of flaggedClaims) {
+    logger.warn(`⚠️ 未能核实: ${claim.text}`, { field: claim.field, status: claim.status, note: claim.note });
+  }
+
+  // 质量评分，总分低于门槛或包含投资建议时在语音合成前停止（模型评审失败时只用规则评分）
+  logger.info('🏅 质量评分...');
+  const judge = await withDeadline('judge', signal => gemini.judgeSummary({
+    script: summary,
+    transcript,
+    ticker: args.ticker,
+    year,
+    quarter,
+    language,
+    company,
+    signal
+  }), { signal: pipelineController.signal }).catch(error => {
+    logger.warn('⚠️ 一致性评审失败，质量评分只使用规则评分', { error: error.message });
+    return null;
+  });
+
+  const quality = {
+    ...scoreSummaryQuality({
+      document: summaryData,
+      speechText,
+      language,
+      factCheck,
+      judge,
+      variant
+    }),
+    judge
+  };
+
+  await import('node:fs/promises').then(fs => 
+    fs.writeFile(
+      path.join(outputDir, variantFileName('quality.json', variant)), 
+      JSON.stringify(quality, null, 2), 
+      'utf-8'
+    )
+  );
+
+  const criteriaScores = Object.fromEntries(Object.entries(quality.criteria).map(([key, criterion]) => [key, criterion.score]));
+  if (!quality.passed) {
+    logger.error('❌ 质量评分未通过', {
+      score: quality.score,
+      minScore: quality.minScore,
+      criteria: criteriaScores,
+      blockers: quality.blockers,
+      issues: quality.criteria.consistency.issues.slice(0, 5)
+    });
+    throw new Error(`Quality gate failed: ${quality.blockers.join('; ')} (see ${path.join(outputDir, variantFileName('quality.json', variant))})`);
+  }
+
+  logger.info(`✅ 质量评分通过: ${quality.score}`, { language, variant, minScore: quality.minScore, criteria: criteriaScores });
+
+  return { ...result, factCheck, quality };
+}
+
+/**
+ * 生成一个语言的节目：读取该语言的往期财报，逐个生成长度版本的脚本（分块笔记、分析师问答摘要和语气评分只生成一次）并合成音频，
+ * 任一版本未通过数字核对或质量门槛时抛出错误
+ * @param {Object} params - 参数对象
+ * @param {string} params.language - 输出语言
+ * @param {Object} params.context - 本期财报各语言共用的数据 { transcript, year, quarter, company, earningsSurprise, priceReaction, outputDir }
+ * @returns {Promise<Object>} { language, outputDir, intro, episodes, usage }，episodes 为各长度版本的生成结果（含 audioBuffer 和 durationSeconds）
+ */
+async function generateLanguageEpisode({ language, context }) {
+  const { year, quarter, company } = context;
+  const usageStart = usageTracker.records.length;
+
+  // 多语言时各语言的文件写入输出目录下的语言子目录
+  const outputDir = languages.length > 1 ? path.join(context.outputDir, language) : context.outputDir;
+  await mkdir(outputDir, { recursive: true });
+
+  // 获取同一公司往期财报，用于与上季度对比、判断指引调整和管理层语气变化（失败不影响主流程）
+  const history = await database.getCompanyEarningsHistory(args.ticker, language, Math.max(priorQuarters, 1), {
+    before: { year, quarter }
+  }).catch(error => {
+    logger.warn('⚠️ 往期财报获取失败，摘要将不包含与上季度对比、指引调整和语气变化', { language, error: error.message });
+    return [];
+  });
+  const previousReport = history[0] || null;
+
+  let priorReports = [];
+  if (priorQuarters > 0) {
+    priorReports = history.filter(report => report.summaryData);
+
+    logger.info(`🔁 找到 ${priorReports.length} 期往期财报用于对比`, {
+      language,
+      periods: priorReports.map(report => `${report.year}Q${report.quarter}`)
+    });
+  }
+
+  // 按长度版本逐个生成AI摘要、核对数字并评分
+  const variantContext = { ...context, language, priorReports, previousReport, outputDir };
+  const episodes = {};
+  for (const variant of variants) {
+    episodes[variant] = await generateVariantScript({ variant, reuse: episodes[variants[0]] || null, context: variantContext });
+  }
+
+  // 生成语音播客（每个长度版本单独合成）
+  const intro = buildEpisodeIntro({
+    company,
+    ticker: args.ticker,
+    year,
+    quarter,
+    language
+  });
+  for (const [variant, episode] of Object.entries(episodes)) {
+    logger.info(`🎙️ 生成语音播客（${language}, ${variant}）...`);
+    episode.audioBuffer = await withDeadline('speech', signal => args.format === SCRIPT_FORMATS.DIALOGUE
+      // 对话形式由主持人念开场白，之后按发言人标记逐轮合成
+      ? coze.generateDialogueSpeech({
+        script: `[${DIALOGUE_SPEAKERS.HOST.toUpperCase()}] ${intro}\n${episode.speechText}`,
+        language,
+        signal
+      })
+      : coze.generateSpeech({
+        text: `${intro}\n\n${episode.speechText}`,
+        language,
+        voice: coze.getDefaultVoice(language),
+        signal
+      }), { signal: pipelineController.signal });
+    episode.durationSeconds = estimateDurationSeconds(`${intro}\n${episode.speechText.replace(/^\[[A-Z]+\]\s*/gm, '')}`, language);
+
+    logger.info('✅ 语音播客生成成功', { 
+      language,
+      variant,
+      audioSize: episode.audioBuffer.length,
+      durationSeconds: episode.durationSeconds
+    });
+  }
+
+  // 该语言节目的费用单独记入对应的财报记录，避免费用统计重复计算
+  return { language, outputDir, intro, episodes, usage: usageTracker.getSummary({ since: usageStart }) };
+}
+
+/**
+ * 长度版本对应的输出文件名（标准版沿用原文件名，其他版本加后缀，例如 summary-flash.md）
+ * @param {string} filename - 标准版文件名
+ * @param {string} variant - 节目长度版本
+ * @returns {string} 文件名
+ */
+function variantFileName(filename, variant) {
+  if (variant === EPISODE_VARIANTS.STANDARD) {
+    return filename;
+  }
+  const extension = path.extname(filename);
+  return `${path.basename(filename, extension)}-${variant}${extension}`;
+}
+
+/**
+ * 保存本次运行的结果和费用，费用统计（stats --cost）按运行记录汇总；
+ * 保存失败只记录警告，不影响运行结果
+ * @param {Object} params - 参数对象
+ * @param {number|null} params.year - 年份
+ * @param {number|null} params.quarter - 季度
+ * @param {string} params.status - 运行结果 (succeeded / failed)
+ * @param {string|null} [params.error] - 失败原因
+ * @param {Array<number>} [params.reportIds] - 保存的财报记录ID
+ * @returns {Promise<void>}
+ */
+async function recordGenerationRun({ year, quarter, status, error = null, reportIds = [] }) {
+  const { calls, ...usage } = usageTracker.getSummary();
+  try {
+    await database.saveGenerationRun({
+      ticker: args.ticker,
+      year,
+      quarter,
+      languages,
+      status,
+      error,
+      usage,
+      reportIds,
+      startedAt: startTime
+    });
+  } catch (saveError) {
+    logger.warn('⚠️ 保存运行记录失败，本次费用只记录在日志中', { error: saveError.message, cost: usage.totalCost });
+  }
+}
 
 async function main() {
+  // 财报期间（--latest 时在步骤0中确定），随运行记录保存
+  let year = args.year ? parseInt(args.year) : null;
+  let quarter = args.quarter ? parseInt(args.quarter) : null;
+
   try {
     logger.info('🚀 开始生成财报播客', {
       ticker: args.ticker,
       year: args.year,
       quarter: args.quarter,
-      language: args.language
+      latest: args.latest,
+      source: args.source,
+      languages,
+      format: args.format,
+      variants,
+      llm: gemini.getModelInfo()
     });
 
+    // 步骤0: 确定财报期间
+    let callId = null;
+
+    if (args.latest) {
+      logger.info('🔍 查找最新未处理的财报文字稿...');
+      // 多语言时任一语言尚未生成的期间都视为未处理
+      const latest = await finnhub.findLatestUnprocessedTranscript(args.ticker, {
+        database,
+        languages
+      });
+
+      if (!latest) {
+        logger.info('ℹ️ 没有新的财报文字稿需要处理', { ticker: args.ticker });
+        console.log(`\nℹ️ ${args.ticker} 暂无新的财报文字稿`);
+        return;
+      }
+
+      ({ year, quarter, callId } = latest);
+      logger.info('✅ 已选定财报期间', { year, quarter, callId, date: latest.date });
+    }
+
     // 创建输出目录
-    const outputDir = path.join(projectRoot, 'output', `${args.ticker}-${args.year}Q${args.quarter}`);
+    const outputDir = path.join(projectRoot, 'output', `${args.ticker}-${year}Q${quarter}`);
     await mkdir(outputDir, { recursive: true });
 
     // 步骤1: 获取财报文字稿
-    logger.info('📄 获取财报文字稿...');
-    const transcript = await finnhub.getEarningsTranscript({
+    logger.info('📄 获取财报文字稿...', { source: args.source });
+    const transcript = await withDeadline('transcript', signal => transcriptProvider.getTranscript({
       symbol: args.ticker,
-      year: parseInt(args.year),
-      quarter: parseInt(args.quarter)
-    });
+      year,
+      quarter,
+      callId,
+      signal
+    }), { signal: pipelineController.signal });
     
     if (!transcript) {
-      throw new Error(`未找到 ${args.ticker} ${args.year}Q${args.quarter} 的财报文字稿`);
+      throw new Error(`未找到 ${args.ticker} ${year}Q${quarter} 的财报文字稿`);
     }
+
+    // 摘要流程使用带发言人与环节标签的纯文本
+    const transcriptText = flattenTranscript(transcript);
+    const transcriptStats = getTranscriptStats(transcript);
     
     logger.info('✅ 财报文字稿获取成功', { 
-      length: transcript.length,
-      wordCount: transcript.split(' ').length 
+      source: transcript.source,
+      length: transcriptText.length,
+      ...transcriptStats
     });
 
-    // 步骤2: 生成AI摘要
-    logger.info('🤖 生成AI摘要...');
-    const summary = await gemini.generateSummary({
-      transcript,
-      ticker: args.ticker,
-      year: args.year,
-      quarter: args.quarter,
-      language: args.language
-    });
-    
-    logger.info('✅ AI摘要生成成功', { 
-      summaryLength: summary.length 
+    // 获取公司资料（失败不影响主流程）
+    logger.info('🏢 获取公司资料...');
+    const company = await withDeadline('market', signal => companies.getProfile(args.ticker, {
+      signal
+    }), { signal: pipelineController.signal }).catch(error => {
+      logger.warn('⚠️ 公司资料获取失败，将仅使用股票代码', { error: error.message });
+      return null;
     });
 
-    // 步骤3: 生成语音播客
-    logger.info('🎙️ 生成语音播客...');
-    const audioBuffer = await coze.generateSpeech({
-      text: summary,
-      language: args.language,
-      voice: args.language === 'zh-CN' ? 'zh-CN-XiaoxiaoNeural' : 'en-US-JennyNeural'
-    });
-    
-    logger.info('✅ 语音播客生成成功', { 
-      audioSize: audioBuffer.length 
+    if (company) {
+      logger.info('✅ 公司资料获取成功', {
+        name: company.name,
+        nameZh: company.nameZh,
+        sector: company.sector
+      });
+    }
+
+    // 获取业绩与一致预期对比（失败不影响主流程）
+    logger.info('📊 获取业绩与一致预期...');
+    const earningsSurprise = await withDeadline('market', signal => finnhub.getEarningsSurprise({
+      symbol: args.ticker,
+      year,
+      quarter,
+      signal
+    }), { signal: pipelineController.signal }).catch(error => {
+      logger.warn('⚠️ 一致预期获取失败，摘要将不包含超预期数据', { error: error.message });
+      return null;
     });
 
-    // 步骤4: 保存到数据库
-    logger.info('💾 保存到数据库...');
-    const recordId = await database.saveEarningsReport({
-      ticker: args.ticker,
-      year: parseInt(args.year),
-      quarter: parseInt(args.quarter),
-      transcript,
-      summary,
-      audioBuffer,
-      language: args.language,
-      metadata: {
-        generatedAt: new Date().toISOString(),
-        transcriptWordCount: transcript.split(' ').length,
-        summaryLength: summary.length,
-        audioSize: audioBuffer.length
+    if (earningsSurprise) {
+      logger.info('✅ 一致预期获取成功', {
+        eps: earningsSurprise.eps,
+        revenue: earningsSurprise.revenue
+      });
+    }
+
+    // 获取财报后股价反应（失败不影响主流程）
+    const reportDate = earningsSurprise?.reportDate || transcript.date;
+    let priceReaction = null;
+
+    if (reportDate) {
+      logger.info('📈 获取财报后股价反应...', { reportDate, source: candleProvider.type });
+      priceReaction = await withDeadline('market', signal => getPriceReaction({
+        provider: candleProvider,
+        symbol: args.ticker,
+        reportDate,
+        reportHour: earningsSurprise?.reportHour,
+        signal
+      }), { signal: pipelineController.signal }).catch(error => {
+        logger.warn('⚠️ 股价数据获取失败，摘要将不包含股价反应', { error: error.message });
+        return null;
+      });
+
+      if (priceReaction) {
+        logger.info('✅ 股价反应计算完成', {
+          priorClose: priceReaction.priorClose,
+          nextDay: priceReaction.nextDay,
+          fiveDay: priceReaction.fiveDay,
+          complete: priceReaction.complete
+        });
       }
+    } else {
+      logger.warn('⚠️ 未知财报发布日期，跳过股价反应');
+    }
+
+    // 步骤2-3: 按语言逐个生成脚本和语音播客（文字稿、公司资料和市场数据只获取一次），任一语言未通过核对或评分时整体停止，不保存任何记录
+    const context = { transcript, year, quarter, company, earningsSurprise, priceReaction, outputDir };
+    const results = [];
+    for (const language of languages) {
+      if (languages.length > 1) {
+        logger.info(`🌐 生成${getLanguageLabel(language)}节目...`, { language });
+      }
+      results.push(await generateLanguageEpisode({ language, context }));
+    }
+
+    const usage = usageTracker.getSummary();
+    logger.info(`💰 本次生成费用: $${usage.totalCost.toFixed(4)}`, {
+      llm: usage.llm,
+      tts: usage.tts,
+      byProvider: usage.byProvider,
+      unpricedCalls: usage.unpricedCalls,
+      ...(languages.length > 1 ? { byLanguage: Object.fromEntries(results.map(result => [result.language, result.usage.totalCost])) } : {})
     });
+
+    // 步骤4: 保存到数据库（所有语言在同一事务中保存，主版本写入财报记录的主字段，用于往期对比、指引历史和语气趋势）
+    logger.info('💾 保存到数据库...');
+    const recordIds = await database.saveEarningsReports(results.map(({ language, intro, episodes, usage: languageUsage }) => {
+      const { summary, document: summaryData, metadata: summaryMetadata, toneScores, factCheck, quality, audioBuffer } = episodes[primaryVariant];
+
+      return {
+        ticker: args.ticker,
+        year,
+        quarter,
+        transcript: transcriptText,
+        summary,
+        summaryData,
+        toneScores,
+        qualityScore: quality.score,
+        audioBuffer,
+        variants: Object.fromEntries(Object.entries(episodes).map(([variant, episode]) => [variant, {
+          summary: episode.summary,
+          audioBuffer: episode.audioBuffer,
+          durationSeconds: episode.durationSeconds,
+          qualityScore: episode.quality.score
+        }])),
+        language,
+        metadata: {
+          generatedAt: new Date().toISOString(),
+          transcriptWordCount: transcriptStats.wordCount,
+          transcriptCallId: transcript.callId,
+          transcriptSource: transcript.source,
+          transcriptSpeakers: transcript.participants,
+          earningsSurprise,
+          priceReaction,
+          company,
+          intro,
+          format: args.format,
+          variant: primaryVariant,
+          variants: Object.keys(episodes),
+          languages,
+          summaryLength: summary.length,
+          summaryGeneration: { ...summaryMetadata, llm: gemini.getModelInfo() },
+          factCheck,
+          quality,
+          usage: languageUsage,
+          audioSize: audioBuffer.length
+        }
+      };
+    }));
     
-    logger.info('✅ 数据保存成功', { recordId });
+    logger.info('✅ 数据保存成功', { recordIds });
+
+    await recordGenerationRun({ year, quarter, status: 'succeeded', reportIds: recordIds });
 
     // 步骤5: 保存本地文件
     logger.info('📁 保存本地文件...');
@@ -132,44 +680,136 @@ async function main() {
       import('node:fs/promises').then(fs => 
         fs.writeFile(
           path.join(outputDir, 'transcript.txt'), 
-          transcript, 
+          transcriptText, 
           'utf-8'
         )
       ),
-      // 保存AI摘要
+      // 保存结构化文字稿
       import('node:fs/promises').then(fs => 
         fs.writeFile(
-          path.join(outputDir, 'summary.md'), 
-          summary, 
+          path.join(outputDir, 'transcript.json'), 
+          JSON.stringify(transcript, null, 2), 
           'utf-8'
         )
       ),
-      // 保存音频文件
-      import('node:fs/promises').then(fs => 
-        fs.writeFile(
-          path.join(outputDir, 'podcast.mp3'), 
-          audioBuffer
+      // 保存各语言、各长度版本的AI摘要、结构化摘要和音频文件
+      ...results.flatMap(result => Object.entries(result.episodes).flatMap(([variant, episode]) => [
+        import('node:fs/promises').then(fs => 
+          fs.writeFile(
+            path.join(result.outputDir, variantFileName('summary.md', variant)), 
+            episode.summary, 
+            'utf-8'
+          )
+        ),
+        import('node:fs/promises').then(fs => 
+          fs.writeFile(
+            path.join(result.outputDir, variantFileName('summary.json', variant)), 
+            JSON.stringify(episode.document, null, 2), 
+            'utf-8'
+          )
+        ),
+        import('node:fs/promises').then(fs => 
+          fs.writeFile(
+            path.join(result.outputDir, variantFileName('podcast.mp3', variant)), 
+            episode.audioBuffer
+          )
         )
-      )
+      ])),
+      // 多语言时生成左右对照的网页，方便对照学习
+      ...(results.length > 1
+        ? [import('node:fs/promises').then(fs => 
+          fs.writeFile(
+            path.join(outputDir, 'bilingual.html'), 
+            renderBilingualHtml({
+              ticker: args.ticker,
+              year,
+              quarter,
+              entries: results.map(result => ({
+                language: result.language,
+                document: result.episodes[primaryVariant].document,
+                audio: path.relative(outputDir, path.join(result.outputDir, variantFileName('podcast.mp3', primaryVariant))).split(path.sep).join('/')
+              }))
+            }), 
+            'utf-8'
+          )
+        )]
+        : [])
     ]);
     
     logger.info('✅ 本地文件保存成功', { outputDir });
 
-    // 生成报告摘要
+    // 生成报告摘要（第一个语言的结果放在顶层，多语言时各语言的结果另见 languages）
+    const languageReports = results.map((result, index) => {
+      const { summary, metadata: summaryMetadata, toneScores, quality, audioBuffer } = result.episodes[primaryVariant];
+      const filePath = (filename, variant = primaryVariant) => path.join(result.outputDir, variantFileName(filename, variant));
+
+      return {
+        language: result.language,
+        recordId: recordIds[index],
+        guidance: summaryMetadata.guidance,
+        tone: toneScores
+          ? {
+            overall: toneScores.overall,
+            guidanceConfidence: toneScores.guidanceConfidence.score,
+            hedgingPer1k: toneScores.hedging.per1k,
+            previous: toneScores.previous,
+            sharpDrop: toneScores.sharpDrop
+          }
+          : null,
+        compliance: {
+          mode: summaryMetadata.compliance.mode,
+          flagged: summaryMetadata.compliance.flagged,
+          rewritten: summaryMetadata.compliance.decisions.filter(decision => decision.action === COMPLIANCE_ACTIONS.REWRITTEN).length,
+          passed: summaryMetadata.compliance.passed
+        },
+        files: {
+          summary: filePath('summary.md'),
+          summaryJson: filePath('summary.json'),
+          factCheck: filePath('fact-check.json'),
+          compliance: filePath('compliance.json'),
+          quality: filePath('quality.json'),
+          podcast: filePath('podcast.mp3')
+        },
+        variant: primaryVariant,
+        variants: Object.fromEntries(Object.entries(result.episodes).map(([variant, episode]) => [variant, {
+          summaryLength: episode.summary.length,
+          audioSize: episode.audioBuffer.length,
+          durationSeconds: episode.durationSeconds,
+          qualityScore: episode.quality.score,
+          summary: filePath('summary.md', variant),
+          podcast: filePath('podcast.mp3', variant)
+        }])),
+        metrics: {
+          summaryLength: summary.length,
+          audioSize: audioBuffer.length,
+          cost: result.usage.totalCost,
+          qualityScore: quality.score
+        }
+      };
+    });
+    const [primaryReport] = languageReports;
+
     const report = {
       ticker: args.ticker,
-      period: `${args.year}Q${args.quarter}`,
-      language: args.language,
-      recordId,
+      period: `${year}Q${quarter}`,
+      ...primaryReport,
+      format: args.format,
+      transcriptSource: transcript.source,
+      company,
+      earningsSurprise,
+      priceReaction,
       files: {
         transcript: path.join(outputDir, 'transcript.txt'),
-        summary: path.join(outputDir, 'summary.md'),
-        podcast: path.join(outputDir, 'podcast.mp3')
+        transcriptJson: path.join(outputDir, 'transcript.json'),
+        ...primaryReport.files,
+        ...(results.length > 1 ? { bilingual: path.join(outputDir, 'bilingual.html') } : {})
       },
+      ...(results.length > 1 ? { languages: Object.fromEntries(languageReports.map(item => [item.language, item])) } : {}),
       metrics: {
-        transcriptWordCount: transcript.split(' ').length,
-        summaryLength: summary.length,
-        audioSize: audioBuffer.length,
+        transcriptWordCount: transcriptStats.wordCount,
+        transcriptTurns: transcriptStats.turnCount,
+        ...primaryReport.metrics,
+        cost: usage.totalCost,
         processingTime: Date.now() - startTime
       }
     };
@@ -187,18 +827,44 @@ async function main() {
     
     console.log('\n🎉 财报播客生成成功!');
     console.log(`📊 股票代码: ${args.ticker}`);
-    console.log(`📅 财报期间: ${args.year}Q${args.quarter}`);
-    console.log(`🌐 语言: ${args.language}`);
+    console.log(`📅 财报期间: ${year}Q${quarter}`);
+    console.log(`🌐 语言: ${languages.join(', ')}`);
     console.log(`📁 输出目录: ${outputDir}`);
-    console.log(`🆔 数据库记录ID: ${recordId}`);
     console.log(`⏱️ 处理时间: ${Math.round((Date.now() - startTime) / 1000)}秒`);
+    console.log(`💰 费用: $${usage.totalCost.toFixed(4)}`);
+    if (results.length > 1) {
+      console.log(`📖 双语对照: ${report.files.bilingual}`);
+    }
+    for (const [index, result] of results.entries()) {
+      const { metadata: summaryMetadata, toneScores, quality } = result.episodes[primaryVariant];
+
+      if (results.length > 1) {
+        console.log(`\n🌐 ${getLanguageLabel(result.language)}（${result.language}）`);
+      }
+      console.log(`🆔 数据库记录ID: ${recordIds[index]}`);
+      console.log(`🏅 质量评分: ${quality.score}`);
+      if (variants.length > 1) {
+        console.log(`🎚️ 节目版本: ${Object.entries(result.episodes).map(([variant, episode]) => `${variant} ~${Math.round(episode.durationSeconds / 60 * 10) / 10}分钟`).join(' / ')}`);
+      }
+      if (summaryMetadata.guidance.total > 0) {
+        const { total, raised, maintained, cut } = summaryMetadata.guidance;
+        console.log(`🔮 业绩指引: ${total} 项（上调 ${raised} / 维持 ${maintained} / 下调 ${cut}${summaryMetadata.guidance.previousPeriod ? `，对比 ${summaryMetadata.guidance.previousPeriod}` : ''}）`);
+      }
+      if (toneScores) {
+        console.log(`🌡️ 管理层语气: ${toneScores.overall}${toneScores.previous ? `（较 ${toneScores.previous.period} ${toneScores.previous.change > 0 ? '+' : ''}${toneScores.previous.change}）` : ''}${toneScores.sharpDrop ? ' 📉 明显转弱' : ''}`);
+      }
+    }
     
   } catch (error) {
+    // 失败前已发生的调用同样计费，记录在日志和运行记录中
+    const { calls, ...usage } = usageTracker.getSummary();
     logger.error('❌ 财报播客生成失败', {
       error: error.message,
       stack: error.stack,
-      args
+      args,
+      usage
     });
+    await recordGenerationRun({ year, quarter, status: 'failed', error: error.message });
     
     console.error('\n❌ 财报播客生成失败!');
     console.error(`错误信息: ${error.message}`);
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * 业绩指引历史脚本
+ * 功能：按指标输出某个股票代码最近若干期节目中的业绩指引（区间及上调/维持/下调），查看指引在各季度间的变化
+ */
+
+import { parseArgs } from 'node:util';
+
+import { DatabaseService } from '../src/utils/database.js';
+import { groupGuidanceHistory } from '../src/utils/guidance.js';
+import { formatGuidanceRange, getGuidanceRevisionLabels } from '../src/utils/summary-renderer.js';
+
+// 解析命令行参数
+const { values: args } = parseArgs({
+  options: {
+    ticker: { type: 'string' },
+    language: { type: 'string', default: 'zh-CN' },
+    // 只显示指标名称包含该文字的指引
+    metric: { type: 'string' },
+    // 显示最近几期节目的指引
+    quarters: { type: 'string', default: '8' }
+  }
+});
+
+if (!args.ticker) {
+  console.error('❌ 请使用 --ticker 指定股票代码');
+  process.exit(1);
+}
+
+const quarters = Number(args.quarters);
+if (!Number.isInteger(quarters) || quarters <= 0) {
+  console.error(`❌ --quarters 必须是正整数: ${args.quarters}`);
+  process.exit(1);
+}
+
+const database = new DatabaseService(process.env.NEON_DATABASE_URL);
+
+async function main() {
+  try {
+    const ticker = args.ticker.toUpperCase();
+    const items = await database.getGuidanceHistory(ticker, {
+      language: args.language,
+      metric: args.metric,
+      limit: quarters
+    });
+
+    if (items.length === 0) {
+      console.log(`ℹ️ ${ticker} 最近 ${quarters} 期节目中没有业绩指引记录`);
+      return;
+    }
+
+    const revisions = getGuidanceRevisionLabels(args.language);
+    console.log(`🔮 ${ticker} 业绩指引历史（${args.language}，最近 ${quarters} 期）`);
+
+    for (const group of groupGuidanceHistory(items)) {
+      console.log(`\n📌 ${group.metric}`);
+      for (const item of group.items) {
+        const range = formatGuidanceRange(item, args.language) || '-';
+        console.log(`  ${`${item.year}Q${item.quarter}`.padEnd(8)}  ${(item.period || '-').padEnd(10)}  ${range.padEnd(24)}  ${(revisions[item.revision] || '-').padEnd(8)}  ${item.text}`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ 获取业绩指引历史失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 未捕获的错误:', error);
+  process.exit(1);
+});
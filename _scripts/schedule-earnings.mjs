@@ -0,0 +1,416 @@
+#!/usr/bin/env node
+
+/**
+ * 财报日历调度脚本
+ * 功能：根据关注列表的财报日历，在文字稿发布后自动触发播客生成，
+ *       文字稿未就绪时在后续运行中重试，并记录每只股票的处理状态避免重复生成
+ */
+
+import { parseArgs } from 'node:util';
+import { spawn } from 'node:child_process';
+import { setTimeout as sleep } from 'node:timers/promises';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { FinnhubService } from '../src/services/finnhub.js';
+import { DatabaseService } from '../src/utils/database.js';
+import { Logger } from '../src/utils/logger.js';
+import {
+  loadCalendarFile,
+  filterByWatchlist,
+  formatDate
+} from '../src/utils/earnings-calendar.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+// 解析命令行参数
+const { values: args } = parseArgs({
+  options: {
+    // 关注列表: 逗号分隔的股票代码，或每行一个代码的文件
+    watchlist: { type: 'string' },
+    'watchlist-file': { type: 'string' },
+    // 本地财报日历文件 (JSON/CSV)，不传时使用 Finnhub 财报日历
+    'calendar-file': { type: 'string' },
+    'days-back': { type: 'string', default: '7' },
+    'days-ahead': { type: 'string', default: '14' },
+    language: { type: 'string', default: 'zh-CN' },
+    // 文字稿未就绪时的最大重试次数和最长等待时间
+    'max-attempts': { type: 'string', default: '48' },
+    'max-wait-hours': { type: 'string', default: '72' },
+    'dry-run': { type: 'boolean', default: false },
+    // 持续运行模式，每隔 interval 分钟执行一轮
+    watch: { type: 'boolean', default: false },
+    interval: { type: 'string', default: '30' }
+  }
+});
+
+// 处理状态
+const STATUS = {
+  SCHEDULED: 'scheduled',
+  WAITING: 'waiting_transcript',
+  GENERATING: 'generating',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  EXPIRED: 'expired'
+};
+
+// 超过该时长仍处于 generating 状态的条目视为上次运行中断
+const STALE_GENERATING_MS = 2 * 60 * 60 * 1000;
+
+const logger = new Logger({
+  outputDir: path.join(projectRoot, 'logs'),
+  filename: `scheduler-${formatDate(new Date())}.log`
+});
+
+// PostgreSQL 表不存在时的错误码
+const UNDEFINED_TABLE = '42P01';
+
+const finnhub = new FinnhubService(process.env.FINNHUB_API_KEY);
+// dry-run 时以只读模式连接，不执行建表和数据迁移
+const database = new DatabaseService(process.env.NEON_DATABASE_URL, { readOnly: args['dry-run'] });
+
+/**
+ * 读取关注列表
+ * @returns {Promise<Array<string>>} 股票代码列表
+ */
+async function loadWatchlist() {
+  const symbols = [];
+
+  if (args.watchlist) {
+    symbols.push(...args.watchlist.split(','));
+  }
+
+  if (args['watchlist-file']) {
+    const content = await fs.readFile(args['watchlist-file'], 'utf-8');
+    symbols.push(...content.split(/[\s,]+/));
+  }
+
+  return [...new Set(symbols.map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * 加载财报日历
+ * 单只股票的日历获取失败时记录警告并跳过，下一轮再重新获取
+ * @param {Array<string>} watchlist - 关注列表
+ * @returns {Promise<Array<Object>>} 日历条目
+ */
+async function loadCalendar(watchlist) {
+  if (args['calendar-file']) {
+    const entries = await loadCalendarFile(path.resolve(args['calendar-file']));
+    return filterByWatchlist(entries, watchlist);
+  }
+
+  const today = new Date();
+  const from = new Date(today.getTime() - parseInt(args['days-back']) * 24 * 60 * 60 * 1000);
+  const to = new Date(today.getTime() + parseInt(args['days-ahead']) * 24 * 60 * 60 * 1000);
+
+  const entries = [];
+  for (const symbol of watchlist) {
+    try {
+      const symbolEntries = await finnhub.getEarningsCalendar({
+        from: formatDate(from),
+        to: formatDate(to),
+        symbol
+      });
+      entries.push(...symbolEntries);
+    } catch (error) {
+      logger.warn('⚠️ 获取财报日历失败，下一轮重试', { symbol, error: error.message });
+    }
+  }
+
+  return filterByWatchlist(entries, watchlist);
+}
+
+/**
+ * 运行一次播客生成流程（子进程执行 generate-report.mjs）
+ * @param {Object} entry - 调度条目
+ * @returns {Promise<{ success: boolean, error: string|null }>} 运行结果
+ */
+function runGeneratePipeline(entry) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [
+      path.join(__dirname, 'generate-report.mjs'),
+      `--ticker=${entry.ticker}`,
+      `--year=${entry.year}`,
+      `--quarter=${entry.quarter}`,
+      `--language=${entry.language}`
+    ], {
+      cwd: projectRoot,
+      env: process.env,
+      stdio: 'inherit'
+    });
+
+    child.on('error', error => resolve({ success: false, error: error.message }));
+    child.on('exit', code => resolve({
+      success: code === 0,
+      error: code === 0 ? null : `generate-report exited with code ${code}`
+    }));
+  });
+}
+
+/**
+ * 判断调度条目是否已超出重试上限
+ * @param {Object} entry - 调度条目
+ * @returns {boolean}
+ */
+function isExpired(entry) {
+  const maxAttempts = parseInt(args['max-attempts']);
+  const maxWaitMs = parseInt(args['max-wait-hours']) * 60 * 60 * 1000;
+  const waitedMs = Date.now() - new Date(entry.reportDate).getTime();
+
+  return entry.attempts >= maxAttempts || waitedMs > maxWaitMs;
+}
+
+/**
+ * dry-run 时读取数据库：数据库尚未初始化（表不存在）时按空结果处理
+ * @param {Function} read - 读取函数
+ * @returns {Promise<Array<Object>>} 查询结果
+ */
+async function readWithoutSchema(read) {
+  try {
+    return await read();
+  } catch (error) {
+    if (error.code === UNDEFINED_TABLE) {
+      logger.info('🧪 [dry-run] 数据库表尚未创建，按空数据处理');
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * 调度条目的唯一键（股票代码、期间和语言）
+ * @param {Object} entry - 调度条目
+ * @returns {string}
+ */
+function scheduleKey(entry) {
+  return `${entry.ticker} ${entry.year}Q${entry.quarter} ${entry.language}`;
+}
+
+/**
+ * 执行一轮调度
+ * dry-run 时只读数据库（不建表、不写入）：尚未登记的日历条目按新条目参与检查，状态变更只记录日志
+ * @param {Array<string>} watchlist - 关注列表
+ * @returns {Promise<Object>} 本轮统计
+ */
+async function runOnce(watchlist) {
+  const stats = { registered: 0, waiting: 0, generated: 0, failed: 0, expired: 0, skipped: 0 };
+
+  // 步骤1: 登记财报日历
+  const calendar = await loadCalendar(watchlist);
+  const unregistered = [];
+
+  if (args['dry-run']) {
+    const registered = new Set((await readWithoutSchema(() => database.getScheduleEntries({ limit: null }))).map(scheduleKey));
+    for (const item of calendar) {
+      const entry = {
+        id: null,
+        ticker: item.symbol.toUpperCase(),
+        year: item.year,
+        quarter: item.quarter,
+        language: args.language,
+        reportDate: item.date,
+        status: STATUS.SCHEDULED,
+        attempts: 0,
+        lastError: null,
+        lastCheckedAt: null
+      };
+      if (!registered.has(scheduleKey(entry))) {
+        unregistered.push(entry);
+      }
+    }
+    stats.registered = unregistered.length;
+    logger.info('🧪 [dry-run] 将登记财报日历', { entries: calendar.length, new: unregistered.length });
+  } else {
+    for (const item of calendar) {
+      await database.upsertScheduleEntry({
+        ticker: item.symbol,
+        year: item.year,
+        quarter: item.quarter,
+        language: args.language,
+        reportDate: item.date
+      });
+      stats.registered++;
+    }
+    logger.info('📅 财报日历已登记', { entries: calendar.length });
+  }
+
+  // 步骤2: 检查待处理条目
+  const pending = [
+    ...await readWithoutSchema(() => database.getScheduleEntries({
+      statuses: [STATUS.SCHEDULED, STATUS.WAITING, STATUS.FAILED, STATUS.GENERATING]
+    })),
+    ...unregistered
+  ].filter(entry => entry.language === args.language && watchlist.includes(entry.ticker));
+
+  const today = formatDate(new Date());
+  const transcriptLists = new Map();
+  const processedPeriods = new Map();
+  const queue = [];
+
+  for (const entry of pending) {
+    const period = `${entry.ticker} ${entry.year}Q${entry.quarter}`;
+
+    if (formatDate(new Date(entry.reportDate)) > today) {
+      stats.skipped++;
+      continue;
+    }
+
+    if (entry.status === STATUS.GENERATING &&
+        Date.now() - new Date(entry.lastCheckedAt).getTime() < STALE_GENERATING_MS) {
+      logger.info('⏳ 正在生成中，跳过', { period });
+      stats.skipped++;
+      continue;
+    }
+
+    // 已通过手动触发生成过的期间直接标记完成
+    if (!processedPeriods.has(entry.ticker)) {
+      const periods = await readWithoutSchema(() => database.getProcessedPeriods(entry.ticker, entry.language));
+      processedPeriods.set(entry.ticker, new Set(periods.map(p => `${p.year}Q${p.quarter}`)));
+    }
+    if (processedPeriods.get(entry.ticker).has(`${entry.year}Q${entry.quarter}`)) {
+      if (!args['dry-run']) {
+        await database.updateScheduleEntry(entry.id, { status: STATUS.COMPLETED });
+      }
+      logger.info(`${args['dry-run'] ? '🧪 [dry-run] ' : ''}✅ 已存在播客记录，标记完成`, { period });
+      stats.skipped++;
+      continue;
+    }
+
+    if (isExpired(entry)) {
+      if (!args['dry-run']) {
+        await database.updateScheduleEntry(entry.id, {
+          status: STATUS.EXPIRED,
+          lastError: entry.lastError || 'Transcript not available before retry limit'
+        });
+      }
+      logger.warn(`${args['dry-run'] ? '🧪 [dry-run] ' : ''}⌛ 超出重试上限，停止等待`, { period, attempts: entry.attempts });
+      stats.expired++;
+      continue;
+    }
+
+    if (!transcriptLists.has(entry.ticker)) {
+      try {
+        transcriptLists.set(entry.ticker, await finnhub.listTranscripts(entry.ticker));
+      } catch (error) {
+        logger.warn('⚠️ 查询文字稿列表失败，稍后重试', { ticker: entry.ticker, error: error.message });
+        transcriptLists.set(entry.ticker, []);
+      }
+    }
+
+    const available = transcriptLists.get(entry.ticker)
+      .some(item => item.year === entry.year && item.quarter === entry.quarter);
+
+    if (!available) {
+      if (!args['dry-run']) {
+        await database.updateScheduleEntry(entry.id, {
+          status: STATUS.WAITING,
+          incrementAttempts: true
+        });
+      }
+      logger.info('🕒 文字稿尚未发布，等待下一轮', { period, attempts: entry.attempts + 1 });
+      stats.waiting++;
+      continue;
+    }
+
+    queue.push(entry);
+  }
+
+  // 步骤3: 依次执行生成流程
+  for (const entry of queue) {
+    const period = `${entry.ticker} ${entry.year}Q${entry.quarter}`;
+
+    if (args['dry-run']) {
+      logger.info('🧪 [dry-run] 将生成播客', { period });
+      continue;
+    }
+
+    logger.info('🚀 文字稿已就绪，开始生成播客', { period });
+    await database.updateScheduleEntry(entry.id, { status: STATUS.GENERATING });
+
+    const result = await runGeneratePipeline(entry);
+
+    if (result.success) {
+      await database.updateScheduleEntry(entry.id, { status: STATUS.COMPLETED });
+      logger.info('🎉 播客生成完成', { period });
+      stats.generated++;
+    } else {
+      await database.updateScheduleEntry(entry.id, {
+        status: STATUS.FAILED,
+        incrementAttempts: true,
+        lastError: result.error
+      });
+      logger.error('❌ 播客生成失败，将在下一轮重试', { period, error: result.error });
+      stats.failed++;
+    }
+  }
+
+  return stats;
+}
+
+async function main() {
+  // 收到退出信号时中断两轮之间的等待
+  const stopController = new AbortController();
+
+  try {
+    const watchlist = await loadWatchlist();
+
+    if (watchlist.length === 0) {
+      throw new Error('关注列表为空，请使用 --watchlist 或 --watchlist-file 指定股票代码');
+    }
+
+    logger.info('🗓️ 启动财报日历调度', {
+      watchlist,
+      language: args.language,
+      source: args['calendar-file'] || 'finnhub',
+      watch: args.watch
+    });
+
+    for (const signalName of ['SIGINT', 'SIGTERM']) {
+      process.on(signalName, () => {
+        stopController.abort();
+        logger.info(`🛑 收到 ${signalName}，本轮结束后停止`);
+      });
+    }
+
+    do {
+      // 单轮失败（日历、数据库或生成流程出错）只记录日志，持续运行模式下在下一轮重试
+      try {
+        const stats = await runOnce(watchlist);
+        logger.info('📊 本轮调度完成', stats);
+      } catch (error) {
+        logger.error('❌ 本轮调度失败', {
+          error: error.message,
+          stack: error.stack
+        });
+        if (!args.watch) {
+          process.exitCode = 1;
+        }
+      }
+
+      if (args.watch && !stopController.signal.aborted) {
+        await sleep(parseInt(args.interval) * 60 * 1000, null, { signal: stopController.signal })
+          .catch(error => {
+            if (error.name !== 'AbortError') throw error;
+          });
+      }
+    } while (args.watch && !stopController.signal.aborted);
+
+  } catch (error) {
+    logger.error('❌ 调度执行失败', {
+      error: error.message,
+      stack: error.stack
+    });
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 未捕获的错误:', error);
+  process.exit(1);
+});
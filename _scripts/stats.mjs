@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * 统计信息脚本
+ * 功能：输出已生成播客的数量统计；使用 --cost 时汇总大模型和语音合成费用（按日期、股票代码和服务商）
+ */
+
+import { parseArgs } from 'node:util';
+
+import { DatabaseService } from '../src/utils/database.js';
+
+// 解析命令行参数
+const { values: args } = parseArgs({
+  options: {
+    cost: { type: 'boolean', default: false },
+    // 费用统计的时间范围（天）
+    days: { type: 'string', default: '30' }
+  }
+});
+
+const days = Number(args.days);
+if (!Number.isInteger(days) || days <= 0) {
+  console.error(`❌ --days 必须是正整数: ${args.days}`);
+  process.exit(1);
+}
+
+const database = new DatabaseService(process.env.NEON_DATABASE_URL);
+
+/**
+ * 格式化费用
+ * @param {number} cost - 费用（美元）
+ * @returns {string} 格式化结果
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(4)}`;
+}
+
+/**
+ * 输出费用统计
+ */
+async function printCostStatistics() {
+  const stats = await database.getCostStatistics({ days });
+
+  console.log(`\n💰 最近 ${stats.days} 天费用: ${formatCost(stats.totalCost)}（${stats.runs} 次运行，其中失败 ${stats.failedRuns} 次，平均 ${formatCost(stats.runs > 0 ? stats.totalCost / stats.runs : 0)}/次）`);
+
+  console.log('\n📅 按日期:');
+  for (const row of stats.byDay) {
+    console.log(`  ${row.day}  ${formatCost(row.cost).padStart(10)}  ${row.runs} 次运行${row.failedRuns > 0 ? `（失败 ${row.failedRuns}）` : ''}`);
+  }
+
+  console.log('\n🏷️ 按股票代码:');
+  for (const row of stats.byTicker) {
+    console.log(`  ${row.ticker.padEnd(8)}  ${formatCost(row.cost).padStart(10)}  ${row.runs} 次运行${row.failedRuns > 0 ? `（失败 ${row.failedRuns}）` : ''}`);
+  }
+
+  console.log('\n🔌 按服务商:');
+  for (const row of stats.byProvider) {
+    console.log(`  ${row.provider.padEnd(8)}  ${formatCost(row.cost).padStart(10)}  ${row.calls} 次调用`);
+  }
+}
+
+async function main() {
+  try {
+    const stats = await database.getStatistics();
+
+    console.log(`📊 已生成播客: ${stats.totalReports} 期（最近30天 ${stats.recentReports} 期）`);
+    for (const [language, count] of Object.entries(stats.languageBreakdown)) {
+      console.log(`  ${language}: ${count} 期`);
+    }
+
+    if (args.cost) {
+      await printCostStatistics();
+    }
+  } catch (error) {
+    console.error('❌ 获取统计信息失败:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 未捕获的错误:', error);
+  process.exit(1);
+});
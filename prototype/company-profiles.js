@@ -0,0 +1,2 @@
+// 公司资料（由 _scripts/export-company-profiles.mjs 根据 companies 表生成，请勿手动修改）
+window.COMPANY_PROFILES = {};
@@ -0,0 +1,2 @@
+// 播客结构化摘要（由 _scripts/export-episode-summaries.mjs 根据 earnings_reports.summary_data 生成，请勿手动修改）
+window.EPISODE_SUMMARIES = {};
@@ -0,0 +1,2 @@
+// 财报后股价反应（由 _scripts/export-price-reactions.mjs 根据 earnings_reports 元数据生成，请勿手动修改）
+window.PRICE_REACTIONS = {};
@@ -0,0 +1,2 @@
+// 管理层语气趋势（由 _scripts/export-tone-trends.mjs 根据 earnings_reports.tone_scores 生成，请勿手动修改）
+window.TONE_TRENDS = {};
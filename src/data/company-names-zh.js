@@ -0,0 +1,80 @@
+/**
+ * 常用美股公司中文名称
+ * 功能：为公司资料补充官方或通用的中文名称（Finnhub 只提供英文名称）
+ * 繁体中文名称仅在与简体写法不同时列出
+ */
+
+export const COMPANY_NAMES_ZH = {
+  AAPL: { 'zh-CN': '苹果公司', 'zh-TW': '蘋果公司' },
+  MSFT: { 'zh-CN': '微软公司', 'zh-TW': '微軟公司' },
+  GOOGL: { 'zh-CN': '谷歌公司', 'zh-TW': '谷歌公司' },
+  GOOG: { 'zh-CN': '谷歌公司', 'zh-TW': '谷歌公司' },
+  AMZN: { 'zh-CN': '亚马逊', 'zh-TW': '亞馬遜' },
+  NVDA: { 'zh-CN': '英伟达', 'zh-TW': '輝達' },
+  META: { 'zh-CN': 'Meta平台', 'zh-TW': 'Meta平台' },
+  TSLA: { 'zh-CN': '特斯拉', 'zh-TW': '特斯拉' },
+  'BRK.B': { 'zh-CN': '伯克希尔·哈撒韦', 'zh-TW': '波克夏·海瑟威' },
+  AVGO: { 'zh-CN': '博通', 'zh-TW': '博通' },
+  TSM: { 'zh-CN': '台积电', 'zh-TW': '台積電' },
+  LLY: { 'zh-CN': '礼来', 'zh-TW': '禮來' },
+  JPM: { 'zh-CN': '摩根大通', 'zh-TW': '摩根大通' },
+  V: { 'zh-CN': 'Visa', 'zh-TW': 'Visa' },
+  MA: { 'zh-CN': '万事达', 'zh-TW': '萬事達' },
+  UNH: { 'zh-CN': '联合健康', 'zh-TW': '聯合健康' },
+  XOM: { 'zh-CN': '埃克森美孚', 'zh-TW': '埃克森美孚' },
+  WMT: { 'zh-CN': '沃尔玛', 'zh-TW': '沃爾瑪' },
+  JNJ: { 'zh-CN': '强生', 'zh-TW': '嬌生' },
+  PG: { 'zh-CN': '宝洁', 'zh-TW': '寶僑' },
+  HD: { 'zh-CN': '家得宝', 'zh-TW': '家得寶' },
+  COST: { 'zh-CN': '好市多', 'zh-TW': '好市多' },
+  ORCL: { 'zh-CN': '甲骨文', 'zh-TW': '甲骨文' },
+  NFLX: { 'zh-CN': '奈飞', 'zh-TW': '網飛' },
+  AMD: { 'zh-CN': '超威半导体', 'zh-TW': '超微半導體' },
+  INTC: { 'zh-CN': '英特尔', 'zh-TW': '英特爾' },
+  QCOM: { 'zh-CN': '高通', 'zh-TW': '高通' },
+  CRM: { 'zh-CN': '赛富时', 'zh-TW': 'Salesforce' },
+  ADBE: { 'zh-CN': '奥多比', 'zh-TW': 'Adobe' },
+  CSCO: { 'zh-CN': '思科', 'zh-TW': '思科' },
+  IBM: { 'zh-CN': 'IBM', 'zh-TW': 'IBM' },
+  KO: { 'zh-CN': '可口可乐', 'zh-TW': '可口可樂' },
+  PEP: { 'zh-CN': '百事公司', 'zh-TW': '百事公司' },
+  MCD: { 'zh-CN': '麦当劳', 'zh-TW': '麥當勞' },
+  SBUX: { 'zh-CN': '星巴克', 'zh-TW': '星巴克' },
+  NKE: { 'zh-CN': '耐克', 'zh-TW': 'Nike' },
+  DIS: { 'zh-CN': '迪士尼', 'zh-TW': '迪士尼' },
+  BAC: { 'zh-CN': '美国银行', 'zh-TW': '美國銀行' },
+  WFC: { 'zh-CN': '富国银行', 'zh-TW': '富國銀行' },
+  GS: { 'zh-CN': '高盛', 'zh-TW': '高盛' },
+  MS: { 'zh-CN': '摩根士丹利', 'zh-TW': '摩根士丹利' },
+  PFE: { 'zh-CN': '辉瑞', 'zh-TW': '輝瑞' },
+  MRK: { 'zh-CN': '默沙东', 'zh-TW': '默克' },
+  ABBV: { 'zh-CN': '艾伯维', 'zh-TW': '艾伯維' },
+  BA: { 'zh-CN': '波音', 'zh-TW': '波音' },
+  CAT: { 'zh-CN': '卡特彼勒', 'zh-TW': '開拓重工' },
+  UBER: { 'zh-CN': '优步', 'zh-TW': '優步' },
+  PYPL: { 'zh-CN': '贝宝', 'zh-TW': 'PayPal' },
+  SHOP: { 'zh-CN': 'Shopify', 'zh-TW': 'Shopify' },
+  BABA: { 'zh-CN': '阿里巴巴', 'zh-TW': '阿里巴巴' },
+  PDD: { 'zh-CN': '拼多多', 'zh-TW': '拼多多' },
+  JD: { 'zh-CN': '京东', 'zh-TW': '京東' },
+  BIDU: { 'zh-CN': '百度', 'zh-TW': '百度' },
+  NIO: { 'zh-CN': '蔚来', 'zh-TW': '蔚來' },
+  MU: { 'zh-CN': '美光科技', 'zh-TW': '美光科技' },
+  ASML: { 'zh-CN': '阿斯麦', 'zh-TW': '艾司摩爾' },
+  PLTR: { 'zh-CN': 'Palantir', 'zh-TW': 'Palantir' }
+};
+
+/**
+ * 获取公司中文名称
+ * @param {string} ticker - 股票代码
+ * @param {string} [language] - zh-CN、zh-TW 或 zh-HK
+ * @returns {string|null} 中文名称，未收录时返回 null
+ */
+export function getChineseName(ticker, language = 'zh-CN') {
+  const names = COMPANY_NAMES_ZH[ticker?.toUpperCase()];
+  if (!names) {
+    return null;
+  }
+  // 粤语节目沿用繁体写法
+  return names[language] || (language === 'zh-HK' && names['zh-TW']) || names['zh-CN'];
+}
@@ -0,0 +1,123 @@
+/**
+ * 合规规则与免责声明
+ * 功能：列出播客脚本中禁止出现的投资建议用语（直接建议听众买卖、以节目口吻给出目标价或上涨空间），
+ *       以及附加在脚本和音频末尾的标准免责声明
+ * 转述分析师的评级或目标价不算投资建议，规则只匹配以节目口吻提出建议的说法；
+ * 中文规则同时匹配简体和繁体写法；可通过环境变量 COMPLIANCE_RULES 增加、覆盖或停用规则（见 loadComplianceRules）
+ */
+
+/**
+ * 规则类别
+ */
+export const COMPLIANCE_CATEGORIES = {
+  // 直接建议买卖
+  RECOMMENDATION: 'recommendation',
+  // 以建议口吻给出目标价或上涨空间
+  PRICE_TARGET: 'price_target'
+};
+
+/**
+ * 默认规则：id 唯一；language 为 zh 或 en（按语言代码前缀匹配）；pattern 为正则表达式源码，flags 为正则标志
+ */
+export const DEFAULT_COMPLIANCE_RULES = [
+  {
+    id: 'zh-advise-trade',
+    language: 'zh',
+    category: COMPLIANCE_CATEGORIES.RECOMMENDATION,
+    description: '建议听众买入、卖出或调整仓位',
+    pattern: '建[议議](?:投[资資]者|[听聽][众眾]|大家|各位)?(?:[买買]入|[卖賣]出|加[仓倉]|[减減][仓倉]|增持|[减減]持)'
+  },
+  {
+    id: 'zh-worth-buying',
+    language: 'zh',
+    category: COMPLIANCE_CATEGORIES.RECOMMENDATION,
+    description: '值得 / 可以 / 应该买入',
+    pattern: '(?:值得|可以|[应應][该該])(?:[买買]入|入手|加[仓倉]|抄底|上[车車])'
+  },
+  {
+    id: 'zh-hype',
+    language: 'zh',
+    category: COMPLIANCE_CATEGORIES.RECOMMENDATION,
+    description: '强烈推荐、逢低买入、抄底等喊单用语',
+    pattern: '[强強]烈推[荐薦]|逢低(?:[买買]入|吸[纳納])|抄底'
+  },
+  {
+    id: 'zh-own-price-target',
+    language: 'zh',
+    category: COMPLIANCE_CATEGORIES.PRICE_TARGET,
+    description: '以节目口吻给出目标价',
+    pattern: '(?:我[们們]|本[节節]目)(?:[给給]出|[认認][为為]|[预預][计計])?的?目[标標][价價]'
+  },
+  {
+    id: 'zh-price-will-reach',
+    language: 'zh',
+    category: COMPLIANCE_CATEGORIES.PRICE_TARGET,
+    description: '断言股价将涨到某个价位',
+    pattern: '股[价價](?:有望|[将將]|[会會]|可以)(?:[涨漲]|升|上[涨漲]|冲|衝)(?:到|至|上)\\s*\\d[\\d,.]*'
+  },
+  {
+    id: 'zh-upside',
+    language: 'zh',
+    category: COMPLIANCE_CATEGORIES.PRICE_TARGET,
+    description: '以节目口吻判断上涨空间',
+    pattern: '(?:[还還]有|仍有|具[备備])\\s*\\d+(?:\\.\\d+)?\\s*%?的?上[涨漲]空[间間]'
+  },
+  {
+    id: 'en-recommend',
+    language: 'en',
+    category: COMPLIANCE_CATEGORIES.RECOMMENDATION,
+    description: 'We / I recommend buying or selling',
+    pattern: '\\b(?:we|I) (?:recommend|suggest) (?:buying|selling|holding)\\b',
+    flags: 'i'
+  },
+  {
+    id: 'en-you-should',
+    language: 'en',
+    category: COMPLIANCE_CATEGORIES.RECOMMENDATION,
+    description: 'You should buy or sell',
+    pattern: '\\byou should (?:buy|sell|consider buying|consider selling)\\b',
+    flags: 'i'
+  },
+  {
+    id: 'en-hype',
+    language: 'en',
+    category: COMPLIANCE_CATEGORIES.RECOMMENDATION,
+    description: 'Strong buy, buy the dip, load up on',
+    pattern: '\\b(?:strong buy|buy the dip|load up on)\\b',
+    flags: 'i'
+  },
+  {
+    id: 'en-good-time',
+    language: 'en',
+    category: COMPLIANCE_CATEGORIES.RECOMMENDATION,
+    description: 'Good time to buy or sell',
+    pattern: '\\bgood time to (?:buy|sell)\\b',
+    flags: 'i'
+  },
+  {
+    id: 'en-own-price-target',
+    language: 'en',
+    category: COMPLIANCE_CATEGORIES.PRICE_TARGET,
+    description: 'A price target set in the show\'s own voice',
+    pattern: '\\b(?:our|my) (?:\\d+-month )?price target\\b|\\b(?:we|I) (?:set|see|put) (?:a|the|our) price target\\b',
+    flags: 'i'
+  },
+  {
+    id: 'en-price-will-reach',
+    language: 'en',
+    category: COMPLIANCE_CATEGORIES.PRICE_TARGET,
+    description: 'Asserting the stock will reach a price',
+    pattern: '\\b(?:the )?(?:stock|shares) (?:will|should|could easily) (?:reach|hit|climb to|rise to) \\$\\d[\\d,.]*',
+    flags: 'i'
+  }
+];
+
+/**
+ * 标准免责声明（繁体中文和粤语使用繁体写法）
+ */
+export const DISCLAIMERS = {
+  'zh-CN': '免责声明：本节目内容由AI根据公开的财报电话会议整理，仅供参考，不构成投资建议。投资有风险，决策需谨慎。',
+  'zh-TW': '免責聲明：本節目內容由AI根據公開的財報電話會議整理，僅供參考，不構成投資建議。投資有風險，決策需謹慎。',
+  'zh-HK': '免責聲明：本節目內容由AI根據公開的業績電話會議整理，僅供參考，不構成投資建議。投資有風險，決策需謹慎。',
+  'en-US': 'Disclaimer: This episode was generated by AI from the public earnings call and is for informational purposes only. It is not investment advice. Investing involves risk; make your own decisions carefully.'
+};
@@ -0,0 +1,122 @@
+/**
+ * 财经术语中英对照表
+ * 功能：统一摘要、问答摘要和对话脚本中财经术语的中文译法（简体 / 繁体），
+ *       并列出应保持英文原文的产品和平台名称
+ * avoid 为需要替换为标准译法的常见不一致写法，只收录不会误伤其他词语的写法；
+ * 本身也是常用词的写法用 { text, context } 表示，只有前后几个字内出现 context 中的词语时才替换
+ */
+
+/**
+ * 判断"指导"、"指引"等常用词是否指业绩指引的上下文词语
+ */
+const GUIDANCE_CONTEXT = {
+  'zh-CN': ['全年', '季度', '业绩', '营收', '上调', '下调', '维持', '区间'],
+  'zh-TW': ['全年', '季度', '下一季', '業績', '營收', '上調', '下調', '維持', '區間']
+};
+
+export const FINANCIAL_GLOSSARY = [
+  { en: 'revenue', 'zh-CN': '营收', 'zh-TW': '營收' },
+  { en: 'net income', 'zh-CN': '净利润', 'zh-TW': '淨利', avoid: { 'zh-CN': ['净收益'], 'zh-TW': ['淨利潤'] } },
+  { en: 'gross margin', 'zh-CN': '毛利率', 'zh-TW': '毛利率' },
+  { en: 'operating income', 'zh-CN': '营业利润', 'zh-TW': '營業利益', avoid: { 'zh-CN': ['经营利润'], 'zh-TW': ['營業利潤'] } },
+  { en: 'operating margin', 'zh-CN': '营业利润率', 'zh-TW': '營業利益率', avoid: { 'zh-CN': ['经营利润率'], 'zh-TW': ['營業利潤率'] } },
+  { en: 'earnings per share', 'zh-CN': '每股收益', 'zh-TW': '每股盈餘', avoid: { 'zh-CN': ['每股盈利', '每股盈余'], 'zh-TW': ['每股收益', '每股盈利'] } },
+  { en: 'free cash flow', 'zh-CN': '自由现金流', 'zh-TW': '自由現金流', avoid: { 'zh-CN': ['自由现金流量'], 'zh-TW': ['自由現金流量'] } },
+  { en: 'operating cash flow', 'zh-CN': '经营现金流', 'zh-TW': '營運現金流', avoid: { 'zh-CN': ['经营性现金流', '营运现金流'], 'zh-TW': ['經營現金流'] } },
+  { en: 'guidance', 'zh-CN': '指引', 'zh-TW': '財測', avoid: {
+    'zh-CN': [{ text: '指导', context: GUIDANCE_CONTEXT['zh-CN'] }],
+    'zh-TW': [{ text: '指導', context: GUIDANCE_CONTEXT['zh-TW'] }, { text: '指引', context: GUIDANCE_CONTEXT['zh-TW'] }]
+  } },
+  { en: 'capital expenditure', 'zh-CN': '资本开支', 'zh-TW': '資本支出', avoid: { 'zh-CN': ['资本性支出'], 'zh-TW': ['資本開支'] } },
+  { en: 'share repurchase', 'zh-CN': '股票回购', 'zh-TW': '股票回購', avoid: { 'zh-CN': ['股份回购'], 'zh-TW': ['股份回購'] } },
+  { en: 'dividend', 'zh-CN': '股息', 'zh-TW': '股利' },
+  { en: 'year over year', 'zh-CN': '同比', 'zh-TW': '年增' },
+  { en: 'quarter over quarter', 'zh-CN': '环比', 'zh-TW': '季增' },
+  { en: 'basis points', 'zh-CN': '个基点', 'zh-TW': '個基點' },
+  { en: 'consensus', 'zh-CN': '市场一致预期', 'zh-TW': '市場共識' },
+  { en: 'headwinds', 'zh-CN': '不利因素', 'zh-TW': '逆風' },
+  { en: 'tailwinds', 'zh-CN': '有利因素', 'zh-TW': '順風' },
+  { en: 'backlog', 'zh-CN': '未交付订单', 'zh-TW': '未交貨訂單', avoid: { 'zh-CN': ['积压订单'], 'zh-TW': ['積壓訂單'] } },
+  { en: 'remaining performance obligations', 'zh-CN': '剩余履约义务', 'zh-TW': '剩餘履約義務' },
+  { en: 'annual recurring revenue', 'zh-CN': '年度经常性收入', 'zh-TW': '年度經常性收入' },
+  { en: 'inventory', 'zh-CN': '库存', 'zh-TW': '庫存' },
+  { en: 'data center', 'zh-CN': '数据中心', 'zh-TW': '資料中心', avoid: { 'zh-TW': ['數據中心'] } },
+  { en: 'generative AI', 'zh-CN': '生成式 AI', 'zh-TW': '生成式 AI', avoid: { 'zh-CN': ['生成式人工智能'], 'zh-TW': ['生成式人工智慧'] } },
+  { en: 'semiconductor', 'zh-CN': '半导体', 'zh-TW': '半導體' },
+  { en: 'software', 'zh-CN': '软件', 'zh-TW': '軟體', avoid: { 'zh-TW': ['軟件'] } },
+  { en: 'smartphone', 'zh-CN': '智能手机', 'zh-TW': '智慧型手機', avoid: { 'zh-TW': ['智能手機'] } },
+  { en: 'subscribers', 'zh-CN': '订阅用户', 'zh-TW': '訂閱用戶' },
+  { en: 'advertising', 'zh-CN': '广告', 'zh-TW': '廣告' },
+  { en: 'cloud', 'zh-CN': '云业务', 'zh-TW': '雲端業務' }
+];
+
+/**
+ * 应保持英文原文的产品和平台名称（default 对所有公司生效），avoid 为需要改回英文的常见中文译名
+ */
+export const PROTECTED_TERMS = {
+  default: [
+    { term: 'EBITDA' },
+    { term: 'ChatGPT' }
+  ],
+  AAPL: [
+    { term: 'iPhone' },
+    { term: 'iPad' },
+    { term: 'Mac' },
+    { term: 'Apple Watch', avoid: ['苹果手表', '蘋果手錶'] },
+    { term: 'Vision Pro' },
+    { term: 'Apple Intelligence', avoid: ['苹果智能', '蘋果智慧'] }
+  ],
+  MSFT: [
+    { term: 'Azure', avoid: ['蔚蓝', '蔚藍'] },
+    { term: 'Copilot', avoid: ['副驾驶', '副駕駛'] },
+    { term: 'Microsoft 365' },
+    { term: 'Xbox' },
+    { term: 'LinkedIn', avoid: ['领英', '領英'] }
+  ],
+  NVDA: [
+    { term: 'Blackwell', avoid: ['布莱克韦尔', '布萊克威爾'] },
+    { term: 'Hopper', avoid: ['霍珀'] },
+    { term: 'Rubin', avoid: ['鲁宾', '魯賓'] },
+    { term: 'CUDA' },
+    { term: 'GeForce' },
+    { term: 'NVLink' }
+  ],
+  GOOGL: [
+    { term: 'Google Cloud', avoid: ['谷歌云', '谷歌雲'] },
+    { term: 'YouTube', avoid: ['油管'] },
+    { term: 'Gemini', avoid: ['双子座', '雙子座'] },
+    { term: 'Waymo' }
+  ],
+  GOOG: [
+    { term: 'Google Cloud', avoid: ['谷歌云', '谷歌雲'] },
+    { term: 'YouTube', avoid: ['油管'] },
+    { term: 'Gemini', avoid: ['双子座', '雙子座'] },
+    { term: 'Waymo' }
+  ],
+  AMZN: [
+    { term: 'AWS', avoid: ['亚马逊云', '亞馬遜雲'] },
+    { term: 'Prime' },
+    { term: 'Alexa' },
+    { term: 'Trainium' }
+  ],
+  META: [
+    { term: 'Instagram' },
+    { term: 'WhatsApp' },
+    { term: 'Reality Labs', avoid: ['现实实验室', '現實實驗室'] },
+    { term: 'Llama' }
+  ],
+  TSLA: [
+    { term: 'Model Y' },
+    { term: 'Cybertruck' },
+    { term: 'FSD' },
+    { term: 'Megapack' }
+  ],
+  AMD: [
+    { term: 'Instinct' },
+    { term: 'EPYC' },
+    { term: 'Ryzen', avoid: ['锐龙', '銳龍'] }
+  ],
+  TSM: [
+    { term: 'CoWoS' }
+  ]
+};
@@ -0,0 +1,25 @@
+/**
+ * 用量计费费率表
+ * 功能：各服务按模型计费的默认单价（美元），大模型按每百万输入/输出 token，语音合成按每百万字符
+ * 可通过环境变量 USAGE_RATES（JSON，结构与本表相同）覆盖或补充；未列出的模型使用该服务的 default 费率
+ */
+
+export const USAGE_RATES = {
+  gemini: {
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    default: { input: 1.25, output: 5 }
+  },
+  openai: {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    // 自托管模型（vLLM、Ollama 等）默认不计费
+    default: { input: 0, output: 0 }
+  },
+  mock: {
+    default: { input: 0, output: 0 }
+  },
+  coze: {
+    default: { characters: 15 }
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * 公司资料服务模块
+ * 功能：获取公司英文名称、中文名称、行业、交易所、市值和Logo，
+ *       优先读取数据库 companies 表缓存，过期或缺失时从 Finnhub 刷新
+ */
+
+import { getChineseName } from '../data/company-names-zh.js';
+import { isTraditionalChinese } from '../utils/languages.js';
+
+/**
+ * 缓存有效期（毫秒），可通过环境变量 COMPANY_PROFILE_TTL_DAYS 配置
+ */
+const PROFILE_TTL = (Number(process.env.COMPANY_PROFILE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const CHINESE_QUARTERS = ['一', '二', '三', '四'];
+
+export class CompanyService {
+  /**
+   * @param {Object} options - 配置
+   * @param {import('./finnhub.js').FinnhubService} options.finnhub - Finnhub 服务
+   * @param {import('../utils/database.js').DatabaseService} [options.database] - 数据库服务，不传时不使用缓存
+   */
+  constructor({ finnhub, database = null }) {
+    if (!finnhub) {
+      throw new Error('Finnhub service is required');
+    }
+
+    this.finnhub = finnhub;
+    this.database = database;
+  }
+
+  /**
+   * 获取公司资料
+   * @param {string} ticker - 股票代码
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.refresh] - 忽略缓存强制刷新
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object>} 公司资料，Finnhub 未收录时仅包含代码和中文名称
+   */
+  async getProfile(ticker, { refresh = false, signal = null } = {}) {
+    const symbol = ticker.toUpperCase();
+
+    try {
+      const cached = this.database ? await this.database.getCompany(symbol) : null;
+
+      if (cached && !refresh && Date.now() - new Date(cached.updatedAt).getTime() < PROFILE_TTL) {
+        console.log(`🏢 使用缓存的公司资料: ${cached.name}`);
+        return cached;
+      }
+
+      const profile = await this.finnhub.getCompanyProfile(symbol, { signal });
+
+      if (!profile) {
+        // Finnhub 未收录时保留旧缓存，否则退回到只有代码的最小资料
+        return cached || this.buildFallbackProfile(symbol);
+      }
+
+      const enriched = {
+        ...profile,
+        nameZh: getChineseName(symbol, 'zh-CN') || cached?.nameZh || null,
+        nameZhTw: getChineseName(symbol, 'zh-TW') || cached?.nameZhTw || null
+      };
+
+      if (this.database) {
+        return await this.database.saveCompany(enriched);
+      }
+
+      return enriched;
+
+    } catch (error) {
+      console.error(`❌ 获取 ${symbol} 公司资料失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 构建最小公司资料（仅代码和内置中文名称）
+   * @param {string} ticker - 股票代码
+   * @returns {Object} 公司资料
+   */
+  buildFallbackProfile(ticker) {
+    return {
+      ticker,
+      name: ticker,
+      nameZh: getChineseName(ticker, 'zh-CN'),
+      nameZhTw: getChineseName(ticker, 'zh-TW'),
+      sector: null,
+      exchange: null,
+      marketCap: null,
+      logoUrl: null,
+      website: null,
+      country: null,
+      currency: null
+    };
+  }
+}
+
+/**
+ * 获取公司在指定语言下的显示名称
+ * @param {Object|null} company - 公司资料
+ * @param {string} language - 语言代码
+ * @param {string} [ticker] - 无资料时使用的股票代码
+ * @returns {string} 显示名称
+ */
+export function getCompanyDisplayName(company, language, ticker = null) {
+  if (!company) {
+    const symbol = (ticker || '').toUpperCase();
+    return (language.startsWith('zh') && getChineseName(symbol, language)) || symbol;
+  }
+
+  if (isTraditionalChinese(language) && company.nameZhTw) {
+    return company.nameZhTw;
+  }
+  if (language.startsWith('zh') && company.nameZh) {
+    return company.nameZh;
+  }
+  return company.name || company.ticker;
+}
+
+/**
+ * 生成播客开场白，例如"欢迎收听苹果公司2024年第三季度财报解读。"
+ * @param {Object} params - 参数对象
+ * @param {Object|null} params.company - 公司资料
+ * @param {string} params.ticker - 股票代码
+ * @param {number|string} params.year - 年份
+ * @param {number|string} params.quarter - 季度
+ * @param {string} params.language - 语言代码
+ * @returns {string} 开场白
+ */
+export function buildEpisodeIntro({ company, ticker, year, quarter, language }) {
+  const name = getCompanyDisplayName(company, language, ticker);
+
+  if (language.startsWith('zh')) {
+    const quarterName = CHINESE_QUARTERS[Number(quarter) - 1] || quarter;
+    if (language === 'zh-HK') {
+      return `歡迎收聽${name}${year}年第${quarterName}季業績解讀。`;
+    }
+    return language === 'zh-TW'
+      ? `歡迎收聽${name}${year}年第${quarterName}季度財報解讀。`
+      : `欢迎收听${name}${year}年第${quarterName}季度财报解读。`;
+  }
+
+  return `Welcome to our breakdown of ${name}'s Q${quarter} ${year} earnings.`;
+}
@@ -3,25 +3,42 @@
  * 功能：将文本转换为语音播客
  */
 
-import fetch from 'node-fetch';
+import { HttpClient, DEFAULT_TIMEOUT } from '../utils/http-client.js';
+import { DIALOGUE_SPEAKERS } from '../utils/summary-schema.js';
+import { parseDialogueScript } from '../utils/summary-renderer.js';
+import { getLanguageLabel } from '../utils/languages.js';
 
 export class CozeService {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - Coze API 密钥
+   * @param {Object} [options] - 选项
+   * @param {import('../utils/usage-tracker.js').UsageTracker} [options.usage] - 记录每次合成的字符数和费用
+   */
+  constructor(apiKey, { usage = null } = {}) {
     if (!apiKey) {
       throw new Error('Coze API key is required');
     }
     this.apiKey = apiKey;
+    this.usage = usage;
     this.baseUrl = 'https://api.coze.cn/v1';
+    // 语音合成耗时较长，单次请求超时至少60秒
+    this.timeout = Math.max(DEFAULT_TIMEOUT, 60000);
+    this.http = new HttpClient({
+      provider: 'coze',
+      baseUrl: this.baseUrl,
+      headers: { 'Authorization': `Bearer ${this.apiKey}` }
+    });
   }
 
   /**
    * 生成语音播客
    * @param {Object} params - 参数对象
    * @param {string} params.text - 要转换的文本
-   * @param {string} params.language - 语言代码 (zh-CN 或 en-US)
+   * @param {string} params.language - 语言代码 (zh-CN / zh-TW / zh-HK / en-US)
    * @param {string} params.voice - 语音类型
    * @param {number} params.speed - 语速 (0.5-2.0)
    * @param {string} params.format - 音频格式 (mp3, wav)
+   * @param {AbortSignal} params.signal - 取消信号
    * @returns {Promise<Buffer>} 音频数据
    */
   async generateSpeech({ 
@@ -29,10 +46,11 @@ export class CozeService {
     language = 'zh-CN', 
     voice = null, 
     speed = 1.0, 
-    format = 'mp3' 
+    format = 'mp3',
+    signal = null
   }) {
     try {
-      console.log(`🎙️ 正在生成${language === 'zh-CN' ? '中文' : '英文'}语音播客...`);
+      console.log(`🎙️ 正在生成${getLanguageLabel(language)}语音播客...`);
 
       // 验证输入
       if (!text || text.trim().length === 0) {
@@ -41,7 +59,7 @@ export class CozeService {
 
       if (text.length > 10000) {
         console.warn('⚠️ 文本内容过长，将进行分段处理');
-        return await this.generateLongSpeech({ text, language, voice, speed, format });
+        return await this.generateLongSpeech({ text, language, voice, speed, format, signal });
       }
 
       // 选择合适的语音
@@ -63,34 +81,22 @@ export class CozeService {
       console.log(`🎵 使用语音: ${selectedVoice}`);
       console.log(`⚡ 语速设置: ${speed}x`);
 
-      // 发送TTS请求
-      const response = await fetch(`${this.baseUrl}/tts/generate`, {
+      // 发送TTS请求（超时、限流、429/5xx 重试和熔断由共享HTTP客户端处理）
+      const audioBuffer = await this.http.request('/tts/generate', {
         method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
-          'User-Agent': 'Financial-Podcast-Generator/1.0'
-        },
-        body: JSON.stringify(requestData),
-        timeout: 60000 // 60秒超时
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        if (response.status === 401) {
-          throw new Error('Coze API authentication failed. Please check your API key.');
-        } else if (response.status === 429) {
-          throw new Error('Coze API rate limit exceeded. Please try again later.');
-        } else if (response.status === 400) {
-          throw new Error(`Invalid request: ${errorData.message || 'Bad request'}`);
-        } else {
-          throw new Error(`Coze API request failed: ${response.status} ${response.statusText}`);
+        body: requestData,
+        responseType: 'buffer',
+        timeout: this.timeout,
+        signal,
+        errorMessages: {
+          401: 'Coze API authentication failed. Please check your API key.',
+          429: 'Coze API rate limit exceeded. Please try again later.',
+          400: errorData => `Invalid request: ${errorData.message || 'Bad request'}`
         }
-      }
+      });
 
-      // 获取音频数据
-      const audioBuffer = await response.buffer();
+      // 接口返回后即按字符计费，音频校验失败时这些字符同样已经合成
+      this.usage?.recordTTS({ provider: 'coze', voice: selectedVoice, characters: processedText.length });
 
       if (!audioBuffer || audioBuffer.length === 0) {
         throw new Error('Generated audio is empty');
@@ -115,7 +121,7 @@ export class CozeService {
    * @param {Object} params - 参数对象
    * @returns {Promise<Buffer>} 合并后的音频数据
    */
-  async generateLongSpeech({ text, language, voice, speed, format }) {
+  async generateLongSpeech({ text, language, voice, speed, format, signal = null }) {
     console.log('📄 检测到长文本，开始分段处理...');
 
     // 将文本分段
@@ -125,6 +131,9 @@ export class CozeService {
     const audioBuffers = [];
 
     for (let i = 0; i < segments.length; i++) {
+      // 已取消时不再发起后续分段请求
+      signal?.throwIfAborted();
+
       console.log(`🎙️ 正在处理第 ${i + 1}/${segments.length} 段...`);
       
       try {
@@ -133,16 +142,12 @@ export class CozeService {
           language,
           voice,
           speed,
-          format
+          format,
+          signal
         });
         
         audioBuffers.push(segmentAudio);
         
-        // 添加段间延迟，避免API限制
-        if (i < segments.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
       } catch (error) {
         console.error(`❌ 第 ${i + 1} 段处理失败:`, error.message);
         throw error;
@@ -157,6 +162,85 @@ export class CozeService {
     return mergedBuffer;
   }
 
+  /**
+   * 生成对话形式的语音播客：按发言人标记逐轮合成，每位发言人使用不同的语音，再拼接为一期节目
+   * @param {Object} params - 参数对象
+   * @param {string} params.script - 带发言人标记的对话脚本（每行 "[HOST] ..." 或 "[ANALYST] ..."）
+   * @param {string} params.language - 语言代码
+   * @param {Object} params.voices - 各发言人的语音 { host, analyst }，默认由 getDialogueVoices 选择
+   * @param {number} params.speed - 语速 (0.5-2.0)
+   * @param {string} params.format - 音频格式 (mp3, wav)
+   * @param {AbortSignal} params.signal - 取消信号
+   * @returns {Promise<Buffer>} 拼接后的音频数据
+   */
+  async generateDialogueSpeech({
+    script,
+    language = 'zh-CN',
+    voices = null,
+    speed = 1.0,
+    format = 'mp3',
+    signal = null
+  }) {
+    const turns = parseDialogueScript(script);
+    if (turns.length === 0) {
+      throw new Error('Dialogue script has no speaker-tagged turns');
+    }
+
+    const voiceMap = { ...this.getDialogueVoices(language), ...voices };
+
+    // 相邻的同一发言人合并为一次请求
+    const segments = [];
+    for (const turn of turns) {
+      const last = segments[segments.length - 1];
+      if (last && last.speaker === turn.speaker) {
+        last.text += `\n${turn.text}`;
+      } else {
+        segments.push({ ...turn });
+      }
+    }
+
+    console.log(`🎭 对话共 ${segments.length} 轮，语音: ${Object.entries(voiceMap).map(([speaker, voice]) => `${speaker}=${voice}`).join(', ')}`);
+
+    const audioBuffers = [];
+
+    for (let i = 0; i < segments.length; i++) {
+      // 已取消时不再发起后续请求
+      signal?.throwIfAborted();
+
+      const { speaker, text } = segments[i];
+      console.log(`🎙️ 正在合成第 ${i + 1}/${segments.length} 轮 (${speaker})...`);
+
+      audioBuffers.push(await this.generateSpeech({
+        text,
+        language,
+        voice: voiceMap[speaker],
+        speed,
+        format,
+        signal
+      }));
+    }
+
+    const mergedBuffer = Buffer.concat(audioBuffers);
+    console.log(`✅ 对话语音生成完成: ${mergedBuffer.length} 字节`);
+    return mergedBuffer;
+  }
+
+  /**
+   * 获取对话形式中各发言人使用的语音：主持人使用默认语音，分析师使用同语言的另一个（男声）语音
+   * @param {string} language - 语言代码
+   * @returns {Object} { host, analyst }
+   */
+  getDialogueVoices(language) {
+    const supported = this.getSupportedVoices();
+    const candidates = Object.values(supported[language] || supported[language.startsWith('zh') ? 'zh-CN' : 'en-US']);
+    const host = this.getDefaultVoice(language);
+
+    return {
+      [DIALOGUE_SPEAKERS.HOST]: host,
+      [DIALOGUE_SPEAKERS.ANALYST]: candidates.find((voice, index) => index > 0 && voice !== host) || host
+    };
+  }
+
   /**
    * 获取默认语音
    * @param {string} language - 语言代码
@@ -166,6 +250,7 @@ export class CozeService {
     const voiceMap = {
       'zh-CN': 'zh-CN-XiaoxiaoNeural',  // 中文女声
       'zh-TW': 'zh-TW-HsiaoyuNeural',   // 繁体中文女声
+      'zh-HK': 'zh-HK-HiuMaanNeural',   // 粤语女声
       'en-US': 'en-US-JennyNeural',     // 英文女声
       'en-GB': 'en-GB-SoniaNeural'      // 英式英语女声
     };
@@ -195,8 +280,8 @@ export class CozeService {
       .replace(/\s+/g, ' ')
       .trim();
 
-    if (language === 'zh-CN') {
-      // 中文特殊处理
+    if (language.startsWith('zh')) {
+      // 中文特殊处理（含繁体中文和粤语）
       processed = processed
         // 添加适当的停顿
         .replace(/([。！？])([^\s])/g, '$1 $2')
@@ -306,6 +391,16 @@ export class CozeService {
         'yunxi': 'zh-CN-YunxiNeural',
         'yunjian': 'zh-CN-YunjianNeural'
       },
+      'zh-TW': {
+        'hsiaoyu': 'zh-TW-HsiaoyuNeural',
+        'yunjhe': 'zh-TW-YunJheNeural',
+        'hsiaochen': 'zh-TW-HsiaoChenNeural'
+      },
+      'zh-HK': {
+        'hiumaan': 'zh-HK-HiuMaanNeural',
+        'wanlung': 'zh-HK-WanLungNeural',
+        'hiugaai': 'zh-HK-HiuGaaiNeural'
+      },
       'en-US': {
         'jenny': 'en-US-JennyNeural',
         'guy': 'en-US-GuyNeural',
@@ -323,7 +418,7 @@ export class CozeService {
       provider: 'Coze',
       service: 'TTS',
       supportedFormats: ['mp3', 'wav'],
-      supportedLanguages: ['zh-CN', 'zh-TW', 'en-US', 'en-GB'],
+      supportedLanguages: ['zh-CN', 'zh-TW', 'zh-HK', 'en-US', 'en-GB'],
       maxTextLength: 10000,
       speedRange: [0.5, 2.0]
     };
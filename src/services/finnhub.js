@@ -1,9 +1,20 @@
 /**
  * Finnhub API 服务模块
- * 功能：获取股票财报电话会议文字稿
+ * 功能：获取股票财报电话会议文字稿，并解析为结构化的发言轮次
  */
 
-import fetch from 'node-fetch';
+import { HttpClient } from '../utils/http-client.js';
+import {
+  SECTIONS,
+  ROLES,
+  classifyRole,
+  splitTitleAndFirm,
+  cleanSpeech,
+  normalizeTurns,
+  parseTranscriptText,
+  createTranscript,
+  getTranscriptStats
+} from '../utils/transcript.js';
 
 export class FinnhubService {
   constructor(apiKey) {
@@ -12,17 +23,43 @@ export class FinnhubService {
     }
     this.apiKey = apiKey;
     this.baseUrl = 'https://finnhub.io/api/v1';
+    this.http = new HttpClient({ provider: 'finnhub', baseUrl: this.baseUrl });
+  }
+
+  /**
+   * 发送GET请求到Finnhub API
+   * @param {string} endpoint - API端点，例如 /stock/transcripts
+   * @param {Object} params - 查询参数
+   * @param {Object} [options] - 选项
+   * @param {string} [options.notFoundMessage] - 404时的错误信息
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object>} 响应JSON
+   */
+  async request(endpoint, params = {}, { notFoundMessage, signal = null } = {}) {
+    // 超时、限流、429/5xx 重试和熔断由共享HTTP客户端处理
+    return this.http.request(endpoint, {
+      query: { ...params, token: this.apiKey },
+      signal,
+      errorMessages: {
+        401: 'Finnhub API authentication failed. Please check your API key.',
+        429: 'Finnhub API rate limit exceeded. Please try again later.',
+        404: notFoundMessage || `Finnhub resource not found: ${endpoint}`
+      }
+    });
   }
 
   /**
    * 获取财报电话会议文字稿
+   * 已知电话会议ID（来自 listTranscripts）时优先按ID获取
    * @param {Object} params - 参数对象
    * @param {string} params.symbol - 股票代码
    * @param {number} params.year - 年份
    * @param {number} params.quarter - 季度 (1-4)
-   * @returns {Promise<string>} 文字稿内容
+   * @param {string} [params.callId] - 电话会议ID
+   * @param {AbortSignal} [params.signal] - 取消信号
+   * @returns {Promise<Object>} 结构化文字稿 { symbol, year, quarter, callId, title, date, participants, turns }
    */
-  async getEarningsTranscript({ symbol, year, quarter }) {
+  async getEarningsTranscript({ symbol, year, quarter, callId = null, signal = null }) {
     try {
       // 验证参数
       if (!symbol || !year || !quarter) {
@@ -33,56 +70,33 @@ export class FinnhubService {
         throw new Error('Quarter must be between 1 and 4');
       }
 
-      // 构建API请求URL
-      const url = new URL(`${this.baseUrl}/stock/transcripts`);
-      url.searchParams.append('symbol', symbol.toUpperCase());
-      url.searchParams.append('year', year.toString());
-      url.searchParams.append('quarter', quarter.toString());
-      url.searchParams.append('token', this.apiKey);
-
       console.log(`📡 正在获取 ${symbol} ${year}Q${quarter} 财报文字稿...`);
 
-      const response = await fetch(url.toString(), {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Financial-Podcast-Generator/1.0'
-        },
-        timeout: 30000 // 30秒超时
-      });
-
-      if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error('Finnhub API authentication failed. Please check your API key.');
-        } else if (response.status === 429) {
-          throw new Error('Finnhub API rate limit exceeded. Please try again later.');
-        } else if (response.status === 404) {
-          throw new Error(`No earnings transcript found for ${symbol} ${year}Q${quarter}`);
-        } else {
-          throw new Error(`Finnhub API request failed: ${response.status} ${response.statusText}`);
-        }
-      }
+      const params = callId
+        ? { id: callId }
+        : { symbol: symbol.toUpperCase(), year, quarter };
 
-      const data = await response.json();
+      const data = await this.request('/stock/transcripts', params, {
+        notFoundMessage: `No earnings transcript found for ${symbol} ${year}Q${quarter}`,
+        signal
+      });
 
       // 检查返回数据
       if (!data || !data.transcript) {
         throw new Error(`No transcript data available for ${symbol} ${year}Q${quarter}`);
       }
 
-      const transcript = data.transcript;
-      
+      const transcript = this.parseTranscriptResponse(data, { symbol, year, quarter });
+
       // 验证文字稿内容
-      if (typeof transcript !== 'string' || transcript.trim().length === 0) {
+      if (transcript.turns.length === 0) {
         throw new Error('Invalid or empty transcript content');
       }
 
-      // 基本的内容清理
-      const cleanedTranscript = this.cleanTranscript(transcript);
+      const stats = getTranscriptStats(transcript);
+      console.log(`✅ 文字稿获取成功: ${stats.turnCount} 段发言, ${stats.speakerCount} 位发言人, ${stats.wordCount} 单词`);
 
-      console.log(`✅ 文字稿获取成功: ${cleanedTranscript.length} 字符, ${cleanedTranscript.split(' ').length} 单词`);
-
-      return cleanedTranscript;
+      return transcript;
 
     } catch (error) {
       console.error(`❌ 获取财报文字稿失败:`, error.message);
@@ -90,16 +104,373 @@ export class FinnhubService {
     }
   }
 
+  /**
+   * 列出某只股票可获取的财报电话会议文字稿
+   * @param {string} symbol - 股票代码
+   * @returns {Promise<Array<Object>>} 按时间倒序排列的列表 { callId, title, date, year, quarter }
+   */
+  async listTranscripts(symbol) {
+    try {
+      if (!symbol) {
+        throw new Error('Symbol is required');
+      }
+
+      console.log(`📡 正在查询 ${symbol} 可用的财报文字稿...`);
+
+      const data = await this.request('/stock/transcripts/list', { symbol: symbol.toUpperCase() }, {
+        notFoundMessage: `No earnings transcripts listed for ${symbol}`
+      });
+
+      const transcripts = (data?.transcripts || [])
+        .filter(item => item.year && item.quarter >= 1 && item.quarter <= 4)
+        .map(item => ({
+          callId: item.id,
+          title: item.title || null,
+          date: item.time || null,
+          year: Number(item.year),
+          quarter: Number(item.quarter)
+        }))
+        .sort((a, b) => (b.year - a.year) || (b.quarter - a.quarter) || String(b.date).localeCompare(String(a.date)));
+
+      console.log(`✅ 找到 ${transcripts.length} 份可用文字稿`);
+
+      return transcripts;
+
+    } catch (error) {
+      console.error(`❌ 查询财报文字稿列表失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 查找尚未写入 earnings_reports 的最新一期文字稿
+   * @param {string} symbol - 股票代码
+   * @param {Object} options - 选项
+   * @param {DatabaseService} options.database - 数据库服务，用于查询已处理的期间
+   * @param {string} [options.language] - 语言，同一期间不同语言分别计算
+   * @param {Array<string>} [options.languages] - 多个语言，任一语言尚未生成的期间都视为未处理
+   * @returns {Promise<Object|null>} 文字稿列表项，全部处理过时返回 null
+   */
+  async findLatestUnprocessedTranscript(symbol, { database, language = 'zh-CN', languages = [language] }) {
+    const [transcripts, ...processedByLanguage] = await Promise.all([
+      this.listTranscripts(symbol),
+      ...languages.map(item => database.getProcessedPeriods(symbol, item))
+    ]);
+
+    // 只有所有语言都已生成的期间才算处理过
+    const periodSets = processedByLanguage.map(periods => new Set(periods.map(period => `${period.year}Q${period.quarter}`)));
+    const processed = new Set([...periodSets[0]].filter(period => periodSets.every(set => set.has(period))));
+    const latest = transcripts.find(item => !processed.has(`${item.year}Q${item.quarter}`)) || null;
+
+    if (latest) {
+      console.log(`🆕 最新未处理的文字稿: ${symbol} ${latest.year}Q${latest.quarter} (${latest.date || '日期未知'})`);
+    } else {
+      console.log(`ℹ️ ${symbol} 的可用文字稿均已处理`);
+    }
+
+    return latest;
+  }
+
+  /**
+   * 获取财报日历
+   * @param {Object} params - 参数对象
+   * @param {string} params.from - 开始日期 (YYYY-MM-DD)
+   * @param {string} params.to - 结束日期 (YYYY-MM-DD)
+   * @param {string} [params.symbol] - 股票代码，不传时返回全市场
+   * @returns {Promise<Array<Object>>} 日历条目 { symbol, date, hour, year, quarter }
+   */
+  async getEarningsCalendar({ from, to, symbol = null }) {
+    try {
+      if (!from || !to) {
+        throw new Error('From and to dates are required');
+      }
+
+      console.log(`📅 正在获取 ${symbol || '全市场'} ${from} ~ ${to} 财报日历...`);
+
+      const data = await this.request('/calendar/earnings', {
+        from,
+        to,
+        symbol: symbol ? symbol.toUpperCase() : null
+      });
+
+      const entries = (data?.earningsCalendar || []).map(item => ({
+        symbol: item.symbol,
+        date: item.date,
+        hour: item.hour || null,
+        year: Number(item.year),
+        quarter: Number(item.quarter)
+      }));
+
+      console.log(`✅ 财报日历获取成功: ${entries.length} 条`);
+
+      return entries;
+
+    } catch (error) {
+      console.error(`❌ 获取财报日历失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取指定期间的业绩与市场一致预期对比（EPS 和营收）
+   * EPS 来自 /stock/earnings，营收来自 /calendar/earnings；任一来源缺失（404 或无数据）时对应字段为 null
+   * @param {Object} params - 参数对象
+   * @param {string} params.symbol - 股票代码
+   * @param {number} params.year - 财年
+   * @param {number} params.quarter - 财季 (1-4)
+   * @param {AbortSignal} [params.signal] - 取消信号
+   * @returns {Promise<Object|null>} { symbol, year, quarter, period, reportDate, reportHour, eps, revenue }，均无数据时返回 null
+   */
+  async getEarningsSurprise({ symbol, year, quarter, signal = null }) {
+    try {
+      if (!symbol || !year || !quarter) {
+        throw new Error('Symbol, year, and quarter are required');
+      }
+
+      console.log(`📡 正在获取 ${symbol} ${year}Q${quarter} 业绩与一致预期...`);
+
+      const matchesPeriod = item => Number(item.year) === Number(year) && Number(item.quarter) === Number(quarter);
+
+      // 只有接口返回 404（没有该股票的数据）时按无数据处理；认证失败、重试后仍限流、超时和取消直接抛出
+      const emptyWhenNotFound = label => error => {
+        if (signal?.aborted || error.status !== 404) {
+          throw error;
+        }
+        console.warn(`⚠️ ${label}: ${error.message}`);
+        return [];
+      };
+
+      const [epsHistory, calendar] = await Promise.all([
+        this.request('/stock/earnings', { symbol: symbol.toUpperCase(), limit: 12 }, { signal })
+          .catch(emptyWhenNotFound('未找到EPS历史')),
+        // 财年与自然年不一定对齐，查询前后各一年的财报日历再按财年财季匹配
+        this.request('/calendar/earnings', {
+          symbol: symbol.toUpperCase(),
+          from: `${Number(year) - 1}-01-01`,
+          to: `${Number(year) + 1}-12-31`
+        }, { signal })
+          .then(data => data?.earningsCalendar || [])
+          .catch(emptyWhenNotFound('未找到财报日历'))
+      ]);
+
+      const epsEntry = (Array.isArray(epsHistory) ? epsHistory : []).find(matchesPeriod) || null;
+      const calendarEntry = calendar.find(matchesPeriod) || null;
+
+      if (!epsEntry && !calendarEntry) {
+        console.warn(`⚠️ 未找到 ${symbol} ${year}Q${quarter} 的一致预期数据`);
+        return null;
+      }
+
+      const eps = this.buildSurprise(
+        epsEntry?.actual ?? calendarEntry?.epsActual,
+        epsEntry?.estimate ?? calendarEntry?.epsEstimate
+      );
+      const revenue = this.buildSurprise(calendarEntry?.revenueActual, calendarEntry?.revenueEstimate);
+
+      const result = {
+        symbol: symbol.toUpperCase(),
+        year: Number(year),
+        quarter: Number(quarter),
+        period: epsEntry?.period || null,
+        reportDate: calendarEntry?.date || null,
+        reportHour: calendarEntry?.hour || null,
+        eps,
+        revenue
+      };
+
+      console.log(`✅ 一致预期获取成功: EPS ${eps ? `${eps.actual} vs ${eps.estimate}` : '无数据'}, 营收 ${revenue ? `${revenue.actual} vs ${revenue.estimate}` : '无数据'}`);
+
+      return result;
+
+    } catch (error) {
+      console.error(`❌ 获取一致预期失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取日K线
+   * @param {Object} params - 参数对象
+   * @param {string} params.symbol - 股票代码
+   * @param {string} params.from - 开始日期 (YYYY-MM-DD)
+   * @param {string} params.to - 结束日期 (YYYY-MM-DD)
+   * @param {AbortSignal} [params.signal] - 取消信号
+   * @returns {Promise<Array<Object>>} [{ date, open, high, low, close, volume }]，按日期升序
+   */
+  async getDailyCandles({ symbol, from, to, signal = null }) {
+    try {
+      if (!symbol || !from || !to) {
+        throw new Error('Symbol, from, and to are required');
+      }
+
+      console.log(`📡 正在获取 ${symbol} 日K线: ${from} ~ ${to}`);
+
+      const data = await this.request('/stock/candle', {
+        symbol: symbol.toUpperCase(),
+        resolution: 'D',
+        from: Math.floor(Date.parse(`${from}T00:00:00Z`) / 1000),
+        to: Math.floor(Date.parse(`${to}T23:59:59Z`) / 1000)
+      }, { signal });
+
+      // 区间内没有交易数据时返回 s: "no_data"
+      if (!data || data.s !== 'ok' || !Array.isArray(data.t)) {
+        console.warn(`⚠️ ${symbol} 在 ${from} ~ ${to} 没有K线数据`);
+        return [];
+      }
+
+      return data.t.map((timestamp, index) => ({
+        date: new Date(timestamp * 1000).toISOString().slice(0, 10),
+        open: data.o[index],
+        high: data.h[index],
+        low: data.l[index],
+        close: data.c[index],
+        volume: data.v[index]
+      }));
+
+    } catch (error) {
+      console.error(`❌ 获取K线失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取公司基本资料
+   * @param {string} symbol - 股票代码
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object|null>} { ticker, name, sector, exchange, marketCap, logoUrl, website, country, currency }，无资料时返回 null
+   */
+  async getCompanyProfile(symbol, { signal = null } = {}) {
+    try {
+      if (!symbol) {
+        throw new Error('Symbol is required');
+      }
+
+      console.log(`📡 正在获取 ${symbol} 公司资料...`);
+
+      const data = await this.request('/stock/profile2', { symbol: symbol.toUpperCase() }, { signal });
+
+      // 未收录的代码返回空对象
+      if (!data || !data.name) {
+        console.warn(`⚠️ 未找到 ${symbol} 的公司资料`);
+        return null;
+      }
+
+      return {
+        ticker: (data.ticker || symbol).toUpperCase(),
+        name: data.name,
+        sector: data.finnhubIndustry || null,
+        exchange: data.exchange || null,
+        // Finnhub 的市值单位为百万
+        marketCap: data.marketCapitalization ? Math.round(data.marketCapitalization * 1e6) : null,
+        logoUrl: data.logo || null,
+        website: data.weburl || null,
+        country: data.country || null,
+        currency: data.currency || null
+      };
+
+    } catch (error) {
+      console.error(`❌ 获取公司资料失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 计算实际值相对预期值的差异
+   * @param {number|null} actual - 实际值
+   * @param {number|null} estimate - 预期值
+   * @returns {Object|null} { actual, estimate, surprise, surprisePercent }，缺少任一值时返回 null
+   */
+  buildSurprise(actual, estimate) {
+    if (actual === null || actual === undefined || estimate === null || estimate === undefined) {
+      return null;
+    }
+
+    const surprise = actual - estimate;
+    const surprisePercent = estimate !== 0 ? (surprise / Math.abs(estimate)) * 100 : null;
+
+    return {
+      actual,
+      estimate,
+      surprise: Math.round(surprise * 10000) / 10000,
+      surprisePercent: surprisePercent === null ? null : Math.round(surprisePercent * 100) / 100
+    };
+  }
+
+  /**
+   * 将Finnhub返回的文字稿解析为结构化文字稿
+   * Finnhub 返回 transcript 数组（每项含 name、speech、session），
+   * 并在 participant 中给出发言人职位；旧格式下 transcript 为纯文本
+   * @param {Object} data - API返回数据
+   * @param {Object} period - 请求的期间 { symbol, year, quarter }
+   * @returns {Object} 结构化文字稿
+   */
+  parseTranscriptResponse(data, { symbol, year, quarter }) {
+    const meta = {
+      symbol: data.symbol || symbol,
+      year: data.year || year,
+      quarter: data.quarter || quarter,
+      callId: data.id || null,
+      title: data.title || null,
+      date: data.time || null
+    };
+
+    if (typeof data.transcript === 'string') {
+      return createTranscript({ ...meta, turns: parseTranscriptText(data.transcript) });
+    }
+
+    if (!Array.isArray(data.transcript)) {
+      throw new Error('Invalid or empty transcript content');
+    }
+
+    const participants = new Map(
+      (data.participant || []).map(participant => [participant.name, participant])
+    );
+
+    const rawTurns = data.transcript.map(entry => {
+      const speaker = (entry.name || 'Unknown').trim();
+      const participant = participants.get(entry.name) || {};
+      const description = participant.description || '';
+      const role = /^operator$/i.test(speaker)
+        ? ROLES.OPERATOR
+        : classifyRole(description, participant.role);
+      const { title, firm } = splitTitleAndFirm(description, role);
+      const speech = Array.isArray(entry.speech) ? entry.speech.join(' ') : (entry.speech || '');
+
+      return {
+        speaker,
+        role,
+        title,
+        firm,
+        section: this.mapSession(entry.session),
+        text: this.cleanTranscript(speech)
+      };
+    });
+
+    return createTranscript({ ...meta, turns: normalizeTurns(rawTurns) });
+  }
+
+  /**
+   * 将Finnhub的 session 字段映射为会议环节
+   * @param {string} session - management / question_answer
+   * @returns {string|null} 会议环节，无法识别时返回 null
+   */
+  mapSession(session) {
+    if (session === 'question_answer') {
+      return SECTIONS.QA;
+    }
+    if (session === 'management') {
+      return SECTIONS.PREPARED;
+    }
+    return null;
+  }
+
   /**
    * 清理文字稿内容
    * @param {string} transcript - 原始文字稿
    * @returns {string} 清理后的文字稿
    */
   cleanTranscript(transcript) {
-    return transcript
-      // 移除多余的空白字符
-      .replace(/\s+/g, ' ')
-      // 移除特殊字符和控制字符
-      .replace(/[\x00-\x1F\x7F]/g, '')
-      // 标准化引号
-      .replace(/[
\ No newline at end of file
+    return cleanSpeech(transcript);
+  }
+}
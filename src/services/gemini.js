@@ -1,105 +1,298 @@
 /**
  * Google Gemini AI 服务模块
- * 功能：生成财报摘要和分析
+ * 功能：生成财报摘要和分析（模型后端可替换为 OpenAI 兼容接口或本地 mock，见 llm-providers）
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import fs from 'node:fs/promises';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { createLLMProvider, LLM_PROVIDERS, LLM_STAGES } from './llm-providers/index.js';
+import { formatPercent } from '../utils/price-reaction.js';
+import { ROLES, SECTIONS, flattenTranscript, formatSpeakerLabel, pairQaExchanges } from '../utils/transcript.js';
+import { estimateTokens, chunkTranscript, getChunkSectionLabel } from '../utils/transcript-chunker.js';
+import { PromptRegistry, parsePromptVersions } from '../utils/prompt-registry.js';
+import { GLOSSARY_MODES, buildGlossaryInstruction, applyGlossary } from '../utils/glossary.js';
+import { validateJudgeOutput } from '../utils/quality-rubric.js';
+import { COMPLIANCE_MODES, COMPLIANCE_ACTIONS, loadComplianceRules, checkCompliance, validateComplianceRewrite, applyComplianceRewrites, getDisclaimer } from '../utils/compliance.js';
+import { reviseGuidance, countGuidanceRevisions } from '../utils/guidance.js';
+import { EPISODE_VARIANTS, VARIANT_SPECS, getVariantSpec, buildLengthRequirement } from '../utils/episode-variants.js';
+import { buildLanguageInstruction, getLanguageLabel, isTraditionalChinese } from '../utils/languages.js';
+import { TONE_SECTIONS, getManagementTurns, sampleTurns, repairToneOutput, validateToneOutput, buildToneScores } from '../utils/tone-analysis.js';
+import {
+  SUMMARY_SECTIONS,
+  COMPARISON_SECTION,
+  GUIDANCE_REVIEW_STATUSES,
+  GUIDANCE_REVISIONS,
+  SCRIPT_FORMATS,
+  DIALOGUE_SPEAKERS,
+  QA_DIGEST_MODES,
+  QA_TOPICS,
+  parseJsonResponse,
+  collectTextFields,
+  repairSummaryDocument,
+  validateSummaryDocument,
+  repairDialogue,
+  validateDialogue,
+  repairQaDigest,
+  validateQaDigest
+} from '../utils/summary-schema.js';
+import {
+  formatUsdAmount,
+  formatMetricValue,
+  formatMetricChange,
+  formatGuidanceRange,
+  renderSummaryMarkdown,
+  renderSpeechText,
+  renderDialogueScript,
+  renderQaSegmentText,
+  buildQaSegmentTurns,
+  renderToneCallout
+} from '../utils/summary-renderer.js';
 
 export class GeminiService {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('Gemini API key is required');
-    }
-    
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-1.5-pro' });
+  /**
+   * @param {string} apiKey - Gemini API 密钥（传入其他后端时可省略）
+   * @param {Object} [options] - 选项
+   * @param {import('./llm-providers/base.js').LLMProvider} [options.provider] - 大模型后端，默认为 Gemini
+   * @param {Object} [options.promptVersions] - 固定使用的提示词版本 { [模板名称]: 版本号 }，默认读取 PROMPT_VERSIONS
+   * @param {import('../utils/usage-tracker.js').UsageTracker} [options.usage] - 记录每次调用的 token 用量和费用
+   */
+  constructor(apiKey, { provider = null, promptVersions = parsePromptVersions(process.env.PROMPT_VERSIONS), usage = null } = {}) {
+    this.provider = provider || createLLMProvider(LLM_PROVIDERS.GEMINI, { apiKey });
+    this.usage = usage;
+    this.prompts = new PromptRegistry(undefined, { versions: promptVersions });
+    // 文字稿超过单次调用预算时改为分块摘要；每个分块的输入和笔记输出分别受预算限制
+    this.singlePassTokens = Number(process.env.SUMMARY_SINGLE_PASS_TOKENS) || 25000;
+    this.chunkTokens = Number(process.env.SUMMARY_CHUNK_TOKENS) || 8000;
+    // 结构化摘要未通过 Schema 校验时，带上错误信息重新请求的次数
+    this.schemaRetries = Number(process.env.SUMMARY_SCHEMA_RETRIES) || 2;
   }
 
   /**
    * 生成财报摘要
+   * 文字稿在单次调用预算内时直接生成；超出预算时按环节和发言人边界分块，
+   * 先逐块整理会议笔记，再将笔记合成为完整的播客脚本（map-reduce）。
+   * 模型输出为结构化 JSON，经 Schema 校验后渲染为 Markdown 脚本和语音合成文本；
+   * 对话形式时再将摘要改写为主持人与分析师的对话，语音合成文本为带发言人标记的对话脚本；
+   * 提供往期财报时增加"与上季度相比"小节；问答环节另由单独的阶段整理为分析师问答摘要，可作为节目的独立段落播报；
+   * 管理层语气按环节评分，较上一期明显转弱时在节目中提示；中文输出时注入术语表（繁体中文和粤语另附书写要求），生成后统一术语译法；
+   * 同一期财报生成多个长度版本时，后续版本通过 reuse 沿用第一个版本的分块笔记、分析师问答摘要和语气评分；
+   * 渲染前按合规规则检查投资建议用语（改写或标记为未通过，结果见 metadata.compliance），脚本和朗读文本末尾附上免责声明
    * @param {Object} params - 参数对象
-   * @param {string} params.transcript - 财报文字稿
+   * @param {Object|string} params.transcript - 结构化文字稿（或纯文本）
    * @param {string} params.ticker - 股票代码
    * @param {string} params.year - 年份
    * @param {string} params.quarter - 季度
-   * @param {string} params.language - 输出语言 (zh-CN 或 en-US)
-   * @returns {Promise<string>} 生成的摘要
+   * @param {string} params.language - 输出语言 (zh-CN / zh-TW / zh-HK / en-US)
+   * @param {Object} params.earningsSurprise - 业绩与一致预期对比（FinnhubService.getEarningsSurprise）
+   * @param {Object} params.company - 公司资料（CompanyService.getProfile）
+   * @param {Object} params.priceReaction - 财报后股价反应（getPriceReaction）
+   * @param {string} params.format - 节目形式 (monologue 或 dialogue)
+   * @param {Array<Object>} params.priorReports - 同一公司往期财报（由近到远，含 summaryData）
+   * @param {Object|null} params.previousReport - 上一期财报（含 summaryData 和 toneScores），用于判断指引调整方向和语气是否明显转弱
+   * @param {string} params.qaMode - 分析师问答摘要 (off / store / narrate)
+   * @param {boolean} params.scoreTone - 是否为管理层语气评分
+   * @param {string} params.glossaryMode - 术语检查模式 (off / report / fix)
+   * @param {string} params.complianceMode - 合规检查模式 (rewrite / fail)
+   * @param {string} params.variant - 节目长度版本 (flash / standard / deep)
+   * @param {Object|null} params.reuse - 同一文字稿此前生成的版本（generateSummary 的返回值），沿用其中与篇幅无关的结果
+   * @param {AbortSignal} params.signal - 取消信号
+   * @returns {Promise<{ summary: string, speechText: string, document: Object, metadata: Object, toneScores: Object|null, chunkNotes: Array<string>|null }>}
+   *   Markdown 脚本、朗读文本、结构化摘要、生成方式（分块信息、各小节引用的分块和使用的提示词版本）、管理层语气评分和分块笔记（未分块时为 null）
    */
-  async generateSummary({ transcript, ticker, year, quarter, language = 'zh-CN' }) {
+  async generateSummary({ transcript, ticker, year, quarter, language = 'zh-CN', earningsSurprise = null, company = null, priceReaction = null, format = SCRIPT_FORMATS.MONOLOGUE, priorReports = [], previousReport = null, qaMode = QA_DIGEST_MODES.STORE, scoreTone = true, glossaryMode = GLOSSARY_MODES.FIX, complianceMode = COMPLIANCE_MODES.REWRITE, variant = EPISODE_VARIANTS.STANDARD, reuse = null, signal = null }) {
     try {
-      console.log(`🤖 正在为 ${ticker} ${year}Q${quarter} 生成${language === 'zh-CN' ? '中文' : '英文'}摘要...`);
+      console.log(`🤖 正在为 ${ticker} ${year}Q${quarter} 生成${getLanguageLabel(language)}摘要（${variant}）...`);
+
+      const transcriptText = flattenTranscript(transcript);
 
       // 验证输入
-      if (!transcript || transcript.trim().length === 0) {
+      if (!transcriptText || transcriptText.trim().length === 0) {
         throw new Error('Transcript content is required');
       }
 
-      if (transcript.length > 100000) {
-        console.warn('⚠️ 文字稿内容过长，将进行截取处理');
-        transcript = transcript.substring(0, 100000) + '\n\n[内容已截取]';
+      const transcriptTokens = estimateTokens(transcriptText);
+
+      // 提示词模板按语言、节目形式、股票代码和行业选择，使用的模板版本记录在元数据中
+      const promptContext = { language, format, ticker, sector: company?.sector || null };
+      const usedPrompts = new Map();
+      const summaryVariables = {
+        TICKER: ticker.toUpperCase(),
+        COMPANY: this.buildCompanySection(company, language),
+        YEAR: year,
+        QUARTER: quarter,
+        CONSENSUS: this.buildConsensusSection(earningsSurprise, language),
+        PRICE_REACTION: this.buildPriceReactionSection(priceReaction, language)
+      };
+
+      // 固定使用不含往期数据的旧版模板时不生成对比小节
+      const comparableReports = priorReports.filter(report => report.summaryData);
+      const summaryTemplate = this.prompts.resolve('summary', promptContext);
+      const supportsComparison = summaryTemplate.variables.includes('PRIOR_QUARTERS');
+      if (supportsComparison) {
+        summaryVariables.PRIOR_QUARTERS = this.buildPriorQuartersSection(comparableReports, language);
+      } else if (comparableReports.length > 0) {
+        console.warn(`⚠️ 摘要模板 summary@${summaryTemplate.version} 不支持往期对比，跳过"与上季度相比"小节`);
+      }
+
+      // 旧版模板的篇幅固定为标准版，无法生成其他长度
+      if (summaryTemplate.variables.includes('LENGTH')) {
+        summaryVariables.LENGTH = buildLengthRequirement(variant, language);
+      } else if (variant !== EPISODE_VARIANTS.STANDARD) {
+        throw new Error(`Prompt template summary@${summaryTemplate.version} does not support the ${variant} variant`);
       }
+      const withComparison = supportsComparison && comparableReports.length > 0;
+      const validate = document => validateSummaryDocument(document, { requireComparison: withComparison });
 
-      // 加载提示词模板
-      const promptTemplate = await this.loadPromptTemplate(language);
-      
-      // 构建完整的提示词
-      const prompt = promptTemplate
-        .replace('{TICKER}', ticker.toUpperCase())
-        .replace('{YEAR}', year)
-        .replace('{QUARTER}', quarter)
-        .replace('{TRANSCRIPT}', transcript);
-
-      // 调用Gemini API
-      const result = await this.model.generateContent({
-        contents: [{
-          role: 'user',
-          parts: [{ text: prompt }]
-        }],
-        generationConfig: {
-          temperature: 0.3,
-          topK: 40,
-          topP: 0.95,
-          maxOutputTokens: 4096,
-        },
-        safetySettings: [
-          {
-            category: 'HARM_CATEGORY_HARASSMENT',
-            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-          },
-          {
-            category: 'HARM_CATEGORY_HATE_SPEECH',
-            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-          },
-          {
-            category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-          },
-          {
-            category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-            threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-          }
-        ]
-      });
+      // 中文输出时附上术语表：只列出文字稿中出现的术语和应保持英文的产品名称；繁体中文和粤语输出时在术语表前说明书写要求
+      const glossary = [
+        buildLanguageInstruction(language),
+        glossaryMode === GLOSSARY_MODES.OFF ? '' : buildGlossaryInstruction(language, { ticker, sourceText: transcriptText })
+      ].filter(Boolean).join('\n\n');
+
+      // 文字稿部分按生成方式填入（原文或分块笔记）
+      const renderSummaryPrompt = transcriptContent => this.withGlossary(this.renderPrompt('summary', {
+        ...summaryVariables,
+        TRANSCRIPT: transcriptContent
+      }, promptContext, usedPrompts), glossary);
+
+      let document;
+      let metadata;
+      let chunkNotes = null;
 
-      const response = await result.response;
-      const summary = response.text();
+      if (transcriptTokens <= this.singlePassTokens) {
+        const prompt = `${renderSummaryPrompt(transcriptText)}\n\n${this.buildJsonInstruction(language, { withComparison })}`;
+        let attempts;
+        ({ document, attempts } = await this.generateStructuredOutput(prompt, { signal, validate }));
+        metadata = { strategy: 'single_pass', transcriptTokens, schemaAttempts: attempts };
+      } else {
+        ({ document, metadata, notes: chunkNotes } = await this.generateChunkedSummary({
+          transcript,
+          notes: reuse?.chunkNotes || null,
+          renderSummaryPrompt,
+          ticker,
+          year,
+          quarter,
+          language,
+          promptContext,
+          usedPrompts,
+          withComparison,
+          validate,
+          signal
+        }));
+        metadata = { transcriptTokens, ...metadata };
+      }
+
+      // 与上一期节目中同一指标、同一期间的指引对比，标注上调、维持或下调
+      const previousPeriod = previousReport?.summaryData ? `${previousReport.year}Q${previousReport.quarter}` : null;
+      document = {
+        ...document,
+        guidance: reviseGuidance(document.guidance, {
+          previousGuidance: previousReport?.summaryData ? (previousReport.summaryData.guidance || []) : null,
+          previousPeriod
+        })
+      };
+      metadata.guidance = { previousPeriod, ...countGuidanceRevisions(document.guidance) };
+
+      let qaItems = [];
+      if (reuse && qaMode !== QA_DIGEST_MODES.OFF) {
+        qaItems = reuse.document.qaDigest || [];
+        if (qaItems.length > 0) {
+          document = { ...document, qaDigest: qaItems };
+        }
+        metadata.qaDigest = reuse.metadata.qaDigest;
+      } else if (qaMode !== QA_DIGEST_MODES.OFF) {
+        const exchanges = typeof transcript === 'string' ? [] : pairQaExchanges(transcript);
+        if (exchanges.length > 0) {
+          const { items, attempts } = await this.generateQaDigest({ exchanges, ticker, year, quarter, language, promptContext, usedPrompts, glossary, signal });
+          qaItems = items;
+          document = { ...document, qaDigest: items };
+          metadata.qaDigest = {
+            mode: qaMode,
+            exchanges: items.length,
+            evasive: items.filter(item => item.evasive).length,
+            attempts
+          };
+        } else {
+          console.log('ℹ️ 文字稿中没有可配对的分析师问答，跳过问答摘要');
+          metadata.qaDigest = { mode: qaMode, exchanges: 0, evasive: 0, attempts: 0 };
+        }
+      }
+      const narrateQa = qaMode === QA_DIGEST_MODES.NARRATE && qaItems.length > 0 && getVariantSpec(variant).narrateQa;
+
+      let toneScores = null;
+      if (reuse && scoreTone) {
+        toneScores = reuse.toneScores;
+        metadata.tone = reuse.metadata.tone;
+      } else if (scoreTone) {
+        toneScores = await this.generateToneScores({ transcript, ticker, year, quarter, previousReport, promptContext, usedPrompts, signal });
+        metadata.tone = toneScores
+          ? { overall: toneScores.overall, guidanceConfidence: toneScores.guidanceConfidence.score, previous: toneScores.previous, sharpDrop: toneScores.sharpDrop }
+          : null;
+        if (toneScores?.sharpDrop) {
+          console.warn(`📉 管理层语气较 ${toneScores.previous.period} 明显转弱: ${toneScores.previous.overall} → ${toneScores.overall}`);
+        }
+      }
+
+      metadata.format = format;
+      metadata.variant = variant;
+      metadata.comparison = withComparison
+        ? {
+          priorPeriods: comparableReports.map(report => `${report.year}Q${report.quarter}`),
+          guidanceReview: document.guidanceReview?.length || 0
+        }
+        : null;
 
-      if (!summary || summary.trim().length === 0) {
-        throw new Error('Generated summary is empty');
+      if (format === SCRIPT_FORMATS.DIALOGUE) {
+        const { turns, attempts } = await this.generateDialogue({ document, ticker, year, quarter, language, promptContext, usedPrompts, glossary, signal });
+        document = { ...document, dialogue: turns };
+        metadata.dialogueTurns = turns.length;
+        metadata.dialogueAttempts = attempts;
       }
 
+      // 先处理投资建议用语，改写后的文字再统一术语译法
+      const { document: compliant, report: complianceReport } = await this.enforceCompliance({ document, ticker, year, quarter, language, mode: complianceMode, promptContext, usedPrompts, glossary, signal });
+      document = compliant;
+      metadata.compliance = complianceReport;
+
+      // 统一术语译法后再渲染，Markdown 脚本和朗读文本使用相同的写法
+      if (glossaryMode !== GLOSSARY_MODES.OFF) {
+        const { document: checked, report } = applyGlossary(document, { language, ticker, mode: glossaryMode });
+        document = checked;
+        metadata.glossary = report;
+        if (report.total > 0) {
+          console.warn(`📖 发现 ${report.total} 处术语译法不一致${report.fixed > 0 ? '，已替换为标准译法' : ''}: ${report.deviations.slice(0, 5).map(item => `${item.found} → ${item.expected}`).join(', ')}`);
+        }
+      }
+
+      // 免责声明由主持人在节目末尾朗读，不计入篇幅校验
+      const disclaimer = getDisclaimer(language);
+      let speechText;
+      if (format === SCRIPT_FORMATS.DIALOGUE) {
+        speechText = renderDialogueScript([
+          ...document.dialogue,
+          ...(toneScores?.sharpDrop ? [{ speaker: DIALOGUE_SPEAKERS.HOST, text: renderToneCallout(toneScores, language) }] : []),
+          ...(narrateQa ? buildQaSegmentTurns(document.qaDigest, language) : [])
+        ]);
+      } else {
+        speechText = renderSpeechText(document, language, { tone: toneScores });
+        if (narrateQa) {
+          speechText = `${speechText}\n\n${renderQaSegmentText(document.qaDigest, language)}`;
+        }
+      }
+
+      metadata.prompts = [...usedPrompts.values()];
+
+      let summary = renderSummaryMarkdown(document, language, { tone: toneScores });
+
       // 验证摘要质量
-      this.validateSummary(summary, language);
+      this.validateSummary(document, speechText, variant);
+
+      speechText = format === SCRIPT_FORMATS.DIALOGUE
+        ? `${speechText}\n${renderDialogueScript([{ speaker: DIALOGUE_SPEAKERS.HOST, text: disclaimer }])}`
+        : `${speechText}\n\n${disclaimer}`;
+      summary = `${summary}\n\n---\n\n${disclaimer}`;
 
       console.log(`✅ 摘要生成成功: ${summary.length} 字符`);
       
-      return summary.trim();
+      return { summary, speechText, document, metadata, toneScores, chunkNotes };
 
     } catch (error) {
       console.error(`❌ 生成摘要失败:`, error.message);
@@ -108,151 +301,802 @@ export class GeminiService {
   }
 
   /**
-   * 加载提示词模板
+   * 分块生成摘要：逐块整理笔记后合成最终脚本
+   * @param {Object} params - 参数对象
+   * @param {Object|string} params.transcript - 结构化文字稿
+   * @param {Array<string>|null} params.notes - 其他长度版本已整理的分块笔记
+   * @param {Function} params.renderSummaryPrompt - 以文字稿内容生成摘要提示词的函数
+   * @param {string} params.ticker - 股票代码
+   * @param {string} params.year - 年份
+   * @param {string} params.quarter - 季度
+   * @param {string} params.language - 语言代码
+   * @param {Object} params.promptContext - 提示词模板选择条件
+   * @param {Map} params.usedPrompts - 记录使用过的提示词模板
+   * @param {boolean} params.withComparison - 是否生成"与上季度相比"小节
+   * @param {Function} params.validate - 结构化摘要校验函数
+   * @param {AbortSignal} params.signal - 取消信号
+   * @returns {Promise<{ document: Object, metadata: Object, notes: Array<string> }>} 结构化摘要、分块信息和分块笔记
+   */
+  async generateChunkedSummary({ transcript, notes: cachedNotes = null, renderSummaryPrompt, ticker, year, quarter, language, promptContext, usedPrompts, withComparison, validate, signal }) {
+    const chunks = chunkTranscript(transcript, { maxTokens: this.chunkTokens });
+    console.log(`✂️ 文字稿超出单次调用预算，分为 ${chunks.length} 块生成摘要`);
+
+    // 分块方式固定，其他长度版本已整理过的笔记可以直接沿用
+    const notes = cachedNotes?.length === chunks.length ? [...cachedNotes] : [];
+    for (const chunk of chunks.slice(notes.length)) {
+      console.log(`📝 正在整理分块 ${chunk.id}/${chunks.length} (${getChunkSectionLabel(chunk, language)}, ~${chunk.tokens} tokens)...`);
+      const prompt = this.buildChunkNotesPrompt(chunk, { ticker, year, quarter, language, total: chunks.length, promptContext, usedPrompts });
+      notes.push(await this.callModel(prompt, {
+        stage: LLM_STAGES.NOTES,
+        signal,
+        label: `chunk ${chunk.id}`
+      }));
+    }
+
+    const prompt = `${renderSummaryPrompt(this.buildNotesDigest(chunks, notes, language))}\n\n${this.buildJsonInstruction(language, { withSources: true, withComparison })}`;
+    const { document, attempts } = await this.generateStructuredOutput(prompt, { signal, label: 'synthesis', validate });
+    const chunkIds = new Set(chunks.map(chunk => chunk.id));
+    const sectionSources = Object.fromEntries(document.sections.map(section => [
+      section.key,
+      [...new Set((section.sources || []).map(id => String(id).trim().toUpperCase()))].filter(id => chunkIds.has(id))
+    ]));
+
+    return {
+      document,
+      metadata: {
+        strategy: 'map_reduce',
+        schemaAttempts: attempts,
+        chunkTokenBudget: this.chunkTokens,
+        chunks: chunks.map((chunk, index) => ({
+          id: chunk.id,
+          section: chunk.section,
+          speakers: chunk.speakers,
+          turnRange: chunk.turnRange,
+          tokens: chunk.tokens,
+          notesLength: notes[index].length,
+          usedIn: Object.keys(sectionSources).filter(key => sectionSources[key].includes(chunk.id))
+        })),
+        sectionSources
+      },
+      notes
+    };
+  }
+
+  /**
+   * 构建分块笔记提示词
+   * @param {Object} chunk - 分块
+   * @param {Object} context - { ticker, year, quarter, language, total, promptContext, usedPrompts }
+   * @returns {string} 提示词
+   */
+  buildChunkNotesPrompt(chunk, { ticker, year, quarter, language, total, promptContext, usedPrompts }) {
+    return this.renderPrompt('chunk_notes', {
+      TICKER: ticker.toUpperCase(),
+      YEAR: year,
+      QUARTER: quarter,
+      PART: chunk.id.slice(1),
+      TOTAL: total,
+      SECTION: getChunkSectionLabel(chunk, language),
+      CHUNK: chunk.text
+    }, promptContext, usedPrompts);
+  }
+
+  /**
+   * 将各分块笔记组装为合成阶段的输入（每块以分块ID开头，供小节 sources 字段引用）
+   * @param {Array<Object>} chunks - 分块
+   * @param {Array<string>} notes - 对应的笔记
    * @param {string} language - 语言代码
-   * @returns {Promise<string>} 提示词模板
+   * @returns {string} 合成输入
    */
-  async loadPromptTemplate(language) {
-    try {
-      const templateFile = language === 'zh-CN' 
-        ? 'summary_prompt_zh.txt' 
-        : 'summary_prompt_en.txt';
-      
-      const templatePath = path.join(__dirname, '..', 'templates', templateFile);
-      
-      try {
-        const template = await fs.readFile(templatePath, 'utf-8');
-        return template;
-      } catch (fileError) {
-        console.warn(`⚠️ 无法加载模板文件 ${templateFile}，使用默认模板`);
-        return this.getDefaultPromptTemplate(language);
+  buildNotesDigest(chunks, notes, language) {
+    const isChinese = language.startsWith('zh');
+    const blocks = chunks.map((chunk, index) => {
+      const speakers = chunk.speakers.length > 0 ? ` | ${chunk.speakers.slice(0, 6).join(', ')}` : '';
+      return `[${chunk.id}] ${getChunkSectionLabel(chunk, language)}${speakers}\n${notes[index].trim()}`;
+    });
+
+    const instruction = isChinese
+      ? `（文字稿较长，以下是按顺序分块整理的会议笔记，覆盖开场陈述和完整的问答环节。请综合全部分块撰写脚本，并在每个小节的 sources 字段中列出该小节引用的分块ID，例如 ["C1", "C3"]。）`
+      : `(The transcript is long; below are notes taken chunk by chunk, in order, covering the prepared remarks and the full Q&A. Draw on all chunks, and list the chunk IDs each section used in its sources field, e.g. ["C1", "C3"].)`;
+
+    return `${instruction}\n\n${blocks.join('\n\n')}`;
+  }
+
+  /**
+   * 构建结构化输出说明：要求模型按 Schema 返回 JSON，而不是 Markdown
+   * @param {string} language - 语言代码
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.withSources] - 是否要求小节标注引用的分块
+   * @param {boolean} [options.withComparison] - 是否要求"与上季度相比"小节和上季度指引兑现情况
+   * @returns {string} 输出说明
+   */
+  buildJsonInstruction(language, { withSources = false, withComparison = false } = {}) {
+    const isChinese = language.startsWith('zh');
+    const sourcesField = withSources ? ', "sources": ["C1"]' : '';
+    const sectionKeys = withComparison
+      ? [...SUMMARY_SECTIONS.slice(0, -1), COMPARISON_SECTION, ...SUMMARY_SECTIONS.slice(-1)]
+      : SUMMARY_SECTIONS;
+    const reviewField = withComparison
+      ? `,\n  "guidanceReview": [{ "metric": "...", "period": "Q3 2024", "status": "met", "text": "..." }]`
+      : '';
+    const example = `{
+  "headline": "...",
+  "sections": [{ "key": "overview", "title": "...", "content": "..."${sourcesField} }],
+  "keyMetrics": [{ "name": "...", "value": 94.9, "unit": "USD", "scale": "billion", "period": "Q3 2024", "changePercent": 6.1, "comparison": "yoy" }],
+  "guidance": [{ "metric": "...", "period": "Q4 2024", "low": 89, "high": 93, "unit": "USD", "scale": "billion", "revision": "new", "text": "..." }],
+  "risks": [{ "title": "...", "description": "..." }],
+  "quotes": [{ "speaker": "...", "role": "CEO", "text": "..." }]${reviewField}
+}`;
+
+    if (isChinese) {
+      return `输出格式（必须严格遵守）：
+只输出一个 JSON 对象，不要输出 Markdown 或任何其他文字。结构如下：
+${example}
+
+字段说明：
+1. headline：一句话概括本季度财报的标题
+2. sections：上述${sectionKeys.length === SUMMARY_SECTIONS.length ? '六' : '七'}个小节各一项，key 依次为 ${sectionKeys.join(', ')}，title 为小节标题（不含表情符号），content 为该小节的播客正文（纯文本，不使用 Markdown）
+3. keyMetrics：文字稿中出现的关键财务指标；value 必须是数字，unit 使用 USD、USD/share 或 %，scale 为 none/thousand/million/billion，comparison 为 yoy/qoq/consensus 或 null
+4. guidance：管理层给出的业绩指引，区间用 low/high 表示，单一数值时 low 与 high 相同，没有具体数值时为 null；revision 为相对此前对同一期间指引的调整（${GUIDANCE_REVISIONS.join('/')}，分别表示上调、维持、下调、首次给出、无法判断）
+5. risks：主要风险；quotes：管理层原话（最多3条，保留原文语言）
+6. 所有数字必须来自文字稿或上面提供的数据，不确定时不要填写${withComparison ? `
+7. ${COMPARISON_SECTION} 小节对比本季度与往期财报数据，说明哪些指标增速加快或放缓；guidanceReview 逐项列出上季度给出的、针对本季度的业绩指引及兑现情况，status 为 ${GUIDANCE_REVIEW_STATUSES.join('/')}` : ''}`;
+    }
+
+    return `Output format (strict):
+Return a single JSON object only, with no Markdown or any other text. Structure:
+${example}
+
+Field notes:
+1. headline: a one-sentence headline for the quarter
+2. sections: one entry for each of the ${sectionKeys.length === SUMMARY_SECTIONS.length ? 'six' : 'seven'} sections above, with keys ${sectionKeys.join(', ')} in that order; title is the section title (no emoji) and content is the podcast text for that section (plain text, no Markdown)
+3. keyMetrics: key financial figures from the transcript; value must be a number, unit is USD, USD/share or %, scale is none/thousand/million/billion, comparison is yoy/qoq/consensus or null
+4. guidance: management guidance, with ranges as low/high (equal for a single figure, null when no figure is given); revision compares it with earlier guidance for the same period (${GUIDANCE_REVISIONS.join('/')}: raised, maintained, cut, first given, or unclear)
+5. risks: the main risks; quotes: up to 3 verbatim management quotes
+6. Every number must come from the transcript or the data provided above; leave it out if unsure${withComparison ? `
+7. The ${COMPARISON_SECTION} section compares this quarter with the prior quarter data, noting which metrics accelerated or decelerated; guidanceReview lists each piece of guidance given last quarter for this quarter and whether it was delivered, with status ${GUIDANCE_REVIEW_STATUSES.join('/')}` : ''}`;
+  }
+
+  /**
+   * 合规检查：查找结构化摘要中的投资建议用语
+   * rewrite 模式下请求模型将命中的文字改写为客观陈述并复查，fail 模式下不改写；
+   * 仍有命中时报告 passed 为 false，由调用方阻止发布
+   * @param {Object} params - 参数对象
+   * @param {Object} params.document - 结构化摘要（含对话和问答摘要）
+   * @param {string} params.ticker - 股票代码
+   * @param {string} params.year - 年份
+   * @param {string} params.quarter - 季度
+   * @param {string} params.language - 语言代码
+   * @param {string} params.mode - 合规检查模式 (rewrite / fail)
+   * @param {Object} params.promptContext - 提示词模板选择条件
+   * @param {Map} params.usedPrompts - 记录使用过的提示词模板
+   * @param {string} [params.glossary] - 术语说明
+   * @param {AbortSignal} params.signal - 取消信号
+   * @returns {Promise<{ document: Object, report: Object }>} 处理后的结构化摘要和合规报告
+   */
+  async enforceCompliance({ document, ticker, year, quarter, language, mode, promptContext, usedPrompts, glossary = '', signal }) {
+    const rules = loadComplianceRules();
+    const flagged = checkCompliance(document, { language, rules });
+
+    let result = document;
+    let rewriteAttempts = 0;
+    let remaining = new Map(flagged.map(item => [item.path, item]));
+
+    if (flagged.length > 0) {
+      console.warn(`🛡️ 发现 ${flagged.length} 处投资建议用语: ${flagged.flatMap(item => item.matches.map(match => match.match)).slice(0, 5).join(', ')}`);
+
+      if (mode === COMPLIANCE_MODES.REWRITE) {
+        const { rewrites, attempts } = await this.rewriteForCompliance({ flagged, ticker, year, quarter, promptContext, usedPrompts, glossary, signal });
+        rewriteAttempts = attempts;
+        result = applyComplianceRewrites(document, rewrites);
+        remaining = new Map(checkCompliance(result, { language, rules }).map(item => [item.path, item]));
       }
-    } catch (error) {
-      console.warn('⚠️ 加载提示词模板失败，使用默认模板');
-      return this.getDefaultPromptTemplate(language);
     }
+
+    const rewritten = new Map(collectTextFields(result).map(([path, owner, key]) => [path, owner[key]]));
+    const decisions = flagged.map(item => ({
+      path: item.path,
+      matches: item.matches.map(({ ruleId, category, match }) => ({ ruleId, category, match })),
+      action: mode === COMPLIANCE_MODES.FAIL
+        ? COMPLIANCE_ACTIONS.BLOCKED
+        : remaining.has(item.path) ? COMPLIANCE_ACTIONS.UNRESOLVED : COMPLIANCE_ACTIONS.REWRITTEN,
+      original: item.text,
+      rewritten: mode === COMPLIANCE_MODES.FAIL ? null : rewritten.get(item.path)
+    }));
+
+    return {
+      document: result,
+      report: {
+        version: 1,
+        mode,
+        checkedAt: new Date().toISOString(),
+        rules: rules.map(rule => rule.id),
+        flagged: flagged.length,
+        decisions,
+        passed: remaining.size === 0,
+        disclaimer: getDisclaimer(language),
+        rewriteAttempts
+      }
+    };
   }
 
   /**
-   * 获取默认提示词模板
-   * @param {string} language - 语言代码
-   * @returns {string} 默认提示词模板
+   * 请求模型改写被合规规则标记的文字
+   * @param {Object} params - 参数对象
+   * @param {Array<Object>} params.flagged - 被标记的字段（checkCompliance）
+   * @param {string} params.ticker - 股票代码
+   * @param {string} params.year - 年份
+   * @param {string} params.quarter - 季度
+   * @param {Object} params.promptContext - 提示词模板选择条件
+   * @param {Map} params.usedPrompts - 记录使用过的提示词模板
+   * @param {string} [params.glossary] - 术语说明
+   * @param {AbortSignal} params.signal - 取消信号
+   * @returns {Promise<{ rewrites: Array<{ path: string, text: string }>, attempts: number }>} 改写结果和请求次数
+   */
+  async rewriteForCompliance({ flagged, ticker, year, quarter, promptContext, usedPrompts, glossary = '', signal }) {
+    console.log(`🛡️ 正在改写 ${flagged.length} 处投资建议用语...`);
+
+    const paths = flagged.map(item => item.path);
+    const prompt = this.withGlossary(this.renderPrompt('compliance_rewrite', {
+      TICKER: ticker.toUpperCase(),
+      YEAR: year,
+      QUARTER: quarter,
+      EXAMPLE: `{ "rewrites": [{ "path": "${paths[0]}", "text": "..." }] }`,
+      ITEMS: JSON.stringify(flagged.map(item => ({
+        path: item.path,
+        flagged: [...new Set(item.matches.map(match => match.match))],
+        text: item.text
+      })), null, 2)
+    }, promptContext, usedPrompts), glossary);
+
+    const { document: output, attempts } = await this.generateStructuredOutput(prompt, {
+      stage: LLM_STAGES.COMPLIANCE,
+      signal,
+      label: 'compliance',
+      repair: result => result,
+      validate: result => validateComplianceRewrite(result, paths)
+    });
+
+    return { rewrites: output.rewrites, attempts };
+  }
+
+  /**
+   * 整理分析师问答摘要：按 token 预算分批请求模型，为每组问答标注话题、概括问答并标记回避问题的回答
+   * @param {Object} params - 参数对象
+   * @param {Array<Object>} params.exchanges - 问答配对结果（pairQaExchanges）
+   * @param {string} params.ticker - 股票代码
+   * @param {string} params.year - 年份
+   * @param {string} params.quarter - 季度
+   * @param {string} params.language - 语言代码
+   * @param {Object} params.promptContext - 提示词模板选择条件
+   * @param {Map} params.usedPrompts - 记录使用过的提示词模板
+   * @param {string} [params.glossary] - 术语说明
+   * @param {AbortSignal} params.signal - 取消信号
+   * @returns {Promise<{ items: Array<Object>, attempts: number }>} 问答摘要（按问答顺序）和请求次数
+   */
+  async generateQaDigest({ exchanges, ticker, year, quarter, language, promptContext, usedPrompts, glossary = '', signal }) {
+    console.log(`🗣️ 正在整理 ${exchanges.length} 组分析师问答...`);
+
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+    for (const exchange of exchanges) {
+      const text = this.formatQaExchange(exchange);
+      const tokens = estimateTokens(text);
+      if (current.length > 0 && currentTokens + tokens > this.chunkTokens) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push({ id: exchange.id, text });
+      currentTokens += tokens;
+    }
+    batches.push(current);
+
+    const results = new Map();
+    let attempts = 0;
+
+    for (const [index, batch] of batches.entries()) {
+      const ids = batch.map(entry => entry.id);
+      const prompt = this.withGlossary(this.renderPrompt('qa_digest', {
+        TICKER: ticker.toUpperCase(),
+        YEAR: year,
+        QUARTER: quarter,
+        TOPICS: QA_TOPICS.join(', '),
+        EXAMPLE: `{ "items": [{ "id": "${ids[0]}", "topic": "margins", "question": "...", "answer": "...", "evasive": false, "evasionNote": null }] }`,
+        EXCHANGES: batch.map(entry => entry.text).join('\n\n')
+      }, promptContext, usedPrompts), glossary);
+
+      const { document: digest, attempts: batchAttempts } = await this.generateStructuredOutput(prompt, {
+        stage: LLM_STAGES.QA,
+        signal,
+        label: batches.length > 1 ? `qa ${index + 1}/${batches.length}` : 'qa',
+        repair: repairQaDigest,
+        validate: output => validateQaDigest(output, { ids })
+      });
+
+      attempts += batchAttempts;
+      for (const item of digest.items) {
+        results.set(item.id, item);
+      }
+    }
+
+    // 提问人、机构和对应的发言轮次取自文字稿，不使用模型输出
+    const items = exchanges.map(exchange => {
+      const item = results.get(exchange.id);
+      return {
+        id: exchange.id,
+        analyst: exchange.analyst,
+        firm: exchange.firm,
+        turnRange: exchange.turnRange,
+        topic: item.topic,
+        question: item.question,
+        answer: item.answer,
+        evasive: item.evasive,
+        evasionNote: item.evasive ? (item.evasionNote || null) : null
+      };
+    });
+
+    return { items, attempts };
+  }
+
+  /**
+   * 为管理层语气评分：按环节选取管理层发言节选请求模型评分，并统计模糊措辞、与上一期比较
+   * 纯文本文字稿无法区分环节和发言人，此时跳过评分
+   * @param {Object} params - 参数对象
+   * @param {Object|string} params.transcript - 结构化文字稿
+   * @param {string} params.ticker - 股票代码
+   * @param {string} params.year - 年份
+   * @param {string} params.quarter - 季度
+   * @param {Object|null} params.previousReport - 上一期财报（含 toneScores）
+   * @param {Object} params.promptContext - 提示词模板选择条件
+   * @param {Map} params.usedPrompts - 记录使用过的提示词模板
+   * @param {AbortSignal} params.signal - 取消信号
+   * @returns {Promise<Object|null>} 语气评分（buildToneScores），无法评分时返回 null
+   */
+  async generateToneScores({ transcript, ticker, year, quarter, previousReport, promptContext, usedPrompts, signal }) {
+    const turnsBySection = {};
+    if (typeof transcript !== 'string') {
+      for (const section of TONE_SECTIONS) {
+        const turns = getManagementTurns(transcript, section);
+        if (turns.length > 0) {
+          turnsBySection[section] = turns;
+        }
+      }
+    }
+
+    const sections = Object.keys(turnsBySection);
+    if (sections.length === 0) {
+      console.log('ℹ️ 文字稿中没有可区分环节的管理层发言，跳过语气评分');
+      return null;
+    }
+
+    console.log(`🌡️ 正在为管理层语气评分（${sections.join(', ')}）...`);
+
+    // 两个环节平分一个分块的预算，超出时按固定间隔抽取发言
+    const formatExcerpt = section => turnsBySection[section]
+      ? sampleTurns(turnsBySection[section], Math.floor(this.chunkTokens / 2))
+        .map(turn => `${formatSpeakerLabel(turn)}: ${turn.text}`)
+        .join('\n\n')
+      : '(none)';
+
+    const prompt = this.renderPrompt('tone', {
+      TICKER: ticker.toUpperCase(),
+      YEAR: year,
+      QUARTER: quarter,
+      EXAMPLE: `{ "sections": [${sections.map(section => `{ "section": "${section}", "score": 60, "rationale": "..." }`).join(', ')}], "guidanceConfidence": { "score": 55, "rationale": "..." } }`,
+      PREPARED: formatExcerpt(SECTIONS.PREPARED),
+      QA: formatExcerpt(SECTIONS.QA)
+    }, promptContext, usedPrompts);
+
+    const { document: output } = await this.generateStructuredOutput(prompt, {
+      stage: LLM_STAGES.TONE,
+      signal,
+      label: 'tone',
+      repair: repairToneOutput,
+      validate: result => validateToneOutput(result, { sections })
+    });
+
+    // 模型对同一环节重复评分时取第一条
+    output.sections = sections.map(section => output.sections.find(item => item.section === section));
+
+    return buildToneScores({ output, turnsBySection, previousReport });
+  }
+
+  /**
+   * 对照文字稿评审摘要一致性（质量评分的模型评审部分）
+   * 文字稿超过单次调用预算时按固定间隔抽取发言作为节选
+   * @param {Object} params - 参数对象
+   * @param {string} params.script - 播客脚本（Markdown）
+   * @param {Object|string} params.transcript - 结构化文字稿（或纯文本）
+   * @param {string} params.ticker - 股票代码
+   * @param {string} params.year - 年份
+   * @param {string} params.quarter - 季度
+   * @param {string} params.language - 语言代码
+   * @param {Object} [params.company] - 公司资料（用于按行业选择模板）
+   * @param {AbortSignal} [params.signal] - 取消信号
+   * @returns {Promise<{ score: number, issues: Array<Object>, excerpt: boolean, attempts: number, prompt: Object }>} 评审结果
+   */
+  async judgeSummary({ script, transcript, ticker, year, quarter, language, company = null, signal = null }) {
+    console.log('⚖️ 正在对照文字稿评审摘要一致性...');
+
+    const promptContext = { language, ticker, sector: company?.sector || null };
+    const usedPrompts = new Map();
+    const transcriptText = flattenTranscript(transcript);
+    const tokens = estimateTokens(transcriptText);
+
+    let excerpt = transcriptText;
+    if (tokens > this.singlePassTokens) {
+      excerpt = typeof transcript === 'string'
+        ? transcriptText.slice(0, Math.floor(transcriptText.length * this.singlePassTokens / tokens))
+        : sampleTurns(transcript.turns, this.singlePassTokens).map(turn => `${formatSpeakerLabel(turn)}: ${turn.text}`).join('\n\n');
+    }
+
+    const prompt = this.renderPrompt('quality_judge', {
+      TICKER: ticker.toUpperCase(),
+      YEAR: year,
+      QUARTER: quarter,
+      EXAMPLE: '{ "score": 85, "issues": [{ "claim": "...", "problem": "..." }] }',
+      SCRIPT: script,
+      TRANSCRIPT: excerpt
+    }, promptContext, usedPrompts);
+
+    const { document: output, attempts } = await this.generateStructuredOutput(prompt, {
+      stage: LLM_STAGES.JUDGE,
+      signal,
+      label: 'judge',
+      repair: result => result,
+      validate: validateJudgeOutput
+    });
+
+    return {
+      score: output.score,
+      issues: output.issues,
+      excerpt: excerpt !== transcriptText,
+      attempts,
+      prompt: usedPrompts.get('quality_judge')
+    };
+  }
+
+  /**
+   * 将一组问答格式化为提示词中的文本块，例如 "[Q1] Erik Woodring (Analyst, Morgan Stanley): ..."
+   * @param {Object} exchange - 问答配对结果
+   * @returns {string} 文本块
+   */
+  formatQaExchange(exchange) {
+    const question = `[${exchange.id}] ${formatSpeakerLabel({ speaker: exchange.analyst, role: ROLES.ANALYST, firm: exchange.firm })}: ${exchange.question}`;
+    const answers = exchange.answers.length > 0
+      ? exchange.answers.map(answer => `${formatSpeakerLabel(answer)}: ${answer.text}`)
+      : ['(No answer from management)'];
+    return [question, ...answers].join('\n');
+  }
+
+  /**
+   * 将结构化摘要改写为主持人与分析师的对话
+   * @param {Object} params - 参数对象
+   * @param {Object} params.document - 结构化摘要
+   * @param {string} params.ticker - 股票代码
+   * @param {string} params.year - 年份
+   * @param {string} params.quarter - 季度
+   * @param {string} params.language - 语言代码
+   * @param {Object} params.promptContext - 提示词模板选择条件
+   * @param {Map} params.usedPrompts - 记录使用过的提示词模板
+   * @param {string} [params.glossary] - 术语说明
+   * @param {AbortSignal} params.signal - 取消信号
+   * @returns {Promise<{ turns: Array<Object>, attempts: number }>} 对话 [{ speaker, text }] 和请求次数
+   */
+  async generateDialogue({ document, ticker, year, quarter, language, promptContext, usedPrompts, glossary = '', signal }) {
+    console.log('🎭 正在将摘要改写为对话脚本...');
+
+    const prompt = this.withGlossary(this.buildDialoguePrompt(document, { ticker, year, quarter, promptContext, usedPrompts }), glossary);
+    const { document: dialogue, attempts } = await this.generateStructuredOutput(prompt, {
+      stage: LLM_STAGES.DIALOGUE,
+      signal,
+      label: 'dialogue',
+      repair: repairDialogue,
+      validate: validateDialogue
+    });
+
+    return { turns: dialogue.turns, attempts };
+  }
+
+  /**
+   * 构建对话脚本提示词
+   * @param {Object} document - 结构化摘要
+   * @param {Object} context - { ticker, year, quarter, promptContext, usedPrompts }
+   * @returns {string} 提示词
+   */
+  buildDialoguePrompt(document, { ticker, year, quarter, promptContext, usedPrompts }) {
+    const content = JSON.stringify({
+      headline: document.headline,
+      sections: document.sections.map(({ key, content }) => ({ key, content })),
+      keyMetrics: document.keyMetrics,
+      guidance: document.guidance,
+      quotes: document.quotes
+    }, null, 2);
+
+    return this.renderPrompt('dialogue', {
+      TICKER: ticker.toUpperCase(),
+      YEAR: year,
+      QUARTER: quarter,
+      HOST: DIALOGUE_SPEAKERS.HOST,
+      ANALYST: DIALOGUE_SPEAKERS.ANALYST,
+      EXAMPLE: `{ "turns": [{ "speaker": "${DIALOGUE_SPEAKERS.HOST}", "text": "..." }, { "speaker": "${DIALOGUE_SPEAKERS.ANALYST}", "text": "..." }] }`,
+      SUMMARY: content
+    }, promptContext, usedPrompts);
+  }
+
+  /**
+   * 选择提示词模板并填入变量，同时记录使用的模板名称、版本和哈希
+   * @param {string} name - 模板名称
+   * @param {Object} variables - 变量值
+   * @param {Object} context - 模板选择条件 { language, format, ticker, sector }
+   * @param {Map} [usedPrompts] - 记录使用过的模板
+   * @returns {string} 提示词
    */
-  getDefaultPromptTemplate(language) {
-    if (language === 'zh-CN') {
-      return `你是一位专业的财务分析师，请为以下财报电话会议内容生成一份高质量的中文播客脚本。
+  renderPrompt(name, variables, context, usedPrompts = null) {
+    const { prompt, template } = this.prompts.render(name, variables, context);
+    usedPrompts?.set(name, template);
+    return prompt;
+  }
+
+  /**
+   * 在提示词末尾附上术语说明
+   * @param {string} prompt - 提示词
+   * @param {string} glossary - 术语说明（buildGlossaryInstruction），为空时原样返回
+   * @returns {string} 提示词
+   */
+  withGlossary(prompt, glossary) {
+    return glossary ? `${prompt}\n\n${glossary}` : prompt;
+  }
+
+  /**
+   * 生成并校验结构化输出（默认为结构化摘要）
+   * 输出无法解析或未通过 Schema 校验时，把错误和上次输出一并发回模型要求修正，超过重试次数后抛出错误
+   * @param {string} prompt - 提示词（已包含结构化输出说明）
+   * @param {Object} [options] - 选项
+   * @param {string} [options.stage] - 流水线阶段 (LLM_STAGES)
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {string} [options.label] - 日志中显示的请求名称
+   * @param {Function} [options.repair] - 修复函数
+   * @param {Function} [options.validate] - 校验函数，返回错误列表
+   * @returns {Promise<{ document: Object, attempts: number }>} 校验通过的输出和请求次数
+   */
+  async generateStructuredOutput(prompt, {
+    stage = LLM_STAGES.SUMMARY,
+    signal = null,
+    label = stage,
+    repair = repairSummaryDocument,
+    validate = validateSummaryDocument
+  } = {}) {
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= this.schemaRetries + 1; attempt++) {
+      const output = await this.callModel(currentPrompt, { stage, signal, label, json: true });
+
+      let document = null;
+      try {
+        document = repair(parseJsonResponse(output));
+        errors = validate(document);
+      } catch (error) {
+        errors = [`Invalid JSON: ${error.message}`];
+      }
+
+      if (errors.length === 0) {
+        return { document, attempts: attempt };
+      }
 
-公司信息：
-- 股票代码：{TICKER}
-- 财报期间：{YEAR}年第{QUARTER}季度
+      console.warn(`⚠️ ${label} 输出未通过校验（第 ${attempt} 次）: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` 等 ${errors.length} 项` : ''}`);
 
-请按照以下结构生成播客脚本：
+      currentPrompt = `${prompt}
 
-## 📊 财报概览
-[简要介绍公司本季度的整体表现]
+Your previous response did not match the required JSON structure:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
 
-## 💰 关键财务数据
-[重点分析营收、利润、现金流等核心指标]
+Previous response:
+${output.slice(0, 6000)}
 
-## 🎯 业务亮点
-[突出本季度的主要成就和积极因素]
+Return the corrected JSON object only.`;
+    }
 
-## ⚠️ 风险与挑战
-[客观分析面临的困难和潜在风险]
+    throw new Error(`${label} output failed schema validation after ${this.schemaRetries + 1} attempts: ${errors.slice(0, 5).join('; ')}`);
+  }
 
-## 🔮 管理层展望
-[总结管理层对未来的预期和规划]
+  /**
+   * 调用大模型生成文本
+   * 模型、温度和最大输出 token 数按阶段由后端解析（见 LLMProvider.getStageConfig），
+   * 后端返回的 token 用量记录到 usage
+   * @param {string} prompt - 提示词
+   * @param {Object} [options] - 选项
+   * @param {string} [options.stage] - 流水线阶段 (LLM_STAGES)
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {string} [options.label] - 日志中显示的请求名称
+   * @param {boolean} [options.json] - 是否要求返回 JSON
+   * @returns {Promise<string>} 生成的文本
+   */
+  async callModel(prompt, { stage = LLM_STAGES.SUMMARY, signal = null, label = 'generateContent', json = false } = {}) {
+    const { text, model, usage } = await this.provider.generate(prompt, { stage, signal, label, json });
+    this.usage?.recordLLM({ provider: this.provider.type, model, stage, label, usage });
+    return text;
+  }
 
-## 📈 投资要点
-[为投资者提供关键的投资参考信息]
+  /**
+   * 构建公司信息行（名称、行业、交易所、市值），让模型使用正确的公司名称
+   * @param {Object|null} company - 公司资料
+   * @param {string} language - 语言代码
+   * @returns {string} 以换行开头的信息行，无资料时返回空字符串
+   */
+  buildCompanySection(company, language) {
+    if (!company) {
+      return '';
+    }
 
-要求：
-1. 语言简洁明了，适合播客收听
-2. 重点突出，避免冗余信息
-3. 客观中性，不提供投资建议
-4. 控制在800-1200字之间
-5. 使用专业但易懂的财务术语
+    const isChinese = language.startsWith('zh');
+    const lines = [];
+    const chineseName = isTraditionalChinese(language) ? (company.nameZhTw || company.nameZh) : company.nameZh;
 
-财报文字稿内容：
-{TRANSCRIPT}`;
+    if (isChinese) {
+      lines.push(`- 公司名称：${chineseName ? `${chineseName}（${company.name}）` : company.name}`);
+      if (company.sector) lines.push(`- 所属行业：${company.sector}`);
+      if (company.exchange) lines.push(`- 上市交易所：${company.exchange}`);
+      if (company.marketCap) lines.push(`- 市值：${this.formatUsd(company.marketCap, language)}`);
     } else {
-      return `You are a professional financial analyst. Please generate a high-quality English podcast script for the following earnings call transcript.
+      lines.push(`- Company: ${company.name}`);
+      if (company.sector) lines.push(`- Sector: ${company.sector}`);
+      if (company.exchange) lines.push(`- Exchange: ${company.exchange}`);
+      if (company.marketCap) lines.push(`- Market Cap: ${this.formatUsd(company.marketCap, language)}`);
+    }
 
-Company Information:
-- Ticker: {TICKER}
-- Period: Q{QUARTER} {YEAR}
+    return `\n${lines.join('\n')}`;
+  }
 
-Please structure the podcast script as follows:
+  /**
+   * 构建一致预期数据段落，供"关键财务数据"部分引用真实的超预期幅度
+   * @param {Object|null} earningsSurprise - 业绩与一致预期对比
+   * @param {string} language - 语言代码
+   * @returns {string} 提示词段落，无数据时给出不要臆测的说明
+   */
+  buildConsensusSection(earningsSurprise, language) {
+    const isChinese = language.startsWith('zh');
+    const lines = [];
 
-## 📊 Earnings Overview
-[Brief introduction to the company's overall performance this quarter]
+    const describe = (label, data, formatValue) => {
+      if (!data) return;
+      const direction = data.surprise > 0
+        ? (isChinese ? '超出预期' : 'beat')
+        : data.surprise < 0 ? (isChinese ? '低于预期' : 'missed') : (isChinese ? '符合预期' : 'in line');
+      const percent = data.surprisePercent === null ? '' : ` ${Math.abs(data.surprisePercent).toFixed(1)}%`;
+      lines.push(isChinese
+        ? `- ${label}：实际 ${formatValue(data.actual)}，一致预期 ${formatValue(data.estimate)}，${direction}${percent}`
+        : `- ${label}: actual ${formatValue(data.actual)} vs consensus ${formatValue(data.estimate)}, ${direction}${percent ? ` by${percent}` : ''}`);
+    };
+
+    describe('EPS', earningsSurprise?.eps, value => `$${Number(value).toFixed(2)}`);
+    describe(isChinese ? '营收' : 'Revenue', earningsSurprise?.revenue, value => this.formatUsd(value, language));
 
-## 💰 Key Financial Metrics
-[Focus on revenue, profit, cash flow and other core indicators]
+    if (lines.length === 0) {
+      return isChinese
+        ? '市场一致预期：暂无数据。请勿凭记忆给出预期值或超预期幅度。'
+        : 'Consensus estimates: not available. Do not state consensus figures or beat/miss margins from memory.';
+    }
 
-## 🎯 Business Highlights
-[Highlight major achievements and positive factors this quarter]
+    return isChinese
+      ? `市场一致预期（请在"关键财务数据"部分直接引用以下数据说明超预期或不及预期的幅度，不要使用其他来源的预期值）：\n${lines.join('\n')}`
+      : `Consensus estimates (cite these figures in "Key Financial Metrics" for beat/miss margins; do not use estimates from other sources):\n${lines.join('\n')}`;
+  }
+
+  /**
+   * 构建财报后股价反应段落
+   * @param {Object|null} priceReaction - 股价反应
+   * @param {string} language - 语言代码
+   * @returns {string} 提示词段落，无数据时给出不要臆测的说明
+   */
+  buildPriceReactionSection(priceReaction, language) {
+    const isChinese = language.startsWith('zh');
 
-## ⚠️ Risks and Challenges
-[Objectively analyze difficulties and potential risks]
+    if (!priceReaction?.nextDay) {
+      return isChinese
+        ? '财报后股价表现：暂无数据。请勿描述或猜测财报后的股价涨跌。'
+        : 'Post-earnings stock reaction: not available. Do not describe or guess the stock move after the report.';
+    }
 
-## 🔮 Management Outlook
-[Summarize management's expectations and plans for the future]
+    const { priorClose, nextDay, fiveDay } = priceReaction;
+    const lines = isChinese
+      ? [
+        `- 发布前收盘价（${priorClose.date}）：$${priorClose.close.toFixed(2)}`,
+        `- 首个交易日（${nextDay.date}）：开盘 $${nextDay.open.toFixed(2)}（${formatPercent(nextDay.gapPercent)}），收盘 $${nextDay.close.toFixed(2)}（${formatPercent(nextDay.changePercent)}）`,
+        fiveDay
+          ? `- 5个交易日累计（至 ${fiveDay.date}）：${formatPercent(fiveDay.changePercent)}`
+          : '- 5个交易日累计：尚未满5个交易日，请勿推测'
+      ]
+      : [
+        `- Prior close (${priorClose.date}): $${priorClose.close.toFixed(2)}`,
+        `- First trading day (${nextDay.date}): open $${nextDay.open.toFixed(2)} (${formatPercent(nextDay.gapPercent)}), close $${nextDay.close.toFixed(2)} (${formatPercent(nextDay.changePercent)})`,
+        fiveDay
+          ? `- 5-day move (through ${fiveDay.date}): ${formatPercent(fiveDay.changePercent)}`
+          : '- 5-day move: fewer than 5 trading days have passed, do not speculate'
+      ];
 
-## 📈 Investment Takeaways
-[Provide key investment reference information for investors]
+    return isChinese
+      ? `财报后股价表现（涨跌幅相对发布前收盘价）：\n${lines.join('\n')}`
+      : `Post-earnings stock reaction (changes vs. prior close):\n${lines.join('\n')}`;
+  }
 
-Requirements:
-1. Clear and concise language suitable for podcast listening
-2. Focus on key points, avoid redundant information
-3. Objective and neutral, do not provide investment advice
-4. Keep between 800-1200 words
-5. Use professional but understandable financial terminology
+  /**
+   * 构建往期财报数据段落（关键指标和业绩指引），供"与上季度相比"小节对比
+   * @param {Array<Object>} priorReports - 往期财报（由近到远，含 summaryData）
+   * @param {string} language - 语言代码
+   * @returns {string} 提示词段落，无数据时给出省略对比小节的说明
+   */
+  buildPriorQuartersSection(priorReports, language) {
+    const isChinese = language.startsWith('zh');
 
-Earnings transcript content:
-{TRANSCRIPT}`;
+    if (priorReports.length === 0) {
+      return isChinese
+        ? '往期财报数据：暂无。请省略"与上季度相比"小节，不要凭记忆描述往期业绩。'
+        : 'Prior quarter data: not available. Omit the "Versus Last Quarter" section and do not describe earlier quarters from memory.';
     }
+
+    const blocks = priorReports.map(({ year, quarter, summaryData }) => {
+      const metrics = summaryData.keyMetrics.map(metric => {
+        const change = formatMetricChange(metric);
+        return `${metric.name} ${formatMetricValue(metric, language)}${change === '-' ? '' : ` ${change}`}`;
+      });
+      const guidance = (summaryData.guidance || []).map(item => {
+        const range = formatGuidanceRange(item, language);
+        const label = [item.metric, item.period].filter(Boolean).join(' · ');
+        return `${label}${range ? `${isChinese ? '：' : ': '}${range}` : ''} — ${item.text}`;
+      });
+      const none = isChinese ? '无' : 'none';
+
+      return isChinese
+        ? `${year}年第${quarter}季度：\n- 关键指标：${metrics.join('；') || none}\n- 业绩指引：${guidance.join('；') || none}`
+        : `Q${quarter} ${year}:\n- Key metrics: ${metrics.join('; ') || none}\n- Guidance: ${guidance.join('; ') || none}`;
+    });
+
+    return isChinese
+      ? `往期财报数据（来自此前各期节目的结构化摘要，由近到远；请在"与上季度相比"小节中与最近一期对比，说明哪些指标增速加快、哪些放缓，并逐项说明上季度给出的业绩指引是否兑现）：\n${blocks.join('\n')}`
+      : `Prior quarter data (from the structured summaries of earlier episodes, most recent first; in "Versus Last Quarter", compare with the most recent quarter, note which metrics accelerated or decelerated, and check each piece of last quarter's guidance against this quarter's results):\n${blocks.join('\n')}`;
   }
 
   /**
-   * 验证摘要质量
-   * @param {string} summary - 生成的摘要
+   * 格式化美元金额（中文使用"亿美元"，英文使用 B/M）
+   * @param {number} value - 金额（美元）
    * @param {string} language - 语言代码
+   * @returns {string} 格式化后的金额
    */
-  validateSummary(summary, language) {
+  formatUsd(value, language) {
+    return formatUsdAmount(value, language);
+  }
+
+  /**
+   * 验证摘要质量（结构已由 Schema 保证，这里只检查篇幅和关键数据）
+   * @param {Object} document - 结构化摘要
+   * @param {string} speechText - 朗读文本
+   * @param {string} [variant] - 节目长度版本，篇幅上下限按标准版等比例缩放
+   */
+  validateSummary(document, speechText, variant = EPISODE_VARIANTS.STANDARD) {
+    const scale = getVariantSpec(variant).chars[1] / VARIANT_SPECS[EPISODE_VARIANTS.STANDARD].chars[1];
+
     // 检查长度
-    if (summary.length < 500) {
+    if (speechText.length < 500 * scale) {
       console.warn('⚠️ 生成的摘要可能过短');
     }
     
-    if (summary.length > 5000) {
+    if (speechText.length > 5000 * scale) {
       console.warn('⚠️ 生成的摘要可能过长');
     }
 
-    // 检查是否包含关键部分
-    const requiredSections = language === 'zh-CN' 
-      ? ['财报概览', '关键财务', '业务亮点', '风险', '展望']
-      : ['Overview', 'Financial', 'Highlights', 'Risk', 'Outlook'];
-    
-    const missingSections = requiredSections.filter(section => 
-      !summary.toLowerCase().includes(section.toLowerCase())
-    );
-    
-    if (missingSections.length > 2) {
-      console.warn(`⚠️ 摘要可能缺少关键部分: ${missingSections.join(', ')}`);
+    if (document.keyMetrics.length === 0) {
+      console.warn('⚠️ 摘要未提取到关键财务指标');
     }
   }
 
   /**
-   * 获取模型信息
+   * 获取模型信息（后端及各阶段实际使用的模型、温度和最大输出 token 数）
    * @returns {Object} 模型信息
    */
   getModelInfo() {
-    return {
-      provider: 'Google',
-      model: 'gemini-1.5-pro',
-      maxTokens: 4096,
-      temperature: 0.3
-    };
+    return this.provider.getInfo();
   }
 }
\ No newline at end of file
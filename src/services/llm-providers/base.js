@@ -0,0 +1,147 @@
+/**
+ * 大模型后端基类模块
+ * 功能：定义所有大模型后端共同遵守的接口，并按流水线阶段解析模型、温度和最大输出 token 数
+ */
+
+/**
+ * 支持的大模型后端
+ */
+export const LLM_PROVIDERS = {
+  GEMINI: 'gemini',
+  OPENAI: 'openai',
+  MOCK: 'mock'
+};
+
+/**
+ * 使用大模型的流水线阶段
+ */
+export const LLM_STAGES = {
+  // 分块整理会议笔记（map）
+  NOTES: 'notes',
+  // 生成结构化摘要（单次生成或笔记合成）
+  SUMMARY: 'summary',
+  // 将摘要改写为主持人与分析师的对话脚本
+  DIALOGUE: 'dialogue',
+  // 概括问答环节的分析师提问和管理层回答
+  QA: 'qa',
+  // 管理层语气和指引信心评分
+  TONE: 'tone',
+  // 质量评分时对照文字稿评审摘要一致性
+  JUDGE: 'judge',
+  // 合规检查发现投资建议用语时改写命中的文字
+  COMPLIANCE: 'compliance'
+};
+
+/**
+ * 各阶段默认参数，可通过环境变量 LLM_<STAGE>_MODEL / LLM_<STAGE>_TEMPERATURE / LLM_<STAGE>_MAX_TOKENS 覆盖
+ */
+export const STAGE_DEFAULTS = {
+  [LLM_STAGES.NOTES]: { temperature: 0.2, maxOutputTokens: 1024 },
+  [LLM_STAGES.SUMMARY]: { temperature: 0.3, maxOutputTokens: 4096 },
+  [LLM_STAGES.DIALOGUE]: { temperature: 0.6, maxOutputTokens: 4096 },
+  [LLM_STAGES.QA]: { temperature: 0.2, maxOutputTokens: 4096 },
+  [LLM_STAGES.TONE]: { temperature: 0, maxOutputTokens: 1024 },
+  [LLM_STAGES.JUDGE]: { temperature: 0, maxOutputTokens: 2048 },
+  [LLM_STAGES.COMPLIANCE]: { temperature: 0, maxOutputTokens: 2048 },
+  default: { temperature: 0.3, maxOutputTokens: 4096 }
+};
+
+/**
+ * 读取数值型环境变量，未设置或无法解析时返回 undefined
+ * @param {string} name - 变量名
+ * @returns {number|undefined}
+ */
+function readNumberEnv(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * 大模型后端接口
+ * 子类实现 complete，返回 { text, usage }
+ */
+export class LLMProvider {
+  /**
+   * @param {string} type - 后端类型 (LLM_PROVIDERS)
+   * @param {Object} options - 配置
+   * @param {string} options.model - 默认模型
+   * @param {Object} [options.stages] - 按阶段覆盖的参数 { [stage]: { model, temperature, maxOutputTokens } }
+   */
+  constructor(type, { model, stages = {} }) {
+    this.type = type;
+    this.model = model;
+    this.stages = stages;
+  }
+
+  /**
+   * 解析某个阶段使用的参数
+   * 优先级：构造参数 stages > 环境变量 LLM_<STAGE>_* > 阶段默认值；模型默认为后端的默认模型
+   * @param {string} stage - 阶段 (LLM_STAGES)
+   * @returns {{ model: string, temperature: number, maxOutputTokens: number }}
+   */
+  getStageConfig(stage) {
+    const prefix = `LLM_${stage.toUpperCase()}`;
+    const defaults = STAGE_DEFAULTS[stage] || STAGE_DEFAULTS.default;
+    const overrides = this.stages[stage] || {};
+
+    return {
+      model: overrides.model || process.env[`${prefix}_MODEL`] || this.model,
+      temperature: overrides.temperature ?? readNumberEnv(`${prefix}_TEMPERATURE`) ?? defaults.temperature,
+      maxOutputTokens: overrides.maxOutputTokens ?? readNumberEnv(`${prefix}_MAX_TOKENS`) ?? defaults.maxOutputTokens
+    };
+  }
+
+  /**
+   * 按阶段参数生成文本
+   * @param {string} prompt - 提示词
+   * @param {Object} [options] - 选项
+   * @param {string} [options.stage] - 阶段 (LLM_STAGES)
+   * @param {boolean} [options.json] - 是否要求返回 JSON
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {string} [options.label] - 日志中显示的请求名称
+   * @returns {Promise<{ text: string, model: string, usage: { inputTokens: number, outputTokens: number }|null }>}
+   */
+  async generate(prompt, { stage = LLM_STAGES.SUMMARY, json = false, signal = null, label = stage } = {}) {
+    const config = this.getStageConfig(stage);
+    const { text, usage = null } = await this.complete({ prompt, stage, ...config, json, signal, label });
+
+    if (typeof text !== 'string') {
+      throw new Error(`${this.type} returned no text for ${label}`);
+    }
+
+    return { text, model: config.model, usage };
+  }
+
+  /**
+   * 由子类实现：调用模型
+   * @param {Object} params - 参数对象
+   * @param {string} params.prompt - 提示词
+   * @param {string} params.stage - 阶段
+   * @param {string} params.model - 模型
+   * @param {number} params.temperature - 温度
+   * @param {number} params.maxOutputTokens - 最大输出 token 数
+   * @param {boolean} params.json - 是否要求返回 JSON
+   * @param {AbortSignal} params.signal - 取消信号
+   * @param {string} params.label - 请求名称
+   * @returns {Promise<{ text: string, usage?: Object }>}
+   */
+  async complete(params) {
+    throw new Error(`${this.constructor.name} must implement complete()`);
+  }
+
+  /**
+   * 获取后端和各阶段实际使用的模型参数
+   * @returns {Object} 模型信息
+   */
+  getInfo() {
+    return {
+      provider: this.type,
+      model: this.model,
+      stages: Object.fromEntries(Object.values(LLM_STAGES).map(stage => [stage, this.getStageConfig(stage)]))
+    };
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Gemini 大模型后端模块
+ * 功能：通过 Google Generative AI SDK 调用 Gemini 模型
+ */
+
+import { LLMProvider, LLM_PROVIDERS } from './base.js';
+import { getRateLimiter } from '../../utils/rate-limiter.js';
+import { abortable, DEFAULT_TIMEOUT } from '../../utils/http-client.js';
+
+const SAFETY_SETTINGS = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT'
+].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }));
+
+export class GeminiLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.apiKey - Gemini API 密钥
+   * @param {string} [options.model] - 默认模型，默认读取 GEMINI_MODEL
+   * @param {Object} [options.stages] - 按阶段覆盖的参数
+   */
+  constructor({ apiKey, model = process.env.GEMINI_MODEL || 'gemini-1.5-pro', stages = {} }) {
+    if (!apiKey) {
+      throw new Error('Gemini API key is required');
+    }
+
+    super(LLM_PROVIDERS.GEMINI, { model, stages });
+    this.apiKey = apiKey;
+    this.genAI = null;
+    this.models = new Map();
+    this.limiter = getRateLimiter('gemini');
+    // 摘要生成耗时较长，单次请求超时至少2分钟
+    this.timeout = Math.max(DEFAULT_TIMEOUT, 120000);
+  }
+
+  /**
+   * 获取（并缓存）模型实例
+   * Gemini SDK 仅在首次调用时加载，使用 openai / mock 后端时不需要安装
+   * @param {string} name - 模型名称
+   * @returns {Promise<Object>} GenerativeModel
+   */
+  async getModel(name) {
+    if (!this.genAI) {
+      const { GoogleGenerativeAI } = await import('@google/generative-ai');
+      this.genAI = new GoogleGenerativeAI(this.apiKey);
+    }
+    if (!this.models.has(name)) {
+      this.models.set(name, this.genAI.getGenerativeModel({ model: name }));
+    }
+    return this.models.get(name);
+  }
+
+  /**
+   * 调用 Gemini 生成文本
+   * 限流、429/5xx 重试和熔断由共享限流器处理，
+   * 单次请求超时和取消信号同时交给SDK和 abortable，确保取消后立即返回
+   * @param {Object} params - 参数对象（见 LLMProvider.complete）
+   * @returns {Promise<{ text: string, usage: Object|null }>}
+   */
+  async complete({ prompt, model, temperature, maxOutputTokens, json, signal, label }) {
+    const generativeModel = await this.getModel(model);
+    const result = await this.limiter.schedule(() => abortable(generativeModel.generateContent({
+      contents: [{
+        role: 'user',
+        parts: [{ text: prompt }]
+      }],
+      generationConfig: {
+        temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens,
+        ...(json ? { responseMimeType: 'application/json' } : {})
+      },
+      safetySettings: SAFETY_SETTINGS
+    }, { timeout: this.timeout, signal }), signal), { label, signal });
+
+    const response = await result.response;
+    const usage = response.usageMetadata;
+
+    return {
+      text: response.text(),
+      usage: usage
+        ? { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 }
+        : null
+    };
+  }
+}
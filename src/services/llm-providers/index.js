@@ -0,0 +1,31 @@
+/**
+ * 大模型后端模块
+ * 功能：根据 --llm 参数或 LLM_PROVIDER 环境变量创建对应的大模型后端
+ */
+
+import { LLM_PROVIDERS } from './base.js';
+import { GeminiLLMProvider } from './gemini.js';
+import { OpenAICompatibleLLMProvider } from './openai.js';
+import { MockLLMProvider } from './mock.js';
+
+export { LLMProvider, LLM_PROVIDERS, LLM_STAGES, STAGE_DEFAULTS } from './base.js';
+export { GeminiLLMProvider, OpenAICompatibleLLMProvider, MockLLMProvider };
+
+/**
+ * 创建大模型后端
+ * @param {string} [provider] - 后端类型 (gemini, openai, mock)，默认读取 LLM_PROVIDER，未设置时为 gemini
+ * @param {Object} [options] - 传给对应后端构造函数的配置（如 apiKey、model、stages）
+ * @returns {import('./base.js').LLMProvider} 大模型后端
+ */
+export function createLLMProvider(provider = process.env.LLM_PROVIDER || LLM_PROVIDERS.GEMINI, options = {}) {
+  switch (provider) {
+    case LLM_PROVIDERS.GEMINI:
+      return new GeminiLLMProvider({ apiKey: process.env.GEMINI_API_KEY, ...options });
+    case LLM_PROVIDERS.OPENAI:
+      return new OpenAICompatibleLLMProvider(options);
+    case LLM_PROVIDERS.MOCK:
+      return new MockLLMProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider: ${provider} (supported: ${Object.values(LLM_PROVIDERS).join(', ')})`);
+  }
+}
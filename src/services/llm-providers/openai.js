@@ -0,0 +1,75 @@
+/**
+ * OpenAI 兼容大模型后端模块
+ * 功能：调用 OpenAI 兼容的 /chat/completions 接口（OpenAI、vLLM、Ollama、LM Studio 等自托管模型）
+ */
+
+import { LLMProvider, LLM_PROVIDERS } from './base.js';
+import { HttpClient, DEFAULT_TIMEOUT } from '../../utils/http-client.js';
+
+export class OpenAICompatibleLLMProvider extends LLMProvider {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} [options.baseUrl] - 接口地址，默认读取 OPENAI_BASE_URL
+   * @param {string} [options.apiKey] - API 密钥，自托管服务可不填
+   * @param {string} [options.model] - 默认模型，默认读取 OPENAI_MODEL
+   * @param {boolean} [options.jsonMode] - 是否发送 response_format（部分自托管服务不支持）
+   * @param {Object} [options.stages] - 按阶段覆盖的参数
+   */
+  constructor({
+    baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL,
+    jsonMode = process.env.OPENAI_JSON_MODE !== 'false',
+    stages = {}
+  } = {}) {
+    if (!model) {
+      throw new Error('OpenAI-compatible model is required (set OPENAI_MODEL)');
+    }
+
+    super(LLM_PROVIDERS.OPENAI, { model, stages });
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.jsonMode = jsonMode;
+    this.http = new HttpClient({
+      provider: 'openai',
+      baseUrl: this.baseUrl,
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+      // 摘要生成耗时较长，单次请求超时至少2分钟
+      timeout: Math.max(DEFAULT_TIMEOUT, 120000)
+    });
+  }
+
+  /**
+   * 调用 chat completions 接口生成文本
+   * @param {Object} params - 参数对象（见 LLMProvider.complete）
+   * @returns {Promise<{ text: string, usage: Object|null }>}
+   */
+  async complete({ prompt, model, temperature, maxOutputTokens, json, signal }) {
+    const data = await this.http.request('/chat/completions', {
+      method: 'POST',
+      body: {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxOutputTokens,
+        ...(json && this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+      },
+      signal,
+      errorMessages: {
+        401: 'OpenAI-compatible API key is invalid',
+        404: `Model ${model} not found at ${this.baseUrl}`
+      }
+    });
+
+    const choice = data.choices?.[0];
+    if (choice?.finish_reason === 'length') {
+      console.warn(`⚠️ ${model} 输出达到 max_tokens 上限，结果可能被截断`);
+    }
+
+    return {
+      text: choice?.message?.content,
+      usage: data.usage
+        ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 }
+        : null
+    };
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * 行情数据来源模块
+ * 功能：提供日K线数据，支持 Finnhub 接口和本地K线文件（离线测试与回放）两种来源，
+ *       并据此计算财报后的股价反应
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseCsv } from '../utils/earnings-calendar.js';
+import { computePriceReaction, resolveReportTiming } from '../utils/price-reaction.js';
+
+/**
+ * 支持的行情来源
+ */
+export const PRICE_SOURCES = {
+  FINNHUB: 'finnhub',
+  FIXTURE: 'fixture'
+};
+
+// 反应日前后各取的自然日天数，覆盖周末和节假日
+const DAYS_BEFORE = 10;
+const DAYS_AFTER = 14;
+
+/**
+ * Finnhub 日K线来源
+ */
+export class FinnhubCandleProvider {
+  /**
+   * @param {Object} options - 配置
+   * @param {import('./finnhub.js').FinnhubService} options.finnhub - Finnhub 服务
+   */
+  constructor({ finnhub }) {
+    if (!finnhub) {
+      throw new Error('Finnhub service is required');
+    }
+
+    this.type = PRICE_SOURCES.FINNHUB;
+    this.finnhub = finnhub;
+  }
+
+  /**
+   * 获取日K线
+   * @param {Object} params - { symbol, from, to, signal }
+   * @returns {Promise<Array<Object>>} K线
+   */
+  async getDailyCandles(params) {
+    return this.finnhub.getDailyCandles(params);
+  }
+}
+
+/**
+ * 本地K线文件来源
+ * CSV 列: date,open,high,low,close,volume（可选 symbol 列）；
+ * JSON 可以是K线数组，也可以是 { "AAPL": [K线...] } 形式的按代码分组对象
+ */
+export class FixtureCandleProvider {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.filePath - K线文件路径 (.csv 或 .json)
+   */
+  constructor({ filePath }) {
+    if (!filePath) {
+      throw new Error('Candle fixture path is required');
+    }
+
+    this.type = PRICE_SOURCES.FIXTURE;
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * 读取并筛选指定区间的日K线
+   * @param {Object} params - 参数对象
+   * @param {string} params.symbol - 股票代码
+   * @param {string} params.from - 开始日期 (YYYY-MM-DD)
+   * @param {string} params.to - 结束日期 (YYYY-MM-DD)
+   * @returns {Promise<Array<Object>>} K线
+   */
+  async getDailyCandles({ symbol, from, to }) {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf-8');
+      const extension = path.extname(this.filePath).toLowerCase();
+      const ticker = symbol.toUpperCase();
+      let records;
+
+      if (extension === '.csv') {
+        records = parseCsv(content).filter(record => !record.symbol || record.symbol.toUpperCase() === ticker);
+      } else if (extension === '.json') {
+        const data = JSON.parse(content);
+        records = Array.isArray(data) ? data : (data[ticker] || []);
+      } else {
+        throw new Error(`Unsupported candle fixture format: ${extension}`);
+      }
+
+      return records
+        .map(record => ({
+          date: String(record.date).slice(0, 10),
+          open: Number(record.open),
+          high: Number(record.high),
+          low: Number(record.low),
+          close: Number(record.close),
+          volume: Number(record.volume) || 0
+        }))
+        .filter(candle => candle.date >= from && candle.date <= to)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    } catch (error) {
+      console.error(`❌ 读取K线文件失败:`, error.message);
+      throw error;
+    }
+  }
+}
+
+/**
+ * 创建行情来源
+ * @param {string} source - 来源类型 (finnhub, fixture)
+ * @param {Object} options - 配置
+ * @param {import('./finnhub.js').FinnhubService} [options.finnhub] - Finnhub 服务
+ * @param {string} [options.filePath] - K线文件路径 (fixture)
+ * @returns {FinnhubCandleProvider|FixtureCandleProvider} 行情来源
+ */
+export function createCandleProvider(source, { finnhub = null, filePath = null } = {}) {
+  switch (source) {
+    case PRICE_SOURCES.FINNHUB:
+      return new FinnhubCandleProvider({ finnhub });
+    case PRICE_SOURCES.FIXTURE:
+      return new FixtureCandleProvider({ filePath });
+    default:
+      throw new Error(`Unknown price source: ${source} (supported: ${Object.values(PRICE_SOURCES).join(', ')})`);
+  }
+}
+
+/**
+ * 日期加减天数
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - 天数
+ * @returns {string} YYYY-MM-DD
+ */
+function shiftDate(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * 获取财报后股价反应
+ * @param {Object} params - 参数对象
+ * @param {FinnhubCandleProvider|FixtureCandleProvider} params.provider - 行情来源
+ * @param {string} params.symbol - 股票代码
+ * @param {string} params.reportDate - 财报发布日期，可带时间 (YYYY-MM-DD[ HH:mm:ss])
+ * @param {string} [params.reportHour] - 财报日历中的发布时段 (bmo/amc)
+ * @param {AbortSignal} [params.signal] - 取消信号
+ * @returns {Promise<Object|null>} 股价反应（含 symbol 和 source），缺少K线时返回 null
+ */
+export async function getPriceReaction({ provider, symbol, reportDate, reportHour = null, signal = null }) {
+  const date = reportDate.slice(0, 10);
+  const timing = resolveReportTiming({ hour: reportHour, datetime: reportDate });
+
+  const candles = await provider.getDailyCandles({
+    symbol,
+    from: shiftDate(date, -DAYS_BEFORE),
+    to: shiftDate(date, DAYS_AFTER),
+    signal
+  });
+
+  const reaction = computePriceReaction({ candles, reportDate: date, timing });
+
+  if (!reaction) {
+    return null;
+  }
+
+  return {
+    symbol: symbol.toUpperCase(),
+    source: provider.type,
+    ...reaction
+  };
+}
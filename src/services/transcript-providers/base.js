@@ -0,0 +1,69 @@
+/**
+ * 文字稿来源基类模块
+ * 功能：定义所有文字稿来源共同遵守的接口，并统一补充来源信息
+ */
+
+/**
+ * 支持的文字稿来源
+ */
+export const TRANSCRIPT_SOURCES = {
+  FINNHUB: 'finnhub',
+  FILE: 'file',
+  YOUTUBE: 'youtube'
+};
+
+/**
+ * 文字稿来源接口
+ * 子类实现 fetchTranscript，返回 createTranscript 生成的结构化文字稿
+ */
+export class TranscriptProvider {
+  /**
+   * @param {string} type - 来源类型 (TRANSCRIPT_SOURCES)
+   */
+  constructor(type) {
+    this.type = type;
+  }
+
+  /**
+   * 获取结构化文字稿，并附加来源信息
+   * @param {Object} params - 参数对象
+   * @param {string} params.symbol - 股票代码
+   * @param {number} params.year - 年份
+   * @param {number} params.quarter - 季度
+   * @param {string} [params.callId] - 电话会议ID（仅部分来源使用）
+   * @param {AbortSignal} [params.signal] - 取消信号
+   * @returns {Promise<Object|null>} 结构化文字稿，来源中没有该期间时返回 null
+   */
+  async getTranscript(params) {
+    const result = await this.fetchTranscript(params);
+
+    if (!result) {
+      return null;
+    }
+
+    const { transcript, reference, details = {} } = result;
+
+    if (!transcript.turns || transcript.turns.length === 0) {
+      throw new Error(`${this.type} transcript is empty`);
+    }
+
+    return {
+      ...transcript,
+      source: {
+        type: this.type,
+        reference,
+        retrievedAt: new Date().toISOString(),
+        ...details
+      }
+    };
+  }
+
+  /**
+   * 由子类实现：读取文字稿
+   * @param {Object} params - 同 getTranscript
+   * @returns {Promise<{ transcript: Object, reference: string, details?: Object }|null>}
+   */
+  async fetchTranscript(params) {
+    throw new Error(`${this.constructor.name} must implement fetchTranscript()`);
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * 本地文件文字稿来源模块
+ * 功能：读取本地 txt / JSON / VTT 格式的电话会议文字稿
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { TranscriptProvider, TRANSCRIPT_SOURCES } from './base.js';
+import {
+  ROLES,
+  SECTIONS,
+  classifyRole,
+  splitTitleAndFirm,
+  normalizeTurns,
+  parseTranscriptText,
+  parseVttText,
+  createTranscript
+} from '../../utils/transcript.js';
+
+const SUPPORTED_EXTENSIONS = ['.txt', '.json', '.vtt'];
+
+export class FileTranscriptProvider extends TranscriptProvider {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.filePath - 文字稿文件路径
+   * @param {import('../finnhub.js').FinnhubService} [options.finnhub] - 用于解析 Finnhub 接口原始JSON
+   */
+  constructor({ filePath, finnhub = null }) {
+    super(TRANSCRIPT_SOURCES.FILE);
+
+    if (!filePath) {
+      throw new Error('Transcript file path is required');
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      throw new Error(`Unsupported transcript file type: ${extension || filePath} (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`);
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.extension = extension;
+    this.finnhub = finnhub;
+  }
+
+  async fetchTranscript({ symbol, year, quarter }) {
+    try {
+      console.log(`📂 正在读取本地文字稿: ${this.filePath}`);
+
+      const content = await fs.readFile(this.filePath, 'utf-8');
+      const period = { symbol, year, quarter };
+      let transcript;
+
+      if (this.extension === '.json') {
+        transcript = this.parseJson(JSON.parse(content), period);
+      } else if (this.extension === '.vtt') {
+        transcript = createTranscript({ ...period, turns: parseVttText(content) });
+      } else {
+        transcript = createTranscript({ ...period, turns: parseTranscriptText(content) });
+      }
+
+      return {
+        transcript,
+        reference: this.filePath,
+        details: { format: this.extension.slice(1) }
+      };
+
+    } catch (error) {
+      console.error(`❌ 读取本地文字稿失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 解析JSON文字稿，支持三种格式：
+   * 本项目导出的结构化文字稿（含 turns）、Finnhub 接口原始返回（含 transcript）、
+   * 以及 [{ speaker, text, title?, section? }] 形式的发言数组
+   * @param {Object|Array} data - JSON 数据
+   * @param {Object} period - 命令行指定的期间 { symbol, year, quarter }
+   * @returns {Object} 结构化文字稿
+   */
+  parseJson(data, period) {
+    if (!Array.isArray(data) && data.transcript !== undefined) {
+      if (!this.finnhub) {
+        throw new Error('Finnhub-format JSON requires a FinnhubService to parse');
+      }
+      return this.finnhub.parseTranscriptResponse(data, period);
+    }
+
+    const entries = Array.isArray(data) ? data : data.turns;
+    if (!Array.isArray(entries)) {
+      throw new Error('JSON transcript must contain a "turns" array');
+    }
+
+    const rawTurns = entries.map(entry => {
+      const speaker = (entry.speaker || entry.name || 'Unknown').trim();
+      const isKnownRole = Object.values(ROLES).includes(entry.role);
+      const role = isKnownRole
+        ? entry.role
+        : /^operator$/i.test(speaker) ? ROLES.OPERATOR : classifyRole(entry.title || '', entry.role);
+      const parsed = entry.firm !== undefined ? { title: entry.title, firm: entry.firm } : splitTitleAndFirm(entry.title || '', role);
+
+      return {
+        speaker,
+        role,
+        title: parsed.title,
+        firm: parsed.firm,
+        section: Object.values(SECTIONS).includes(entry.section) ? entry.section : null,
+        text: entry.text || ''
+      };
+    });
+
+    return createTranscript({
+      symbol: data.symbol || period.symbol,
+      year: data.year || period.year,
+      quarter: data.quarter || period.quarter,
+      callId: data.callId || null,
+      title: data.title || null,
+      date: data.date || null,
+      turns: normalizeTurns(rawTurns)
+    });
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Finnhub 文字稿来源模块
+ * 功能：通过 Finnhub 财报电话会议接口获取文字稿
+ */
+
+import { TranscriptProvider, TRANSCRIPT_SOURCES } from './base.js';
+
+export class FinnhubTranscriptProvider extends TranscriptProvider {
+  /**
+   * @param {Object} options - 配置
+   * @param {import('../finnhub.js').FinnhubService} options.finnhub - Finnhub 服务
+   */
+  constructor({ finnhub }) {
+    super(TRANSCRIPT_SOURCES.FINNHUB);
+
+    if (!finnhub) {
+      throw new Error('Finnhub service is required');
+    }
+
+    this.finnhub = finnhub;
+  }
+
+  async fetchTranscript({ symbol, year, quarter, callId = null, signal = null }) {
+    const transcript = await this.finnhub.getEarningsTranscript({ symbol, year, quarter, callId, signal });
+
+    if (!transcript) {
+      return null;
+    }
+
+    return {
+      transcript,
+      reference: transcript.callId || `${symbol.toUpperCase()} ${year}Q${quarter}`
+    };
+  }
+}
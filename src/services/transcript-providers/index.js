@@ -0,0 +1,33 @@
+/**
+ * 文字稿来源模块
+ * 功能：根据 --source 参数创建对应的文字稿来源
+ */
+
+import { TRANSCRIPT_SOURCES } from './base.js';
+import { FinnhubTranscriptProvider } from './finnhub.js';
+import { FileTranscriptProvider } from './file.js';
+import { YouTubeTranscriptProvider } from './youtube.js';
+
+export { TranscriptProvider, TRANSCRIPT_SOURCES } from './base.js';
+export { FinnhubTranscriptProvider, FileTranscriptProvider, YouTubeTranscriptProvider };
+
+/**
+ * 创建文字稿来源
+ * @param {string} source - 来源类型 (finnhub, file, youtube)
+ * @param {Object} options - 配置
+ * @param {import('../finnhub.js').FinnhubService} [options.finnhub] - Finnhub 服务
+ * @param {string} [options.input] - 文件路径 (file) 或视频URL (youtube)
+ * @returns {import('./base.js').TranscriptProvider} 文字稿来源
+ */
+export function createTranscriptProvider(source, { finnhub = null, input = null } = {}) {
+  switch (source) {
+    case TRANSCRIPT_SOURCES.FINNHUB:
+      return new FinnhubTranscriptProvider({ finnhub });
+    case TRANSCRIPT_SOURCES.FILE:
+      return new FileTranscriptProvider({ filePath: input, finnhub });
+    case TRANSCRIPT_SOURCES.YOUTUBE:
+      return new YouTubeTranscriptProvider({ url: input });
+    default:
+      throw new Error(`Unknown transcript source: ${source} (supported: ${Object.values(TRANSCRIPT_SOURCES).join(', ')})`);
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * YouTube 字幕文字稿来源模块
+ * 功能：通过原型中的字幕服务下载电话会议视频字幕，作为文字稿使用
+ */
+
+import { TranscriptProvider, TRANSCRIPT_SOURCES } from './base.js';
+import { abortable } from '../../utils/http-client.js';
+import { parseTranscriptText, createTranscript } from '../../utils/transcript.js';
+
+export class YouTubeTranscriptProvider extends TranscriptProvider {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.url - YouTube 视频URL或视频ID
+   */
+  constructor({ url }) {
+    super(TRANSCRIPT_SOURCES.YOUTUBE);
+
+    if (!url) {
+      throw new Error('YouTube video URL is required');
+    }
+
+    this.url = url;
+  }
+
+  async fetchTranscript({ symbol, year, quarter, signal = null }) {
+    try {
+      console.log(`📺 正在获取 YouTube 字幕: ${this.url}`);
+
+      // 字幕服务依赖 youtube-transcript / yt-dlp，仅在使用该来源时加载
+      const { default: SubtitleService } = await import('../../../prototype/subtitle-service.js');
+      const subtitles = new SubtitleService();
+      const result = await abortable(subtitles.downloadSubtitle(this.url), signal);
+
+      // 自动字幕不含发言人信息，整段作为一个轮次；人工字幕中的 "姓名: 发言" 仍会被识别
+      const transcript = createTranscript({
+        symbol,
+        year,
+        quarter,
+        turns: parseTranscriptText(result.subtitleText)
+      });
+
+      return {
+        transcript,
+        reference: result.videoUrl,
+        details: { videoId: result.videoId, method: result.method }
+      };
+
+    } catch (error) {
+      console.error(`❌ 获取 YouTube 字幕失败:`, error.message);
+      throw error;
+    }
+  }
+}
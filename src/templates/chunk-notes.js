@@ -0,0 +1,44 @@
+/**
+ * 分块笔记提示词模板
+ * 功能：长文字稿分块摘要（map 阶段）中逐块整理会议笔记的提示词
+ * 变量：TICKER, YEAR, QUARTER, PART, TOTAL, SECTION, CHUNK
+ */
+
+const VARIABLES = ['TICKER', 'YEAR', 'QUARTER', 'PART', 'TOTAL', 'SECTION', 'CHUNK'];
+
+export const CHUNK_NOTES_TEMPLATES = [
+  {
+    name: 'chunk_notes',
+    version: '1',
+    language: 'zh-CN',
+    variables: VARIABLES,
+    template: `你是一位专业的财务分析师。以下是 {TICKER} {YEAR}年第{QUARTER}季度财报电话会议文字稿的第 {PART}/{TOTAL} 部分（{SECTION}）。
+
+请用中文整理这部分内容的要点笔记，供之后合成完整播客脚本使用：
+1. 列出所有具体的财务数据（营收、利润率、EPS、现金流、业务分部数据等），保留原始数字和单位
+2. 记录管理层的业绩指引和展望，注明发言人
+3. 问答环节请记录分析师关注的问题（注明机构）及管理层回答的要点
+4. 记录提到的风险、挑战和业务亮点
+5. 只依据下面的文字稿，不要补充其他信息；使用简洁的要点列表，不超过600字
+
+文字稿片段：
+{CHUNK}`
+  },
+  {
+    name: 'chunk_notes',
+    version: '1',
+    language: 'en-US',
+    variables: VARIABLES,
+    template: `You are a professional financial analyst. Below is part {PART} of {TOTAL} ({SECTION}) of the {TICKER} Q{QUARTER} {YEAR} earnings call transcript.
+
+Write concise bullet-point notes on this part for a later pass that will assemble the full podcast script:
+1. List every concrete financial figure (revenue, margins, EPS, cash flow, segment data), keeping the original numbers and units
+2. Record management guidance and outlook, attributing each point to the speaker
+3. For Q&A, record the analysts' questions (with their firms) and the key points of management's answers
+4. Note risks, challenges and business highlights mentioned
+5. Use only the transcript below; do not add outside information. Keep it under 400 words
+
+Transcript excerpt:
+{CHUNK}`
+  }
+];
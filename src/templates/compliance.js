@@ -0,0 +1,46 @@
+/**
+ * 合规改写提示词模板
+ * 功能：合规检查发现投资建议用语时，由模型将命中的文字改写为客观陈述
+ * 变量：TICKER, YEAR, QUARTER, EXAMPLE, ITEMS
+ */
+
+const VARIABLES = ['TICKER', 'YEAR', 'QUARTER', 'EXAMPLE', 'ITEMS'];
+
+export const COMPLIANCE_TEMPLATES = [
+  {
+    name: 'compliance_rewrite',
+    version: '1',
+    language: 'zh-CN',
+    variables: VARIABLES,
+    template: `你是一位财经节目的合规编辑。下面是 {TICKER} {YEAR}年第{QUARTER}季度财报播客脚本中被合规规则标记的文字（JSON 数组，path 为字段位置，flagged 为命中的说法，text 为原文），其中包含直接建议听众买卖或以节目口吻给出目标价、上涨空间的说法。
+
+请逐条改写：
+1. 删除或改写所有投资建议用语，改为客观陈述；转述分析师的评级或目标价时必须注明出自分析师，不能以节目的口吻提出建议
+2. 保留原文中的数字、事实和语气，不要增加原文没有的信息，改动范围尽量小
+3. 每条都要返回：path 原样返回，text 为改写后的完整文字
+
+只输出一个 JSON 对象，格式如下：
+{EXAMPLE}
+
+被标记的文字：
+{ITEMS}`
+  },
+  {
+    name: 'compliance_rewrite',
+    version: '1',
+    language: 'en-US',
+    variables: VARIABLES,
+    template: `You are a compliance editor for a financial podcast. Below are passages from the {TICKER} Q{QUARTER} {YEAR} earnings podcast script that were flagged by compliance rules (a JSON array: path is the field location, flagged lists the matched phrases, text is the original). They tell listeners to buy or sell, or state a price target or upside in the show's own voice.
+
+Rewrite every passage:
+1. Remove or rephrase all investment advice as objective statements; analyst ratings or price targets may be reported only when attributed to the analysts, never as the show's recommendation
+2. Keep the original figures, facts and tone, add nothing that is not in the original, and change as little as possible
+3. Return every passage: path unchanged, text is the full rewritten passage
+
+Return a single JSON object only, in this format:
+{EXAMPLE}
+
+Flagged passages:
+{ITEMS}`
+  }
+];
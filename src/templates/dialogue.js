@@ -0,0 +1,66 @@
+/**
+ * 对话脚本提示词模板
+ * 功能：将结构化摘要改写为主持人与分析师对话的提示词（仅用于 dialogue 形式）
+ * 变量：TICKER, YEAR, QUARTER, HOST, ANALYST, EXAMPLE, SUMMARY
+ */
+
+const VARIABLES = ['TICKER', 'YEAR', 'QUARTER', 'HOST', 'ANALYST', 'EXAMPLE', 'SUMMARY'];
+
+export const DIALOGUE_TEMPLATES = [
+  {
+    name: 'dialogue',
+    version: '1',
+    language: 'zh-CN',
+    format: 'dialogue',
+    variables: VARIABLES,
+    template: `你是一档财经播客的编剧。请把下面这份财报摘要改写成两位嘉宾的对话脚本。
+
+- 股票代码：{TICKER}
+- 财报期间：{YEAR}年第{QUARTER}季度
+
+角色：
+- {HOST}（主持人）：负责开场、提问、串场和结尾，语气轻松自然
+- {ANALYST}（分析师）：负责解读财务数据、业务亮点、风险和管理层展望
+
+要求：
+1. 按摘要的小节顺序展开，覆盖全部六个小节，两人交替发言，共12-24轮
+2. 每轮发言1-4句，口语化，适合收听，不使用 Markdown、表情符号或列表
+3. 所有数字必须与摘要一致，不要添加摘要中没有的数据
+4. 客观中性，不提供投资建议
+5. 节目开场白会单独播放，直接从本季度的核心看点开始
+
+只输出一个 JSON 对象，格式如下：
+{EXAMPLE}
+
+财报摘要：
+{SUMMARY}`
+  },
+  {
+    name: 'dialogue',
+    version: '1',
+    language: 'en-US',
+    format: 'dialogue',
+    variables: VARIABLES,
+    template: `You are a scriptwriter for a financial podcast. Rewrite the earnings summary below as a conversation between two hosts.
+
+- Ticker: {TICKER}
+- Period: Q{QUARTER} {YEAR}
+
+Roles:
+- {HOST}: opens, asks questions, handles transitions and the wrap-up in a relaxed, natural tone
+- {ANALYST}: explains the financial figures, business highlights, risks and management outlook
+
+Requirements:
+1. Follow the section order of the summary and cover all six sections, alternating speakers, 12-24 turns in total
+2. Each turn is 1-4 spoken sentences with no Markdown, emoji or lists
+3. Every number must match the summary; do not add figures that are not in it
+4. Objective and neutral, no investment advice
+5. The episode intro is played separately, so start directly with the key story of the quarter
+
+Return a single JSON object only, in this format:
+{EXAMPLE}
+
+Earnings summary:
+{SUMMARY}`
+  }
+];
@@ -0,0 +1,30 @@
+/**
+ * 提示词模板清单
+ * 功能：汇总所有已注册的提示词模板，供 PromptRegistry 加载
+ *
+ * 每个模板定义：
+ * - name / version / language：模板名称、版本号和语言，三者加上适用范围唯一确定一个模板
+ * - format：仅适用于某种节目形式 (monologue / dialogue)，省略表示通用
+ * - tickers / sectors：只对指定股票代码或行业（Finnhub 行业名称）生效的覆盖版本
+ * - variables：模板使用的变量，必须与模板中的 {VARIABLE} 占位符一一对应
+ *
+ * 修改已发布的模板时请新增版本而不是直接修改，以便复现旧节目和对比不同版本
+ */
+
+import { SUMMARY_TEMPLATES } from './summary.js';
+import { CHUNK_NOTES_TEMPLATES } from './chunk-notes.js';
+import { DIALOGUE_TEMPLATES } from './dialogue.js';
+import { QA_DIGEST_TEMPLATES } from './qa-digest.js';
+import { TONE_TEMPLATES } from './tone.js';
+import { QUALITY_JUDGE_TEMPLATES } from './quality-judge.js';
+import { COMPLIANCE_TEMPLATES } from './compliance.js';
+
+export const PROMPT_TEMPLATES = [
+  ...SUMMARY_TEMPLATES,
+  ...CHUNK_NOTES_TEMPLATES,
+  ...DIALOGUE_TEMPLATES,
+  ...QA_DIGEST_TEMPLATES,
+  ...TONE_TEMPLATES,
+  ...QUALITY_JUDGE_TEMPLATES,
+  ...COMPLIANCE_TEMPLATES
+];
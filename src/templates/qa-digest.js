@@ -0,0 +1,52 @@
+/**
+ * 分析师问答摘要提示词模板
+ * 功能：逐组概括问答环节中分析师的提问和管理层的回答，标注话题和回避问题的回答
+ * 变量：TICKER, YEAR, QUARTER, TOPICS, EXAMPLE, EXCHANGES
+ */
+
+const VARIABLES = ['TICKER', 'YEAR', 'QUARTER', 'TOPICS', 'EXAMPLE', 'EXCHANGES'];
+
+export const QA_DIGEST_TEMPLATES = [
+  {
+    name: 'qa_digest',
+    version: '1',
+    language: 'zh-CN',
+    variables: VARIABLES,
+    template: `你是一位专业的财务分析师。下面是 {TICKER} {YEAR}年第{QUARTER}季度财报电话会议问答环节中的分析师提问和管理层回答，已按组编号（[Q1]、[Q2]…）。
+
+请为每一组问答各输出一项：
+1. id：问答编号，与输入一致，不要遗漏或合并
+2. topic：话题分类，只能是 {TOPICS} 之一
+3. question：用一到两句中文概括分析师的问题
+4. answer：用一到三句中文概括管理层的回答，保留回答中的关键数字
+5. evasive：管理层没有正面回答（转移话题、只重复已公开的信息、以"不提供指引"等理由拒绝回答）时为 true，否则为 false
+6. evasionNote：evasive 为 true 时简要说明回避了什么，否则为 null
+
+所有内容必须来自问答原文，不要补充原文中没有的信息。只输出一个 JSON 对象，格式如下：
+{EXAMPLE}
+
+问答原文：
+{EXCHANGES}`
+  },
+  {
+    name: 'qa_digest',
+    version: '1',
+    language: 'en-US',
+    variables: VARIABLES,
+    template: `You are a professional financial analyst. Below are the analyst questions and management answers from the Q&A session of the {TICKER} Q{QUARTER} {YEAR} earnings call, numbered by exchange ([Q1], [Q2], ...).
+
+Return one item for each exchange:
+1. id: the exchange number, exactly as given; do not skip or merge exchanges
+2. topic: the topic, one of {TOPICS}
+3. question: the analyst's question in one or two sentences
+4. answer: management's answer in one to three sentences, keeping the key figures
+5. evasive: true when management did not actually answer (deflected, repeated already public information, or declined with reasons like "we don't guide to that"), otherwise false
+6. evasionNote: when evasive is true, briefly say what was avoided; otherwise null
+
+Everything must come from the exchanges; do not add information that is not in them. Return a single JSON object only, in this format:
+{EXAMPLE}
+
+Exchanges:
+{EXCHANGES}`
+  }
+];
@@ -0,0 +1,52 @@
+/**
+ * 摘要一致性评审提示词模板
+ * 功能：质量评分阶段由模型对照文字稿检查播客脚本，找出与原文矛盾或原文没有依据的说法
+ * 变量：TICKER, YEAR, QUARTER, EXAMPLE, SCRIPT, TRANSCRIPT
+ */
+
+const VARIABLES = ['TICKER', 'YEAR', 'QUARTER', 'EXAMPLE', 'SCRIPT', 'TRANSCRIPT'];
+
+export const QUALITY_JUDGE_TEMPLATES = [
+  {
+    name: 'quality_judge',
+    version: '1',
+    language: 'zh-CN',
+    variables: VARIABLES,
+    template: `你是一位严谨的财经编辑。下面是根据 {TICKER} {YEAR}年第{QUARTER}季度财报电话会议生成的播客脚本，以及会议文字稿（过长时为节选）。
+
+请对照文字稿逐条检查脚本中的事实性说法：
+1. issues：列出与文字稿矛盾、张冠李戴（如把某项业务的数据归到另一项业务）或夸大原文的说法；claim 摘录脚本原句，problem 用一句中文说明问题
+2. 文字稿为节选时，节选中找不到但也不矛盾的说法不要列出
+3. score：脚本与文字稿的整体一致性，0-100 的整数，100 表示完全一致，有严重事实错误时低于 50
+
+只输出一个 JSON 对象，格式如下：
+{EXAMPLE}
+
+播客脚本：
+{SCRIPT}
+
+文字稿：
+{TRANSCRIPT}`
+  },
+  {
+    name: 'quality_judge',
+    version: '1',
+    language: 'en-US',
+    variables: VARIABLES,
+    template: `You are a meticulous financial editor. Below is a podcast script generated from the {TICKER} Q{QUARTER} {YEAR} earnings call, followed by the call transcript (an excerpt if the call is long).
+
+Check every factual statement in the script against the transcript:
+1. issues: list statements that contradict the transcript, attribute figures to the wrong item (e.g. one segment's numbers to another segment) or overstate what was said; claim quotes the script sentence and problem explains the issue in one sentence
+2. When the transcript is an excerpt, do not list statements that are merely absent from it without contradicting it
+3. score: overall consistency of the script with the transcript, an integer from 0 to 100, where 100 is fully consistent and serious factual errors score below 50
+
+Return a single JSON object only, in this format:
+{EXAMPLE}
+
+Podcast script:
+{SCRIPT}
+
+Transcript:
+{TRANSCRIPT}`
+  }
+];
@@ -0,0 +1,304 @@
+/**
+ * 摘要提示词模板
+ * 功能：六段式财报播客摘要的提示词（结构化输出说明由 GeminiService 追加在末尾）
+ * 变量：TICKER, COMPANY, YEAR, QUARTER, CONSENSUS, PRICE_REACTION, TRANSCRIPT
+ *       版本2 增加 PRIOR_QUARTERS（往期财报数据）和"与上季度相比"小节
+ *       版本3 增加 LENGTH（按节目长度版本给出的篇幅要求）
+ */
+
+const VARIABLES = ['TICKER', 'COMPANY', 'YEAR', 'QUARTER', 'CONSENSUS', 'PRICE_REACTION', 'TRANSCRIPT'];
+const VARIABLES_V2 = [...VARIABLES, 'PRIOR_QUARTERS'];
+const VARIABLES_V3 = [...VARIABLES_V2, 'LENGTH'];
+
+export const SUMMARY_TEMPLATES = [
+  {
+    name: 'summary',
+    version: '1',
+    language: 'zh-CN',
+    variables: VARIABLES,
+    template: `你是一位专业的财务分析师，请为以下财报电话会议内容生成一份高质量的中文播客脚本。
+
+公司信息：
+- 股票代码：{TICKER}{COMPANY}
+- 财报期间：{YEAR}年第{QUARTER}季度
+
+{CONSENSUS}
+
+{PRICE_REACTION}
+
+请按照以下结构生成播客脚本：
+
+## 📊 财报概览
+[简要介绍公司本季度的整体表现]
+
+## 💰 关键财务数据
+[重点分析营收、利润、现金流等核心指标，并结合一致预期说明是否超预期]
+
+## 🎯 业务亮点
+[突出本季度的主要成就和积极因素]
+
+## ⚠️ 风险与挑战
+[客观分析面临的困难和潜在风险]
+
+## 🔮 管理层展望
+[总结管理层对未来的预期和规划]
+
+## 📈 投资要点
+[为投资者提供关键的投资参考信息，如有股价反应数据可简要说明市场反应]
+
+要求：
+1. 语言简洁明了，适合播客收听
+2. 重点突出，避免冗余信息
+3. 客观中性，不提供投资建议
+4. 控制在800-1200字之间
+5. 使用专业但易懂的财务术语
+
+财报文字稿内容：
+{TRANSCRIPT}`
+  },
+  {
+    name: 'summary',
+    version: '1',
+    language: 'en-US',
+    variables: VARIABLES,
+    template: `You are a professional financial analyst. Please generate a high-quality English podcast script for the following earnings call transcript.
+
+Company Information:
+- Ticker: {TICKER}{COMPANY}
+- Period: Q{QUARTER} {YEAR}
+
+{CONSENSUS}
+
+{PRICE_REACTION}
+
+Please structure the podcast script as follows:
+
+## 📊 Earnings Overview
+[Brief introduction to the company's overall performance this quarter]
+
+## 💰 Key Financial Metrics
+[Focus on revenue, profit, cash flow and other core indicators, and whether they beat consensus]
+
+## 🎯 Business Highlights
+[Highlight major achievements and positive factors this quarter]
+
+## ⚠️ Risks and Challenges
+[Objectively analyze difficulties and potential risks]
+
+## 🔮 Management Outlook
+[Summarize management's expectations and plans for the future]
+
+## 📈 Investment Takeaways
+[Provide key investment reference information for investors, briefly noting the market reaction if price data is provided]
+
+Requirements:
+1. Clear and concise language suitable for podcast listening
+2. Focus on key points, avoid redundant information
+3. Objective and neutral, do not provide investment advice
+4. Keep between 800-1200 words
+5. Use professional but understandable financial terminology
+
+Earnings transcript content:
+{TRANSCRIPT}`
+  },
+  {
+    name: 'summary',
+    version: '2',
+    language: 'zh-CN',
+    variables: VARIABLES_V2,
+    template: `你是一位专业的财务分析师，请为以下财报电话会议内容生成一份高质量的中文播客脚本。
+
+公司信息：
+- 股票代码：{TICKER}{COMPANY}
+- 财报期间：{YEAR}年第{QUARTER}季度
+
+{CONSENSUS}
+
+{PRICE_REACTION}
+
+{PRIOR_QUARTERS}
+
+请按照以下结构生成播客脚本：
+
+## 📊 财报概览
+[简要介绍公司本季度的整体表现]
+
+## 💰 关键财务数据
+[重点分析营收、利润、现金流等核心指标，并结合一致预期说明是否超预期]
+
+## 🎯 业务亮点
+[突出本季度的主要成就和积极因素]
+
+## ⚠️ 风险与挑战
+[客观分析面临的困难和潜在风险]
+
+## 🔮 管理层展望
+[总结管理层对未来的预期和规划]
+
+## 🔁 与上季度相比
+[对比往期财报数据：哪些指标增速加快、哪些放缓，上季度给出的业绩指引是否兑现；未提供往期数据时省略本节]
+
+## 📈 投资要点
+[为投资者提供关键的投资参考信息，如有股价反应数据可简要说明市场反应]
+
+要求：
+1. 语言简洁明了，适合播客收听
+2. 重点突出，避免冗余信息
+3. 客观中性，不提供投资建议
+4. 控制在800-1200字之间
+5. 使用专业但易懂的财务术语
+
+财报文字稿内容：
+{TRANSCRIPT}`
+  },
+  {
+    name: 'summary',
+    version: '2',
+    language: 'en-US',
+    variables: VARIABLES_V2,
+    template: `You are a professional financial analyst. Please generate a high-quality English podcast script for the following earnings call transcript.
+
+Company Information:
+- Ticker: {TICKER}{COMPANY}
+- Period: Q{QUARTER} {YEAR}
+
+{CONSENSUS}
+
+{PRICE_REACTION}
+
+{PRIOR_QUARTERS}
+
+Please structure the podcast script as follows:
+
+## 📊 Earnings Overview
+[Brief introduction to the company's overall performance this quarter]
+
+## 💰 Key Financial Metrics
+[Focus on revenue, profit, cash flow and other core indicators, and whether they beat consensus]
+
+## 🎯 Business Highlights
+[Highlight major achievements and positive factors this quarter]
+
+## ⚠️ Risks and Challenges
+[Objectively analyze difficulties and potential risks]
+
+## 🔮 Management Outlook
+[Summarize management's expectations and plans for the future]
+
+## 🔁 Versus Last Quarter
+[Compare with the prior quarter data: which metrics accelerated or decelerated, and whether management delivered on last quarter's guidance; omit this section when no prior data is provided]
+
+## 📈 Investment Takeaways
+[Provide key investment reference information for investors, briefly noting the market reaction if price data is provided]
+
+Requirements:
+1. Clear and concise language suitable for podcast listening
+2. Focus on key points, avoid redundant information
+3. Objective and neutral, do not provide investment advice
+4. Keep between 800-1200 words
+5. Use professional but understandable financial terminology
+
+Earnings transcript content:
+{TRANSCRIPT}`
+  },
+  {
+    name: 'summary',
+    version: '3',
+    language: 'zh-CN',
+    variables: VARIABLES_V3,
+    template: `你是一位专业的财务分析师，请为以下财报电话会议内容生成一份高质量的中文播客脚本。
+
+公司信息：
+- 股票代码：{TICKER}{COMPANY}
+- 财报期间：{YEAR}年第{QUARTER}季度
+
+{CONSENSUS}
+
+{PRICE_REACTION}
+
+{PRIOR_QUARTERS}
+
+请按照以下结构生成播客脚本：
+
+## 📊 财报概览
+[简要介绍公司本季度的整体表现]
+
+## 💰 关键财务数据
+[重点分析营收、利润、现金流等核心指标，并结合一致预期说明是否超预期]
+
+## 🎯 业务亮点
+[突出本季度的主要成就和积极因素]
+
+## ⚠️ 风险与挑战
+[客观分析面临的困难和潜在风险]
+
+## 🔮 管理层展望
+[总结管理层对未来的预期和规划]
+
+## 🔁 与上季度相比
+[对比往期财报数据：哪些指标增速加快、哪些放缓，上季度给出的业绩指引是否兑现；未提供往期数据时省略本节]
+
+## 📈 投资要点
+[为投资者提供关键的投资参考信息，如有股价反应数据可简要说明市场反应]
+
+要求：
+1. 语言简洁明了，适合播客收听
+2. 重点突出，避免冗余信息
+3. 客观中性，不提供投资建议
+4. {LENGTH}
+5. 使用专业但易懂的财务术语
+
+财报文字稿内容：
+{TRANSCRIPT}`
+  },
+  {
+    name: 'summary',
+    version: '3',
+    language: 'en-US',
+    variables: VARIABLES_V3,
+    template: `You are a professional financial analyst. Please generate a high-quality English podcast script for the following earnings call transcript.
+
+Company Information:
+- Ticker: {TICKER}{COMPANY}
+- Period: Q{QUARTER} {YEAR}
+
+{CONSENSUS}
+
+{PRICE_REACTION}
+
+{PRIOR_QUARTERS}
+
+Please structure the podcast script as follows:
+
+## 📊 Earnings Overview
+[Brief introduction to the company's overall performance this quarter]
+
+## 💰 Key Financial Metrics
+[Focus on revenue, profit, cash flow and other core indicators, and whether they beat consensus]
+
+## 🎯 Business Highlights
+[Highlight major achievements and positive factors this quarter]
+
+## ⚠️ Risks and Challenges
+[Objectively analyze difficulties and potential risks]
+
+## 🔮 Management Outlook
+[Summarize management's expectations and plans for the future]
+
+## 🔁 Versus Last Quarter
+[Compare with the prior quarter data: which metrics accelerated or decelerated, and whether management delivered on last quarter's guidance; omit this section when no prior data is provided]
+
+## 📈 Investment Takeaways
+[Provide key investment reference information for investors, briefly noting the market reaction if price data is provided]
+
+Requirements:
+1. Clear and concise language suitable for podcast listening
+2. Focus on key points, avoid redundant information
+3. Objective and neutral, do not provide investment advice
+4. {LENGTH}
+5. Use professional but understandable financial terminology
+
+Earnings transcript content:
+{TRANSCRIPT}`
+  }
+];
@@ -0,0 +1,54 @@
+/**
+ * 管理层语气评分提示词模板
+ * 功能：按环节（开场陈述 / 问答环节）为管理层语气打分，并评估管理层对业绩指引的信心
+ * 变量：TICKER, YEAR, QUARTER, EXAMPLE, PREPARED, QA
+ */
+
+const VARIABLES = ['TICKER', 'YEAR', 'QUARTER', 'EXAMPLE', 'PREPARED', 'QA'];
+
+export const TONE_TEMPLATES = [
+  {
+    name: 'tone',
+    version: '1',
+    language: 'zh-CN',
+    variables: VARIABLES,
+    template: `你是一位专业的财务分析师。请根据下面 {TICKER} {YEAR}年第{QUARTER}季度财报电话会议中管理层的发言节选，评估管理层的语气。
+
+评分规则（0-100 的整数）：
+1. 每个环节各给一个语气评分：0 表示非常悲观、防御，50 表示中性，100 表示非常乐观、自信；section 为 prepared_remarks（开场陈述）或 qa（问答环节），没有提供发言的环节不要评分
+2. guidanceConfidence：管理层对业绩指引和未来展望的信心，0 表示几乎没有信心或拒绝给出指引，100 表示给出明确且有把握的指引
+3. rationale 用一句中文说明理由，引用发言中的具体表述
+4. 只根据发言内容判断，不要参考股价或你对公司的已有印象
+
+只输出一个 JSON 对象，格式如下：
+{EXAMPLE}
+
+开场陈述（管理层发言节选）：
+{PREPARED}
+
+问答环节（管理层回答节选）：
+{QA}`
+  },
+  {
+    name: 'tone',
+    version: '1',
+    language: 'en-US',
+    variables: VARIABLES,
+    template: `You are a professional financial analyst. Assess management's tone from the excerpts of management remarks below, taken from the {TICKER} Q{QUARTER} {YEAR} earnings call.
+
+Scoring (integers from 0 to 100):
+1. One tone score per section: 0 is very pessimistic and defensive, 50 is neutral, 100 is very optimistic and confident; section is prepared_remarks or qa, and sections without remarks are not scored
+2. guidanceConfidence: how confident management is in its guidance and outlook, where 0 means little confidence or declining to guide and 100 means clear guidance given with conviction
+3. rationale is one sentence citing specific wording from the remarks
+4. Judge from the remarks only, not from the stock price or prior views of the company
+
+Return a single JSON object only, in this format:
+{EXAMPLE}
+
+Prepared remarks (management excerpts):
+{PREPARED}
+
+Q&A (management answer excerpts):
+{QA}`
+  }
+];
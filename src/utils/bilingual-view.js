@@ -0,0 +1,124 @@
+/**
+ * 双语对照页面模块
+ * 功能：将同一期财报不同语言版本的结构化摘要渲染为左右对照的静态 HTML 页面，
+ *       按小节逐段对齐，方便学习者对照中英文财经表达
+ */
+
+import { SECTION_ORDER } from './summary-schema.js';
+import { formatMetricValue, formatMetricChange } from './summary-renderer.js';
+import { getLanguageLabel } from './languages.js';
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 将小节正文按空行和换行拆成段落
+ * @param {string} content - 小节正文
+ * @returns {string} HTML 段落
+ */
+function renderParagraphs(content = '') {
+  return content
+    .split(/\n+/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => `<p>${escapeHtml(line)}</p>`)
+    .join('\n');
+}
+
+/**
+ * 渲染一个语言的关键指标列表
+ * @param {Object} document - 结构化摘要
+ * @param {string} language - 语言代码
+ * @returns {string} HTML 列表
+ */
+function renderKeyMetrics(document, language) {
+  const items = document.keyMetrics.map(metric => {
+    const change = formatMetricChange(metric);
+    return `<li><span class="metric-name">${escapeHtml(metric.name)}</span> <span class="metric-value">${escapeHtml(formatMetricValue(metric, language))}</span>${change === '-' ? '' : ` <span class="metric-change">${escapeHtml(change)}</span>`}</li>`;
+  });
+  return items.length > 0 ? `<ul class="metrics">\n${items.join('\n')}\n</ul>` : '';
+}
+
+/**
+ * 渲染一行对照内容（每个语言一列）
+ * @param {Array<string>} cells - 各语言的 HTML 内容
+ * @param {Array<string>} languages - 各列的语言代码
+ * @returns {string} HTML
+ */
+function renderRow(cells, languages) {
+  return `<div class="row">\n${cells.map((cell, index) => `<div class="cell" lang="${languages[index]}">\n${cell}\n</div>`).join('\n')}\n</div>`;
+}
+
+/**
+ * 渲染双语（或多语）对照页面
+ * @param {Object} params - 参数对象
+ * @param {string} params.ticker - 股票代码
+ * @param {number|string} params.year - 年份
+ * @param {number|string} params.quarter - 季度
+ * @param {Array<{ language: string, document: Object, audio: string|null }>} params.entries - 各语言的结构化摘要和音频地址（可为相对路径）
+ * @returns {string} HTML 页面
+ */
+export function renderBilingualHtml({ ticker, year, quarter, entries }) {
+  const languages = entries.map(entry => entry.language);
+  const title = `${ticker.toUpperCase()} ${year}Q${quarter} · ${languages.map(getLanguageLabel).join(' / ')}`;
+
+  const rows = [
+    // 标题和音频
+    renderRow(entries.map(({ language, document, audio }) => [
+      `<div class="language">${escapeHtml(getLanguageLabel(language))}</div>`,
+      `<h2>${escapeHtml(document.headline)}</h2>`,
+      audio ? `<audio controls preload="none" src="${escapeHtml(audio)}"></audio>` : ''
+    ].filter(Boolean).join('\n')), languages),
+    renderRow(entries.map(({ language, document }) => renderKeyMetrics(document, language)), languages)
+  ];
+
+  // 按固定顺序逐节对齐，某个语言缺少该小节时留空
+  for (const key of SECTION_ORDER) {
+    const sections = entries.map(({ document }) => document.sections.find(section => section.key === key));
+    if (sections.every(section => !section)) continue;
+
+    rows.push(renderRow(sections.map(section => section
+      ? `<h3>${escapeHtml(section.title)}</h3>\n${renderParagraphs(section.content)}`
+      : ''), languages));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="${languages[0]}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; padding: 24px; font-family: -apple-system, BlinkMacSystemFont, "PingFang SC", "Microsoft YaHei", sans-serif; background: #f8fafc; color: #1e293b; line-height: 1.7; }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  .row { display: grid; grid-template-columns: repeat(${entries.length}, minmax(0, 1fr)); gap: 16px; margin-bottom: 12px; }
+  .row:hover .cell { border-color: #93c5fd; }
+  .cell { background: #fff; border: 1px solid #e2e8f0; border-radius: 8px; padding: 12px 16px; }
+  .language { font-size: 12px; color: #64748b; text-transform: uppercase; letter-spacing: 0.05em; }
+  h2 { font-size: 18px; margin: 4px 0 8px; }
+  h3 { font-size: 16px; margin: 0 0 8px; }
+  p { margin: 0 0 8px; }
+  audio { width: 100%; }
+  .metrics { list-style: none; margin: 0; padding: 0; }
+  .metric-value { font-weight: 600; }
+  .metric-change { color: #64748b; }
+  @media (max-width: 720px) { .row { grid-template-columns: 1fr; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${rows.join('\n')}
+</body>
+</html>
+`;
+}
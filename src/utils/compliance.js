@@ -0,0 +1,186 @@
+/**
+ * 合规检查模块
+ * 功能：按可配置的规则列表查找结构化摘要中的投资建议用语，校验并应用模型的改写结果，
+ *       提供附加在脚本和音频末尾的标准免责声明
+ */
+
+import { DEFAULT_COMPLIANCE_RULES, DISCLAIMERS } from '../data/compliance-rules.js';
+import { collectTextFields, validateSchema } from './summary-schema.js';
+
+/**
+ * 合规检查模式
+ */
+export const COMPLIANCE_MODES = {
+  // 由模型改写命中的文字，复查仍有命中时阻止发布
+  REWRITE: 'rewrite',
+  // 发现投资建议用语即阻止发布
+  FAIL: 'fail'
+};
+
+/**
+ * 合规检查对每段被标记文字的处理结果
+ */
+export const COMPLIANCE_ACTIONS = {
+  // 已改写且复查通过
+  REWRITTEN: 'rewritten',
+  // 改写后仍有命中
+  UNRESOLVED: 'unresolved',
+  // FAIL 模式下直接阻止发布
+  BLOCKED: 'blocked'
+};
+
+/**
+ * 模型改写输出的 Schema
+ */
+export const COMPLIANCE_REWRITE_SCHEMA = {
+  type: 'object',
+  required: ['rewrites'],
+  properties: {
+    rewrites: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['path', 'text'],
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          text: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 读取合规规则：默认规则合并环境变量 COMPLIANCE_RULES 中的规则
+ * COMPLIANCE_RULES 为 JSON 数组，id 与默认规则相同时覆盖其中的字段（设置 "enabled": false 可停用），其余作为新规则加入
+ * @param {string} [override] - JSON 格式的规则列表，结构同 DEFAULT_COMPLIANCE_RULES
+ * @returns {Array<Object>} 启用的规则（附带编译好的 regex）
+ * @throws {Error} JSON 无法解析、缺少必填字段或正则表达式无效时
+ */
+export function loadComplianceRules(override = process.env.COMPLIANCE_RULES) {
+  let custom = [];
+  if (override) {
+    try {
+      custom = JSON.parse(override);
+    } catch (error) {
+      throw new Error(`Invalid COMPLIANCE_RULES: ${error.message}`);
+    }
+    if (!Array.isArray(custom)) {
+      throw new Error('Invalid COMPLIANCE_RULES: expected an array of rules');
+    }
+  }
+
+  const rules = new Map(DEFAULT_COMPLIANCE_RULES.map(rule => [rule.id, rule]));
+  for (const rule of custom) {
+    if (!rule?.id) {
+      throw new Error('Invalid COMPLIANCE_RULES: every rule requires an id');
+    }
+    rules.set(rule.id, { ...rules.get(rule.id), ...rule });
+  }
+
+  return [...rules.values()]
+    .filter(rule => rule.enabled !== false)
+    .map(rule => {
+      if (!rule.pattern || !rule.language) {
+        throw new Error(`Invalid compliance rule ${rule.id}: pattern and language are required`);
+      }
+      try {
+        return { ...rule, regex: new RegExp(rule.pattern, `${(rule.flags || '').replace('g', '')}g`) };
+      } catch (error) {
+        throw new Error(`Invalid compliance rule ${rule.id}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * 获取适用于某个语言的规则（按语言代码前缀匹配，例如 zh 规则适用于 zh-CN、zh-TW 和 zh-HK）
+ * @param {Array<Object>} rules - 规则
+ * @param {string} language - 语言代码
+ * @returns {Array<Object>} 适用的规则
+ */
+export function getRulesForLanguage(rules, language) {
+  return rules.filter(rule => language.startsWith(rule.language));
+}
+
+/**
+ * 查找文本中的投资建议用语
+ * @param {string} text - 文本
+ * @param {string} language - 语言代码
+ * @param {Array<Object>} [rules] - 规则，默认为 loadComplianceRules()
+ * @returns {Array<{ ruleId: string, category: string, match: string, index: number }>} 命中的说法（按出现位置）
+ */
+export function findProhibitedPhrases(text, language, rules = loadComplianceRules()) {
+  return getRulesForLanguage(rules, language)
+    .flatMap(rule => [...text.matchAll(rule.regex)].map(match => ({
+      ruleId: rule.id,
+      category: rule.category,
+      match: match[0],
+      index: match.index
+    })))
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 检查结构化摘要中面向听众的全部文字
+ * @param {Object} document - 结构化摘要
+ * @param {Object} options - 选项
+ * @param {string} options.language - 语言代码
+ * @param {Array<Object>} [options.rules] - 规则，默认为 loadComplianceRules()
+ * @returns {Array<{ path: string, text: string, matches: Array<Object> }>} 包含投资建议用语的字段
+ */
+export function checkCompliance(document, { language, rules = loadComplianceRules() }) {
+  return collectTextFields(document)
+    .map(([path, owner, key]) => ({ path, text: owner[key], matches: findProhibitedPhrases(owner[key], language, rules) }))
+    .filter(item => item.matches.length > 0);
+}
+
+/**
+ * 校验模型改写输出：每个被标记的字段都要返回，且不能改写其他字段
+ * @param {Object} output - 模型输出
+ * @param {Array<string>} paths - 被标记的字段路径
+ * @returns {Array<string>} 错误列表
+ */
+export function validateComplianceRewrite(output, paths) {
+  const errors = validateSchema(output, COMPLIANCE_REWRITE_SCHEMA);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const returned = output.rewrites.map(item => item.path);
+  for (const path of paths.filter(item => !returned.includes(item))) {
+    errors.push(`$.rewrites is missing ${path}`);
+  }
+  for (const path of returned.filter(item => !paths.includes(item))) {
+    errors.push(`$.rewrites contains unexpected path ${path}`);
+  }
+  return errors;
+}
+
+/**
+ * 将改写结果写回结构化摘要
+ * @param {Object} document - 结构化摘要
+ * @param {Array<{ path: string, text: string }>} rewrites - 改写结果
+ * @returns {Object} 改写后的副本
+ */
+export function applyComplianceRewrites(document, rewrites) {
+  const result = structuredClone(document);
+  const fields = new Map(collectTextFields(result).map(([path, owner, key]) => [path, { owner, key }]));
+
+  for (const { path, text } of rewrites) {
+    const field = fields.get(path);
+    if (field) {
+      field.owner[field.key] = text;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 获取语言对应的标准免责声明
+ * @param {string} language - 语言代码
+ * @returns {string} 免责声明
+ */
+export function getDisclaimer(language) {
+  return DISCLAIMERS[language] || (language.startsWith('zh') ? DISCLAIMERS['zh-CN'] : DISCLAIMERS['en-US']);
+}
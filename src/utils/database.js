@@ -7,7 +7,12 @@ import { Pool } from 'pg';
 import { put } from '@vercel/blob';
 
 export class DatabaseService {
-  constructor(connectionString) {
+  /**
+   * @param {string} connectionString - 数据库连接字符串
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.readOnly] - 只读模式：不建表、不迁移数据，写入操作直接报错（用于 dry-run）
+   */
+  constructor(connectionString, { readOnly = false } = {}) {
     if (!connectionString) {
       throw new Error('Database connection string is required');
     }
@@ -22,13 +27,24 @@ export class DatabaseService {
       connectionTimeoutMillis: 10000,
     });
 
+    this.readOnly = readOnly;
     this.isInitialized = false;
   }
 
   /**
    * 初始化数据库表结构
+   * 只读模式下跳过建表和数据迁移
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.write] - 调用方是否需要写入，只读模式下需要写入时抛出错误
    */
-  async initialize() {
+  async initialize({ write = false } = {}) {
+    if (this.readOnly) {
+      if (write) {
+        throw new Error('Database is opened read-only');
+      }
+      return;
+    }
+
     if (this.isInitialized) {
       return;
     }
@@ -58,6 +74,26 @@ export class DatabaseService {
           )
         `);
 
+        // 结构化摘要（标题、小节、关键指标、指引、风险、引述），早期创建的表在此补齐该列
+        await client.query(`
+          ALTER TABLE earnings_reports ADD COLUMN IF NOT EXISTS summary_data JSONB
+        `);
+
+        // 管理层语气评分（各环节评分、指引信心、模糊措辞统计），用于绘制语气趋势
+        await client.query(`
+          ALTER TABLE earnings_reports ADD COLUMN IF NOT EXISTS tone_scores JSONB
+        `);
+
+        // 质量评分总分（评分明细在 metadata.quality 中），低于门槛的节目不会保存
+        await client.query(`
+          ALTER TABLE earnings_reports ADD COLUMN IF NOT EXISTS quality_score NUMERIC(5, 1)
+        `);
+
+        // 其他长度版本（快讯、深度解读等）的脚本和音频，主字段保存本次生成的主版本
+        await client.query(`
+          ALTER TABLE earnings_reports ADD COLUMN IF NOT EXISTS variants JSONB
+        `);
+
         // 创建索引
         await client.query(`
           CREATE INDEX IF NOT EXISTS idx_earnings_ticker_period 
@@ -90,6 +126,133 @@ export class DatabaseService {
           FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
         `);
 
+        // 创建业绩指引明细表（每期节目的每项指引一行，随财报记录删除），用于按股票代码查询指引历史
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS guidance_items (
+            id SERIAL PRIMARY KEY,
+            report_id INTEGER NOT NULL REFERENCES earnings_reports(id) ON DELETE CASCADE,
+            ticker VARCHAR(10) NOT NULL,
+            year INTEGER NOT NULL,
+            quarter INTEGER NOT NULL CHECK (quarter >= 1 AND quarter <= 4),
+            language VARCHAR(10) DEFAULT 'zh-CN',
+            position INTEGER NOT NULL,
+            metric TEXT NOT NULL,
+            period TEXT,
+            low NUMERIC,
+            high NUMERIC,
+            unit VARCHAR(20),
+            scale VARCHAR(20),
+            revision VARCHAR(20),
+            text TEXT NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        await client.query(`
+          CREATE INDEX IF NOT EXISTS idx_guidance_ticker_period 
+          ON guidance_items(ticker, language, year, quarter)
+        `);
+
+        // 创建自动生成调度状态表（每个股票/期间/语言一条记录，避免重复生成）
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS generation_schedule (
+            id SERIAL PRIMARY KEY,
+            ticker VARCHAR(10) NOT NULL,
+            year INTEGER NOT NULL,
+            quarter INTEGER NOT NULL CHECK (quarter >= 1 AND quarter <= 4),
+            language VARCHAR(10) DEFAULT 'zh-CN',
+            report_date DATE NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            last_checked_at TIMESTAMP WITH TIME ZONE,
+            completed_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(ticker, year, quarter, language)
+          )
+        `);
+
+        await client.query(`
+          CREATE INDEX IF NOT EXISTS idx_schedule_status 
+          ON generation_schedule(status, report_date)
+        `);
+
+        await client.query(`
+          DROP TRIGGER IF EXISTS update_generation_schedule_updated_at ON generation_schedule
+        `);
+
+        await client.query(`
+          CREATE TRIGGER update_generation_schedule_updated_at 
+          BEFORE UPDATE ON generation_schedule 
+          FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+        `);
+
+        // 创建生成运行记录表（每次运行一条，成功和失败都记录用量和费用，重新生成同一期时不覆盖此前的费用）
+        const { rows: [runsTable] } = await client.query(`SELECT to_regclass('generation_runs') AS name`);
+
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS generation_runs (
+            id SERIAL PRIMARY KEY,
+            ticker VARCHAR(10) NOT NULL,
+            year INTEGER,
+            quarter INTEGER,
+            languages TEXT[] NOT NULL DEFAULT '{}',
+            status VARCHAR(20) NOT NULL,
+            error TEXT,
+            total_cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+            usage JSONB,
+            report_ids INTEGER[] NOT NULL DEFAULT '{}',
+            started_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        await client.query(`
+          CREATE INDEX IF NOT EXISTS idx_generation_runs_created_at 
+          ON generation_runs(created_at DESC)
+        `);
+
+        // 首次建表时从已保存的报告元数据补录此前的费用
+        if (!runsTable.name) {
+          await client.query(`
+            INSERT INTO generation_runs (ticker, year, quarter, languages, status, total_cost, usage, report_ids, created_at)
+            SELECT ticker, year, quarter, ARRAY[language], 'succeeded',
+                   COALESCE((metadata->'usage'->>'totalCost')::numeric, 0), metadata->'usage', ARRAY[id], created_at
+            FROM earnings_reports
+            WHERE metadata ? 'usage'
+          `);
+        }
+
+        // 创建公司资料缓存表
+        await client.query(`
+          CREATE TABLE IF NOT EXISTS companies (
+            ticker VARCHAR(10) PRIMARY KEY,
+            name TEXT NOT NULL,
+            name_zh TEXT,
+            name_zh_tw TEXT,
+            sector TEXT,
+            exchange TEXT,
+            market_cap BIGINT,
+            logo_url TEXT,
+            website TEXT,
+            country VARCHAR(10),
+            currency VARCHAR(10),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        await client.query(`
+          DROP TRIGGER IF EXISTS update_companies_updated_at ON companies
+        `);
+
+        await client.query(`
+          CREATE TRIGGER update_companies_updated_at 
+          BEFORE UPDATE ON companies 
+          FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+        `);
+
         console.log('✅ 数据库表结构初始化完成');
         this.isInitialized = true;
         
@@ -103,115 +266,75 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 上传音频文件到Blob存储，失败时只记录警告
+   * @param {Buffer} audioBuffer - 音频数据
+   * @param {string} filename - 存储路径
+   * @returns {Promise<{audioUrl: string|null, audioSize: number}>} 音频地址和大小
+   */
+  async uploadAudio(audioBuffer, filename) {
+    if (!audioBuffer || audioBuffer.length === 0) {
+      return { audioUrl: null, audioSize: 0 };
+    }
+
+    console.log('☁️ 正在上传音频文件到云存储...');
+
+    try {
+      const blob = await put(filename, audioBuffer, {
+        access: 'public',
+        contentType: 'audio/mpeg'
+      });
+
+      console.log(`✅ 音频文件上传成功: ${blob.url}`);
+      return { audioUrl: blob.url, audioSize: audioBuffer.length };
+    } catch (uploadError) {
+      console.warn('⚠️ 音频文件上传失败，将继续保存其他数据:', uploadError.message);
+      return { audioUrl: null, audioSize: 0 };
+    }
+  }
+
   /**
    * 保存财报记录
    * @param {Object} data - 财报数据
+   * @param {Object} [data.variants] - 各长度版本 { [variant]: { summary, audioBuffer, durationSeconds, qualityScore } }，
+   *   重新生成时整体替换已保存的版本（本次未生成的旧版本不再保留）；音频与主版本相同时不重复上传
    * @returns {Promise<string>} 记录ID
    */
   async saveEarningsReport(data) {
-    await this.initialize();
+    const [recordId] = await this.saveEarningsReports([data]);
+    return recordId;
+  }
 
-    const {
-      ticker,
-      year,
-      quarter,
-      transcript,
-      summary,
-      audioBuffer,
-      language = 'zh-CN',
-      metadata = {}
-    } = data;
+  /**
+   * 在同一个事务中保存多条财报记录（例如同一期财报的多个语言版本），任一条失败时全部回滚
+   * 音频在事务开始前上传，上传失败只记录警告
+   * @param {Array<Object>} records - 财报数据（格式同 saveEarningsReport）
+   * @returns {Promise<Array<string>>} 记录ID（与 records 顺序一致）
+   */
+  async saveEarningsReports(records) {
+    await this.initialize({ write: true });
+
+    const uploads = [];
+    for (const record of records) {
+      uploads.push(await this.uploadReportAudio(record));
+    }
 
     const client = await this.pool.connect();
     
     try {
       await client.query('BEGIN');
 
-      console.log(`💾 正在保存 ${ticker} ${year}Q${quarter} 财报记录...`);
-
-      // 上传音频文件到Blob存储
-      let audioUrl = null;
-      let audioSize = 0;
-      
-      if (audioBuffer && audioBuffer.length > 0) {
-        console.log('☁️ 正在上传音频文件到云存储...');
-        
-        const filename = `earnings-podcasts/${ticker}/${year}Q${quarter}-${language}-${Date.now()}.mp3`;
-        
-        try {
-          const blob = await put(filename, audioBuffer, {
-            access: 'public',
-            contentType: 'audio/mpeg'
-          });
-          
-          audioUrl = blob.url;
-          audioSize = audioBuffer.length;
-          
-          console.log(`✅ 音频文件上传成功: ${audioUrl}`);
-        } catch (uploadError) {
-          console.warn('⚠️ 音频文件上传失败，将继续保存其他数据:', uploadError.message);
-        }
+      const recordIds = [];
+      for (const [index, record] of records.entries()) {
+        recordIds.push(await this.writeEarningsReport(client, record, uploads[index]));
       }
 
-      // 检查是否已存在相同记录
-      const existingRecord = await client.query(
-        'SELECT id FROM earnings_reports WHERE ticker = $1 AND year = $2 AND quarter = $3 AND language = $4',
-        [ticker.toUpperCase(), year, quarter, language]
-      );
+      await client.query('COMMIT');
 
-      let recordId;
-      
-      if (existingRecord.rows.length > 0) {
-        // 更新现有记录
-        console.log('📝 更新现有财报记录...');
-        
-        const result = await client.query(`
-          UPDATE earnings_reports 
-          SET transcript = $1, summary = $2, audio_url = $3, audio_size = $4, metadata = $5
-          WHERE ticker = $6 AND year = $7 AND quarter = $8 AND language = $9
-          RETURNING id
-        `, [
-          transcript,
-          summary,
-          audioUrl,
-          audioSize,
-          JSON.stringify(metadata),
-          ticker.toUpperCase(),
-          year,
-          quarter,
-          language
-        ]);
-        
-        recordId = result.rows[0].id;
-        
-      } else {
-        // 插入新记录
-        console.log('📝 插入新财报记录...');
-        
-        const result = await client.query(`
-          INSERT INTO earnings_reports 
-          (ticker, year, quarter, transcript, summary, audio_url, audio_size, language, metadata)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-          RETURNING id
-        `, [
-          ticker.toUpperCase(),
-          year,
-          quarter,
-          transcript,
-          summary,
-          audioUrl,
-          audioSize,
-          language,
-          JSON.stringify(metadata)
-        ]);
-        
-        recordId = result.rows[0].id;
+      if (records.length > 1) {
+        console.log(`✅ ${records.length} 条财报记录已在同一事务中保存`);
       }
-
-      await client.query('COMMIT');
-      
-      console.log(`✅ 财报记录保存成功，ID: ${recordId}`);
-      return recordId.toString();
+      return recordIds;
       
     } catch (error) {
       await client.query('ROLLBACK');
@@ -222,6 +345,151 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 上传一条财报记录的主版本和各长度版本音频
+   * @param {Object} data - 财报数据（格式同 saveEarningsReport）
+   * @returns {Promise<{audioUrl: string|null, audioSize: number, variants: Object}>} 主版本音频和各长度版本的保存内容
+   */
+  async uploadReportAudio({ ticker, year, quarter, audioBuffer, variants = {}, language = 'zh-CN' }) {
+    const { audioUrl, audioSize } = await this.uploadAudio(
+      audioBuffer,
+      `earnings-podcasts/${ticker}/${year}Q${quarter}-${language}-${Date.now()}.mp3`
+    );
+
+    const savedVariants = {};
+    for (const [variant, entry] of Object.entries(variants)) {
+      const audio = entry.audioBuffer === audioBuffer
+        ? { audioUrl, audioSize }
+        : await this.uploadAudio(entry.audioBuffer, `earnings-podcasts/${ticker}/${year}Q${quarter}-${language}-${variant}-${Date.now()}.mp3`);
+
+      savedVariants[variant] = {
+        summary: entry.summary,
+        ...audio,
+        durationSeconds: entry.durationSeconds ?? null,
+        qualityScore: entry.qualityScore ?? null,
+        generatedAt: new Date().toISOString()
+      };
+    }
+
+    return { audioUrl, audioSize, variants: savedVariants };
+  }
+
+  /**
+   * 在事务中写入一条财报记录和指引明细（已存在时更新）
+   * @param {Object} client - 事务所用的数据库连接
+   * @param {Object} data - 财报数据（格式同 saveEarningsReport）
+   * @param {Object} audio - uploadReportAudio 的返回值
+   * @returns {Promise<string>} 记录ID
+   */
+  async writeEarningsReport(client, data, { audioUrl, audioSize, variants: savedVariants }) {
+    const {
+      ticker,
+      year,
+      quarter,
+      transcript,
+      summary,
+      summaryData = null,
+      toneScores = null,
+      qualityScore = null,
+      language = 'zh-CN',
+      metadata = {}
+    } = data;
+
+    console.log(`💾 正在保存 ${ticker} ${year}Q${quarter} 财报记录（${language}）...`);
+
+    // 检查是否已存在相同记录
+    const existingRecord = await client.query(
+      'SELECT id FROM earnings_reports WHERE ticker = $1 AND year = $2 AND quarter = $3 AND language = $4',
+      [ticker.toUpperCase(), year, quarter, language]
+    );
+
+    let recordId;
+    
+    if (existingRecord.rows.length > 0) {
+      // 更新现有记录
+      console.log('📝 更新现有财报记录...');
+      
+      const result = await client.query(`
+        UPDATE earnings_reports 
+        SET transcript = $1, summary = $2, audio_url = $3, audio_size = $4, metadata = $5, summary_data = $10, tone_scores = $11, quality_score = $12,
+            variants = $13::jsonb
+        WHERE ticker = $6 AND year = $7 AND quarter = $8 AND language = $9
+        RETURNING id
+      `, [
+        transcript,
+        summary,
+        audioUrl,
+        audioSize,
+        JSON.stringify(metadata),
+        ticker.toUpperCase(),
+        year,
+        quarter,
+        language,
+        summaryData ? JSON.stringify(summaryData) : null,
+        toneScores ? JSON.stringify(toneScores) : null,
+        qualityScore,
+        JSON.stringify(savedVariants)
+      ]);
+      
+      recordId = result.rows[0].id;
+      
+    } else {
+      // 插入新记录
+      console.log('📝 插入新财报记录...');
+      
+      const result = await client.query(`
+        INSERT INTO earnings_reports 
+        (ticker, year, quarter, transcript, summary, audio_url, audio_size, language, metadata, summary_data, tone_scores, quality_score, variants)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING id
+      `, [
+        ticker.toUpperCase(),
+        year,
+        quarter,
+        transcript,
+        summary,
+        audioUrl,
+        audioSize,
+        language,
+        JSON.stringify(metadata),
+        summaryData ? JSON.stringify(summaryData) : null,
+        toneScores ? JSON.stringify(toneScores) : null,
+        qualityScore,
+        JSON.stringify(savedVariants)
+      ]);
+      
+      recordId = result.rows[0].id;
+    }
+
+    // 重新生成时替换该期节目的指引明细
+    await client.query('DELETE FROM guidance_items WHERE report_id = $1', [recordId]);
+    for (const [position, item] of (summaryData?.guidance || []).entries()) {
+      await client.query(`
+        INSERT INTO guidance_items 
+        (report_id, ticker, year, quarter, language, position, metric, period, low, high, unit, scale, revision, text)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      `, [
+        recordId,
+        ticker.toUpperCase(),
+        year,
+        quarter,
+        language,
+        position,
+        item.metric,
+        item.period ?? null,
+        item.low ?? null,
+        item.high ?? null,
+        item.unit ?? null,
+        item.scale ?? null,
+        item.revision ?? null,
+        item.text
+      ]);
+    }
+
+    console.log(`✅ 财报记录保存成功，ID: ${recordId}`);
+    return recordId.toString();
+  }
+
   /**
    * 获取财报记录
    * @param {Object} params - 查询参数
@@ -248,6 +516,10 @@ export class DatabaseService {
         quarter: record.quarter,
         transcript: record.transcript,
         summary: record.summary,
+        summaryData: record.summary_data,
+        toneScores: record.tone_scores,
+        qualityScore: record.quality_score === null ? null : parseFloat(record.quality_score),
+        variants: record.variants || {},
         audioUrl: record.audio_url,
         audioSize: record.audio_size,
         language: record.language,
@@ -267,20 +539,29 @@ export class DatabaseService {
    * @param {string} ticker - 股票代码
    * @param {string} language - 语言
    * @param {number} limit - 限制数量
-   * @returns {Promise<Array>} 财报记录列表
+   * @param {Object} [options] - 选项
+   * @param {{year: number, quarter: number}} [options.before] - 只返回该期间之前的财报
+   * @returns {Promise<Array>} 财报记录列表（由近到远）
    */
-  async getCompanyEarningsHistory(ticker, language = 'zh-CN', limit = 20) {
+  async getCompanyEarningsHistory(ticker, language = 'zh-CN', limit = 20, { before = null } = {}) {
     await this.initialize();
 
     try {
+      const params = [ticker.toUpperCase(), language, limit];
+      let periodFilter = '';
+      if (before) {
+        params.push(before.year, before.quarter);
+        periodFilter = 'AND (year, quarter) < ($4, $5)';
+      }
+
       const result = await this.pool.query(`
         SELECT id, ticker, year, quarter, audio_url, audio_size, language, 
-               metadata, created_at, updated_at
+               summary_data, tone_scores, metadata, created_at, updated_at
         FROM earnings_reports 
-        WHERE ticker = $1 AND language = $2
+        WHERE ticker = $1 AND language = $2 ${periodFilter}
         ORDER BY year DESC, quarter DESC
         LIMIT $3
-      `, [ticker.toUpperCase(), language, limit]);
+      `, params);
 
       return result.rows.map(record => ({
         id: record.id,
@@ -290,6 +571,8 @@ export class DatabaseService {
         audioUrl: record.audio_url,
         audioSize: record.audio_size,
         language: record.language,
+        summaryData: record.summary_data,
+        toneScores: record.tone_scores,
         metadata: record.metadata,
         createdAt: record.created_at,
         updatedAt: record.updated_at
@@ -301,6 +584,133 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 获取管理层语气趋势（由远到近，用于绘制每个股票代码的语气走势）
+   * @param {Object} [options] - 选项
+   * @param {string} [options.ticker] - 股票代码，省略时返回所有公司
+   * @param {string} [options.language] - 语言
+   * @param {number} [options.limit] - 每个公司最多返回的期数
+   * @returns {Promise<Object>} { [ticker]: [{ year, quarter, toneScores }] }
+   */
+  async getToneTrends({ ticker = null, language = 'zh-CN', limit = 12 } = {}) {
+    await this.initialize();
+
+    try {
+      const params = [language, limit];
+      let tickerFilter = '';
+      if (ticker) {
+        params.push(ticker.toUpperCase());
+        tickerFilter = 'AND ticker = $3';
+      }
+
+      const result = await this.pool.query(`
+        SELECT ticker, year, quarter, tone_scores
+        FROM (
+          SELECT ticker, year, quarter, tone_scores,
+                 ROW_NUMBER() OVER (PARTITION BY ticker ORDER BY year DESC, quarter DESC) as recency
+          FROM earnings_reports
+          WHERE language = $1 AND tone_scores IS NOT NULL ${tickerFilter}
+        ) ranked
+        WHERE recency <= $2
+        ORDER BY ticker, year, quarter
+      `, params);
+
+      const trends = {};
+      for (const record of result.rows) {
+        (trends[record.ticker] ||= []).push({
+          year: record.year,
+          quarter: record.quarter,
+          toneScores: record.tone_scores
+        });
+      }
+      return trends;
+
+    } catch (error) {
+      console.error('❌ 获取管理层语气趋势失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取公司的业绩指引历史（最近若干期节目中的每项指引，由远到近）
+   * @param {string} ticker - 股票代码
+   * @param {Object} [options] - 选项
+   * @param {string} [options.language] - 语言
+   * @param {string} [options.metric] - 只返回指标名称包含该文字的指引（不区分大小写）
+   * @param {number} [options.limit] - 最多返回的期数
+   * @returns {Promise<Array<Object>>} 指引记录 [{ year, quarter, metric, period, low, high, unit, scale, revision, text }]
+   */
+  async getGuidanceHistory(ticker, { language = 'zh-CN', metric = null, limit = 8 } = {}) {
+    await this.initialize();
+
+    try {
+      const params = [ticker.toUpperCase(), language, limit];
+      let metricFilter = '';
+      if (metric) {
+        params.push(`%${metric}%`);
+        metricFilter = 'AND metric ILIKE $4';
+      }
+
+      const result = await this.pool.query(`
+        SELECT year, quarter, metric, period, low, high, unit, scale, revision, text
+        FROM guidance_items
+        WHERE ticker = $1 AND language = $2 ${metricFilter}
+          AND (year, quarter) IN (
+            SELECT DISTINCT year, quarter FROM guidance_items
+            WHERE ticker = $1 AND language = $2
+            ORDER BY year DESC, quarter DESC
+            LIMIT $3
+          )
+        ORDER BY year, quarter, position
+      `, params);
+
+      return result.rows.map(record => ({
+        year: record.year,
+        quarter: record.quarter,
+        metric: record.metric,
+        period: record.period,
+        low: record.low === null ? null : parseFloat(record.low),
+        high: record.high === null ? null : parseFloat(record.high),
+        unit: record.unit,
+        scale: record.scale,
+        revision: record.revision,
+        text: record.text
+      }));
+
+    } catch (error) {
+      console.error('❌ 获取业绩指引历史失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取公司已生成播客的财报期间
+   * @param {string} ticker - 股票代码
+   * @param {string} language - 语言
+   * @returns {Promise<Array<{year: number, quarter: number}>>} 已处理的期间
+   */
+  async getProcessedPeriods(ticker, language = 'zh-CN') {
+    await this.initialize();
+
+    try {
+      const result = await this.pool.query(`
+        SELECT DISTINCT year, quarter
+        FROM earnings_reports
+        WHERE ticker = $1 AND language = $2
+        ORDER BY year DESC, quarter DESC
+      `, [ticker.toUpperCase(), language]);
+
+      return result.rows.map(row => ({
+        year: row.year,
+        quarter: row.quarter
+      }));
+
+    } catch (error) {
+      console.error('❌ 获取已处理财报期间失败:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * 获取最近的财报记录
    * @param {number} limit - 限制数量
@@ -313,7 +723,7 @@ export class DatabaseService {
     try {
       let query = `
         SELECT id, ticker, year, quarter, audio_url, audio_size, language, 
-               metadata, created_at, updated_at
+               metadata, summary_data, variants, created_at, updated_at
         FROM earnings_reports
       `;
       
@@ -338,6 +748,8 @@ export class DatabaseService {
         audioSize: record.audio_size,
         language: record.language,
         metadata: record.metadata,
+        summaryData: record.summary_data,
+        variants: record.variants || {},
         createdAt: record.created_at,
         updatedAt: record.updated_at
       }));
@@ -348,13 +760,263 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 登记调度条目；已存在时仅更新财报日期，不会重置处理状态
+   * @param {Object} entry - 调度条目
+   * @param {string} entry.ticker - 股票代码
+   * @param {number} entry.year - 年份
+   * @param {number} entry.quarter - 季度
+   * @param {string} entry.language - 语言
+   * @param {string} entry.reportDate - 财报发布日期 (YYYY-MM-DD)
+   * @returns {Promise<Object>} 调度条目
+   */
+  async upsertScheduleEntry({ ticker, year, quarter, language = 'zh-CN', reportDate }) {
+    await this.initialize({ write: true });
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO generation_schedule (ticker, year, quarter, language, report_date)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (ticker, year, quarter, language)
+        DO UPDATE SET report_date = EXCLUDED.report_date
+        RETURNING *
+      `, [ticker.toUpperCase(), year, quarter, language, reportDate]);
+
+      return this.mapScheduleRow(result.rows[0]);
+      
+    } catch (error) {
+      console.error('❌ 登记调度条目失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 更新调度条目状态
+   * @param {number} id - 调度条目ID
+   * @param {Object} changes - 变更内容
+   * @param {string} changes.status - 新状态
+   * @param {boolean} [changes.incrementAttempts] - 是否增加尝试次数
+   * @param {string|null} [changes.lastError] - 最近一次错误
+   * @returns {Promise<Object>} 更新后的调度条目
+   */
+  async updateScheduleEntry(id, { status, incrementAttempts = false, lastError = null }) {
+    await this.initialize({ write: true });
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE generation_schedule
+        SET status = $2,
+            attempts = attempts + $3,
+            last_error = $4,
+            last_checked_at = CURRENT_TIMESTAMP,
+            completed_at = CASE WHEN $2 = 'completed' THEN CURRENT_TIMESTAMP ELSE completed_at END
+        WHERE id = $1
+        RETURNING *
+      `, [id, status, incrementAttempts ? 1 : 0, lastError]);
+
+      return this.mapScheduleRow(result.rows[0]);
+      
+    } catch (error) {
+      console.error('❌ 更新调度条目失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取调度条目
+   * @param {Object} [params] - 查询参数
+   * @param {Array<string>} [params.statuses] - 状态过滤
+   * @param {number|null} [params.limit] - 限制数量，null 表示不限制
+   * @returns {Promise<Array<Object>>} 调度条目
+   */
+  async getScheduleEntries({ statuses = null, limit = 200 } = {}) {
+    await this.initialize();
+
+    try {
+      let query = 'SELECT * FROM generation_schedule';
+      const params = [];
+
+      if (statuses && statuses.length > 0) {
+        query += ' WHERE status = ANY($1)';
+        params.push(statuses);
+      }
+
+      query += ' ORDER BY report_date ASC, ticker ASC LIMIT $' + (params.length + 1);
+      params.push(limit);
+
+      const result = await this.pool.query(query, params);
+      return result.rows.map(row => this.mapScheduleRow(row));
+      
+    } catch (error) {
+      console.error('❌ 获取调度条目失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 将调度表行转换为对象
+   * @param {Object} row - 数据库行
+   * @returns {Object} 调度条目
+   */
+  mapScheduleRow(row) {
+    return {
+      id: row.id,
+      ticker: row.ticker,
+      year: row.year,
+      quarter: row.quarter,
+      language: row.language,
+      reportDate: row.report_date,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      lastCheckedAt: row.last_checked_at,
+      completedAt: row.completed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * 合并更新财报记录的元数据（只覆盖传入的字段）
+   * @param {number} id - 记录ID
+   * @param {Object} patch - 要写入的元数据字段
+   * @returns {Promise<Object|null>} 更新后的元数据
+   */
+  async updateReportMetadata(id, patch) {
+    await this.initialize({ write: true });
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE earnings_reports
+        SET metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb
+        WHERE id = $1
+        RETURNING metadata
+      `, [id, JSON.stringify(patch)]);
+
+      return result.rows.length > 0 ? result.rows[0].metadata : null;
+      
+    } catch (error) {
+      console.error('❌ 更新财报元数据失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取缓存的公司资料
+   * @param {string} ticker - 股票代码
+   * @returns {Promise<Object|null>} 公司资料
+   */
+  async getCompany(ticker) {
+    await this.initialize();
+
+    try {
+      const result = await this.pool.query(
+        'SELECT * FROM companies WHERE ticker = $1',
+        [ticker.toUpperCase()]
+      );
+
+      return result.rows.length > 0 ? this.mapCompanyRow(result.rows[0]) : null;
+      
+    } catch (error) {
+      console.error('❌ 获取公司资料失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取全部缓存的公司资料
+   * @returns {Promise<Array<Object>>} 公司资料列表
+   */
+  async getCompanies() {
+    await this.initialize();
+
+    try {
+      const result = await this.pool.query('SELECT * FROM companies ORDER BY market_cap DESC NULLS LAST, ticker ASC');
+      return result.rows.map(row => this.mapCompanyRow(row));
+      
+    } catch (error) {
+      console.error('❌ 获取公司资料列表失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 保存公司资料（存在则更新）
+   * @param {Object} profile - 公司资料
+   * @returns {Promise<Object>} 保存后的公司资料
+   */
+  async saveCompany(profile) {
+    await this.initialize({ write: true });
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO companies 
+        (ticker, name, name_zh, name_zh_tw, sector, exchange, market_cap, logo_url, website, country, currency)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (ticker) DO UPDATE SET
+          name = EXCLUDED.name,
+          name_zh = COALESCE(EXCLUDED.name_zh, companies.name_zh),
+          name_zh_tw = COALESCE(EXCLUDED.name_zh_tw, companies.name_zh_tw),
+          sector = EXCLUDED.sector,
+          exchange = EXCLUDED.exchange,
+          market_cap = EXCLUDED.market_cap,
+          logo_url = EXCLUDED.logo_url,
+          website = EXCLUDED.website,
+          country = EXCLUDED.country,
+          currency = EXCLUDED.currency
+        RETURNING *
+      `, [
+        profile.ticker.toUpperCase(),
+        profile.name,
+        profile.nameZh,
+        profile.nameZhTw,
+        profile.sector,
+        profile.exchange,
+        profile.marketCap,
+        profile.logoUrl,
+        profile.website,
+        profile.country,
+        profile.currency
+      ]);
+
+      return this.mapCompanyRow(result.rows[0]);
+      
+    } catch (error) {
+      console.error('❌ 保存公司资料失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 将公司表行转换为对象
+   * @param {Object} row - 数据库行
+   * @returns {Object} 公司资料
+   */
+  mapCompanyRow(row) {
+    return {
+      ticker: row.ticker,
+      name: row.name,
+      nameZh: row.name_zh,
+      nameZhTw: row.name_zh_tw,
+      sector: row.sector,
+      exchange: row.exchange,
+      marketCap: row.market_cap === null ? null : Number(row.market_cap),
+      logoUrl: row.logo_url,
+      website: row.website,
+      country: row.country,
+      currency: row.currency,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
   /**
    * 删除财报记录
    * @param {string} id - 记录ID
    * @returns {Promise<boolean>} 是否删除成功
    */
   async deleteEarningsReport(id) {
-    await this.initialize();
+    await this.initialize({ write: true });
 
     try {
       const result = await this.pool.query(
@@ -412,6 +1074,135 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * 记录一次生成运行的结果和费用（成功和失败都记录）
+   * @param {Object} run - 运行信息
+   * @param {string} run.ticker - 股票代码
+   * @param {number|null} run.year - 年份（尚未确定期间时为 null）
+   * @param {number|null} run.quarter - 季度
+   * @param {Array<string>} run.languages - 输出语言
+   * @param {string} run.status - 运行结果 (succeeded / failed)
+   * @param {string|null} [run.error] - 失败原因
+   * @param {Object} run.usage - 用量报告（UsageTracker.getSummary，不含 calls 明细）
+   * @param {Array<number>} [run.reportIds] - 保存的财报记录ID
+   * @param {Date|number|null} [run.startedAt] - 开始时间
+   * @returns {Promise<number>} 运行记录ID
+   */
+  async saveGenerationRun({ ticker, year, quarter, languages, status, error = null, usage, reportIds = [], startedAt = null }) {
+    await this.initialize({ write: true });
+
+    try {
+      const result = await this.pool.query(`
+        INSERT INTO generation_runs (ticker, year, quarter, languages, status, error, total_cost, usage, report_ids, started_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id
+      `, [
+        ticker.toUpperCase(),
+        year,
+        quarter,
+        languages,
+        status,
+        error,
+        usage.totalCost,
+        JSON.stringify(usage),
+        reportIds,
+        startedAt ? new Date(startedAt) : null
+      ]);
+
+      return result.rows[0].id;
+
+    } catch (error) {
+      console.error('❌ 保存生成运行记录失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取费用统计：汇总 generation_runs 中每次运行的用量（含未通过核对或质量门槛的失败运行，
+   * 以及同一期重新生成前的运行），按日期、股票代码和服务商分组
+   * @param {Object} [options] - 选项
+   * @param {number} [options.days] - 统计最近多少天
+   * @returns {Promise<Object>} 费用统计 { days, totalCost, runs, failedRuns, byDay, byTicker, byProvider }
+   */
+  async getCostStatistics({ days = 30 } = {}) {
+    await this.initialize();
+
+    try {
+      const window = `created_at >= CURRENT_DATE - make_interval(days => $1)`;
+
+      const [totalStats, dayStats, tickerStats, providerStats] = await Promise.all([
+        this.pool.query(`
+          SELECT COUNT(*) as runs, COUNT(*) FILTER (WHERE status = 'failed') as failed_runs,
+                 COALESCE(SUM(total_cost), 0) as cost
+          FROM generation_runs
+          WHERE ${window}
+        `, [days]),
+
+        // 按日期统计
+        this.pool.query(`
+          SELECT TO_CHAR(DATE(created_at), 'YYYY-MM-DD') as day, COUNT(*) as runs,
+                 COUNT(*) FILTER (WHERE status = 'failed') as failed_runs,
+                 SUM(total_cost) as cost
+          FROM generation_runs
+          WHERE ${window}
+          GROUP BY day
+          ORDER BY day DESC
+        `, [days]),
+
+        // 按股票代码统计
+        this.pool.query(`
+          SELECT ticker, COUNT(*) as runs,
+                 COUNT(*) FILTER (WHERE status = 'failed') as failed_runs,
+                 SUM(total_cost) as cost
+          FROM generation_runs
+          WHERE ${window}
+          GROUP BY ticker
+          ORDER BY cost DESC
+        `, [days]),
+
+        // 按服务商统计（gemini / openai / coze 等）
+        this.pool.query(`
+          SELECT provider.key as provider,
+                 SUM((provider.value->>'calls')::integer) as calls,
+                 SUM((provider.value->>'cost')::numeric) as cost
+          FROM generation_runs,
+               jsonb_each(usage->'byProvider') as provider
+          WHERE ${window}
+          GROUP BY provider.key
+          ORDER BY cost DESC
+        `, [days])
+      ]);
+
+      return {
+        days,
+        runs: parseInt(totalStats.rows[0].runs),
+        failedRuns: parseInt(totalStats.rows[0].failed_runs),
+        totalCost: parseFloat(totalStats.rows[0].cost),
+        byDay: dayStats.rows.map(row => ({
+          day: row.day,
+          runs: parseInt(row.runs),
+          failedRuns: parseInt(row.failed_runs),
+          cost: parseFloat(row.cost)
+        })),
+        byTicker: tickerStats.rows.map(row => ({
+          ticker: row.ticker,
+          runs: parseInt(row.runs),
+          failedRuns: parseInt(row.failed_runs),
+          cost: parseFloat(row.cost)
+        })),
+        byProvider: providerStats.rows.map(row => ({
+          provider: row.provider,
+          calls: parseInt(row.calls),
+          cost: parseFloat(row.cost)
+        }))
+      };
+
+    } catch (error) {
+      console.error('❌ 获取费用统计失败:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * 测试数据库连接
    * @returns {Promise<boolean>} 连接是否成功
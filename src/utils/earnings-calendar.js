@@ -0,0 +1,134 @@
+/**
+ * 财报日历工具模块
+ * 功能：读取本地 JSON/CSV 财报日历文件并标准化为统一的日历条目
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * 标准化单条日历记录
+ * 兼容 symbol/ticker、date/reportDate、year/fiscalYear、quarter/fiscalQuarter 等字段名
+ * @param {Object} item - 原始记录
+ * @returns {Object|null} 日历条目 { symbol, date, hour, year, quarter }，无效记录返回 null
+ */
+export function normalizeCalendarEntry(item) {
+  const symbol = (item.symbol || item.ticker || '').toString().trim().toUpperCase();
+  const date = (item.date || item.reportDate || '').toString().trim();
+  const year = Number(item.year || item.fiscalYear);
+  const quarter = Number(String(item.quarter || item.fiscalQuarter || '').replace(/^Q/i, ''));
+
+  if (!symbol || !/^\d{4}-\d{2}-\d{2}/.test(date) || !year || !(quarter >= 1 && quarter <= 4)) {
+    return null;
+  }
+
+  return {
+    symbol,
+    date: date.slice(0, 10),
+    hour: item.hour || null,
+    year,
+    quarter
+  };
+}
+
+/**
+ * 解析CSV文本（首行为表头，支持双引号包裹的字段）
+ * @param {string} content - CSV内容
+ * @returns {Array<Object>} 记录数组
+ */
+export function parseCsv(content) {
+  const rows = content
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => {
+      const cells = [];
+      let current = '';
+      let quoted = false;
+
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+          if (quoted && line[i + 1] === '"') {
+            current += '"';
+            i++;
+          } else {
+            quoted = !quoted;
+          }
+        } else if (char === ',' && !quoted) {
+          cells.push(current.trim());
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+      cells.push(current.trim());
+      return cells;
+    });
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim());
+  return rows.slice(1).map(cells =>
+    headers.reduce((record, header, index) => {
+      record[header] = cells[index] ?? '';
+      return record;
+    }, {})
+  );
+}
+
+/**
+ * 读取本地财报日历文件
+ * JSON 文件可以是数组，也可以是 Finnhub 格式的 { earningsCalendar: [...] }
+ * @param {string} filePath - 文件路径 (.json 或 .csv)
+ * @returns {Promise<Array<Object>>} 日历条目
+ */
+export async function loadCalendarFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  let records;
+  if (extension === '.csv') {
+    records = parseCsv(content);
+  } else if (extension === '.json') {
+    const data = JSON.parse(content);
+    records = Array.isArray(data) ? data : (data.earningsCalendar || []);
+  } else {
+    throw new Error(`Unsupported calendar file format: ${extension}`);
+  }
+
+  const entries = records.map(normalizeCalendarEntry).filter(Boolean);
+  const skipped = records.length - entries.length;
+
+  if (skipped > 0) {
+    console.warn(`⚠️ 财报日历中有 ${skipped} 条记录格式无效，已跳过`);
+  }
+
+  return entries;
+}
+
+/**
+ * 按关注列表过滤日历条目
+ * @param {Array<Object>} entries - 日历条目
+ * @param {Array<string>} watchlist - 股票代码列表，为空时不过滤
+ * @returns {Array<Object>} 过滤后的条目
+ */
+export function filterByWatchlist(entries, watchlist = []) {
+  if (!watchlist || watchlist.length === 0) {
+    return entries;
+  }
+
+  const symbols = new Set(watchlist.map(symbol => symbol.toUpperCase()));
+  return entries.filter(entry => symbols.has(entry.symbol));
+}
+
+/**
+ * 格式化日期为 YYYY-MM-DD
+ * @param {Date} date - 日期
+ * @returns {string} 日期字符串
+ */
+export function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
@@ -0,0 +1,135 @@
+/**
+ * 节目长度版本模块
+ * 功能：定义同一期财报可生成的节目长度版本（快讯 / 标准 / 深度），提供各版本的篇幅要求、
+ *       命令行参数解析和按篇幅估算的节目时长
+ */
+
+/**
+ * 节目长度版本
+ */
+export const EPISODE_VARIANTS = {
+  // 约1分钟的快讯
+  FLASH: 'flash',
+  // 原有的标准篇幅
+  STANDARD: 'standard',
+  // 约15分钟的深度解读
+  DEEP: 'deep'
+};
+
+/**
+ * 各版本的篇幅参数
+ * - chars / words：中文字数和英文词数区间
+ * - sectionScale：质量评分中小节最少字数的缩放比例（快讯每个小节只有一两句）
+ * - narrateQa：是否在节目中播报分析师问答段落（快讯不播报）
+ */
+export const VARIANT_SPECS = {
+  [EPISODE_VARIANTS.FLASH]: { minutes: 1, chars: [200, 300], words: [130, 170], sectionScale: 0.3, narrateQa: false },
+  [EPISODE_VARIANTS.STANDARD]: { minutes: 5, chars: [800, 1200], words: [800, 1200], sectionScale: 1, narrateQa: true },
+  [EPISODE_VARIANTS.DEEP]: { minutes: 15, chars: [3500, 4500], words: [2000, 2500], sectionScale: 1.5, narrateQa: true }
+};
+
+/**
+ * 各版本的显示名称
+ */
+export const VARIANT_LABELS = {
+  'zh-CN': { flash: '快讯', standard: '标准版', deep: '深度解读' },
+  'en-US': { flash: 'Flash', standard: 'Standard', deep: 'Deep Dive' }
+};
+
+/**
+ * 朗读速度（中文每分钟字数、英文每分钟词数），用于估算节目时长
+ */
+const SPEAKING_RATE = { zh: 250, en: 150 };
+
+/**
+ * 解析 --variants 参数，例如 "flash,standard"（去重并按快讯、标准、深度排序）
+ * @param {string} value - 逗号分隔的版本列表
+ * @returns {Array<string>} 版本列表
+ * @throws {Error} 包含不支持的版本或列表为空时
+ */
+export function parseVariants(value = '') {
+  const requested = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  const supported = Object.values(EPISODE_VARIANTS);
+
+  const unknown = requested.filter(item => !supported.includes(item));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported episode variant: ${unknown.join(', ')} (supported: ${supported.join(', ')})`);
+  }
+  if (requested.length === 0) {
+    throw new Error('At least one episode variant is required');
+  }
+
+  return supported.filter(item => requested.includes(item));
+}
+
+/**
+ * 选择主版本：写入财报记录主字段、供往期对比和指引历史使用的版本（优先标准版，其次深度解读）
+ * @param {Array<string>} variants - 本次生成的版本
+ * @returns {string} 主版本
+ */
+export function getPrimaryVariant(variants) {
+  return [EPISODE_VARIANTS.STANDARD, EPISODE_VARIANTS.DEEP, EPISODE_VARIANTS.FLASH].find(item => variants.includes(item));
+}
+
+/**
+ * 获取版本的篇幅参数
+ * @param {string} variant - 版本
+ * @returns {Object} 篇幅参数
+ */
+export function getVariantSpec(variant) {
+  return VARIANT_SPECS[variant] || VARIANT_SPECS[EPISODE_VARIANTS.STANDARD];
+}
+
+/**
+ * 获取语言对应的版本显示名称表
+ * @param {string} language - 语言代码
+ * @returns {Object} 显示名称
+ */
+export function getVariantLabels(language) {
+  return VARIANT_LABELS[language] || (language.startsWith('zh') ? VARIANT_LABELS['zh-CN'] : VARIANT_LABELS['en-US']);
+}
+
+/**
+ * 构建提示词中的篇幅要求
+ * @param {string} variant - 版本
+ * @param {string} language - 语言代码
+ * @returns {string} 篇幅要求
+ */
+export function buildLengthRequirement(variant, language) {
+  const { minutes, chars, words } = getVariantSpec(variant);
+
+  if (language.startsWith('zh')) {
+    const [low, high] = chars;
+    if (variant === EPISODE_VARIANTS.FLASH) {
+      return `控制在${low}-${high}字之间（约${minutes}分钟的快讯），每个小节只保留一两句最重要的内容，不展开细节`;
+    }
+    if (variant === EPISODE_VARIANTS.DEEP) {
+      return `控制在${low}-${high}字之间（约${minutes}分钟的深度解读），每个小节充分展开：分业务数据、管理层的解释和原话、分析师关注的问题及管理层的回答`;
+    }
+    return `控制在${low}-${high}字之间`;
+  }
+
+  const [low, high] = words;
+  if (variant === EPISODE_VARIANTS.FLASH) {
+    return `Keep between ${low}-${high} words (a ${minutes}-minute flash briefing); give each section only its one or two most important sentences, without detail`;
+  }
+  if (variant === EPISODE_VARIANTS.DEEP) {
+    return `Keep between ${low}-${high} words (a ${minutes}-minute deep dive); develop every section fully: segment figures, management's explanations and quotes, and the questions analysts pressed on with management's answers`;
+  }
+  return `Keep between ${low}-${high} words`;
+}
+
+/**
+ * 按朗读速度估算节目时长
+ * @param {string} text - 朗读文本
+ * @param {string} language - 语言代码
+ * @returns {number} 时长（秒）
+ */
+export function estimateDurationSeconds(text, language) {
+  if (language.startsWith('zh')) {
+    const chars = (text.match(/[一-鿿]/g) || []).length;
+    return Math.round(chars / SPEAKING_RATE.zh * 60);
+  }
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return Math.round(words / SPEAKING_RATE.en * 60);
+}
@@ -0,0 +1,415 @@
+/**
+ * 摘要数字核对模块
+ * 功能：提取结构化摘要中的数字、百分比和金额，在文字稿（及一致预期、股价、往期财报等输入数据）中查找支持依据，
+ *       标记找不到依据、量级错误或指标对应错误的数字，生成核对报告
+ */
+
+import { SCALE_MULTIPLIERS } from './summary-renderer.js';
+
+/**
+ * 数字核对结果
+ */
+export const CLAIM_STATUS = {
+  SUPPORTED: 'supported',             // 文字稿中有相同数值
+  SCALE_MISMATCH: 'scale_mismatch',   // 数值相同但量级不同（如十亿写成百万）
+  LABEL_MISMATCH: 'label_mismatch',   // 数值存在，但上下文不是该指标（如把净利润写成营收）
+  UNSUPPORTED: 'unsupported'          // 找不到依据
+};
+
+/**
+ * 不通过比例的默认上限，可通过环境变量 FACT_CHECK_MAX_MISMATCH_RATE 覆盖
+ */
+export const DEFAULT_MAX_MISMATCH_RATE = 0.2;
+
+const SCALE_WORDS = {
+  '万': 1e4,
+  '亿': 1e8,
+  '万亿': 1e12,
+  thousand: 1e3,
+  k: 1e3,
+  million: 1e6,
+  mn: 1e6,
+  m: 1e6,
+  billion: 1e9,
+  bn: 1e9,
+  b: 1e9,
+  trillion: 1e12
+};
+
+// 数字及其前后的货币符号、量级和百分号，中英文通用
+const NUMBER_PATTERN = /(\$|US\$|USD\s?)?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?\s*(万亿|亿|万|[Tt]rillion|[Bb]illion|[Mm]illion|[Tt]housand|bn|mn|[BMK](?![A-Za-z]))?\s*(%|％|个百分点|个基点|percentage points?|percent|per cent|basis points|bps)?/g;
+
+/**
+ * 常见指标与文字稿中对应的关键词，用于检查数字是否属于该指标
+ */
+const METRIC_CONCEPTS = [
+  { pattern: /营收|收入|销售额|revenue|sales/i, keywords: ['revenue', 'sales', 'top line', 'top-line'] },
+  { pattern: /净利润|净利|net income|net profit/i, keywords: ['net income', 'net profit', 'net earnings'] },
+  { pattern: /每股|eps/i, keywords: ['per share', 'eps', 'earnings per'] },
+  { pattern: /毛利率|gross margin/i, keywords: ['gross margin'] },
+  { pattern: /营业利润|经营利润|operating (?:income|profit|margin)/i, keywords: ['operating'] },
+  { pattern: /现金流|cash flow/i, keywords: ['cash flow'] }
+];
+
+/**
+ * 从文本中提取数字
+ * @param {string} text - 文本
+ * @returns {Array<Object>} [{ raw, value, kind, tolerance, index, bare }]，kind 为 percent 或 amount
+ */
+export function extractNumbers(text = '') {
+  const numbers = [];
+
+  for (const match of text.matchAll(NUMBER_PATTERN)) {
+    const [raw, currency, integer, fraction = '', scaleWord, percentWord] = match;
+    const decimals = fraction.length;
+    const base = Number(`${integer.replace(/,/g, '')}${decimals ? `.${fraction}` : ''}`);
+
+    let kind = 'amount';
+    let value = base;
+    let unit = 10 ** -decimals;
+
+    if (percentWord) {
+      kind = 'percent';
+      // 基点换算为百分点
+      if (/基点|basis|bps/i.test(percentWord)) {
+        value = base / 100;
+        unit /= 100;
+      }
+    } else if (scaleWord) {
+      const multiplier = SCALE_WORDS[scaleWord] || SCALE_WORDS[scaleWord.toLowerCase()] || 1;
+      value = base * multiplier;
+      unit *= multiplier;
+    }
+
+    numbers.push({
+      raw: raw.trim(),
+      value,
+      kind,
+      // 允许四舍五入带来的误差：末位的一半
+      tolerance: unit / 2,
+      index: match.index,
+      bare: !currency && !scaleWord && !percentWord
+    });
+  }
+
+  return numbers;
+}
+
+/**
+ * 判断摘要中的数字是否只是年份、季度、日期或序号，不需要核对
+ * @param {Object} number - extractNumbers 的结果
+ * @param {string} text - 所在文本
+ * @returns {boolean}
+ */
+function isNonFactualNumber(number, text) {
+  if (!number.bare) {
+    return false;
+  }
+
+  const before = text.slice(Math.max(0, number.index - 2), number.index);
+  const after = text.slice(number.index + number.raw.length, number.index + number.raw.length + 3);
+
+  return (Number.isInteger(number.value) && number.value >= 1900 && number.value <= 2100) ||
+    number.value <= 10 ||
+    /(?:Q|第|FY|H)\s?$/i.test(before) ||
+    /^\s?(?:年|季度|个季度|月|日|号|天|quarter)/i.test(after) ||
+    /[-/]$/.test(before) ||
+    /^[-/]\d/.test(after);
+}
+
+/**
+ * 获取数字所在句子（用于判断数字属于哪个指标）
+ * @param {string} text - 文本
+ * @param {number} start - 数字起始位置
+ * @param {number} end - 数字结束位置
+ * @returns {string} 小写的句子
+ */
+function getSentenceContext(text, start, end) {
+  const before = text.slice(Math.max(0, start - 150), start).split(/[.;!?。；！？]\s*/).pop();
+  const after = text.slice(end, end + 60).split(/[.;!?。；！？](?:\s|$)/)[0];
+  return `${before}${text.slice(start, end)}${after}`.toLowerCase();
+}
+
+/**
+ * 建立可作为依据的数字池：文字稿按发言轮次提取，并加入提供给模型的一致预期、股价和往期财报数据
+ * @param {Object|string} transcript - 结构化文字稿（或纯文本）
+ * @param {Object} [references] - 其他输入数据 { earningsSurprise, priceReaction, priorReports }
+ * @returns {Array<Object>} 依据 [{ value, kind, tolerance, turnIndex, snippet, context }]
+ */
+function buildEvidencePool(transcript, { earningsSurprise = null, priceReaction = null, priorReports = [] } = {}) {
+  const turns = typeof transcript === 'string'
+    ? [{ index: null, speaker: null, text: transcript }]
+    : (transcript?.turns || []);
+  const pool = [];
+
+  for (const turn of turns) {
+    for (const number of extractNumbers(turn.text)) {
+      const end = number.index + number.raw.length;
+      pool.push({
+        ...number,
+        turnIndex: turn.index,
+        speaker: turn.speaker || null,
+        snippet: turn.text.slice(Math.max(0, number.index - 60), end + 60).trim(),
+        context: getSentenceContext(turn.text, number.index, end)
+      });
+    }
+  }
+
+  const addReference = (value, kind, label) => {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+    const amount = Number(value);
+    pool.push({
+      raw: String(value),
+      value: kind === 'percent' ? Math.abs(amount) : amount,
+      kind,
+      // 参考数据是精确值，模型转述时通常保留1-2位小数
+      tolerance: Math.abs(amount) * 0.005 + (kind === 'percent' ? 0.05 : 0.005),
+      turnIndex: null,
+      speaker: null,
+      snippet: label,
+      context: label.toLowerCase()
+    });
+  };
+
+  for (const [key, label] of [['eps', 'EPS'], ['revenue', 'revenue']]) {
+    const data = earningsSurprise?.[key];
+    if (!data) continue;
+    addReference(data.actual, 'amount', `${label} actual (consensus data)`);
+    addReference(data.estimate, 'amount', `${label} estimate (consensus data)`);
+    addReference(data.surprisePercent, 'percent', `${label} surprise (consensus data)`);
+  }
+
+  if (priceReaction?.nextDay) {
+    addReference(priceReaction.priorClose?.close, 'amount', 'prior close (price data)');
+    addReference(priceReaction.nextDay.open, 'amount', 'next day open (price data)');
+    addReference(priceReaction.nextDay.close, 'amount', 'next day close (price data)');
+    addReference(priceReaction.nextDay.gapPercent, 'percent', 'next day gap (price data)');
+    addReference(priceReaction.nextDay.changePercent, 'percent', 'next day change (price data)');
+    addReference(priceReaction.fiveDay?.changePercent, 'percent', '5-day change (price data)');
+  }
+
+  // 往期财报的关键指标和业绩指引（"与上季度相比"小节引用）
+  for (const { year, quarter, summaryData } of priorReports) {
+    if (!summaryData) continue;
+    const period = `${year}Q${quarter}`;
+    for (const metric of summaryData.keyMetrics || []) {
+      const kind = metric.unit === '%' ? 'percent' : 'amount';
+      const multiplier = kind === 'percent' ? 1 : (SCALE_MULTIPLIERS[metric.scale] || 1);
+      addReference(metric.value * multiplier, kind, `${metric.name} ${period} (prior report)`);
+      addReference(metric.changePercent, 'percent', `${metric.name} change ${period} (prior report)`);
+    }
+    for (const item of summaryData.guidance || []) {
+      const kind = item.unit === '%' ? 'percent' : 'amount';
+      const multiplier = kind === 'percent' ? 1 : (SCALE_MULTIPLIERS[item.scale] || 1);
+      for (const bound of [item.low, item.high]) {
+        if (bound === null || bound === undefined) continue;
+        addReference(bound * multiplier, kind, `${item.metric} guidance ${period} (prior report)`);
+      }
+    }
+  }
+
+  return pool;
+}
+
+/**
+ * 收集摘要中需要核对的数字
+ * @param {Object} document - 结构化摘要
+ * @returns {Array<Object>} 待核对数字 [{ field, text, value, kind, tolerance, metric }]
+ */
+function collectClaims(document) {
+  const claims = [];
+
+  document.keyMetrics.forEach((metric, index) => {
+    const multiplier = metric.unit === '%' ? 1 : (SCALE_MULTIPLIERS[metric.scale] || 1);
+    const decimals = (String(metric.value).split('.')[1] || '').length;
+    claims.push({
+      field: `keyMetrics[${index}].value`,
+      text: `${metric.name}: ${metric.value}${metric.scale && metric.scale !== 'none' ? ` ${metric.scale}` : ''} ${metric.unit}`,
+      value: metric.value * multiplier,
+      kind: metric.unit === '%' ? 'percent' : 'amount',
+      tolerance: (10 ** -decimals) * multiplier / 2,
+      metric: metric.name
+    });
+
+    if (metric.changePercent !== null && metric.changePercent !== undefined) {
+      const changeDecimals = (String(metric.changePercent).split('.')[1] || '').length;
+      claims.push({
+        field: `keyMetrics[${index}].changePercent`,
+        text: `${metric.name}: ${metric.changePercent}%${metric.comparison ? ` ${metric.comparison}` : ''}`,
+        value: Math.abs(metric.changePercent),
+        kind: 'percent',
+        tolerance: (10 ** -changeDecimals) / 2,
+        metric: null
+      });
+    }
+  });
+
+  document.guidance.forEach((item, index) => {
+    const multiplier = item.unit === '%' ? 1 : (SCALE_MULTIPLIERS[item.scale] || 1);
+    for (const bound of ['low', 'high']) {
+      if (item[bound] === null || item[bound] === undefined) continue;
+      // 单一数值的指引 low 与 high 相同，只核对一次
+      if (bound === 'high' && item.high === item.low) continue;
+      const decimals = (String(item[bound]).split('.')[1] || '').length;
+      claims.push({
+        field: `guidance[${index}].${bound}`,
+        text: `${item.metric}${item.period ? ` (${item.period})` : ''}: ${item[bound]}${item.scale && item.scale !== 'none' ? ` ${item.scale}` : ''} ${item.unit || ''}`.trim(),
+        value: item[bound] * multiplier,
+        kind: item.unit === '%' ? 'percent' : 'amount',
+        tolerance: (10 ** -decimals) * multiplier / 2,
+        metric: item.metric
+      });
+    }
+  });
+
+  const texts = [
+    ['headline', document.headline],
+    ...document.sections.map(section => [`sections.${section.key}`, section.content]),
+    ...document.quotes.map((quote, index) => [`quotes[${index}]`, quote.text]),
+    ...(document.guidanceReview || []).map((item, index) => [`guidanceReview[${index}]`, item.text]),
+    ...(document.qaDigest || []).flatMap((item, index) => [
+      [`qaDigest[${index}].question`, item.question],
+      [`qaDigest[${index}].answer`, item.answer]
+    ]),
+    ...(document.dialogue || []).map((turn, index) => [`dialogue[${index}]`, turn.text])
+  ];
+
+  for (const [field, text] of texts) {
+    for (const number of extractNumbers(text)) {
+      if (isNonFactualNumber(number, text)) continue;
+      claims.push({
+        field,
+        text: text.slice(Math.max(0, number.index - 20), number.index + number.raw.length + 20).trim(),
+        value: number.value,
+        kind: number.kind,
+        tolerance: number.tolerance,
+        metric: null
+      });
+    }
+  }
+
+  // 负数按绝对值核对（"下降5%" 在文字稿中通常写作 "decline of 5%"）
+  return claims
+    .map(claim => ({ ...claim, value: Math.abs(claim.value) }))
+    .filter(claim => claim.value !== 0);
+}
+
+/**
+ * 判断两个数值在舍入误差内是否一致
+ * @param {Object} claim - 待核对数字
+ * @param {Object} evidence - 依据
+ * @returns {boolean}
+ */
+function valuesMatch(claim, evidence) {
+  const tolerance = Math.max(claim.tolerance, evidence.tolerance, Math.abs(evidence.value) * 0.005);
+  return Math.abs(claim.value - Math.abs(evidence.value)) <= tolerance;
+}
+
+/**
+ * 判断金额是否只差一个量级（如十亿和百万、亿和万）
+ * @param {Object} claim - 待核对数字
+ * @param {Object} evidence - 依据
+ * @returns {boolean}
+ */
+function isScaleMismatch(claim, evidence) {
+  if (evidence.value === 0) return false;
+  const exponent = Math.log10(claim.value / Math.abs(evidence.value));
+  const rounded = Math.round(exponent);
+  return Math.abs(rounded) >= 3 && Math.abs(exponent - rounded) < 0.002;
+}
+
+/**
+ * 核对单个数字
+ * @param {Object} claim - 待核对数字
+ * @param {Array<Object>} pool - 依据池
+ * @returns {{ status: string, evidence: Object|null, note: string|null }}
+ */
+function checkClaim(claim, pool) {
+  const candidates = pool.filter(evidence => evidence.kind === claim.kind);
+  const matches = candidates.filter(evidence => valuesMatch(claim, evidence));
+
+  if (matches.length > 0) {
+    const concept = claim.metric ? METRIC_CONCEPTS.find(item => item.pattern.test(claim.metric)) : null;
+    if (concept) {
+      const labelled = matches.find(evidence => concept.keywords.some(keyword => evidence.context.includes(keyword)));
+      if (!labelled) {
+        return {
+          status: CLAIM_STATUS.LABEL_MISMATCH,
+          evidence: matches[0],
+          note: `value found, but not near ${concept.keywords.join('/')}`
+        };
+      }
+      return { status: CLAIM_STATUS.SUPPORTED, evidence: labelled, note: null };
+    }
+    return { status: CLAIM_STATUS.SUPPORTED, evidence: matches[0], note: null };
+  }
+
+  if (claim.kind === 'amount') {
+    const scaled = candidates.find(evidence => isScaleMismatch(claim, evidence));
+    if (scaled) {
+      return {
+        status: CLAIM_STATUS.SCALE_MISMATCH,
+        evidence: scaled,
+        note: `source says ${scaled.raw}`
+      };
+    }
+  }
+
+  return { status: CLAIM_STATUS.UNSUPPORTED, evidence: null, note: null };
+}
+
+/**
+ * 核对结构化摘要中的数字
+ * @param {Object} params - 参数对象
+ * @param {Object} params.document - 结构化摘要
+ * @param {Object|string} params.transcript - 结构化文字稿（或纯文本）
+ * @param {Object} [params.earningsSurprise] - 业绩与一致预期对比
+ * @param {Object} [params.priceReaction] - 财报后股价反应
+ * @param {Array<Object>} [params.priorReports] - 提供给模型的往期财报（含 summaryData）
+ * @param {number} [params.maxMismatchRate] - 不通过比例上限
+ * @returns {Object} 核对报告 { checkedAt, total, supported, flagged, mismatchRate, maxMismatchRate, passed, claims }
+ */
+export function factCheckSummary({
+  document,
+  transcript,
+  earningsSurprise = null,
+  priceReaction = null,
+  priorReports = [],
+  maxMismatchRate = Number(process.env.FACT_CHECK_MAX_MISMATCH_RATE) || DEFAULT_MAX_MISMATCH_RATE
+}) {
+  const pool = buildEvidencePool(transcript, { earningsSurprise, priceReaction, priorReports });
+
+  const claims = collectClaims(document).map(claim => {
+    const { status, evidence, note } = checkClaim(claim, pool);
+    return {
+      field: claim.field,
+      text: claim.text,
+      value: claim.value,
+      kind: claim.kind,
+      status,
+      note,
+      evidence: evidence
+        ? { value: evidence.value, turnIndex: evidence.turnIndex, speaker: evidence.speaker, snippet: evidence.snippet }
+        : null
+    };
+  });
+
+  const counts = Object.fromEntries(Object.values(CLAIM_STATUS).map(status => [
+    status,
+    claims.filter(claim => claim.status === status).length
+  ]));
+  const flagged = claims.length - counts[CLAIM_STATUS.SUPPORTED];
+  const mismatchRate = claims.length > 0 ? flagged / claims.length : 0;
+
+  return {
+    checkedAt: new Date().toISOString(),
+    total: claims.length,
+    supported: counts[CLAIM_STATUS.SUPPORTED],
+    flagged,
+    counts,
+    mismatchRate: Math.round(mismatchRate * 1000) / 1000,
+    maxMismatchRate,
+    passed: mismatchRate <= maxMismatchRate,
+    claims
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * 财经术语统一模块
+ * 功能：把术语表和应保持英文的产品名称注入提示词，并在生成后检查结构化摘要中的不一致译法，
+ *       按模式只报告或直接替换为标准译法
+ */
+
+import { FINANCIAL_GLOSSARY, PROTECTED_TERMS } from '../data/financial-glossary.js';
+import { OUTPUT_LANGUAGES, isTraditionalChinese } from './languages.js';
+import { collectTextFields } from './summary-schema.js';
+
+/**
+ * 术语检查模式
+ */
+export const GLOSSARY_MODES = {
+  // 不注入术语表，也不检查
+  OFF: 'off',
+  // 注入术语表，生成后只报告不一致的译法
+  REPORT: 'report',
+  // 注入术语表，生成后将不一致的译法替换为标准译法
+  FIX: 'fix'
+};
+
+/**
+ * 不一致译法的类型
+ */
+export const DEVIATION_TYPES = {
+  // 术语未使用标准译法
+  TERM: 'term',
+  // 应保持英文的产品名称被翻译
+  PROTECTED: 'protected'
+};
+
+/**
+ * 获取语言对应的术语表（繁体中文以外的中文沿用简体译法，非中文输出不需要术语表；
+ * 粤语的习惯译法与简体、台湾用语都不同，术语表没有粤语译法，只检查应保持英文的产品名称）
+ * @param {string} language - 语言代码
+ * @returns {Array<{ en: string, term: string, avoid: Array<string|Object> }>} 术语 { 英文, 标准译法, 需替换的写法（字符串或 { text, context }） }
+ */
+export function getGlossaryTerms(language) {
+  if (!language.startsWith('zh') || language === OUTPUT_LANGUAGES.ZH_HK) {
+    return [];
+  }
+
+  const variant = language === 'zh-TW' ? 'zh-TW' : 'zh-CN';
+  return FINANCIAL_GLOSSARY.map(entry => ({
+    en: entry.en,
+    term: entry[variant],
+    avoid: entry.avoid?.[variant] || []
+  }));
+}
+
+/**
+ * 获取应保持英文的产品名称（通用名称加公司专属名称）
+ * @param {string} [ticker] - 股票代码
+ * @returns {Array<{ term: string, avoid: Array<string> }>} 产品名称和需要改回英文的译名
+ */
+export function getProtectedTerms(ticker = null) {
+  return [...PROTECTED_TERMS.default, ...(PROTECTED_TERMS[ticker?.toUpperCase()] || [])]
+    .map(entry => ({ term: entry.term, avoid: entry.avoid || [] }));
+}
+
+/**
+ * 判断原文中是否出现英文词语（不区分大小写，按词边界匹配）
+ * @param {string} text - 原文
+ * @param {string} phrase - 英文词语
+ * @returns {boolean}
+ */
+function mentions(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
+}
+
+/**
+ * 构建注入提示词的术语说明，只列出原文中出现过的术语和产品名称（未提供原文时列出全部）
+ * @param {string} language - 语言代码
+ * @param {Object} [options] - 选项
+ * @param {string} [options.ticker] - 股票代码
+ * @param {string} [options.sourceText] - 文字稿原文
+ * @returns {string} 术语说明，没有需要说明的术语时返回空字符串
+ */
+export function buildGlossaryInstruction(language, { ticker = null, sourceText = '' } = {}) {
+  if (!language.startsWith('zh')) {
+    return '';
+  }
+
+  const relevant = entry => !sourceText || mentions(sourceText, entry.en || entry.term);
+  const terms = getGlossaryTerms(language).filter(relevant);
+  const protectedTerms = getProtectedTerms(ticker).filter(relevant);
+
+  const lines = [];
+  if (terms.length > 0) {
+    lines.push(isTraditionalChinese(language) ? '術語譯法（請統一使用以下譯法）：' : '术语译法（请统一使用以下译法）：');
+    lines.push(...terms.map(entry => `- ${entry.en} → ${entry.term}`));
+  }
+  if (protectedTerms.length > 0) {
+    lines.push(isTraditionalChinese(language) ? '以下產品和平台名稱保留英文原文，不要翻譯：' : '以下产品和平台名称保留英文原文，不要翻译：');
+    lines.push(protectedTerms.map(entry => entry.term).join(', '));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 需替换的写法前后检查上下文词语的范围（字数）
+ */
+const CONTEXT_WINDOW = 6;
+
+/**
+ * 判断匹配位置前后一定范围内（不跨越标点）是否出现上下文词语
+ * @param {string} text - 文本
+ * @param {number} index - 匹配起始位置
+ * @param {number} end - 匹配结束位置
+ * @param {Array<string>} context - 上下文词语
+ * @returns {boolean}
+ */
+function hasContext(text, index, end, context) {
+  const before = text.slice(Math.max(0, index - CONTEXT_WINDOW), index).split(/[，。；：、！？,.;:!?\n]/).pop();
+  const after = text.slice(end, end + CONTEXT_WINDOW).split(/[，。；：、！？,.;:!?\n]/)[0];
+  const nearby = `${before}${text.slice(index, end)}${after}`;
+  return context.some(word => nearby.includes(word));
+}
+
+/**
+ * 查找文本中的不一致译法；属于标准译法一部分的匹配、以及缺少规则要求的上下文词语的匹配不计入
+ * @param {string} text - 文本
+ * @param {Array<Object>} rules - 替换规则 [{ type, found, expected, context }]
+ * @returns {Array<{ type: string, found: string, expected: string, index: number }>} 不一致译法（按出现位置）
+ */
+function findDeviations(text, rules) {
+  const deviations = [];
+
+  // 先匹配较长的写法
+  for (const rule of [...rules].sort((a, b) => b.found.length - a.found.length)) {
+    // 标准写法所在的区间，落在其中的匹配不是不一致译法
+    const allowed = [];
+    for (let index = text.indexOf(rule.expected); index !== -1; index = text.indexOf(rule.expected, index + 1)) {
+      allowed.push([index, index + rule.expected.length]);
+    }
+
+    for (let index = text.indexOf(rule.found); index !== -1; index = text.indexOf(rule.found, index + rule.found.length)) {
+      const end = index + rule.found.length;
+      if (allowed.some(([start, stop]) => index >= start && end <= stop)) continue;
+      if (rule.context && !hasContext(text, index, end, rule.context)) continue;
+      // 已被更长的写法匹配过的位置不重复计算
+      if (deviations.some(item => index < item.index + item.found.length && end > item.index)) continue;
+      deviations.push({ type: rule.type, found: rule.found, expected: rule.expected, index });
+    }
+  }
+
+  return deviations.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 检查结构化摘要中的术语译法，FIX 模式下替换为标准译法
+ * @param {Object} document - 结构化摘要
+ * @param {Object} options - 选项
+ * @param {string} options.language - 语言代码
+ * @param {string} [options.ticker] - 股票代码
+ * @param {string} [options.mode] - 检查模式 (GLOSSARY_MODES)
+ * @returns {{ document: Object, report: Object }} 结构化摘要（FIX 模式下为替换后的副本）和检查报告 { mode, total, fixed, deviations }
+ */
+export function applyGlossary(document, { language, ticker = null, mode = GLOSSARY_MODES.FIX }) {
+  const rules = [
+    ...getGlossaryTerms(language).flatMap(entry => entry.avoid.map(item => typeof item === 'string'
+      ? { type: DEVIATION_TYPES.TERM, found: item, expected: entry.term }
+      : { type: DEVIATION_TYPES.TERM, found: item.text, expected: entry.term, context: item.context })),
+    ...(language.startsWith('zh')
+      ? getProtectedTerms(ticker).flatMap(entry => entry.avoid.map(found => ({ type: DEVIATION_TYPES.PROTECTED, found, expected: entry.term })))
+      : [])
+  ];
+
+  if (mode === GLOSSARY_MODES.OFF || rules.length === 0) {
+    return { document, report: { mode, total: 0, fixed: 0, deviations: [] } };
+  }
+
+  const fix = mode === GLOSSARY_MODES.FIX;
+  const result = fix ? structuredClone(document) : document;
+  const deviations = [];
+
+  for (const [path, owner, key] of collectTextFields(result)) {
+    const text = owner[key];
+    const found = findDeviations(text, rules);
+    if (found.length === 0) continue;
+
+    deviations.push(...found.map(({ type, found: term, expected }) => ({ path, type, found: term, expected, fixed: fix })));
+
+    if (fix) {
+      // 从后往前替换，保持前面匹配的位置不变
+      let fixedText = text;
+      for (const item of [...found].reverse()) {
+        fixedText = `${fixedText.slice(0, item.index)}${item.expected}${fixedText.slice(item.index + item.found.length)}`;
+      }
+      owner[key] = fixedText;
+    }
+  }
+
+  return {
+    document: result,
+    report: {
+      mode,
+      total: deviations.length,
+      fixed: fix ? deviations.length : 0,
+      deviations
+    }
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * 业绩指引追踪模块
+ * 功能：将本季度的业绩指引与上一期节目中针对同一指标、同一期间的指引对比，判断上调、维持还是下调，
+ *       并整理为按期间排列的指引历史
+ */
+
+import { GUIDANCE_REVISIONS } from './summary-schema.js';
+import { SCALE_MULTIPLIERS } from './summary-renderer.js';
+
+/**
+ * 中点变化不超过该比例时视为维持指引（避免四舍五入造成的误判），百分比指标按百分点比较不受此限制
+ */
+export const GUIDANCE_REVISION_TOLERANCE = 0.005;
+
+/**
+ * 规范化指标名称，用于跨季度匹配（忽略大小写、空格和标点）
+ * @param {string} metric - 指标名称
+ * @returns {string} 规范化结果
+ */
+export function normalizeGuidanceMetric(metric = '') {
+  return metric.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * 规范化指引期间，例如 "FY 2025"、"fy2025" 都转为 "FY2025"，"2024Q4" 转为 "Q42024"
+ * @param {string|null} period - 指引期间
+ * @returns {string|null} 规范化结果
+ */
+export function normalizeGuidancePeriod(period) {
+  if (!period) {
+    return null;
+  }
+  const compact = period.toUpperCase().replace(/[^\p{L}\p{N}]/gu, '');
+  const yearFirst = compact.match(/^(\d{4})(Q[1-4])$/);
+  return yearFirst ? `${yearFirst[2]}${yearFirst[1]}` : compact;
+}
+
+/**
+ * 计算指引区间的中点（换算为基本单位），没有数值时返回 null
+ * @param {Object} item - 指引 { low, high, scale }
+ * @returns {number|null} 中点
+ */
+function getMidpoint(item) {
+  const values = [item.low, item.high].filter(value => typeof value === 'number');
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((total, value) => total + value, 0) / values.length * (SCALE_MULTIPLIERS[item.scale] || 1);
+}
+
+/**
+ * 比较两个针对同一期间的指引
+ * @param {Object} current - 本季度指引
+ * @param {Object} previous - 上一期指引
+ * @param {number} tolerance - 视为维持的变化比例
+ * @returns {string|null} 调整方向，缺少数值或单位不同时返回 null
+ */
+function compareGuidance(current, previous, tolerance) {
+  if ((current.unit || '').trim().toUpperCase() !== (previous.unit || '').trim().toUpperCase()) {
+    return null;
+  }
+
+  const currentMid = getMidpoint(current);
+  const previousMid = getMidpoint(previous);
+  if (currentMid === null || previousMid === null) {
+    return null;
+  }
+
+  // 百分比指标（如毛利率）的任何百分点变化都算调整，其余按相对变化比较
+  const change = current.unit === '%'
+    ? Math.round((currentMid - previousMid) * 100) / 100
+    : (currentMid - previousMid) / Math.abs(previousMid || 1);
+
+  const threshold = current.unit === '%' ? 0 : tolerance;
+  if (change > threshold) return 'raised';
+  if (change < -threshold) return 'cut';
+  return 'maintained';
+}
+
+/**
+ * 判断本季度每项指引相对上一期的调整方向
+ * 上一期有同一指标、同一期间的数值指引时按中点比较（覆盖模型的判断）；找不到对应指引时沿用模型根据文字稿给出的判断，
+ * 模型也未判断时：有上一期数据记为 new，没有则记为 unclear
+ * @param {Array<Object>} guidance - 本季度指引
+ * @param {Object} [options] - 选项
+ * @param {Array<Object>|null} [options.previousGuidance] - 上一期指引，没有上一期节目时为 null
+ * @param {string|null} [options.previousPeriod] - 上一期财报期间，例如 "2024Q2"
+ * @param {number} [options.tolerance] - 视为维持的变化比例
+ * @returns {Array<Object>} 补充 revision 和 previous（对应的上一期指引）的指引副本
+ */
+export function reviseGuidance(guidance, { previousGuidance = null, previousPeriod = null, tolerance = GUIDANCE_REVISION_TOLERANCE } = {}) {
+  const keyOf = item => `${normalizeGuidanceMetric(item.metric)}|${normalizeGuidancePeriod(item.period)}`;
+  const previousByKey = new Map(
+    (previousGuidance || [])
+      .filter(item => item.period)
+      .map(item => [keyOf(item), item])
+  );
+
+  return guidance.map(item => {
+    const previous = item.period ? previousByKey.get(keyOf(item)) : undefined;
+    const computed = previous ? compareGuidance(item, previous, tolerance) : null;
+    const modelRevision = GUIDANCE_REVISIONS.includes(item.revision) ? item.revision : null;
+
+    return {
+      ...item,
+      revision: computed || modelRevision || (previousGuidance ? 'new' : 'unclear'),
+      previous: previous
+        ? { reportPeriod: previousPeriod, low: previous.low ?? null, high: previous.high ?? null, unit: previous.unit ?? null, scale: previous.scale ?? null }
+        : null
+    };
+  });
+}
+
+/**
+ * 统计各调整方向的指引数量
+ * @param {Array<Object>} guidance - 已判断调整方向的指引
+ * @returns {Object} { total, raised, maintained, cut, new, unclear }
+ */
+export function countGuidanceRevisions(guidance) {
+  const counts = Object.fromEntries(GUIDANCE_REVISIONS.map(revision => [revision, 0]));
+  for (const item of guidance) {
+    if (item.revision in counts) {
+      counts[item.revision]++;
+    }
+  }
+  return { total: guidance.length, ...counts };
+}
+
+/**
+ * 将指引历史按指标分组（同一指标的不同写法归为一组，组名使用最近一期的写法）
+ * @param {Array<Object>} items - 指引记录（由远到近）
+ * @returns {Array<{ metric: string, items: Array<Object> }>} 按指标分组的指引历史
+ */
+export function groupGuidanceHistory(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = normalizeGuidanceMetric(item.metric);
+    if (!groups.has(key)) {
+      groups.set(key, { metric: item.metric, items: [] });
+    }
+    const group = groups.get(key);
+    group.metric = item.metric;
+    group.items.push(item);
+  }
+  return [...groups.values()];
+}
@@ -0,0 +1,238 @@
+/**
+ * HTTP 客户端工具模块
+ * 功能：统一的外部API请求封装，提供基于 AbortController 的请求超时、
+ *       调用方取消信号、分阶段总时限，并接入共享限流器的重试与熔断
+ */
+
+import fetch from 'node-fetch';
+import { ApiError, getRateLimiter, parseRetryAfter } from './rate-limiter.js';
+
+/**
+ * 默认单次请求超时时间（毫秒），由环境变量 API_TIMEOUT 配置
+ */
+export const DEFAULT_TIMEOUT = Number(process.env.API_TIMEOUT) || 30000;
+
+/**
+ * 各流水线阶段的默认总时限（毫秒），可通过环境变量 STAGE_DEADLINE_<STAGE>_MS 覆盖
+ */
+export const STAGE_DEADLINES = {
+  transcript: 2 * 60 * 1000,
+  market: 2 * 60 * 1000,
+  // 长文字稿分块摘要需要多次调用模型
+  summary: 10 * 60 * 1000,
+  judge: 3 * 60 * 1000,
+  speech: 10 * 60 * 1000,
+  save: 2 * 60 * 1000
+};
+
+/**
+ * 超时错误（可重试）
+ */
+export class TimeoutError extends ApiError {
+  constructor(message, { provider = null } = {}) {
+    super(message, { provider, retryable: true });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * 合并多个取消信号，任一信号中止即中止
+ * @param {...AbortSignal} signals - 取消信号（可包含 null）
+ * @returns {{ signal: AbortSignal, cleanup: Function }} 合并后的信号和清理函数
+ */
+export function combineSignals(...signals) {
+  const controller = new AbortController();
+  const active = signals.filter(Boolean);
+  const listeners = [];
+
+  for (const signal of active) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    listeners.push([signal, onAbort]);
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup: () => listeners.forEach(([signal, onAbort]) => signal.removeEventListener('abort', onAbort))
+  };
+}
+
+/**
+ * 让一个不支持取消的 Promise 在信号中止时立即拒绝
+ * @param {Promise} promise - 原始 Promise
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise} 可取消的 Promise
+ */
+export function abortable(promise, signal = null) {
+  if (!signal) {
+    return promise;
+  }
+
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * 获取阶段总时限
+ * @param {string} stage - 阶段名称
+ * @returns {number} 时限（毫秒）
+ */
+export function getStageDeadline(stage) {
+  const envValue = Number(process.env[`STAGE_DEADLINE_${stage.toUpperCase()}_MS`]);
+  return envValue > 0 ? envValue : (STAGE_DEADLINES[stage] || DEFAULT_TIMEOUT);
+}
+
+/**
+ * 在阶段总时限内执行任务，超时或上级信号中止时通过 signal 通知任务取消
+ * @param {string} stage - 阶段名称
+ * @param {Function} fn - 任务函数，参数为本阶段的取消信号
+ * @param {Object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 上级取消信号（例如整条流水线的取消）
+ * @param {number} [options.timeout] - 自定义时限（毫秒）
+ * @returns {Promise<*>} 任务结果
+ */
+export async function withDeadline(stage, fn, { signal = null, timeout = null } = {}) {
+  const deadline = timeout || getStageDeadline(stage);
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new TimeoutError(`Stage "${stage}" exceeded its ${Math.round(deadline / 1000)}s deadline`));
+  }, deadline);
+  const combined = combineSignals(signal, controller.signal);
+
+  try {
+    return await abortable(Promise.resolve().then(() => fn(combined.signal)), combined.signal);
+  } finally {
+    clearTimeout(timer);
+    combined.cleanup();
+  }
+}
+
+/**
+ * HTTP 客户端
+ */
+export class HttpClient {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.provider - 服务名称，用于选择限流器和错误信息
+   * @param {string} options.baseUrl - 基础URL
+   * @param {Object} [options.headers] - 默认请求头
+   * @param {number} [options.timeout] - 单次请求超时（毫秒）
+   */
+  constructor({ provider, baseUrl, headers = {}, timeout = DEFAULT_TIMEOUT }) {
+    this.provider = provider;
+    this.baseUrl = baseUrl;
+    this.headers = {
+      'User-Agent': 'Financial-Podcast-Generator/1.0',
+      ...headers
+    };
+    this.timeout = timeout;
+    this.limiter = getRateLimiter(provider);
+  }
+
+  /**
+   * 发送请求
+   * @param {string} endpoint - 端点路径（相对 baseUrl）或完整URL
+   * @param {Object} [options] - 请求选项
+   * @param {string} [options.method] - HTTP方法
+   * @param {Object} [options.query] - 查询参数，值为 null/undefined 时忽略
+   * @param {Object} [options.headers] - 额外请求头
+   * @param {*} [options.body] - 请求体，对象会被序列化为JSON
+   * @param {string} [options.responseType] - json 或 buffer
+   * @param {number} [options.timeout] - 单次请求超时（毫秒），每次重试重新计时
+   * @param {AbortSignal} [options.signal] - 调用方取消信号
+   * @param {Object} [options.errorMessages] - 按状态码定制的错误信息，值可以是函数 (errorData) => string
+   * @returns {Promise<*>} 响应数据
+   */
+  async request(endpoint, {
+    method = 'GET',
+    query = {},
+    headers = {},
+    body = undefined,
+    responseType = 'json',
+    timeout = this.timeout,
+    signal = null,
+    errorMessages = {}
+  } = {}) {
+    const url = new URL(endpoint.startsWith('http') ? endpoint : `${this.baseUrl}${endpoint}`);
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, value.toString());
+      }
+    }
+
+    const isJsonBody = body !== undefined && typeof body === 'object' && !Buffer.isBuffer(body);
+
+    return this.limiter.schedule(async () => {
+      const timeoutController = new AbortController();
+      const timer = setTimeout(() => {
+        timeoutController.abort(new TimeoutError(
+          `${this.provider} ${endpoint} timed out after ${Math.round(timeout / 1000)}s`,
+          { provider: this.provider }
+        ));
+      }, timeout);
+      const combined = combineSignals(signal, timeoutController.signal);
+
+      try {
+        const response = await fetch(url.toString(), {
+          method,
+          headers: {
+            'Accept': responseType === 'json' ? 'application/json' : '*/*',
+            ...(isJsonBody ? { 'Content-Type': 'application/json' } : {}),
+            ...this.headers,
+            ...headers
+          },
+          body: isJsonBody ? JSON.stringify(body) : body,
+          signal: combined.signal
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          const custom = errorMessages[response.status];
+          const message = typeof custom === 'function'
+            ? custom(errorData)
+            : (custom || `${this.provider} API request failed: ${response.status} ${response.statusText}`);
+
+          throw new ApiError(message, {
+            provider: this.provider,
+            status: response.status,
+            retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+          });
+        }
+
+        if (responseType === 'buffer') {
+          return Buffer.from(await response.arrayBuffer());
+        }
+        // 在 try 内等待响应体读取完成，读取过程同样受超时和取消信号控制
+        return await response.json();
+
+      } catch (error) {
+        // fetch 被中止时抛出的是 AbortError，这里换成真正的中止原因（超时或调用方取消）
+        if (combined.signal.aborted) {
+          throw combined.signal.reason;
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        combined.cleanup();
+      }
+    }, { label: endpoint, signal });
+  }
+}
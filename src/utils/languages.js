@@ -0,0 +1,83 @@
+/**
+ * 输出语言模块
+ * 功能：定义播客支持的输出语言（简体中文、繁体中文、粤语、英文），提供命令行参数解析、显示名称，
+ *       以及繁体中文和粤语输出时追加到提示词中的书写要求
+ */
+
+/**
+ * 支持的输出语言
+ */
+export const OUTPUT_LANGUAGES = {
+  ZH_CN: 'zh-CN',
+  // 繁体中文（台湾用语）
+  ZH_TW: 'zh-TW',
+  // 粤语（繁体字书写，按粤语口语朗读）
+  ZH_HK: 'zh-HK',
+  EN_US: 'en-US'
+};
+
+/**
+ * 各语言的显示名称（用各自的语言书写）
+ */
+export const LANGUAGE_LABELS = {
+  'zh-CN': '简体中文',
+  'zh-TW': '繁體中文',
+  'zh-HK': '粵語',
+  'en-US': 'English'
+};
+
+/**
+ * 繁体中文和粤语输出的书写要求（简体中文和英文由模板本身决定，不需要额外说明）
+ */
+const LANGUAGE_INSTRUCTIONS = {
+  'zh-TW': '書寫要求：所有面向聽眾的文字一律使用繁體中文和台灣常用的財經用語；JSON 字段名、股票代碼和英文產品名稱保持原樣。',
+  'zh-HK': '書寫要求：所有面向聽眾的文字一律使用繁體字，並以自然的粵語口語撰寫（例如「係」「嘅」「咗」），適合粵語主播直接朗讀；JSON 字段名、股票代碼和英文產品名稱保持原樣。'
+};
+
+/**
+ * 解析 --language 参数，例如 "zh-CN,en-US"（去重并保持指定顺序，第一个为主语言）
+ * @param {string} value - 逗号分隔的语言列表
+ * @returns {Array<string>} 语言列表
+ * @throws {Error} 包含不支持的语言或列表为空时
+ */
+export function parseLanguages(value = '') {
+  const requested = [...new Set(value.split(',').map(item => item.trim()).filter(Boolean))];
+  const supported = Object.values(OUTPUT_LANGUAGES);
+
+  const unknown = requested.filter(item => !supported.includes(item));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported language: ${unknown.join(', ')} (supported: ${supported.join(', ')})`);
+  }
+  if (requested.length === 0) {
+    throw new Error('At least one language is required');
+  }
+
+  return requested;
+}
+
+/**
+ * 是否使用繁体字书写（繁体中文和粤语）
+ * @param {string} language - 语言代码
+ * @returns {boolean} 是否繁体
+ */
+export function isTraditionalChinese(language) {
+  return language === OUTPUT_LANGUAGES.ZH_TW || language === OUTPUT_LANGUAGES.ZH_HK;
+}
+
+/**
+ * 获取语言的显示名称
+ * @param {string} language - 语言代码
+ * @returns {string} 显示名称，未知语言返回语言代码
+ */
+export function getLanguageLabel(language) {
+  return LANGUAGE_LABELS[language] || language;
+}
+
+/**
+ * 构建提示词中的书写要求
+ * @param {string} language - 语言代码
+ * @returns {string} 书写要求，不需要额外说明时返回空字符串
+ */
+export function buildLanguageInstruction(language) {
+  return LANGUAGE_INSTRUCTIONS[language] || '';
+}
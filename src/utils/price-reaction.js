@@ -0,0 +1,116 @@
+/**
+ * 财报后股价反应计算模块
+ * 功能：根据财报发布时间和日K线，计算发布前收盘价、首个交易日开盘/收盘涨跌和5个交易日累计涨跌
+ */
+
+/**
+ * 财报发布时段
+ */
+export const REPORT_TIMING = {
+  BEFORE_OPEN: 'bmo',   // 盘前发布，当天即为反应日
+  AFTER_CLOSE: 'amc',   // 盘后发布，下一个交易日为反应日
+  UNKNOWN: 'unknown'    // 未知时按盘后处理
+};
+
+/**
+ * 计算累计涨跌的交易日数
+ */
+export const REACTION_WINDOW_DAYS = 5;
+
+/**
+ * 判断财报发布时段
+ * @param {Object} params - 参数对象
+ * @param {string} [params.hour] - 财报日历中的时段 (bmo/amc/dmh)
+ * @param {string} [params.datetime] - 电话会议时间，例如 "2024-08-01 17:00:00"（美东时间）
+ * @returns {string} REPORT_TIMING 中的值
+ */
+export function resolveReportTiming({ hour = null, datetime = null } = {}) {
+  if (hour === REPORT_TIMING.BEFORE_OPEN || hour === REPORT_TIMING.AFTER_CLOSE) {
+    return hour;
+  }
+
+  const match = datetime?.match(/[ T](\d{2}):(\d{2})/);
+  if (match) {
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    // 9:30 开盘前为盘前，其余（含盘中召开的会议）当天收盘价已部分反映，按盘后处理
+    return minutes < 9 * 60 + 30 ? REPORT_TIMING.BEFORE_OPEN : REPORT_TIMING.AFTER_CLOSE;
+  }
+
+  return REPORT_TIMING.UNKNOWN;
+}
+
+/**
+ * 计算百分比变化
+ * @param {number} value - 当前值
+ * @param {number} base - 基准值
+ * @returns {number|null} 百分比，保留两位小数
+ */
+function percentChange(value, base) {
+  if (!base || value === null || value === undefined) {
+    return null;
+  }
+  return Math.round((value - base) / base * 10000) / 100;
+}
+
+/**
+ * 计算财报后股价反应
+ * @param {Object} params - 参数对象
+ * @param {Array<Object>} params.candles - 日K线 [{ date, open, high, low, close, volume }]，date 为 YYYY-MM-DD
+ * @param {string} params.reportDate - 财报发布日期 (YYYY-MM-DD)
+ * @param {string} [params.timing] - 发布时段 (REPORT_TIMING)
+ * @returns {Object|null} 股价反应，发布前没有K线时返回 null
+ */
+export function computePriceReaction({ candles, reportDate, timing = REPORT_TIMING.UNKNOWN }) {
+  const sorted = [...candles]
+    .filter(candle => candle.date && candle.close !== null && candle.close !== undefined)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  // 盘前发布当天就是反应日，盘后发布（或未知）则为下一个交易日
+  const firstIndex = sorted.findIndex(candle => timing === REPORT_TIMING.BEFORE_OPEN
+    ? candle.date >= reportDate
+    : candle.date > reportDate);
+  const reactionIndex = firstIndex === -1 ? sorted.length : firstIndex;
+
+  const prior = sorted[reactionIndex - 1];
+  if (!prior) {
+    return null;
+  }
+
+  const nextDay = sorted[reactionIndex] || null;
+  const windowEnd = sorted[reactionIndex + REACTION_WINDOW_DAYS - 1] || null;
+
+  return {
+    reportDate,
+    timing,
+    priorClose: {
+      date: prior.date,
+      close: prior.close
+    },
+    nextDay: nextDay ? {
+      date: nextDay.date,
+      open: nextDay.open,
+      close: nextDay.close,
+      gapPercent: percentChange(nextDay.open, prior.close),
+      changePercent: percentChange(nextDay.close, prior.close)
+    } : null,
+    fiveDay: windowEnd ? {
+      date: windowEnd.date,
+      close: windowEnd.close,
+      changePercent: percentChange(windowEnd.close, prior.close)
+    } : null,
+    // 财报后交易日不足时（例如发布当晚生成）部分字段为空
+    complete: Boolean(nextDay && windowEnd)
+  };
+}
+
+/**
+ * 格式化带符号的百分比，例如 +2.35% / -1.20%
+ * @param {number|null} value - 百分比
+ * @returns {string} 格式化结果，无数据时返回 "-"
+ */
+export function formatPercent(value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
@@ -0,0 +1,222 @@
+/**
+ * 提示词模板注册表模块
+ * 功能：按名称、语言、节目形式、股票代码/行业和版本选择提示词模板，校验并填入命名变量，
+ *       并为每个模板计算内容哈希，供报告元数据记录和复现
+ */
+
+import { createHash } from 'node:crypto';
+import { PROMPT_TEMPLATES } from '../templates/index.js';
+
+// 模板中的变量占位符，例如 {TICKER}
+const PLACEHOLDER_PATTERN = /\{([A-Z][A-Z0-9_]*)\}/g;
+
+/**
+ * 模板适用范围（越具体优先级越高）
+ */
+export const PROMPT_SCOPES = {
+  TICKER: 'ticker',
+  SECTOR: 'sector',
+  DEFAULT: 'default'
+};
+
+/**
+ * 计算模板内容哈希
+ * @param {string} text - 模板内容
+ * @returns {string} sha256 前12位
+ */
+export function hashTemplate(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * 提取模板中的变量名
+ * @param {string} text - 模板内容
+ * @returns {Array<string>} 去重后的变量名
+ */
+export function findPlaceholders(text) {
+  return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * 解析版本固定参数，例如 "summary@2,dialogue@1"
+ * @param {string} [value] - 参数值
+ * @returns {Object} { [模板名称]: 版本号 }
+ */
+export function parsePromptVersions(value = '') {
+  const versions = {};
+
+  for (const item of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, version] = item.split('@').map(part => part.trim());
+    if (!name || !version) {
+      throw new Error(`Invalid prompt version "${item}" (expected name@version)`);
+    }
+    versions[name] = version;
+  }
+
+  return versions;
+}
+
+/**
+ * 比较版本号（按数字段比较，"10" 大于 "9"）
+ * @param {string} a - 版本号
+ * @param {string} b - 版本号
+ * @returns {number} 比较结果
+ */
+function compareVersions(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * 提示词模板注册表
+ */
+export class PromptRegistry {
+  /**
+   * @param {Array<Object>} [templates] - 模板定义，默认为 src/templates 中注册的全部模板
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.versions] - 固定使用的版本 { [模板名称]: 版本号 }，未指定时使用最新版本
+   */
+  constructor(templates = PROMPT_TEMPLATES, { versions = {} } = {}) {
+    this.templates = [];
+    this.versions = versions;
+
+    for (const definition of templates) {
+      this.register(definition);
+    }
+  }
+
+  /**
+   * 注册模板，校验声明的变量与模板中的占位符一致
+   * @param {Object} definition - 模板定义（见 src/templates/index.js）
+   * @returns {Object} 注册后的模板
+   */
+  register(definition) {
+    const { name, version, language, template, variables = [] } = definition;
+
+    if (!name || !version || !language || typeof template !== 'string') {
+      throw new Error('Prompt template requires name, version, language and template');
+    }
+
+    const label = `${name}@${version} (${language})`;
+    const placeholders = findPlaceholders(template);
+    const undeclared = placeholders.filter(variable => !variables.includes(variable));
+    const unused = variables.filter(variable => !placeholders.includes(variable));
+
+    if (undeclared.length > 0) {
+      throw new Error(`Prompt template ${label} uses undeclared variables: ${undeclared.join(', ')}`);
+    }
+    if (unused.length > 0) {
+      throw new Error(`Prompt template ${label} declares unused variables: ${unused.join(', ')}`);
+    }
+
+    const entry = {
+      name,
+      version: String(version),
+      language,
+      format: definition.format || null,
+      tickers: (definition.tickers || []).map(ticker => ticker.toUpperCase()),
+      sectors: (definition.sectors || []).map(sector => sector.toLowerCase()),
+      variables,
+      template,
+      hash: hashTemplate(template)
+    };
+    entry.scope = entry.tickers.length > 0
+      ? PROMPT_SCOPES.TICKER
+      : entry.sectors.length > 0 ? PROMPT_SCOPES.SECTOR : PROMPT_SCOPES.DEFAULT;
+
+    const duplicate = this.templates.find(existing =>
+      existing.name === entry.name &&
+      existing.version === entry.version &&
+      existing.language === entry.language &&
+      existing.format === entry.format &&
+      existing.scope === entry.scope &&
+      existing.tickers.join() === entry.tickers.join() &&
+      existing.sectors.join() === entry.sectors.join()
+    );
+    if (duplicate) {
+      throw new Error(`Prompt template ${label} is already registered`);
+    }
+
+    this.templates.push(entry);
+    return entry;
+  }
+
+  /**
+   * 选择模板
+   * 语言找不到时依次回退到 zh-CN（中文）或 en-US；同一语言下股票代码覆盖优先于行业覆盖，行业覆盖优先于默认模板；
+   * 每个范围内使用固定的版本，未固定时使用最新版本
+   * @param {string} name - 模板名称
+   * @param {Object} context - 选择条件
+   * @param {string} context.language - 语言代码
+   * @param {string} [context.format] - 节目形式
+   * @param {string} [context.ticker] - 股票代码
+   * @param {string} [context.sector] - 行业
+   * @param {string} [context.version] - 固定版本，默认读取构造参数 versions
+   * @returns {Object} 模板
+   */
+  resolve(name, { language, format = null, ticker = null, sector = null, version = this.versions[name] } = {}) {
+    const languages = [...new Set([language, language.startsWith('zh') ? 'zh-CN' : 'en-US', 'en-US'])];
+    const upperTicker = ticker?.toUpperCase();
+    const lowerSector = sector?.toLowerCase();
+
+    for (const candidateLanguage of languages) {
+      const candidates = this.templates.filter(entry =>
+        entry.name === name &&
+        entry.language === candidateLanguage &&
+        (!entry.format || entry.format === format) &&
+        (!version || entry.version === String(version))
+      );
+
+      const scoped = [
+        candidates.filter(entry => entry.scope === PROMPT_SCOPES.TICKER && entry.tickers.includes(upperTicker)),
+        candidates.filter(entry => entry.scope === PROMPT_SCOPES.SECTOR && entry.sectors.includes(lowerSector)),
+        candidates.filter(entry => entry.scope === PROMPT_SCOPES.DEFAULT)
+      ].find(group => group.length > 0);
+
+      if (scoped) {
+        return [...scoped].sort((a, b) => compareVersions(b.version, a.version))[0];
+      }
+    }
+
+    throw new Error(`No prompt template "${name}"${version ? `@${version}` : ''} for ${language}${format ? ` (${format})` : ''}`);
+  }
+
+  /**
+   * 选择模板并填入变量
+   * 缺少模板声明的变量，或传入了模板未声明的变量时抛出错误
+   * @param {string} name - 模板名称
+   * @param {Object} variables - 变量值 { TICKER: 'AAPL', ... }
+   * @param {Object} context - 选择条件（见 resolve）
+   * @returns {{ prompt: string, template: Object }} 提示词和模板信息 { name, version, language, format, scope, hash }
+   */
+  render(name, variables, context) {
+    const entry = this.resolve(name, context);
+    const label = `${entry.name}@${entry.version} (${entry.language})`;
+
+    const missing = entry.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+    const unused = Object.keys(variables).filter(variable => !entry.variables.includes(variable));
+
+    if (missing.length > 0) {
+      throw new Error(`Prompt template ${label} is missing variables: ${missing.join(', ')}`);
+    }
+    if (unused.length > 0) {
+      throw new Error(`Prompt template ${label} does not use variables: ${unused.join(', ')}`);
+    }
+
+    // 使用函数替换，避免变量值中的 "$" 被当作替换模式
+    const prompt = entry.template.replace(PLACEHOLDER_PATTERN, (placeholder, variable) =>
+      entry.variables.includes(variable) ? String(variables[variable]) : placeholder
+    );
+
+    return {
+      prompt,
+      template: {
+        name: entry.name,
+        version: entry.version,
+        language: entry.language,
+        format: entry.format,
+        scope: entry.scope,
+        hash: entry.hash
+      }
+    };
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * 摘要质量评分模块
+ * 功能：按评分细则为播客脚本打分——必备小节覆盖、数字密度、朗读可读性、是否包含投资建议、
+ *       与文字稿的一致性（数字核对结果加模型评审），总分低于门槛或包含投资建议时阻止发布
+ */
+
+import { SUMMARY_SECTIONS, validateSchema } from './summary-schema.js';
+import { extractNumbers } from './fact-check.js';
+import { EPISODE_VARIANTS, getVariantSpec } from './episode-variants.js';
+import { findProhibitedPhrases } from './compliance.js';
+
+/**
+ * 发布所需的默认最低总分，可通过环境变量 QUALITY_MIN_SCORE 覆盖
+ */
+export const DEFAULT_MIN_QUALITY_SCORE = 70;
+
+/**
+ * 评分项及权重（权重之和为 1）
+ */
+export const QUALITY_CRITERIA = {
+  coverage: 0.2,
+  numericDensity: 0.15,
+  readability: 0.2,
+  noAdvice: 0.15,
+  consistency: 0.3
+};
+
+/**
+ * 模型评审输出的 Schema
+ */
+export const JUDGE_SCHEMA = {
+  type: 'object',
+  required: ['score', 'issues'],
+  properties: {
+    score: { type: 'number' },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['claim', 'problem'],
+        properties: {
+          claim: { type: 'string', minLength: 1 },
+          problem: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * 校验模型评审输出
+ * @param {Object} output - 模型输出
+ * @returns {Array<string>} 错误列表
+ */
+export function validateJudgeOutput(output) {
+  const errors = validateSchema(output, JUDGE_SCHEMA);
+  if (typeof output?.score === 'number' && (output.score < 0 || output.score > 100)) {
+    errors.push('$.score should be between 0 and 100');
+  }
+  return errors;
+}
+
+/**
+ * 各语言的评分参数：小节正文最少字符数、每千字符数字个数的合理区间、平均句长上限和长句阈值（中文按字、英文按词）
+ */
+const LANGUAGE_RULES = {
+  zh: { minSectionChars: 40, densityRange: [5, 25], maxAverageSentence: 50, longSentence: 90 },
+  en: { minSectionChars: 150, densityRange: [3, 15], maxAverageSentence: 25, longSentence: 40 }
+};
+
+/**
+ * 去掉对话脚本的发言人标记，得到实际朗读的文本
+ * @param {string} speechText - 朗读文本或对话脚本
+ * @returns {string} 文本
+ */
+function toSpokenBody(speechText) {
+  return speechText.replace(/^\[[A-Z]+\]\s*/gm, '');
+}
+
+/**
+ * 限制在 0-100 并取整
+ * @param {number} value - 分数
+ * @returns {number} 分数
+ */
+function clampScore(value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+/**
+ * 必备小节覆盖：每个必备小节都有足够长的正文，且提取到关键指标
+ * @param {Object} document - 结构化摘要
+ * @param {Object} rules - 语言评分参数
+ * @returns {{ score: number, missing: Array<string>, thin: Array<string>, keyMetrics: number }}
+ */
+function scoreCoverage(document, rules) {
+  const missing = [];
+  const thin = [];
+  for (const key of SUMMARY_SECTIONS) {
+    const section = document.sections.find(item => item.key === key);
+    if (!section) {
+      missing.push(key);
+    } else if (section.content.trim().length < rules.minSectionChars) {
+      thin.push(key);
+    }
+  }
+
+  const covered = SUMMARY_SECTIONS.length - missing.length - thin.length * 0.5;
+  const score = covered / SUMMARY_SECTIONS.length * 100 - (document.keyMetrics.length === 0 ? 20 : 0);
+  return { score: clampScore(score), missing, thin, keyMetrics: document.keyMetrics.length };
+}
+
+/**
+ * 数字密度：每千字符的数字个数落在合理区间内得满分，过少说明空泛，过多则不适合收听
+ * @param {string} text - 朗读文本
+ * @param {Object} rules - 语言评分参数
+ * @returns {{ score: number, numbers: number, per1kChars: number, range: Array<number> }}
+ */
+function scoreNumericDensity(text, rules) {
+  const numbers = extractNumbers(text).length;
+  const per1kChars = text.length > 0 ? Math.round(numbers / text.length * 10000) / 10 : 0;
+  const [low, high] = rules.densityRange;
+
+  let score = 100;
+  if (per1kChars < low) {
+    score = per1kChars / low * 100;
+  } else if (per1kChars > high) {
+    score = 100 - (per1kChars - high) / high * 100;
+  }
+
+  return { score: clampScore(score), numbers, per1kChars, range: rules.densityRange };
+}
+
+/**
+ * 朗读可读性：平均句长、长句占比，以及残留的表格、Markdown 符号和链接
+ * @param {string} text - 朗读文本
+ * @param {boolean} isChinese - 是否中文
+ * @param {Object} rules - 语言评分参数
+ * @returns {{ score: number, sentences: number, averageLength: number, longSentences: number, markup: number }}
+ */
+function scoreReadability(text, isChinese, rules) {
+  const sentences = (isChinese ? text.split(/[。！？!?；\n]+/) : text.split(/(?<=[.!?])\s+|\n+/))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+  const lengths = sentences.map(sentence => isChinese ? sentence.length : sentence.split(/\s+/).length);
+  const averageLength = lengths.length > 0 ? Math.round(lengths.reduce((total, length) => total + length, 0) / lengths.length * 10) / 10 : 0;
+  const longSentences = lengths.filter(length => length > rules.longSentence).length;
+  const markup = (text.match(/[|#*_`<>{}[\]]|https?:\/\//g) || []).length;
+
+  const penalties = [
+    Math.min(40, Math.max(0, averageLength - rules.maxAverageSentence) * 2),
+    lengths.length > 0 ? longSentences / lengths.length * 50 : 0,
+    Math.min(30, markup * 5)
+  ];
+
+  return {
+    score: clampScore(100 - penalties.reduce((total, penalty) => total + penalty, 0)),
+    sentences: lengths.length,
+    averageLength,
+    longSentences,
+    markup
+  };
+}
+
+/**
+ * 投资建议：命中任何合规规则（见 data/compliance-rules.js）即为 0 分
+ * @param {string} text - 朗读文本
+ * @param {string} language - 语言代码
+ * @returns {{ score: number, matches: Array<string> }}
+ */
+function scoreNoAdvice(text, language) {
+  const matches = [...new Set(findProhibitedPhrases(text, language).map(item => item.match))];
+  return { score: matches.length > 0 ? 0 : 100, matches };
+}
+
+/**
+ * 与文字稿的一致性：数字核对通过率和模型评审分数的平均值（缺少其中一项时只用另一项）
+ * @param {Object|null} factCheck - 数字核对报告
+ * @param {Object|null} judge - 模型评审结果 { score, issues }
+ * @returns {{ score: number|null, factCheck: number|null, judge: number|null, issues: Array<Object> }}
+ */
+function scoreConsistency(factCheck, judge) {
+  const factCheckScore = factCheck ? clampScore((1 - factCheck.mismatchRate) * 100) : null;
+  const judgeScore = judge ? clampScore(judge.score) : null;
+  const scores = [factCheckScore, judgeScore].filter(score => score !== null);
+
+  return {
+    score: scores.length > 0 ? clampScore(scores.reduce((total, score) => total + score, 0) / scores.length) : null,
+    factCheck: factCheckScore,
+    judge: judgeScore,
+    issues: judge?.issues || []
+  };
+}
+
+/**
+ * 为播客脚本评分
+ * @param {Object} params - 参数对象
+ * @param {Object} params.document - 结构化摘要
+ * @param {string} params.speechText - 朗读文本（或对话脚本）
+ * @param {string} params.language - 语言代码
+ * @param {Object} [params.factCheck] - 数字核对报告（factCheckSummary）
+ * @param {Object} [params.judge] - 模型评审结果 { score, issues }，评审失败时省略
+ * @param {string} [params.variant] - 节目长度版本，小节最少字数按版本篇幅缩放
+ * @param {number} [params.minScore] - 发布所需的最低总分
+ * @returns {Object} 质量报告 { version, scoredAt, score, minScore, passed, blockers, criteria }
+ */
+export function scoreSummaryQuality({
+  document,
+  speechText,
+  language,
+  factCheck = null,
+  judge = null,
+  variant = EPISODE_VARIANTS.STANDARD,
+  minScore = Number(process.env.QUALITY_MIN_SCORE) || DEFAULT_MIN_QUALITY_SCORE
+}) {
+  const isChinese = language.startsWith('zh');
+  const languageRules = isChinese ? LANGUAGE_RULES.zh : LANGUAGE_RULES.en;
+  const rules = { ...languageRules, minSectionChars: Math.round(languageRules.minSectionChars * getVariantSpec(variant).sectionScale) };
+  const text = toSpokenBody(speechText);
+
+  const results = {
+    coverage: scoreCoverage(document, rules),
+    numericDensity: scoreNumericDensity(text, rules),
+    readability: scoreReadability(text, isChinese, rules),
+    noAdvice: scoreNoAdvice(text, language),
+    consistency: scoreConsistency(factCheck, judge)
+  };
+
+  // 没有分数的评分项不计入，其余按权重重新归一
+  const scored = Object.entries(results).filter(([, result]) => result.score !== null);
+  const totalWeight = scored.reduce((total, [key]) => total + QUALITY_CRITERIA[key], 0);
+  const score = Math.round(scored.reduce((total, [key, result]) => total + result.score * QUALITY_CRITERIA[key], 0) / totalWeight * 10) / 10;
+
+  const blockers = [];
+  if (results.noAdvice.score === 0) {
+    blockers.push(`investment advice: ${results.noAdvice.matches.join(', ')}`);
+  }
+  if (score < minScore) {
+    blockers.push(`score ${score} below ${minScore}`);
+  }
+
+  return {
+    version: 1,
+    scoredAt: new Date().toISOString(),
+    score,
+    minScore,
+    passed: blockers.length === 0,
+    blockers,
+    criteria: Object.fromEntries(Object.entries(results).map(([key, result]) => [
+      key,
+      { weight: QUALITY_CRITERIA[key], ...result }
+    ]))
+  };
+}
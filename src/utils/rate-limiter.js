@@ -0,0 +1,367 @@
+/**
+ * API 限流与重试工具模块
+ * 功能：为每个外部服务提供令牌桶限流、指数退避重试（含抖动、遵循 Retry-After）和熔断保护
+ */
+
+/**
+ * 各服务默认限流配置（每分钟请求数），可通过环境变量 <PROVIDER>_RATE_LIMIT 覆盖
+ */
+export const PROVIDER_LIMITS = {
+  finnhub: { requestsPerMinute: 60 },   // Finnhub 免费版: 60 calls/minute
+  gemini: { requestsPerMinute: 15 },
+  openai: { requestsPerMinute: 60 },
+  coze: { requestsPerMinute: 30 },
+  default: { requestsPerMinute: 60 }
+};
+
+/**
+ * 外部API错误，携带HTTP状态码和服务端建议的重试等待时间
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} [options] - 选项
+   * @param {string} [options.provider] - 服务名称
+   * @param {number} [options.status] - HTTP状态码
+   * @param {number} [options.retryAfter] - 建议等待时间（毫秒）
+   * @param {boolean} [options.retryable] - 是否可重试，默认根据状态码判断
+   */
+  constructor(message, { provider = null, status = null, retryAfter = null, retryable = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = retryable ?? (status === 429 || (status >= 500 && status < 600));
+  }
+}
+
+/**
+ * 解析 Retry-After 响应头（秒数或HTTP日期）
+ * @param {string|null} value - 响应头的值
+ * @returns {number|null} 等待时间（毫秒）
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * 从任意错误中提取HTTP状态码（兼容 ApiError 和 Gemini SDK 的错误）
+ * @param {Error} error - 错误对象
+ * @returns {number|null} 状态码
+ */
+export function getErrorStatus(error) {
+  if (typeof error?.status === 'number') {
+    return error.status;
+  }
+
+  const match = error?.message?.match(/\[(\d{3})[^\]]*\]/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * 判断错误是否值得重试（429、5xx 和网络错误）
+ * @param {Error} error - 错误对象
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error instanceof ApiError) {
+    return error.retryable;
+  }
+
+  const status = getErrorStatus(error);
+  if (status) {
+    return status === 429 || (status >= 500 && status < 600);
+  }
+
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(error?.code) ||
+    error?.type === 'system';
+}
+
+/**
+ * 等待指定时间，传入的 signal 中止时提前以中止原因拒绝
+ * @param {number} ms - 毫秒
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 令牌桶限流器
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options - 配置
+   * @param {number} options.requestsPerMinute - 每分钟允许的请求数
+   * @param {number} [options.burst] - 桶容量，默认等于每分钟请求数
+   */
+  constructor({ requestsPerMinute, burst = null }) {
+    this.capacity = burst || requestsPerMinute;
+    this.tokens = this.capacity;
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.lastRefill = Date.now();
+    this.waiting = Promise.resolve();
+  }
+
+  /**
+   * 按流逝时间补充令牌
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * 获取一个令牌，令牌不足时排队等待
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const next = this.waiting.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+
+    this.waiting = next.catch(() => {});
+    return next;
+  }
+}
+
+/**
+ * 熔断器：连续失败达到阈值后在冷却期内直接拒绝请求，冷却后只放行一个试探请求，
+ * 试探请求完成前其余请求继续直接拒绝，试探成功后恢复、失败则重新进入冷却
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options] - 配置
+   * @param {number} [options.failureThreshold] - 触发熔断的连续失败次数
+   * @param {number} [options.resetTimeout] - 熔断冷却时间（毫秒）
+   */
+  constructor({ failureThreshold = 5, resetTimeout = 60000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.failures = 0;
+    this.state = 'closed';
+    this.openedAt = null;
+    // 半开状态下是否已有试探请求在进行中
+    this.probing = false;
+  }
+
+  /**
+   * 当前是否允许发送请求；半开状态下返回 true 即占用唯一的试探名额，
+   * 请求结束后须调用 recordSuccess、recordFailure 或 releaseProbe
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'half-open') {
+      if (this.probing) {
+        return false;
+      }
+      this.probing = true;
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * 记录成功
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.state = 'closed';
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * 记录失败
+   */
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+    this.probing = false;
+  }
+
+  /**
+   * 试探请求未能说明服务是否恢复（已取消或请求本身有误）时释放试探名额，由下一个请求重新试探
+   */
+  releaseProbe() {
+    this.probing = false;
+  }
+
+  /**
+   * 距离熔断恢复的剩余时间（毫秒）
+   * @returns {number}
+   */
+  getRemainingCooldown() {
+    return this.state === 'open'
+      ? Math.max(0, this.resetTimeout - (Date.now() - this.openedAt))
+      : 0;
+  }
+}
+
+/**
+ * 单个服务的限流执行器：令牌桶 + 重试退避 + 熔断
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - 配置
+   * @param {string} options.provider - 服务名称
+   * @param {number} options.requestsPerMinute - 每分钟请求数
+   * @param {number} [options.maxRetries] - 最大重试次数
+   * @param {number} [options.baseDelay] - 退避基础时间（毫秒）
+   * @param {number} [options.maxDelay] - 单次退避上限（毫秒）
+   * @param {Object} [options.breaker] - 熔断器配置
+   */
+  constructor({ provider, requestsPerMinute, maxRetries = 3, baseDelay = 1000, maxDelay = 30000, breaker = {} }) {
+    this.provider = provider;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.bucket = new TokenBucket({ requestsPerMinute });
+    this.breaker = new CircuitBreaker(breaker);
+  }
+
+  /**
+   * 计算第 attempt 次重试前的等待时间：优先使用 Retry-After，否则指数退避加随机抖动
+   * @param {Error} error - 错误对象
+   * @param {number} attempt - 重试序号（从1开始）
+   * @returns {number} 等待时间（毫秒）
+   */
+  getRetryDelay(error, attempt) {
+    if (error?.retryAfter) {
+      return Math.min(error.retryAfter, this.maxDelay * 4);
+    }
+
+    const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    // 随机抖动：在 [exponential/2, exponential] 间取值，避免批量任务同时重试
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  /**
+   * 在限流保护下执行请求
+   * @param {Function} fn - 返回 Promise 的请求函数，参数为当前尝试序号
+   * @param {Object} [options] - 选项
+   * @param {string} [options.label] - 日志中显示的请求名称
+   * @param {AbortSignal} [options.signal] - 取消信号，中止后不再重试
+   * @returns {Promise<*>} 请求结果
+   */
+  async schedule(fn, { label = 'request', signal = null } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+
+      if (!this.breaker.canRequest()) {
+        throw new ApiError(
+          this.breaker.state === 'half-open'
+            ? `${this.provider} circuit breaker is half-open, waiting for the probe request`
+            : `${this.provider} circuit breaker is open, retry in ${Math.ceil(this.breaker.getRemainingCooldown() / 1000)}s`,
+          { provider: this.provider, retryable: false }
+        );
+      }
+
+      await this.bucket.acquire();
+
+      try {
+        const result = await fn(attempt);
+        this.breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (signal?.aborted || !isRetryableError(error)) {
+          this.breaker.releaseProbe();
+          throw error;
+        }
+
+        this.breaker.recordFailure();
+
+        if (attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt + 1);
+        console.warn(`⚠️ ${this.provider} ${label} 失败 (${error.message})，${Math.round(delay / 1000)}秒后进行第 ${attempt + 1}/${this.maxRetries} 次重试`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * 获取限流器状态
+   * @returns {Object} 状态信息
+   */
+  getStatus() {
+    this.bucket.refill();
+    return {
+      provider: this.provider,
+      availableTokens: Math.floor(this.bucket.tokens),
+      circuitState: this.breaker.state,
+      consecutiveFailures: this.breaker.failures
+    };
+  }
+}
+
+const limiters = new Map();
+
+/**
+ * 获取服务对应的限流器（同一进程内每个服务共享一个实例）
+ * @param {string} provider - 服务名称 (finnhub, gemini, coze)
+ * @returns {RateLimiter} 限流器
+ */
+export function getRateLimiter(provider) {
+  if (!limiters.has(provider)) {
+    const defaults = PROVIDER_LIMITS[provider] || PROVIDER_LIMITS.default;
+    const envLimit = Number(process.env[`${provider.toUpperCase()}_RATE_LIMIT`]);
+
+    limiters.set(provider, new RateLimiter({
+      provider,
+      requestsPerMinute: envLimit > 0 ? envLimit : defaults.requestsPerMinute,
+      maxRetries: process.env.MAX_RETRIES !== undefined ? Number(process.env.MAX_RETRIES) : 3,
+      breaker: {
+        failureThreshold: Number(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+        resetTimeout: Number(process.env.CIRCUIT_BREAKER_RESET_MS) || 60000
+      }
+    }));
+  }
+
+  return limiters.get(provider);
+}
@@ -0,0 +1,485 @@
+/**
+ * 结构化摘要渲染模块
+ * 功能：将结构化摘要渲染为 Markdown 播客脚本和供语音合成使用的纯文本
+ */
+
+import { SECTION_ORDER, COMPARISON_SECTION, DIALOGUE_SPEAKERS } from './summary-schema.js';
+
+/**
+ * 各小节标题
+ */
+export const SECTION_TITLES = {
+  'zh-CN': {
+    overview: '📊 财报概览',
+    financials: '💰 关键财务数据',
+    highlights: '🎯 业务亮点',
+    risks: '⚠️ 风险与挑战',
+    outlook: '🔮 管理层展望',
+    comparison: '🔁 与上季度相比',
+    takeaways: '📈 投资要点'
+  },
+  'en-US': {
+    overview: '📊 Earnings Overview',
+    financials: '💰 Key Financial Metrics',
+    highlights: '🎯 Business Highlights',
+    risks: '⚠️ Risks and Challenges',
+    outlook: '🔮 Management Outlook',
+    comparison: '🔁 Versus Last Quarter',
+    takeaways: '📈 Investment Takeaways'
+  }
+};
+
+/**
+ * 上季度业绩指引兑现情况的显示名称
+ */
+export const GUIDANCE_REVIEW_LABELS = {
+  'zh-CN': { exceeded: '超出指引', met: '达成指引', missed: '未达指引', unclear: '无法判断' },
+  'en-US': { exceeded: 'Exceeded', met: 'Met', missed: 'Missed', unclear: 'Unclear' }
+};
+
+/**
+ * 业绩指引调整方向的显示名称
+ */
+export const GUIDANCE_REVISION_LABELS = {
+  'zh-CN': { raised: '⬆️ 上调', maintained: '➡️ 维持', cut: '⬇️ 下调', new: '🆕 首次', unclear: '-' },
+  'en-US': { raised: '⬆️ Raised', maintained: '➡️ Maintained', cut: '⬇️ Cut', new: '🆕 New', unclear: '-' }
+};
+
+/**
+ * 分析师问答话题的显示名称
+ */
+export const QA_TOPIC_LABELS = {
+  'zh-CN': {
+    demand: '需求',
+    margins: '利润率',
+    pricing: '定价',
+    ai_capex: 'AI 资本开支',
+    china: '中国市场',
+    guidance: '业绩指引',
+    capital_return: '股东回报',
+    competition: '竞争格局',
+    supply_chain: '供应链',
+    regulation: '监管',
+    product: '产品',
+    other: '其他'
+  },
+  'en-US': {
+    demand: 'Demand',
+    margins: 'Margins',
+    pricing: 'Pricing',
+    ai_capex: 'AI capex',
+    china: 'China',
+    guidance: 'Guidance',
+    capital_return: 'Capital return',
+    competition: 'Competition',
+    supply_chain: 'Supply chain',
+    regulation: 'Regulation',
+    product: 'Product',
+    other: 'Other'
+  }
+};
+
+/**
+ * 语气评分环节的显示名称
+ */
+export const TONE_SECTION_LABELS = {
+  'zh-CN': { prepared_remarks: '开场陈述', qa: '问答环节' },
+  'en-US': { prepared_remarks: 'Prepared remarks', qa: 'Q&A' }
+};
+
+/**
+ * 对话脚本中各角色的显示名称
+ */
+export const DIALOGUE_LABELS = {
+  'zh-CN': { [DIALOGUE_SPEAKERS.HOST]: '主持人', [DIALOGUE_SPEAKERS.ANALYST]: '分析师' },
+  'zh-TW': { [DIALOGUE_SPEAKERS.HOST]: '主持人', [DIALOGUE_SPEAKERS.ANALYST]: '分析師' },
+  'en-US': { [DIALOGUE_SPEAKERS.HOST]: 'Host', [DIALOGUE_SPEAKERS.ANALYST]: 'Analyst' }
+};
+
+export const SCALE_MULTIPLIERS = {
+  none: 1,
+  thousand: 1e3,
+  million: 1e6,
+  billion: 1e9
+};
+
+/**
+ * 获取语言对应的小节标题表（繁体中文等沿用简体中文标题）
+ * @param {string} language - 语言代码
+ * @returns {Object} 小节标题
+ */
+function getSectionTitles(language) {
+  return SECTION_TITLES[language] || (language.startsWith('zh') ? SECTION_TITLES['zh-CN'] : SECTION_TITLES['en-US']);
+}
+
+/**
+ * 格式化美元金额（中文使用"亿美元"，英文使用 B/M）
+ * @param {number} value - 金额（美元）
+ * @param {string} language - 语言代码
+ * @returns {string} 格式化后的金额
+ */
+export function formatUsdAmount(value, language) {
+  const amount = Number(value);
+  if (language.startsWith('zh')) {
+    return Math.abs(amount) >= 1e8
+      ? `${(amount / 1e8).toFixed(2)}亿美元`
+      : `${(amount / 1e4).toFixed(2)}万美元`;
+  }
+  return Math.abs(amount) >= 1e9
+    ? `$${(amount / 1e9).toFixed(2)}B`
+    : `$${(amount / 1e6).toFixed(2)}M`;
+}
+
+/**
+ * 格式化指标数值（含量级和单位）
+ * @param {Object} metric - 指标 { value, unit, scale }
+ * @param {string} language - 语言代码
+ * @returns {string} 格式化结果
+ */
+export function formatMetricValue({ value, unit, scale = 'none' }, language) {
+  const isChinese = language.startsWith('zh');
+  const normalizedUnit = (unit || '').trim();
+  const amount = value * (SCALE_MULTIPLIERS[scale] || 1);
+
+  if (normalizedUnit === '%') {
+    return `${value}%`;
+  }
+  if (/^USD\/share$/i.test(normalizedUnit)) {
+    return isChinese ? `每股${value.toFixed(2)}美元` : `$${value.toFixed(2)}/share`;
+  }
+  if (/^USD$/i.test(normalizedUnit)) {
+    return Math.abs(amount) >= 1e6 ? formatUsdAmount(amount, language) : (isChinese ? `${amount}美元` : `$${amount}`);
+  }
+
+  const scaleLabel = scale && scale !== 'none' ? ` ${scale}` : '';
+  return `${value}${scaleLabel} ${normalizedUnit}`.trim();
+}
+
+/**
+ * 格式化区间指引，例如 "$89B - $93B"
+ * @param {Object} item - 指引 { low, high, unit, scale }
+ * @param {string} language - 语言代码
+ * @returns {string|null} 格式化结果，无数值时返回 null
+ */
+export function formatGuidanceRange(item, language) {
+  const format = value => formatMetricValue({ value, unit: item.unit, scale: item.scale || 'none' }, language);
+
+  if (item.low !== null && item.low !== undefined && item.high !== null && item.high !== undefined && item.low !== item.high) {
+    return `${format(item.low)} - ${format(item.high)}`;
+  }
+  const single = item.low ?? item.high;
+  return single === null || single === undefined ? null : format(single);
+}
+
+/**
+ * 格式化指标变化，例如 "+6.1% (YOY)"
+ * @param {Object} metric - 指标 { changePercent, comparison }
+ * @returns {string} 格式化结果，无变化数据时返回 "-"
+ */
+export function formatMetricChange(metric) {
+  if (metric.changePercent === null || metric.changePercent === undefined) {
+    return '-';
+  }
+  return `${metric.changePercent > 0 ? '+' : ''}${metric.changePercent}%${metric.comparison ? ` (${metric.comparison.toUpperCase()})` : ''}`;
+}
+
+/**
+ * 按固定顺序返回小节
+ * @param {Object} document - 结构化摘要
+ * @returns {Array<Object>} 小节
+ */
+function getOrderedSections(document) {
+  return SECTION_ORDER
+    .map(key => document.sections.find(section => section.key === key))
+    .filter(Boolean);
+}
+
+/**
+ * 渲染 Markdown 播客脚本
+ * @param {Object} document - 结构化摘要
+ * @param {string} language - 语言代码
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.tone] - 语气评分，较上季度明显下滑时加入提示小节
+ * @returns {string} Markdown
+ */
+export function renderSummaryMarkdown(document, language, { tone = null } = {}) {
+  const isChinese = language.startsWith('zh');
+  const titles = getSectionTitles(language);
+  const parts = [`# ${document.headline}`];
+
+  for (const section of getOrderedSections(document)) {
+    const lines = [`## ${titles[section.key]}`, section.content.trim()];
+
+    if (section.key === 'financials' && document.keyMetrics.length > 0) {
+      lines.push('', isChinese ? '| 指标 | 数值 | 变化 |' : '| Metric | Value | Change |', '| --- | --- | --- |');
+      for (const metric of document.keyMetrics) {
+        lines.push(`| ${metric.name}${metric.period ? ` (${metric.period})` : ''} | ${formatMetricValue(metric, language)} | ${formatMetricChange(metric)} |`);
+      }
+    }
+
+    if (section.key === COMPARISON_SECTION && document.guidanceReview?.length > 0) {
+      const labels = GUIDANCE_REVIEW_LABELS[language] || (isChinese ? GUIDANCE_REVIEW_LABELS['zh-CN'] : GUIDANCE_REVIEW_LABELS['en-US']);
+      lines.push('');
+      for (const item of document.guidanceReview) {
+        const label = [item.metric, item.period].filter(Boolean).join(' · ');
+        lines.push(`- **${label}**${isChinese ? '：' : ': '}${labels[item.status]} — ${item.text}`);
+      }
+    }
+
+    if (section.key === 'outlook' && document.guidance.length > 0) {
+      const revisions = getGuidanceRevisionLabels(language);
+      lines.push('', isChinese ? '| 指标 | 期间 | 指引 | 较上期 | 说明 |' : '| Metric | Period | Guidance | Revision | Notes |', '| --- | --- | --- | --- | --- |');
+      for (const item of document.guidance) {
+        const previous = item.previous ? formatGuidanceRange(item.previous, language) : null;
+        const revision = `${revisions[item.revision] || '-'}${previous ? ` (${isChinese ? '此前' : 'was'} ${previous})` : ''}`;
+        lines.push(`| ${item.metric} | ${item.period || '-'} | ${formatGuidanceRange(item, language) || '-'} | ${revision} | ${item.text.replace(/\|/g, '/')} |`);
+      }
+    }
+
+    parts.push(lines.join('\n'));
+  }
+
+  if (tone?.sharpDrop) {
+    const labels = getToneSectionLabels(language);
+    const scoreLines = Object.entries(tone.sections).map(([section, item]) =>
+      `- **${labels[section]}**${isChinese ? '：' : ': '}${item.score} — ${item.rationale}`
+    );
+    scoreLines.push(`- **${isChinese ? '指引信心' : 'Guidance confidence'}**${isChinese ? '：' : ': '}${tone.guidanceConfidence.score} — ${tone.guidanceConfidence.rationale}`);
+    parts.push(`## ${isChinese ? '📉 管理层语气转弱' : '📉 Tone Shift'}\n${renderToneCallout(tone, language)}\n\n${scoreLines.join('\n')}`);
+  }
+
+  if (document.quotes.length > 0) {
+    const quoteLines = document.quotes.map(quote =>
+      `> "${quote.text}"\n> — ${quote.speaker}${quote.role ? `, ${quote.role}` : ''}`
+    );
+    parts.push(`## ${isChinese ? '💬 管理层原话' : '💬 In Their Words'}\n${quoteLines.join('\n\n')}`);
+  }
+
+  if (document.qaDigest?.length > 0) {
+    const topics = getQaTopicLabels(language);
+    const items = document.qaDigest.map(item => {
+      const asker = [item.analyst, item.firm].filter(Boolean).join(', ');
+      const lines = [
+        `**${item.id} · ${topics[item.topic]}**${asker ? ` — ${asker}` : ''}`,
+        `- ${isChinese ? '问' : 'Q'}${isChinese ? '：' : ': '}${item.question}`,
+        `- ${isChinese ? '答' : 'A'}${isChinese ? '：' : ': '}${item.answer}`
+      ];
+      if (item.evasive) {
+        lines.push(`- ⚠️ ${isChinese ? '未正面回答' : 'Non-answer'}${item.evasionNote ? `${isChinese ? '：' : ': '}${item.evasionNote}` : ''}`);
+      }
+      return lines.join('\n');
+    });
+    parts.push(`## ${isChinese ? '🗣️ 分析师问答' : '🗣️ Analyst Q&A'}\n${items.join('\n\n')}`);
+  }
+
+  if (document.dialogue?.length > 0) {
+    const labels = DIALOGUE_LABELS[language] || (isChinese ? DIALOGUE_LABELS['zh-CN'] : DIALOGUE_LABELS['en-US']);
+    const turnLines = document.dialogue.map(turn => `**${labels[turn.speaker]}**${isChinese ? '：' : ': '}${turn.text}`);
+    parts.push(`## ${isChinese ? '🎙️ 对话脚本' : '🎙️ Dialogue Script'}\n${turnLines.join('\n\n')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * 获取语言对应的指引调整方向名称表
+ * @param {string} language - 语言代码
+ * @returns {Object} 调整方向名称
+ */
+export function getGuidanceRevisionLabels(language) {
+  return GUIDANCE_REVISION_LABELS[language] || (language.startsWith('zh') ? GUIDANCE_REVISION_LABELS['zh-CN'] : GUIDANCE_REVISION_LABELS['en-US']);
+}
+
+/**
+ * 获取语言对应的语气评分环节名称表
+ * @param {string} language - 语言代码
+ * @returns {Object} 环节名称
+ */
+function getToneSectionLabels(language) {
+  return TONE_SECTION_LABELS[language] || (language.startsWith('zh') ? TONE_SECTION_LABELS['zh-CN'] : TONE_SECTION_LABELS['en-US']);
+}
+
+/**
+ * 生成管理层语气较上季度明显转弱的提示（Markdown 小节、单人播报和对话主持人共用）
+ * @param {Object} tone - 语气评分（含 previous）
+ * @param {string} language - 语言代码
+ * @returns {string} 提示文本
+ */
+export function renderToneCallout(tone, language) {
+  const isChinese = language.startsWith('zh');
+  const labels = getToneSectionLabels(language);
+  const { previous } = tone;
+  const drop = Math.abs(previous.change);
+  const [weakestSection, weakest] = Object.entries(tone.sections).sort((a, b) => a[1].score - b[1].score)[0];
+
+  return isChinese
+    ? `值得注意的是，管理层本季度的语气明显转弱：整体语气评分为 ${tone.overall} 分（满分 100 分），比 ${previous.year} 年第 ${previous.quarter} 季度的 ${previous.overall} 分下降了 ${drop} 分。其中${labels[weakestSection]}的评分最低，为 ${weakest.score} 分，${endSentence(toSpokenText(weakest.rationale), true)}`
+    : `Worth noting: management sounded markedly more cautious this quarter. The overall tone score was ${tone.overall} out of 100, down ${drop} points from ${previous.overall} in Q${previous.quarter} ${previous.year}. ${labels[weakestSection]} scored lowest at ${weakest.score}: ${endSentence(toSpokenText(weakest.rationale), false)}`;
+}
+
+/**
+ * 获取语言对应的问答话题名称表
+ * @param {string} language - 语言代码
+ * @returns {Object} 话题名称
+ */
+function getQaTopicLabels(language) {
+  return QA_TOPIC_LABELS[language] || (language.startsWith('zh') ? QA_TOPIC_LABELS['zh-CN'] : QA_TOPIC_LABELS['en-US']);
+}
+
+/**
+ * 生成问答环节的提问人描述，例如 "来自 Morgan Stanley 的 Erik Woodring"
+ * 中文以英文姓名结尾时补一个空格，与后面的中文隔开
+ * @param {Object} item - 问答摘要
+ * @param {boolean} isChinese - 是否中文
+ * @returns {string} 提问人描述
+ */
+function describeAsker(item, isChinese) {
+  if (isChinese) {
+    const asker = item.firm ? `来自 ${item.firm} 的 ${item.analyst || '分析师'}` : (item.analyst || '一位分析师');
+    return /[A-Za-z.]$/.test(asker) ? `${asker} ` : asker;
+  }
+  return item.firm ? `${item.analyst || 'An analyst'} from ${item.firm}` : (item.analyst || 'An analyst');
+}
+
+/**
+ * 去掉 Markdown 标记和表情符号，得到适合朗读的文本
+ * @param {string} text - 文本
+ * @returns {string} 朗读文本
+ */
+function toSpokenText(text) {
+  return text
+    .replace(/\*\*|__|`/g, '')
+    .replace(/^\s*[-*]\s+/gm, '')
+    .replace(/^#+\s*/gm, '')
+    .replace(/\p{Extended_Pictographic}️?/gu, '')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * 补全句末标点
+ * @param {string} text - 文本
+ * @param {boolean} isChinese - 是否中文
+ * @returns {string} 文本
+ */
+function endSentence(text, isChinese) {
+  return /[.!?。！？]$/.test(text) ? text : `${text}${isChinese ? '。' : '.'}`;
+}
+
+/**
+ * 渲染语音合成文本：标题和各小节正文，不包含表格和引用块
+ * @param {Object} document - 结构化摘要
+ * @param {string} language - 语言代码
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.tone] - 语气评分，较上季度明显下滑时在正文后播报提示
+ * @returns {string} 朗读文本
+ */
+export function renderSpeechText(document, language, { tone = null } = {}) {
+  const isChinese = language.startsWith('zh');
+  const titles = getSectionTitles(language);
+  const paragraphs = [endSentence(toSpokenText(document.headline), isChinese)];
+
+  for (const section of getOrderedSections(document)) {
+    const title = toSpokenText(titles[section.key]);
+    paragraphs.push(`${endSentence(title, isChinese)}${isChinese ? '' : ' '}${toSpokenText(section.content)}`);
+  }
+
+  if (tone?.sharpDrop) {
+    paragraphs.push(renderToneCallout(tone, language));
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * 渲染分析师问答的朗读文本（单人播报时作为节目的独立段落）
+ * @param {Array<Object>} items - 问答摘要
+ * @param {string} language - 语言代码
+ * @returns {string} 朗读文本
+ */
+export function renderQaSegmentText(items, language) {
+  const isChinese = language.startsWith('zh');
+  const topics = getQaTopicLabels(language);
+  const paragraphs = [isChinese ? '接下来是分析师问答环节的要点。' : 'Next, the highlights from the analyst Q&A.'];
+
+  for (const item of items) {
+    const asker = describeAsker(item, isChinese);
+    const question = endSentence(toSpokenText(item.question), isChinese);
+    const answer = endSentence(toSpokenText(item.answer), isChinese);
+    const evasion = item.evasive
+      ? (isChinese ? `不过管理层并没有正面回答这个问题${item.evasionNote ? `：${endSentence(toSpokenText(item.evasionNote), true)}` : '。'}` : ` However, management did not really answer the question${item.evasionNote ? `: ${endSentence(toSpokenText(item.evasionNote), false)}` : '.'}`)
+      : '';
+
+    paragraphs.push(isChinese
+      ? `关于${topics[item.topic]}，${asker}问道：${question}管理层回答：${answer}${evasion}`
+      : `On ${topics[item.topic].toLowerCase()}, ${asker} asked: ${question} Management said: ${answer}${evasion}`);
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * 将分析师问答改写为对话轮次（对话形式时由主持人转述提问、分析师点评回答）
+ * @param {Array<Object>} items - 问答摘要
+ * @param {string} language - 语言代码
+ * @returns {Array<Object>} 对话 [{ speaker, text }]
+ */
+export function buildQaSegmentTurns(items, language) {
+  const isChinese = language.startsWith('zh');
+  const topics = getQaTopicLabels(language);
+  const turns = [{
+    speaker: DIALOGUE_SPEAKERS.HOST,
+    text: isChinese ? '我们再来看看问答环节，分析师们都问了些什么。' : "Let's turn to the Q&A and what the analysts asked."
+  }];
+
+  for (const item of items) {
+    const question = endSentence(toSpokenText(item.question), isChinese);
+    const answer = endSentence(toSpokenText(item.answer), isChinese);
+    turns.push({
+      speaker: DIALOGUE_SPEAKERS.HOST,
+      text: isChinese
+        ? `关于${topics[item.topic]}，${describeAsker(item, true)}问道：${question}`
+        : `On ${topics[item.topic].toLowerCase()}, ${describeAsker(item, false)} asked: ${question}`
+    });
+    turns.push({
+      speaker: DIALOGUE_SPEAKERS.ANALYST,
+      text: item.evasive
+        ? (isChinese ? `管理层的回答是：${answer}但这其实没有正面回答问题${item.evasionNote ? `，${endSentence(toSpokenText(item.evasionNote), true)}` : '。'}` : `Management said: ${answer} That isn't really an answer${item.evasionNote ? `: ${endSentence(toSpokenText(item.evasionNote), false)}` : '.'}`)
+        : (isChinese ? `管理层的回答是：${answer}` : `Management said: ${answer}`)
+    });
+  }
+
+  return turns;
+}
+
+/**
+ * 渲染带发言人标记的对话脚本，每轮一行，例如 "[HOST] 欢迎收听..."
+ * @param {Array<Object>} turns - 对话 [{ speaker, text }]
+ * @returns {string} 对话脚本
+ */
+export function renderDialogueScript(turns) {
+  return turns
+    .map(turn => `[${turn.speaker.toUpperCase()}] ${toSpokenText(turn.text)}`)
+    .join('\n');
+}
+
+/**
+ * 解析带发言人标记的对话脚本（renderDialogueScript 的逆过程），未标记的行并入上一轮发言
+ * @param {string} script - 对话脚本
+ * @returns {Array<Object>} 对话 [{ speaker, text }]
+ */
+export function parseDialogueScript(script = '') {
+  const speakers = Object.values(DIALOGUE_SPEAKERS);
+  const turns = [];
+
+  for (const line of script.split('\n')) {
+    const match = line.match(/^\s*\[([A-Za-z]+)\]\s*(.*)$/);
+    if (match && speakers.includes(match[1].toLowerCase())) {
+      turns.push({ speaker: match[1].toLowerCase(), text: match[2].trim() });
+    } else if (line.trim() && turns.length > 0) {
+      turns[turns.length - 1].text += ` ${line.trim()}`;
+    }
+  }
+
+  return turns.filter(turn => turn.text);
+}
@@ -0,0 +1,529 @@
+/**
+ * 结构化摘要 Schema 模块
+ * 功能：定义模型输出的结构化摘要格式，提供 JSON 提取、常见格式问题修复和 Schema 校验
+ */
+
+/**
+ * 摘要小节（顺序即播客脚本顺序）
+ */
+export const SUMMARY_SECTIONS = ['overview', 'financials', 'highlights', 'risks', 'outlook', 'takeaways'];
+
+/**
+ * 与上季度对比小节（仅在提供往期财报数据时生成）
+ */
+export const COMPARISON_SECTION = 'comparison';
+
+/**
+ * 全部小节的播客脚本顺序（含可选小节）
+ */
+export const SECTION_ORDER = ['overview', 'financials', 'highlights', 'risks', 'outlook', COMPARISON_SECTION, 'takeaways'];
+
+/**
+ * 上季度业绩指引的兑现情况
+ */
+export const GUIDANCE_REVIEW_STATUSES = ['exceeded', 'met', 'missed', 'unclear'];
+
+/**
+ * 业绩指引相对此前对同一期间指引的调整：上调 / 维持 / 下调 / 首次给出 / 无法判断
+ */
+export const GUIDANCE_REVISIONS = ['raised', 'maintained', 'cut', 'new', 'unclear'];
+
+/**
+ * 节目形式：单人播报（默认）或主持人与分析师对话
+ */
+export const SCRIPT_FORMATS = {
+  MONOLOGUE: 'monologue',
+  DIALOGUE: 'dialogue'
+};
+
+/**
+ * 分析师问答摘要：不生成 / 只保存 / 保存并在节目中单独播报
+ */
+export const QA_DIGEST_MODES = {
+  OFF: 'off',
+  STORE: 'store',
+  NARRATE: 'narrate'
+};
+
+/**
+ * 分析师问答的话题分类
+ */
+export const QA_TOPICS = [
+  'demand',
+  'margins',
+  'pricing',
+  'ai_capex',
+  'china',
+  'guidance',
+  'capital_return',
+  'competition',
+  'supply_chain',
+  'regulation',
+  'product',
+  'other'
+];
+
+/**
+ * 对话脚本中的发言角色
+ */
+export const DIALOGUE_SPEAKERS = {
+  HOST: 'host',
+  ANALYST: 'analyst'
+};
+
+/**
+ * 指标数值的量级
+ */
+export const METRIC_SCALES = ['none', 'thousand', 'million', 'billion'];
+
+/**
+ * 对话脚本中的一轮发言
+ */
+const DIALOGUE_TURN_SCHEMA = {
+  type: 'object',
+  required: ['speaker', 'text'],
+  properties: {
+    speaker: { type: 'string', enum: Object.values(DIALOGUE_SPEAKERS) },
+    text: { type: 'string', minLength: 1 }
+  }
+};
+
+/**
+ * 一组分析师问答的摘要（提问人和机构由文字稿配对结果补充，不由模型生成）
+ */
+const QA_ITEM_SCHEMA = {
+  type: 'object',
+  required: ['id', 'topic', 'question', 'answer', 'evasive'],
+  properties: {
+    id: { type: 'string', minLength: 2 },
+    topic: { type: 'string', enum: QA_TOPICS },
+    question: { type: 'string', minLength: 1 },
+    answer: { type: 'string', minLength: 1 },
+    evasive: { type: 'boolean' },
+    evasionNote: { type: 'string', nullable: true }
+  }
+};
+
+/**
+ * 结构化摘要 Schema（JSON Schema 的子集: type / nullable / required / properties / items / enum / minItems / minLength）
+ */
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['headline', 'sections', 'keyMetrics', 'guidance', 'risks', 'quotes'],
+  properties: {
+    headline: { type: 'string', minLength: 4 },
+    sections: {
+      type: 'array',
+      minItems: SUMMARY_SECTIONS.length,
+      items: {
+        type: 'object',
+        required: ['key', 'title', 'content'],
+        properties: {
+          key: { type: 'string', enum: SECTION_ORDER },
+          title: { type: 'string', minLength: 1 },
+          content: { type: 'string', minLength: 20 },
+          sources: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    keyMetrics: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'value', 'unit'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          value: { type: 'number' },
+          unit: { type: 'string', minLength: 1 },
+          scale: { type: 'string', enum: METRIC_SCALES },
+          period: { type: 'string', nullable: true },
+          changePercent: { type: 'number', nullable: true },
+          comparison: { type: 'string', nullable: true, enum: ['yoy', 'qoq', 'consensus', null] }
+        }
+      }
+    },
+    guidance: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['metric', 'text'],
+        properties: {
+          metric: { type: 'string', minLength: 1 },
+          period: { type: 'string', nullable: true },
+          low: { type: 'number', nullable: true },
+          high: { type: 'number', nullable: true },
+          unit: { type: 'string', nullable: true },
+          scale: { type: 'string', nullable: true, enum: [...METRIC_SCALES, null] },
+          revision: { type: 'string', nullable: true, enum: [...GUIDANCE_REVISIONS, null] },
+          text: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    risks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'description'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    quotes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['speaker', 'text'],
+        properties: {
+          speaker: { type: 'string', minLength: 1 },
+          role: { type: 'string', nullable: true },
+          text: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    // 上季度给出的业绩指引是否兑现（仅在提供往期财报数据时生成）
+    guidanceReview: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['metric', 'status', 'text'],
+        properties: {
+          metric: { type: 'string', minLength: 1 },
+          period: { type: 'string', nullable: true },
+          status: { type: 'string', enum: GUIDANCE_REVIEW_STATUSES },
+          text: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    // 分析师问答摘要在摘要生成后补充
+    qaDigest: {
+      type: 'array',
+      items: QA_ITEM_SCHEMA
+    },
+    // 对话形式的节目在摘要生成后补充
+    dialogue: {
+      type: 'array',
+      items: DIALOGUE_TURN_SCHEMA
+    }
+  }
+};
+
+/**
+ * 对话脚本 Schema
+ */
+export const DIALOGUE_SCHEMA = {
+  type: 'object',
+  required: ['turns'],
+  properties: {
+    turns: {
+      type: 'array',
+      minItems: 6,
+      items: DIALOGUE_TURN_SCHEMA
+    }
+  }
+};
+
+/**
+ * 分析师问答摘要 Schema
+ */
+export const QA_DIGEST_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      items: QA_ITEM_SCHEMA
+    }
+  }
+};
+
+/**
+ * 按 Schema 校验数据
+ * @param {*} value - 待校验数据
+ * @param {Object} [schema] - Schema，默认为 SUMMARY_SCHEMA
+ * @param {string} [pointer] - 当前字段路径（用于错误信息）
+ * @returns {Array<string>} 错误列表，为空表示通过
+ */
+export function validateSchema(value, schema = SUMMARY_SCHEMA, pointer = '$') {
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${pointer} is required`];
+  }
+
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+
+  if (schema.type === 'number' ? (typeof value !== 'number' || !Number.isFinite(value)) : actualType !== schema.type) {
+    return [`${pointer} should be ${schema.type}, got ${actualType}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer} should be one of ${schema.enum.filter(item => item !== null).join(', ')}`);
+  }
+
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${pointer} is too short`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${pointer} should have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${pointer}[${index}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${pointer}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${pointer}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 结构化摘要中面向听众的文本字段（术语统一和合规检查使用）
+ * @param {Object} document - 结构化摘要
+ * @returns {Array<[string, Object, string]>} [路径, 所在对象, 字段名]
+ */
+export function collectTextFields(document) {
+  const fields = [['headline', document, 'headline']];
+  const addAll = (name, items = [], keys) => items.forEach((item, index) => {
+    for (const key of keys) {
+      if (typeof item[key] === 'string') {
+        fields.push([`${name}[${index}].${key}`, item, key]);
+      }
+    }
+  });
+
+  addAll('sections', document.sections, ['title', 'content']);
+  addAll('keyMetrics', document.keyMetrics, ['name']);
+  addAll('guidance', document.guidance, ['metric', 'text']);
+  addAll('risks', document.risks, ['title', 'description']);
+  addAll('quotes', document.quotes, ['text']);
+  addAll('guidanceReview', document.guidanceReview, ['metric', 'text']);
+  addAll('qaDigest', document.qaDigest, ['question', 'answer', 'evasionNote']);
+  addAll('dialogue', document.dialogue, ['text']);
+
+  return fields;
+}
+
+/**
+ * 校验结构化摘要（Schema 之外还检查六个小节是否齐全）
+ * @param {Object} document - 结构化摘要
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.requireComparison] - 是否要求"与上季度相比"小节（提供了往期财报数据时）
+ * @returns {Array<string>} 错误列表
+ */
+export function validateSummaryDocument(document, { requireComparison = false } = {}) {
+  const errors = validateSchema(document);
+
+  if (Array.isArray(document?.sections)) {
+    const keys = new Set(document.sections.map(section => section?.key));
+    const required = requireComparison ? [...SUMMARY_SECTIONS, COMPARISON_SECTION] : SUMMARY_SECTIONS;
+    const missing = required.filter(key => !keys.has(key));
+    if (missing.length > 0) {
+      errors.push(`$.sections is missing: ${missing.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 校验对话脚本（Schema 之外还要求主持人和分析师都有发言）
+ * @param {Object} dialogue - 对话脚本 { turns }
+ * @returns {Array<string>} 错误列表
+ */
+export function validateDialogue(dialogue) {
+  const errors = validateSchema(dialogue, DIALOGUE_SCHEMA);
+
+  if (Array.isArray(dialogue?.turns)) {
+    const speakers = new Set(dialogue.turns.map(turn => turn?.speaker));
+    const missing = Object.values(DIALOGUE_SPEAKERS).filter(speaker => !speakers.has(speaker));
+    if (missing.length > 0) {
+      errors.push(`$.turns has no lines for: ${missing.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 修复对话脚本中可自动纠正的问题（发言角色大小写、空白发言）
+ * @param {Object} dialogue - 对话脚本
+ * @returns {Object} 修复后的副本
+ */
+export function repairDialogue(dialogue) {
+  if (!Array.isArray(dialogue?.turns)) {
+    return dialogue;
+  }
+
+  return {
+    ...dialogue,
+    turns: dialogue.turns
+      .map(turn => ({
+        ...turn,
+        speaker: typeof turn?.speaker === 'string' ? turn.speaker.trim().toLowerCase() : turn?.speaker,
+        text: typeof turn?.text === 'string' ? turn.text.trim() : turn?.text
+      }))
+      .filter(turn => turn.text !== '')
+  };
+}
+
+/**
+ * 校验分析师问答摘要（Schema 之外还要求与输入的问答一一对应）
+ * @param {Object} digest - 问答摘要 { items }
+ * @param {Object} [options] - 选项
+ * @param {Array<string>} [options.ids] - 输入的问答ID
+ * @returns {Array<string>} 错误列表
+ */
+export function validateQaDigest(digest, { ids = [] } = {}) {
+  const errors = validateSchema(digest, QA_DIGEST_SCHEMA);
+
+  if (Array.isArray(digest?.items) && ids.length > 0) {
+    const returned = digest.items.map(item => item?.id);
+    const missing = ids.filter(id => !returned.includes(id));
+    const unknown = returned.filter(id => !ids.includes(id));
+    if (missing.length > 0) {
+      errors.push(`$.items is missing: ${missing.join(', ')}`);
+    }
+    if (unknown.length > 0) {
+      errors.push(`$.items has unknown ids: ${unknown.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 修复分析师问答摘要中可自动纠正的问题（ID 和话题大小写、未知话题归为 other、布尔值写成字符串）
+ * @param {Object} digest - 问答摘要
+ * @returns {Object} 修复后的副本
+ */
+export function repairQaDigest(digest) {
+  if (!Array.isArray(digest?.items)) {
+    return digest;
+  }
+
+  return {
+    ...digest,
+    items: digest.items.map(item => {
+      const topic = typeof item?.topic === 'string' ? item.topic.trim().toLowerCase().replace(/[\s-]+/g, '_') : item?.topic;
+      return {
+        ...item,
+        id: typeof item?.id === 'string' ? item.id.trim().toUpperCase() : item?.id,
+        topic: typeof topic === 'string' && !QA_TOPICS.includes(topic) ? 'other' : topic,
+        evasive: typeof item?.evasive === 'string' ? item.evasive.trim().toLowerCase() === 'true' : item?.evasive
+      };
+    })
+  };
+}
+
+/**
+ * 从模型输出中提取 JSON
+ * 兼容 ```json 代码块、前后多余说明文字、尾随逗号和中文引号
+ * @param {string} text - 模型输出
+ * @returns {Object} 解析结果
+ * @throws {SyntaxError} 无法解析时抛出
+ */
+export function parseJsonResponse(text = '') {
+  let candidate = text.trim();
+
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidate = fenced[1].trim();
+  }
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new SyntaxError('No JSON object found in model output');
+  }
+  candidate = candidate.slice(start, end + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // 常见问题：尾随逗号、结构符号使用了中文引号
+    const repaired = candidate
+      .replace(/,\s*([}\]])/g, '$1')
+      .replace(/([{,]\s*)[“”]([^“”]+)[“”]\s*:/g, '$1"$2":');
+    return JSON.parse(repaired);
+  }
+}
+
+/**
+ * 将数值字符串转换为数字，例如 "$94.9" / "1,234.5" / "12%"
+ * @param {*} value - 原始值
+ * @returns {*} 转换结果，无法转换时原样返回
+ */
+function coerceNumber(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const cleaned = value.replace(/[$,%\s]/g, '');
+  return cleaned !== '' && !Number.isNaN(Number(cleaned)) ? Number(cleaned) : value;
+}
+
+/**
+ * 修复结构化摘要中可自动纠正的问题（缺失的数组、数字写成字符串、小节 key 大小写等）
+ * @param {Object} document - 结构化摘要
+ * @returns {Object} 修复后的副本
+ */
+export function repairSummaryDocument(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return document;
+  }
+
+  const repaired = { ...document };
+
+  for (const key of ['sections', 'keyMetrics', 'guidance', 'risks', 'quotes']) {
+    if (repaired[key] === undefined || repaired[key] === null) {
+      repaired[key] = [];
+    }
+  }
+
+  if (Array.isArray(repaired.sections)) {
+    repaired.sections = repaired.sections.map(section => ({
+      ...section,
+      key: typeof section?.key === 'string' ? section.key.trim().toLowerCase() : section?.key
+    }));
+  }
+
+  if (Array.isArray(repaired.keyMetrics)) {
+    repaired.keyMetrics = repaired.keyMetrics.map(metric => ({
+      ...metric,
+      value: coerceNumber(metric?.value),
+      changePercent: coerceNumber(metric?.changePercent ?? null),
+      scale: metric?.scale || 'none'
+    }));
+  }
+
+  if (Array.isArray(repaired.guidanceReview)) {
+    repaired.guidanceReview = repaired.guidanceReview.map(item => ({
+      ...item,
+      status: typeof item?.status === 'string' ? item.status.trim().toLowerCase() : item?.status
+    }));
+  }
+
+  if (Array.isArray(repaired.guidance)) {
+    repaired.guidance = repaired.guidance.map(item => ({
+      ...item,
+      low: coerceNumber(item?.low ?? null),
+      high: coerceNumber(item?.high ?? null),
+      revision: typeof item?.revision === 'string' ? item.revision.trim().toLowerCase() : (item?.revision ?? null)
+    }));
+  }
+
+  return repaired;
+}
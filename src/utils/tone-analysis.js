@@ -0,0 +1,294 @@
+/**
+ * 管理层语气分析模块
+ * 功能：统计管理层发言中的模糊/保留措辞，为语气评分阶段选取各环节的发言节选，
+ *       并与上一季度的语气评分比较，判断是否出现明显下滑
+ */
+
+import { SECTIONS, ROLES } from './transcript.js';
+import { estimateTokens } from './transcript-chunker.js';
+import { validateSchema } from './summary-schema.js';
+
+/**
+ * 语气下滑提示的默认阈值（总体评分下降的分数），可通过环境变量 TONE_DROP_THRESHOLD 覆盖
+ */
+export const DEFAULT_TONE_DROP_THRESHOLD = 15;
+
+/**
+ * 评分的环节
+ */
+export const TONE_SECTIONS = [SECTIONS.PREPARED, SECTIONS.QA];
+
+/**
+ * 模型返回的语气评分 Schema（评分为 0-100，50 为中性）
+ */
+export const TONE_SCHEMA = {
+  type: 'object',
+  required: ['sections', 'guidanceConfidence'],
+  properties: {
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['section', 'score', 'rationale'],
+        properties: {
+          section: { type: 'string', enum: TONE_SECTIONS },
+          score: { type: 'number' },
+          rationale: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    guidanceConfidence: {
+      type: 'object',
+      required: ['score', 'rationale'],
+      properties: {
+        score: { type: 'number' },
+        rationale: { type: 'string', minLength: 1 }
+      }
+    }
+  }
+};
+
+/**
+ * 校验语气评分（Schema 之外还检查评分范围和要求的环节）
+ * @param {Object} output - 模型输出
+ * @param {Object} [options] - 选项
+ * @param {Array<string>} [options.sections] - 要求评分的环节
+ * @returns {Array<string>} 错误列表
+ */
+export function validateToneOutput(output, { sections = TONE_SECTIONS } = {}) {
+  const errors = validateSchema(output, TONE_SCHEMA);
+
+  if (Array.isArray(output?.sections)) {
+    const returned = output.sections.map(item => item?.section);
+    const missing = sections.filter(section => !returned.includes(section));
+    if (missing.length > 0) {
+      errors.push(`$.sections is missing: ${missing.join(', ')}`);
+    }
+    output.sections.forEach((item, index) => {
+      if (typeof item?.score === 'number' && (item.score < 0 || item.score > 100)) {
+        errors.push(`$.sections[${index}].score should be between 0 and 100`);
+      }
+    });
+  }
+
+  const confidence = output?.guidanceConfidence?.score;
+  if (typeof confidence === 'number' && (confidence < 0 || confidence > 100)) {
+    errors.push('$.guidanceConfidence.score should be between 0 and 100');
+  }
+
+  return errors;
+}
+
+/**
+ * 修复常见的格式问题：评分为字符串或小数、环节名称大小写不一致
+ * @param {Object} output - 模型输出
+ * @returns {Object} 修复后的输出
+ */
+export function repairToneOutput(output) {
+  const toScore = value => {
+    const number = typeof value === 'string' ? Number(value) : value;
+    return Number.isFinite(number) ? Math.round(number) : value;
+  };
+
+  return {
+    ...output,
+    sections: Array.isArray(output?.sections)
+      ? output.sections.map(item => ({
+        ...item,
+        section: typeof item?.section === 'string' ? item.section.trim().toLowerCase() : item?.section,
+        score: toScore(item?.score)
+      }))
+      : output?.sections,
+    guidanceConfidence: output?.guidanceConfidence
+      ? { ...output.guidanceConfidence, score: toScore(output.guidanceConfidence.score) }
+      : output?.guidanceConfidence
+  };
+}
+
+/**
+ * 常见的模糊/保留措辞（英文文字稿）
+ */
+const HEDGING_TERMS = [
+  'may',
+  'might',
+  'could',
+  'possibly',
+  'potentially',
+  'uncertain',
+  'uncertainty',
+  'cautious',
+  'cautiously',
+  'challenging',
+  'headwind',
+  'headwinds',
+  'difficult to predict',
+  'hard to predict',
+  'too early to',
+  'remains to be seen',
+  'limited visibility',
+  'not in a position to',
+  'we don\'t guide',
+  'we do not guide',
+  'somewhat',
+  'to some extent',
+  'it depends',
+  'we\'ll see',
+  'we will see'
+];
+
+// 按长度倒序匹配，避免 "uncertainty" 同时计入 "uncertain"
+const HEDGING_PATTERN = new RegExp(
+  `\\b(${[...HEDGING_TERMS].sort((a, b) => b.length - a.length).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`,
+  'gi'
+);
+
+const MANAGEMENT_ROLES = [ROLES.CEO, ROLES.CFO, ROLES.EXECUTIVE];
+
+/**
+ * 判断是否为管理层发言（开场陈述中角色未知的发言也视为管理层）
+ * @param {Object} turn - 发言轮次
+ * @returns {boolean}
+ */
+function isManagementTurn(turn) {
+  return MANAGEMENT_ROLES.includes(turn.role) || (turn.section === SECTIONS.PREPARED && turn.role === ROLES.UNKNOWN);
+}
+
+/**
+ * 获取某个环节的管理层发言
+ * @param {Object} transcript - 结构化文字稿
+ * @param {string} section - 环节
+ * @returns {Array<Object>} 发言轮次
+ */
+export function getManagementTurns(transcript, section) {
+  return (transcript?.turns || []).filter(turn => turn.section === section && isManagementTurn(turn));
+}
+
+/**
+ * 统计文本中的模糊措辞
+ * @param {string} text - 文本
+ * @returns {{ count: number, words: number, per1k: number, terms: Object }} 次数、词数、每千词次数和各措辞次数
+ */
+export function countHedging(text = '') {
+  const terms = {};
+  for (const match of text.matchAll(HEDGING_PATTERN)) {
+    const term = match[1].toLowerCase();
+    terms[term] = (terms[term] || 0) + 1;
+  }
+
+  const count = Object.values(terms).reduce((total, value) => total + value, 0);
+  const words = text.split(/\s+/).filter(Boolean).length;
+
+  return {
+    count,
+    words,
+    per1k: words > 0 ? Math.round(count / words * 10000) / 10 : 0,
+    terms
+  };
+}
+
+/**
+ * 选取环节发言节选：超出 token 预算时按固定间隔抽取发言，保证覆盖整个环节
+ * @param {Array<Object>} turns - 发言轮次
+ * @param {number} maxTokens - token 预算
+ * @returns {Array<Object>} 选中的发言轮次
+ */
+export function sampleTurns(turns, maxTokens) {
+  const total = turns.reduce((sum, turn) => sum + estimateTokens(turn.text), 0);
+  if (total <= maxTokens) {
+    return turns;
+  }
+
+  const stride = Math.ceil(total / maxTokens);
+  const sampled = [];
+  let tokens = 0;
+  for (let index = 0; index < turns.length; index += stride) {
+    const turnTokens = estimateTokens(turns[index].text);
+    if (sampled.length > 0 && tokens + turnTokens > maxTokens) break;
+    sampled.push(turns[index]);
+    tokens += turnTokens;
+  }
+  return sampled;
+}
+
+/**
+ * 与上一季度的语气评分比较
+ * @param {Object} current - 本季度语气评分（含 overall）
+ * @param {Object|null} previousReport - 上一季度财报（含 year、quarter、toneScores）
+ * @param {number} [threshold] - 判定为明显下滑的下降分数
+ * @returns {{ previous: Object|null, sharpDrop: boolean }} 对比结果
+ */
+export function compareWithPrevious(current, previousReport, threshold = Number(process.env.TONE_DROP_THRESHOLD) || DEFAULT_TONE_DROP_THRESHOLD) {
+  const previousOverall = previousReport?.toneScores?.overall;
+  if (previousOverall === null || previousOverall === undefined) {
+    return { previous: null, sharpDrop: false };
+  }
+
+  const change = Math.round((current.overall - previousOverall) * 10) / 10;
+  return {
+    previous: {
+      year: previousReport.year,
+      quarter: previousReport.quarter,
+      period: `${previousReport.year}Q${previousReport.quarter}`,
+      overall: previousOverall,
+      change
+    },
+    sharpDrop: change <= -threshold
+  };
+}
+
+/**
+ * 汇总语气评分：合并模型评分和各环节模糊措辞统计，计算总体评分并与上一季度比较
+ * @param {Object} params - 参数对象
+ * @param {Object} params.output - 校验通过的模型输出（TONE_SCHEMA）
+ * @param {Object} params.turnsBySection - 各环节的管理层发言 { [section]: Array<Object> }
+ * @param {Object|null} [params.previousReport] - 上一季度财报（含 toneScores）
+ * @returns {Object} 语气评分 { version, overall, sections, guidanceConfidence, hedging, previous, sharpDrop }
+ */
+export function buildToneScores({ output, turnsBySection, previousReport = null }) {
+  const sections = {};
+  const allTerms = {};
+  let hedgingCount = 0;
+  let totalWords = 0;
+
+  for (const item of output.sections) {
+    const turns = turnsBySection[item.section] || [];
+    const hedging = countHedging(turns.map(turn => turn.text).join('\n'));
+    sections[item.section] = {
+      score: item.score,
+      rationale: item.rationale,
+      turns: turns.length,
+      words: hedging.words,
+      hedgingCount: hedging.count,
+      hedgingPer1k: hedging.per1k
+    };
+
+    hedgingCount += hedging.count;
+    totalWords += hedging.words;
+    for (const [term, count] of Object.entries(hedging.terms)) {
+      allTerms[term] = (allTerms[term] || 0) + count;
+    }
+  }
+
+  const scores = Object.values(sections).map(section => section.score);
+  const overall = Math.round(scores.reduce((total, score) => total + score, 0) / scores.length * 10) / 10;
+
+  return {
+    version: 1,
+    overall,
+    sections,
+    guidanceConfidence: {
+      score: output.guidanceConfidence.score,
+      rationale: output.guidanceConfidence.rationale
+    },
+    hedging: {
+      count: hedgingCount,
+      words: totalWords,
+      per1k: totalWords > 0 ? Math.round(hedgingCount / totalWords * 10000) / 10 : 0,
+      topTerms: Object.entries(allTerms)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([term, count]) => ({ term, count }))
+    },
+    ...compareWithPrevious({ overall }, previousReport)
+  };
+}
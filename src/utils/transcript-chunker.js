@@ -0,0 +1,132 @@
+/**
+ * 文字稿分块工具模块
+ * 功能：估算文本 token 数，并按环节和发言人边界将长文字稿切分为不超过 token 预算的分块，
+ *       供分块摘要（map-reduce）使用
+ */
+
+import { SECTIONS, formatSpeakerLabel } from './transcript.js';
+
+/**
+ * 估算文本 token 数
+ * 英文约每4个字符1个 token，中日韩文字约每个字符1个 token；只用于预算控制，不要求精确
+ * @param {string} text - 文本
+ * @returns {number} token 数
+ */
+export function estimateTokens(text = '') {
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+  return Math.ceil(cjk + (text.length - cjk) / 4);
+}
+
+/**
+ * 将超出预算的单段文本按句子切开
+ * @param {string} text - 文本
+ * @param {number} maxTokens - 每段 token 上限
+ * @returns {Array<string>} 文本片段
+ */
+function splitLongText(text, maxTokens) {
+  const sentences = text.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && estimateTokens(current + sentence) > maxTokens) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+
+  return pieces;
+}
+
+/**
+ * 将结构化文字稿切分为分块
+ * 分块只在发言轮次之间切开，且不会跨越开场陈述与问答环节；
+ * 单个轮次超出预算时按句子拆分
+ * @param {Object|string} transcript - 结构化文字稿（或无结构的纯文本）
+ * @param {Object} [options] - 选项
+ * @param {number} [options.maxTokens] - 每个分块的 token 上限
+ * @returns {Array<Object>} 分块 [{ id, section, speakers, turnRange, text, tokens }]
+ */
+export function chunkTranscript(transcript, { maxTokens = 8000 } = {}) {
+  // 纯文本没有发言人信息，按段落当作一个环节的轮次处理
+  const turns = typeof transcript === 'string'
+    ? transcript.split(/\n+/).filter(line => line.trim()).map((text, index) => ({ index, text, section: null }))
+    : (transcript?.turns || []);
+
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.lines.length > 0) {
+      const text = current.lines.join('\n');
+      chunks.push({
+        id: `C${chunks.length + 1}`,
+        section: current.section,
+        speakers: [...current.speakers],
+        turnRange: [current.firstTurn, current.lastTurn],
+        text,
+        tokens: estimateTokens(text)
+      });
+    }
+    current = null;
+  };
+
+  for (const turn of turns) {
+    const label = turn.speaker ? `${formatSpeakerLabel(turn)}: ` : '';
+    const pieces = estimateTokens(label + turn.text) > maxTokens
+      ? splitLongText(turn.text, maxTokens - estimateTokens(label))
+      : [turn.text];
+
+    for (const piece of pieces) {
+      const line = `${label}${piece}`;
+      const lineTokens = estimateTokens(line);
+
+      if (current && (current.section !== turn.section || current.tokens + lineTokens > maxTokens)) {
+        flush();
+      }
+
+      if (!current) {
+        current = {
+          section: turn.section,
+          speakers: new Set(),
+          firstTurn: turn.index,
+          lastTurn: turn.index,
+          lines: [],
+          tokens: 0
+        };
+      }
+
+      current.lines.push(line);
+      current.tokens += lineTokens;
+      current.lastTurn = turn.index;
+      if (turn.speaker) {
+        current.speakers.add(turn.speaker);
+      }
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * 获取分块所属环节的显示名称
+ * @param {Object} chunk - 分块
+ * @param {string} language - 语言代码
+ * @returns {string} 环节名称
+ */
+export function getChunkSectionLabel(chunk, language) {
+  const isChinese = language.startsWith('zh');
+  if (chunk.section === SECTIONS.QA) {
+    return isChinese ? '问答环节' : 'Q&A';
+  }
+  if (chunk.section === SECTIONS.PREPARED) {
+    return isChinese ? '开场陈述' : 'Prepared Remarks';
+  }
+  return isChinese ? '会议内容' : 'Call Content';
+}
@@ -0,0 +1,511 @@
+/**
+ * 财报文字稿结构化工具模块
+ * 功能：将电话会议文字稿解析为按发言顺序排列的发言轮次（发言人、角色、机构、环节）
+ */
+
+/**
+ * 会议环节
+ */
+export const SECTIONS = {
+  PREPARED: 'prepared_remarks',
+  QA: 'qa'
+};
+
+/**
+ * 发言人角色
+ */
+export const ROLES = {
+  CEO: 'ceo',
+  CFO: 'cfo',
+  EXECUTIVE: 'executive',
+  ANALYST: 'analyst',
+  OPERATOR: 'operator',
+  UNKNOWN: 'unknown'
+};
+
+const ROLE_LABELS = {
+  ceo: 'CEO',
+  cfo: 'CFO',
+  executive: 'Executive',
+  analyst: 'Analyst',
+  operator: 'Operator',
+  unknown: 'Speaker'
+};
+
+// 问答环节开始的常见提示语
+const QA_MARKERS = [
+  /questions?\s*(?:and|&)\s*answers?/i,
+  /\bq\s*&\s*a\b/i,
+  /open (?:up )?(?:the (?:call|line|floor) )?(?:for|to) questions/i,
+  /first question (?:comes|is) from/i
+];
+
+/**
+ * 根据职位描述判断发言人角色
+ * @param {string} title - 职位或机构描述
+ * @param {string} [hint] - 数据源提供的角色提示 (executive/analyst)
+ * @returns {string} 角色代码
+ */
+export function classifyRole(title = '', hint = '') {
+  const text = `${title ?? ''} ${hint ?? ''}`.toLowerCase();
+
+  if (/\boperator\b/.test(text)) {
+    return ROLES.OPERATOR;
+  }
+  if (/chief executive|\bceo\b/.test(text)) {
+    return ROLES.CEO;
+  }
+  if (/chief financial|\bcfo\b|finance director/.test(text)) {
+    return ROLES.CFO;
+  }
+  if (/\banalyst\b|research/.test(text) || (hint || '').toLowerCase() === 'analyst') {
+    return ROLES.ANALYST;
+  }
+  if (/chief|officer|president|director|vice|head of|investor relations|treasurer|chair|executive/.test(text)) {
+    return ROLES.EXECUTIVE;
+  }
+  return ROLES.UNKNOWN;
+}
+
+/**
+ * 从职位描述中拆分出头衔和所属机构
+ * 例如 "Morgan Stanley -- Analyst" 或 "Analyst, Morgan Stanley"
+ * @param {string} description - 描述文本
+ * @param {string} role - 已判定的角色
+ * @returns {{ title: string|null, firm: string|null }}
+ */
+export function splitTitleAndFirm(description = '', role = ROLES.UNKNOWN) {
+  const parts = description
+    .split(/\s+--\s+|\s+—\s+|,\s*/)
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  if (parts.length === 0) {
+    return { title: null, firm: null };
+  }
+
+  if (role === ROLES.ANALYST) {
+    const titlePart = parts.find(part => /analyst/i.test(part)) || null;
+    const firmPart = parts.find(part => part !== titlePart) || null;
+    return { title: titlePart, firm: firmPart };
+  }
+
+  return { title: parts[0], firm: parts.length > 1 ? parts.slice(1).join(', ') : null };
+}
+
+/**
+ * 清理单段发言文本
+ * @param {string} text - 原始文本
+ * @returns {string} 清理后的文本
+ */
+export function cleanSpeech(text = '') {
+  return text
+    // 移除特殊字符和控制字符
+    .replace(/[\x00-\x09\x0B-\x1F\x7F]/g, ' ')
+    // 标准化引号
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    // 换行和多余的空白字符合并为一个空格（同一轮次的多行发言合为一段）
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 判断一段文本是否标志着问答环节开始
+ * @param {string} text - 发言文本
+ * @returns {boolean}
+ */
+export function isQaMarker(text = '') {
+  return QA_MARKERS.some(pattern => pattern.test(text));
+}
+
+/**
+ * 构建标准化的发言轮次列表
+ * 相邻的同一发言人段落会被合并；未显式标注环节时，
+ * 以第一位分析师发言或主持人宣布问答开始作为问答环节起点
+ * @param {Array<Object>} rawTurns - 原始轮次 { speaker, role, title, firm, section, text }
+ * @returns {Array<Object>} 标准化轮次
+ */
+export function normalizeTurns(rawTurns = []) {
+  const turns = [];
+  let inQa = false;
+
+  for (const raw of rawTurns) {
+    const text = cleanSpeech(raw.text);
+    if (!text) continue;
+
+    const role = raw.role || ROLES.UNKNOWN;
+
+    if (raw.section) {
+      inQa = raw.section === SECTIONS.QA;
+    } else if (!inQa && (role === ROLES.ANALYST || (role === ROLES.OPERATOR && isQaMarker(text)))) {
+      inQa = true;
+    }
+
+    const section = inQa ? SECTIONS.QA : SECTIONS.PREPARED;
+    const previous = turns[turns.length - 1];
+
+    if (previous && previous.speaker === raw.speaker && previous.section === section) {
+      previous.text = `${previous.text} ${text}`;
+      continue;
+    }
+
+    turns.push({
+      index: turns.length,
+      speaker: raw.speaker || 'Unknown',
+      role,
+      title: raw.title || null,
+      firm: raw.firm || null,
+      section,
+      text
+    });
+  }
+
+  return turns;
+}
+
+// "Tim Cook -- Chief Executive Officer" 形式的发言人标题行
+const SPEAKER_HEADER = /^([A-Z][\w.'’\- ]{1,60}?)\s+(?:--|—)\s+(.{2,120})$/;
+// "Tim Cook: text" / "Tim Cook (CEO): text" 形式的行内发言人（2-4个首字母大写的词）
+const SPEAKER_INLINE = /^((?:[A-Z][\w.'’\-]*\s){1,3}[A-Z][\w.'’\-]*)(?:\s*\(([^)]{2,120})\))?:\s*(.*)$/;
+// 行首常见的财务数据标签，例如 "Total Revenue: $94.9 billion"、"Services Gross Margin: 74%"，不作为行内发言人
+const FINANCIAL_LABEL = /\b(?:total|net|gross|operating|revenues?|sales|margins?|income|earnings|eps|profit|cash|flows?|expenses?|costs?|capex|guidance|outlook|growth|segment|services|products|fiscal|quarter|year|q[1-4]|fy\d*|highlights|note|source)\b/i;
+
+/**
+ * 收集已知的发言人姓名：调用方提供的参会者和 "姓名 -- 职位" 标题行中的姓名
+ * （"Greater China: ..." 这类地区或业务标签同样会在多行开头出现，或在正文中被提及，不能据此判断为发言人）
+ * @param {Array<string>} lines - 文字稿各行
+ * @param {Array<string>} participants - 已知参会者姓名
+ * @returns {Set<string>} 已知姓名
+ */
+function collectKnownSpeakers(lines, participants) {
+  const known = new Set(participants);
+
+  for (const line of lines) {
+    const header = line.match(SPEAKER_HEADER);
+    if (header) {
+      known.add(header[1].trim());
+    }
+  }
+
+  return known;
+}
+
+/**
+ * 解析纯文本文字稿
+ * 支持 "姓名 -- 职位" 标题行和 "姓名: 发言" 行内两种常见格式；
+ * 行内格式只在姓名已知（见 collectKnownSpeakers）或带有可识别的职位说明时才开始新的轮次，
+ * 财务数据标签行（"Total Revenue: ..."）和地区、业务标签行（"Greater China: ..."）保留在当前发言中；
+ * 无法识别发言人时，整篇文字稿作为一个未知发言人的轮次返回
+ * @param {string} text - 文字稿文本
+ * @param {Object} [options] - 选项
+ * @param {Array<string>} [options.participants] - 已知参会者姓名
+ * @returns {Array<Object>} 标准化轮次
+ */
+export function parseTranscriptText(text = '', { participants = [] } = {}) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trim());
+  const known = collectKnownSpeakers(lines, participants);
+  const rawTurns = [];
+  let current = null;
+  let forceQa = false;
+
+  const isInlineSpeaker = (name, description) => {
+    if (FINANCIAL_LABEL.test(name)) {
+      return false;
+    }
+    return known.has(name) || (Boolean(description) && classifyRole(description) !== ROLES.UNKNOWN);
+  };
+
+  const startTurn = (speaker, description = '') => {
+    const role = /^operator$/i.test(speaker) ? ROLES.OPERATOR : classifyRole(description);
+    const { title, firm } = splitTitleAndFirm(description, role);
+    current = {
+      speaker,
+      role,
+      title,
+      firm,
+      section: forceQa ? SECTIONS.QA : null,
+      text: ''
+    };
+    rawTurns.push(current);
+  };
+
+  for (const line of lines) {
+    if (!line) continue;
+
+    // 独立的 "Questions and Answers:" 标题行
+    if (line.length < 40 && isQaMarker(line) && /:?$/.test(line) && !/[.?!]$/.test(line)) {
+      forceQa = true;
+      current = null;
+      continue;
+    }
+
+    const header = line.match(SPEAKER_HEADER);
+    if (header) {
+      startTurn(header[1].trim(), header[2].trim());
+      continue;
+    }
+
+    if (/^operator:?$/i.test(line)) {
+      startTurn('Operator');
+      continue;
+    }
+
+    const operatorInline = line.match(/^operator:\s*(.+)$/i);
+    if (operatorInline) {
+      startTurn('Operator');
+      current.text = operatorInline[1];
+      continue;
+    }
+
+    const inline = line.match(SPEAKER_INLINE);
+    if (inline && isInlineSpeaker(inline[1].trim(), inline[2])) {
+      known.add(inline[1].trim());
+      startTurn(inline[1].trim(), inline[2] || '');
+      current.text = inline[3] || '';
+      continue;
+    }
+
+    if (!current) {
+      startTurn('Unknown');
+    }
+    current.text = current.text ? `${current.text}\n${line}` : line;
+  }
+
+  return normalizeTurns(rawTurns);
+}
+
+// WebVTT 说话人标签 <v Tim Cook> / <v.loud Tim Cook>
+const VTT_VOICE = /<v(?:\.[\w.-]+)?\s+([^>]+)>/;
+
+/**
+ * 解析 WebVTT 字幕文件
+ * 带 <v 发言人> 标签的字幕按发言人拆分轮次；否则按纯文本文字稿解析。
+ * 自动字幕中滚动重复的字幕行只保留一次
+ * @param {string} content - VTT 文件内容
+ * @returns {Array<Object>} 标准化轮次
+ */
+export function parseVttText(content = '') {
+  const lines = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n');
+  const cues = [];
+  let skipBlock = false;
+  let previousText = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    if (!line) {
+      skipBlock = false;
+      continue;
+    }
+
+    // 文件头、注释和样式块一直跳过到下一个空行
+    if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(line)) {
+      skipBlock = true;
+      continue;
+    }
+    if (skipBlock || line.includes('-->')) continue;
+
+    // 字幕序号或标识符（下一行是时间轴）
+    if ((lines[i + 1] || '').includes('-->')) continue;
+
+    const voice = line.match(VTT_VOICE);
+    const text = line
+      .replace(/<[^>]*>/g, '')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      // [Music]、[Applause] 等音效标注
+      .replace(/\[[^\]]*\]/g, '')
+      .trim();
+
+    if (!text || text === previousText) continue;
+    previousText = text;
+
+    cues.push({ speaker: voice ? voice[1].trim() : null, text });
+  }
+
+  if (!cues.some(cue => cue.speaker)) {
+    return parseTranscriptText(cues.map(cue => cue.text).join('\n'));
+  }
+
+  let speaker = 'Unknown';
+  return normalizeTurns(cues.map(cue => {
+    speaker = cue.speaker || speaker;
+    return {
+      speaker,
+      role: /^operator$/i.test(speaker) ? ROLES.OPERATOR : ROLES.UNKNOWN,
+      text: cue.text
+    };
+  }));
+}
+
+/**
+ * 创建结构化文字稿对象
+ * @param {Object} params - 参数对象
+ * @param {string} params.symbol - 股票代码
+ * @param {number} params.year - 年份
+ * @param {number} params.quarter - 季度
+ * @param {Array<Object>} params.turns - 标准化轮次
+ * @param {string} [params.callId] - 电话会议ID
+ * @param {string} [params.title] - 会议标题
+ * @param {string} [params.date] - 会议时间
+ * @param {Object} [params.source] - 来源信息 { type, reference, retrievedAt }
+ * @returns {Object} 结构化文字稿
+ */
+export function createTranscript({ symbol, year, quarter, turns, callId = null, title = null, date = null, source = null }) {
+  const participants = new Map();
+
+  for (const turn of turns) {
+    if (!participants.has(turn.speaker)) {
+      participants.set(turn.speaker, {
+        name: turn.speaker,
+        role: turn.role,
+        title: turn.title,
+        firm: turn.firm
+      });
+    }
+  }
+
+  return {
+    symbol: symbol ? symbol.toUpperCase() : null,
+    year,
+    quarter,
+    callId,
+    title,
+    date,
+    source,
+    participants: [...participants.values()],
+    turns
+  };
+}
+
+/**
+ * 格式化发言人标签，例如 "Tim Cook (CEO)" 或 "Erik Woodring (Analyst, Morgan Stanley)"
+ * @param {Object} turn - 发言轮次
+ * @returns {string} 发言人标签
+ */
+export function formatSpeakerLabel(turn) {
+  const details = [ROLE_LABELS[turn.role] || ROLE_LABELS.unknown];
+  if (turn.firm) {
+    details.push(turn.firm);
+  }
+  return `${turn.speaker} (${details.join(', ')})`;
+}
+
+/**
+ * 将结构化文字稿展平为带发言人标签的纯文本，供摘要生成使用
+ * @param {Object} transcript - 结构化文字稿
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.includeSpeakers=true] - 是否保留发言人标签
+ * @param {boolean} [options.includeSections=true] - 是否保留环节标题
+ * @returns {string} 文字稿文本
+ */
+export function flattenTranscript(transcript, { includeSpeakers = true, includeSections = true } = {}) {
+  if (!transcript) {
+    return '';
+  }
+
+  if (typeof transcript === 'string') {
+    return transcript;
+  }
+
+  const lines = [];
+  let currentSection = null;
+
+  for (const turn of transcript.turns || []) {
+    if (includeSections && turn.section !== currentSection) {
+      currentSection = turn.section;
+      if (lines.length > 0) lines.push('');
+      lines.push(currentSection === SECTIONS.QA ? '[Q&A]' : '[Prepared Remarks]');
+    }
+
+    lines.push(includeSpeakers ? `${formatSpeakerLabel(turn)}: ${turn.text}` : turn.text);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 按环节筛选发言轮次
+ * @param {Object} transcript - 结构化文字稿
+ * @param {string} section - 环节 (SECTIONS.PREPARED 或 SECTIONS.QA)
+ * @returns {Array<Object>} 发言轮次
+ */
+export function getTurnsBySection(transcript, section) {
+  return (transcript?.turns || []).filter(turn => turn.section === section);
+}
+
+/**
+ * 将问答环节的发言配对为"分析师提问 - 管理层回答"
+ * 管理层指 CEO、CFO、其他高管，以及在开场陈述中发过言的角色未知的发言人；
+ * 其余发言人（分析师，或职位只写了机构、角色未知的提问人）在回答之后发言时开始新的一组，
+ * 回答之前的发言归入当前提问；主持人发言不计入问答；没有任何回答的提问同样保留
+ * @param {Object} transcript - 结构化文字稿
+ * @returns {Array<Object>} 问答 [{ id, analyst, firm, turnRange, question, answers: [{ speaker, role, text }] }]
+ */
+export function pairQaExchanges(transcript) {
+  const managementRoles = [ROLES.CEO, ROLES.CFO, ROLES.EXECUTIVE];
+  const preparedSpeakers = new Set(getTurnsBySection(transcript, SECTIONS.PREPARED)
+    .filter(turn => turn.role !== ROLES.OPERATOR)
+    .map(turn => turn.speaker));
+  const isManagement = turn => managementRoles.includes(turn.role)
+    || (turn.role === ROLES.UNKNOWN && preparedSpeakers.has(turn.speaker));
+  const exchanges = [];
+  let current = null;
+
+  for (const turn of getTurnsBySection(transcript, SECTIONS.QA)) {
+    if (turn.role === ROLES.OPERATOR) {
+      continue;
+    }
+
+    if (!isManagement(turn) && (!current || current.answers.length > 0)) {
+      current = {
+        id: `Q${exchanges.length + 1}`,
+        analyst: turn.speaker,
+        // 角色未知时 "Erik Woodring -- Morgan Stanley" 的机构解析在 title 中
+        firm: turn.firm || (turn.role === ROLES.UNKNOWN ? turn.title : null),
+        turnRange: [turn.index, turn.index],
+        question: turn.text,
+        answers: []
+      };
+      exchanges.push(current);
+      continue;
+    }
+
+    if (!current) {
+      continue;
+    }
+
+    if (isManagement(turn) || current.answers.length > 0) {
+      current.answers.push({ speaker: turn.speaker, role: turn.role, text: turn.text });
+    } else {
+      current.question = `${current.question} ${turn.text}`;
+    }
+    current.turnRange[1] = turn.index;
+  }
+
+  return exchanges;
+}
+
+/**
+ * 统计文字稿基本信息
+ * @param {Object} transcript - 结构化文字稿
+ * @returns {Object} 统计信息
+ */
+export function getTranscriptStats(transcript) {
+  const turns = transcript?.turns || [];
+  const text = turns.map(turn => turn.text).join(' ');
+
+  return {
+    turnCount: turns.length,
+    speakerCount: new Set(turns.map(turn => turn.speaker)).size,
+    preparedTurns: turns.filter(turn => turn.section === SECTIONS.PREPARED).length,
+    qaTurns: turns.filter(turn => turn.section === SECTIONS.QA).length,
+    characterCount: text.length,
+    wordCount: text.split(/\s+/).filter(Boolean).length
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * 用量与费用统计模块
+ * 功能：记录每次大模型调用的输入/输出 token 数和每次语音合成的字符数，按费率表计算费用，
+ *       汇总为写入报告元数据和运行日志的用量报告
+ */
+
+import { USAGE_RATES } from '../data/usage-rates.js';
+
+/**
+ * 用量类型
+ */
+export const USAGE_KINDS = {
+  LLM: 'llm',
+  TTS: 'tts'
+};
+
+/**
+ * 读取费率表：默认费率合并环境变量 USAGE_RATES 中的覆盖项
+ * @param {string} [override] - JSON 格式的费率覆盖，结构同 USAGE_RATES
+ * @returns {Object} 费率表
+ */
+export function loadUsageRates(override = process.env.USAGE_RATES) {
+  if (!override) {
+    return USAGE_RATES;
+  }
+
+  let custom;
+  try {
+    custom = JSON.parse(override);
+  } catch (error) {
+    throw new Error(`Invalid USAGE_RATES: ${error.message}`);
+  }
+
+  const rates = { ...USAGE_RATES };
+  for (const [provider, models] of Object.entries(custom)) {
+    rates[provider] = { ...(rates[provider] || {}), ...models };
+  }
+  return rates;
+}
+
+/**
+ * 保留6位小数，避免浮点误差在汇总时累积出很长的小数
+ * @param {number} value - 金额
+ * @returns {number} 金额
+ */
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+export class UsageTracker {
+  /**
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.rates] - 费率表，默认为 loadUsageRates()
+   */
+  constructor({ rates = loadUsageRates() } = {}) {
+    this.rates = rates;
+    this.records = [];
+  }
+
+  /**
+   * 查找服务和模型对应的费率
+   * @param {string} provider - 服务名称
+   * @param {string} [model] - 模型名称
+   * @returns {Object|null} 费率，未配置时返回 null
+   */
+  getRate(provider, model) {
+    const providerRates = this.rates[provider];
+    if (!providerRates) {
+      return null;
+    }
+    return (model && providerRates[model]) || providerRates.default || null;
+  }
+
+  /**
+   * 记录一次大模型调用
+   * @param {Object} params - 参数对象
+   * @param {string} params.provider - 后端 (LLM_PROVIDERS)
+   * @param {string} params.model - 模型
+   * @param {string} params.stage - 流水线阶段
+   * @param {string} params.label - 请求名称
+   * @param {Object|null} params.usage - 后端返回的用量 { inputTokens, outputTokens }
+   * @returns {Object} 用量记录
+   */
+  recordLLM({ provider, model, stage, label, usage }) {
+    const rate = this.getRate(provider, model);
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+
+    const record = {
+      kind: USAGE_KINDS.LLM,
+      provider,
+      model,
+      stage,
+      label,
+      inputTokens,
+      outputTokens,
+      // 后端未返回用量或未配置费率时不计费，并在汇总中标出
+      cost: usage && rate ? roundCost((inputTokens * rate.input + outputTokens * rate.output) / 1e6) : null,
+      recordedAt: new Date().toISOString()
+    };
+
+    this.records.push(record);
+    return record;
+  }
+
+  /**
+   * 记录一次语音合成
+   * @param {Object} params - 参数对象
+   * @param {string} params.provider - 服务名称
+   * @param {string} params.voice - 语音
+   * @param {number} params.characters - 合成的字符数
+   * @returns {Object} 用量记录
+   */
+  recordTTS({ provider, voice, characters }) {
+    const rate = this.getRate(provider, voice);
+
+    const record = {
+      kind: USAGE_KINDS.TTS,
+      provider,
+      voice,
+      characters,
+      cost: rate ? roundCost(characters * rate.characters / 1e6) : null,
+      recordedAt: new Date().toISOString()
+    };
+
+    this.records.push(record);
+    return record;
+  }
+
+  /**
+   * 汇总用量和费用
+   * @param {Object} [options] - 选项
+   * @param {number} [options.since] - 只汇总从第几条记录开始的用量（用于拆分同一次运行中各语言节目的费用）
+   * @returns {Object} 用量报告 { currency, totalCost, llm, tts, byProvider, unpricedCalls, calls }
+   */
+  getSummary({ since = 0 } = {}) {
+    const records = this.records.slice(since);
+    const llmRecords = records.filter(record => record.kind === USAGE_KINDS.LLM);
+    const ttsRecords = records.filter(record => record.kind === USAGE_KINDS.TTS);
+    const sumCost = records => roundCost(records.reduce((total, record) => total + (record.cost || 0), 0));
+
+    const byProvider = {};
+    for (const record of records) {
+      const entry = byProvider[record.provider] ||= { calls: 0, cost: 0 };
+      entry.calls++;
+      entry.cost = roundCost(entry.cost + (record.cost || 0));
+    }
+
+    return {
+      currency: 'USD',
+      totalCost: sumCost(records),
+      llm: {
+        calls: llmRecords.length,
+        inputTokens: llmRecords.reduce((total, record) => total + record.inputTokens, 0),
+        outputTokens: llmRecords.reduce((total, record) => total + record.outputTokens, 0),
+        cost: sumCost(llmRecords)
+      },
+      tts: {
+        calls: ttsRecords.length,
+        characters: ttsRecords.reduce((total, record) => total + record.characters, 0),
+        cost: sumCost(ttsRecords)
+      },
+      byProvider,
+      unpricedCalls: records.filter(record => record.cost === null).length,
+      calls: records
+    };
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * 合规检查测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DISCLAIMERS } from '../src/data/compliance-rules.js';
+import {
+  loadComplianceRules,
+  getRulesForLanguage,
+  findProhibitedPhrases,
+  checkCompliance,
+  validateComplianceRewrite,
+  applyComplianceRewrites,
+  getDisclaimer
+} from '../src/utils/compliance.js';
+
+const RULES = loadComplianceRules('');
+
+test('loadComplianceRules: COMPLIANCE_RULES 可以停用、覆盖和新增规则', () => {
+  const rules = loadComplianceRules(JSON.stringify([
+    { id: 'en-hype', enabled: false },
+    { id: 'en-good-time', pattern: '\\bgreat time to buy\\b' },
+    { id: 'en-moon', language: 'en', category: 'recommendation', pattern: 'to the moon', flags: 'i' }
+  ]));
+  const ids = rules.map(rule => rule.id);
+
+  assert.ok(!ids.includes('en-hype'));
+  assert.equal(rules.find(rule => rule.id === 'en-good-time').pattern, '\\bgreat time to buy\\b');
+  assert.equal(rules.find(rule => rule.id === 'en-good-time').flags, 'i');
+  assert.ok(rules.find(rule => rule.id === 'en-moon').regex.global);
+});
+
+test('loadComplianceRules: 配置无效时抛出错误', () => {
+  assert.throws(() => loadComplianceRules('not json'), /Invalid COMPLIANCE_RULES/);
+  assert.throws(() => loadComplianceRules('{}'), /expected an array/);
+  assert.throws(() => loadComplianceRules('[{ "pattern": "x" }]'), /requires an id/);
+  assert.throws(() => loadComplianceRules('[{ "id": "bad", "language": "en", "pattern": "(" }]'), /Invalid compliance rule bad/);
+});
+
+test('getRulesForLanguage: zh 规则适用于所有中文变体', () => {
+  const zhIds = getRulesForLanguage(RULES, 'zh-HK').map(rule => rule.id);
+
+  assert.ok(zhIds.length > 0);
+  assert.ok(zhIds.every(id => id.startsWith('zh-')));
+  assert.ok(getRulesForLanguage(RULES, 'en-US').every(rule => rule.language === 'en'));
+});
+
+test('findProhibitedPhrases: 匹配简体和繁体的投资建议用语', () => {
+  assert.deepEqual(findProhibitedPhrases('我们建议投资者买入，股价有望涨到250美元。', 'zh-CN', RULES).map(item => [item.ruleId, item.match]), [
+    ['zh-advise-trade', '建议投资者买入'],
+    ['zh-price-will-reach', '股价有望涨到250']
+  ]);
+  assert.deepEqual(findProhibitedPhrases('現在值得買入', 'zh-TW', RULES).map(item => item.ruleId), ['zh-worth-buying']);
+});
+
+test('findProhibitedPhrases: 转述分析师的评级和目标价不算投资建议', () => {
+  assert.deepEqual(findProhibitedPhrases('Morgan Stanley raised its price target to $273.', 'en-US', RULES), []);
+  assert.deepEqual(findProhibitedPhrases('摩根士丹利将目标价上调至273美元。', 'zh-CN', RULES), []);
+});
+
+test('checkCompliance: 只返回包含投资建议用语的字段', () => {
+  const document = {
+    headline: 'Apple posts a record quarter',
+    sections: [
+      { key: 'overview', title: 'Overview', content: 'Revenue grew 5%.' },
+      { key: 'takeaways', title: 'Takeaways', content: 'This is a good time to buy, and our price target is $250.' }
+    ]
+  };
+  const flagged = checkCompliance(document, { language: 'en-US', rules: RULES });
+
+  assert.equal(flagged.length, 1);
+  assert.equal(flagged[0].path, 'sections[1].content');
+  assert.deepEqual(flagged[0].matches.map(item => item.ruleId), ['en-good-time', 'en-own-price-target']);
+});
+
+test('validateComplianceRewrite: 要求返回全部被标记的字段且不改写其他字段', () => {
+  const paths = ['headline', 'sections[1].content'];
+
+  assert.deepEqual(validateComplianceRewrite({ rewrites: [{ path: 'headline', text: 'A' }, { path: 'sections[1].content', text: 'B' }] }, paths), []);
+  assert.deepEqual(validateComplianceRewrite({ rewrites: [{ path: 'headline', text: 'A' }, { path: 'quotes[0].text', text: 'C' }] }, paths), [
+    '$.rewrites is missing sections[1].content',
+    '$.rewrites contains unexpected path quotes[0].text'
+  ]);
+  assert.deepEqual(validateComplianceRewrite({}, paths), ['$.rewrites is required']);
+});
+
+test('applyComplianceRewrites: 按路径写回改写结果，不修改原摘要', () => {
+  const document = { headline: 'Strong buy!', sections: [{ key: 'overview', title: 'Overview', content: 'Revenue grew.' }] };
+  const rewritten = applyComplianceRewrites(document, [
+    { path: 'headline', text: 'A record quarter' },
+    { path: 'sections[9].content', text: 'ignored' }
+  ]);
+
+  assert.equal(rewritten.headline, 'A record quarter');
+  assert.equal(rewritten.sections[0].content, 'Revenue grew.');
+  assert.equal(document.headline, 'Strong buy!');
+});
+
+test('getDisclaimer: 未列出的中文变体使用简体，其他语言使用英文', () => {
+  assert.equal(getDisclaimer('zh-TW'), DISCLAIMERS['zh-TW']);
+  assert.equal(getDisclaimer('zh-SG'), DISCLAIMERS['zh-CN']);
+  assert.equal(getDisclaimer('ja-JP'), DISCLAIMERS['en-US']);
+});
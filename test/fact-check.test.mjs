@@ -0,0 +1,132 @@
+/**
+ * 摘要数字核对测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { createTranscript, parseTranscriptText } from '../src/utils/transcript.js';
+import { CLAIM_STATUS, extractNumbers, factCheckSummary } from '../src/utils/fact-check.js';
+
+const TRANSCRIPT = createTranscript({
+  symbol: 'AAPL',
+  year: 2024,
+  quarter: 3,
+  turns: parseTranscriptText(fs.readFileSync(new URL('../fixtures/aapl-transcript.txt', import.meta.url), 'utf-8'))
+});
+
+/**
+ * 构建只包含指定内容的结构化摘要
+ * @param {Object} [overrides] - 覆盖的字段
+ * @returns {Object} 结构化摘要
+ */
+function buildDocument(overrides = {}) {
+  return {
+    headline: 'Apple Q3 2024 earnings',
+    sections: [],
+    keyMetrics: [],
+    guidance: [],
+    risks: [],
+    quotes: [],
+    ...overrides
+  };
+}
+
+/**
+ * 按字段取核对结果的状态
+ * @param {Object} report - 核对报告
+ * @returns {Object} { [field]: status }
+ */
+function statusesByField(report) {
+  return Object.fromEntries(report.claims.map(claim => [claim.field, claim.status]));
+}
+
+test('extractNumbers: 识别金额、量级、百分比和基点', () => {
+  const numbers = extractNumbers('Revenue was $85.8 billion, up 5%, margin up 30 basis points; 营收858亿美元');
+
+  assert.deepEqual(numbers.map(number => [number.raw, number.value, number.kind]), [
+    ['$85.8 billion', 85.8e9, 'amount'],
+    ['5%', 5, 'percent'],
+    ['30 basis points', 0.3, 'percent'],
+    ['858亿', 858e8, 'amount']
+  ]);
+  assert.equal(numbers[0].tolerance, 0.05e9);
+  assert.equal(numbers[1].bare, false);
+});
+
+test('factCheckSummary: 文字稿中有相同数值且上下文对应指标时通过', () => {
+  const report = factCheckSummary({
+    document: buildDocument({
+      keyMetrics: [{ name: 'Revenue', value: 85.8, unit: 'USD', scale: 'billion', changePercent: 5, comparison: 'yoy' }],
+      sections: [{ key: 'financials', title: 'Financials', content: 'Services revenue hit a record $24.2 billion; 总营收858亿美元。' }]
+    }),
+    transcript: TRANSCRIPT
+  });
+
+  assert.deepEqual(statusesByField(report), {
+    'keyMetrics[0].value': CLAIM_STATUS.SUPPORTED,
+    'keyMetrics[0].changePercent': CLAIM_STATUS.SUPPORTED,
+    'sections.financials': CLAIM_STATUS.SUPPORTED
+  });
+  assert.equal(report.total, 4);
+  assert.equal(report.flagged, 0);
+  assert.equal(report.passed, true);
+  assert.equal(report.claims[0].evidence.speaker, 'Tim Cook');
+});
+
+test('factCheckSummary: 标记量级错误、指标对应错误和找不到依据的数字', () => {
+  const report = factCheckSummary({
+    document: buildDocument({
+      keyMetrics: [
+        { name: 'Revenue', value: 85.8, unit: 'USD', scale: 'million' },
+        { name: 'Net income', value: 85.8, unit: 'USD', scale: 'billion' }
+      ],
+      sections: [{ key: 'financials', title: 'Financials', content: 'Gross margin reached 46.3%.' }]
+    }),
+    transcript: TRANSCRIPT
+  });
+
+  assert.deepEqual(statusesByField(report), {
+    'keyMetrics[0].value': CLAIM_STATUS.SCALE_MISMATCH,
+    'keyMetrics[1].value': CLAIM_STATUS.LABEL_MISMATCH,
+    'sections.financials': CLAIM_STATUS.UNSUPPORTED
+  });
+  assert.equal(report.claims[0].note, 'source says $85.8 billion');
+  assert.equal(report.mismatchRate, 1);
+  assert.equal(report.passed, false);
+});
+
+test('factCheckSummary: 年份、季度和小序号不参与核对', () => {
+  const report = factCheckSummary({
+    document: buildDocument({
+      sections: [{ key: 'overview', title: 'Overview', content: 'In fiscal 2024 Q3, Apple highlighted 3 product launches.' }]
+    }),
+    transcript: TRANSCRIPT
+  });
+
+  assert.equal(report.total, 0);
+  assert.equal(report.passed, true);
+});
+
+test('factCheckSummary: 一致预期和股价数据可以作为依据', () => {
+  const report = factCheckSummary({
+    document: buildDocument({
+      sections: [{ key: 'overview', title: 'Overview', content: 'EPS of $1.40 beat the $1.35 estimate and shares rose 0.69% the next day.' }]
+    }),
+    transcript: TRANSCRIPT,
+    earningsSurprise: { eps: { actual: 1.4, estimate: 1.35, surprisePercent: 3.7 } },
+    priceReaction: { priorClose: { close: 218.36 }, nextDay: { open: 219.15, close: 219.86, gapPercent: 0.36, changePercent: 0.69 }, fiveDay: null }
+  });
+
+  assert.equal(report.total, 3);
+  assert.equal(report.flagged, 0);
+});
+
+test('factCheckSummary: 不通过比例超过上限时不通过', () => {
+  const document = buildDocument({
+    keyMetrics: [{ name: 'Revenue', value: 85.8, unit: 'USD', scale: 'billion', changePercent: 7 }]
+  });
+
+  assert.equal(factCheckSummary({ document, transcript: TRANSCRIPT, maxMismatchRate: 0.5 }).passed, true);
+  assert.equal(factCheckSummary({ document, transcript: TRANSCRIPT, maxMismatchRate: 0.2 }).passed, false);
+});
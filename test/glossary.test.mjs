@@ -0,0 +1,93 @@
+/**
+ * 术语表注入与译法统一测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GLOSSARY_MODES, DEVIATION_TYPES, getGlossaryTerms, getProtectedTerms, buildGlossaryInstruction, applyGlossary } from '../src/utils/glossary.js';
+
+/**
+ * 构建只有标题和一个小节的结构化摘要
+ * @param {string} headline - 标题
+ * @param {string} [content] - 小节内容
+ * @returns {Object} 结构化摘要
+ */
+function buildDocument(headline, content = '') {
+  return { headline, sections: [{ key: 'overview', title: '概览', content }], keyMetrics: [], guidance: [], risks: [], quotes: [] };
+}
+
+test('getGlossaryTerms: 简体和繁体使用各自的译法，粤语和英文不使用术语表', () => {
+  const simplified = getGlossaryTerms('zh-CN').find(entry => entry.en === 'free cash flow');
+  const traditional = getGlossaryTerms('zh-TW').find(entry => entry.en === 'guidance');
+
+  assert.deepEqual(simplified, { en: 'free cash flow', term: '自由现金流', avoid: ['自由现金流量'] });
+  assert.equal(traditional.term, '財測');
+  assert.deepEqual(getGlossaryTerms('zh-HK'), []);
+  assert.deepEqual(getGlossaryTerms('en-US'), []);
+});
+
+test('getProtectedTerms: 通用产品名称加公司专属名称', () => {
+  const terms = getProtectedTerms('msft').map(entry => entry.term);
+
+  assert.ok(terms.includes('Azure'));
+  assert.ok(!getProtectedTerms('AAPL').some(entry => entry.term === 'Azure'));
+});
+
+test('buildGlossaryInstruction: 只列出原文中出现过的术语', () => {
+  const instruction = buildGlossaryInstruction('zh-CN', { ticker: 'MSFT', sourceText: 'Free cash flow and Azure grew; guidance was raised.' });
+
+  assert.match(instruction, /- free cash flow → 自由现金流/);
+  assert.match(instruction, /- guidance → 指引/);
+  assert.doesNotMatch(instruction, /net income/);
+  assert.match(instruction, /Azure/);
+  assert.equal(buildGlossaryInstruction('en-US', { sourceText: 'guidance' }), '');
+});
+
+test('applyGlossary: FIX 模式替换不一致译法并改回产品英文名称', () => {
+  const document = buildDocument('微软蔚蓝云业务增长强劲', '自由现金流量达到200亿美元，经营利润率提升。');
+  const { document: fixed, report } = applyGlossary(document, { language: 'zh-CN', ticker: 'MSFT' });
+
+  assert.equal(fixed.headline, '微软Azure云业务增长强劲');
+  assert.equal(fixed.sections[0].content, '自由现金流达到200亿美元，营业利润率提升。');
+  assert.equal(report.total, 3);
+  assert.equal(report.fixed, 3);
+  assert.deepEqual(report.deviations.map(item => [item.path, item.type, item.found, item.expected]), [
+    ['headline', DEVIATION_TYPES.PROTECTED, '蔚蓝', 'Azure'],
+    ['sections[0].content', DEVIATION_TYPES.TERM, '自由现金流量', '自由现金流'],
+    ['sections[0].content', DEVIATION_TYPES.TERM, '经营利润率', '营业利润率']
+  ]);
+  assert.equal(document.headline, '微软蔚蓝云业务增长强劲');
+});
+
+test('applyGlossary: 标准译法的一部分不算不一致译法', () => {
+  const { report } = applyGlossary(buildDocument('每股盈余创新高'), { language: 'zh-TW' });
+
+  assert.equal(report.total, 0);
+});
+
+test('applyGlossary: "指导"只在业绩指引的上下文中替换', () => {
+  const document = buildDocument('在CEO的战略指导下，公司上调全年业绩指导', '管理层指导团队完成整合。下季度营收指导为900亿美元。');
+  const { document: fixed, report } = applyGlossary(document, { language: 'zh-CN' });
+
+  assert.equal(fixed.headline, '在CEO的战略指导下，公司上调全年业绩指引');
+  assert.equal(fixed.sections[0].content, '管理层指导团队完成整合。下季度营收指引为900亿美元。');
+  assert.equal(report.total, 2);
+});
+
+test('applyGlossary: 繁体中文的"指引"只在業績指引的上下文中改为"財測"', () => {
+  const { document: fixed } = applyGlossary(buildDocument('在執行長的指引下，公司下調全年指引'), { language: 'zh-TW' });
+
+  assert.equal(fixed.headline, '在執行長的指引下，公司下調全年財測');
+});
+
+test('applyGlossary: REPORT 模式只报告，OFF 模式不检查', () => {
+  const document = buildDocument('自由现金流量增长');
+  const reported = applyGlossary(document, { language: 'zh-CN', mode: GLOSSARY_MODES.REPORT });
+  const off = applyGlossary(document, { language: 'zh-CN', mode: GLOSSARY_MODES.OFF });
+
+  assert.equal(reported.document, document);
+  assert.equal(reported.report.total, 1);
+  assert.equal(reported.report.fixed, 0);
+  assert.equal(reported.report.deviations[0].fixed, false);
+  assert.equal(off.report.total, 0);
+});
@@ -0,0 +1,72 @@
+/**
+ * 业绩指引调整判断测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeGuidanceMetric,
+  normalizeGuidancePeriod,
+  reviseGuidance,
+  countGuidanceRevisions,
+  groupGuidanceHistory
+} from '../src/utils/guidance.js';
+
+const PREVIOUS = [
+  { metric: 'Revenue', period: 'FY 2025', low: 128, high: 130, unit: 'USD', scale: 'billion', text: '$128-130B' },
+  { metric: 'Gross margin', period: 'Q4 2024', low: 46, high: 47, unit: '%', scale: 'none', text: '46-47%' },
+  { metric: 'Operating expenses', period: 'Q4 2024', low: 14.2, high: 14.4, unit: 'USD', scale: 'billion', text: '$14.2-14.4B' }
+];
+
+test('normalizeGuidanceMetric / normalizeGuidancePeriod: 忽略大小写、空格和标点', () => {
+  assert.equal(normalizeGuidanceMetric('Gross Margin (GAAP)'), 'grossmargingaap');
+  assert.equal(normalizeGuidancePeriod('FY 2025'), 'FY2025');
+  assert.equal(normalizeGuidancePeriod('fy2025'), 'FY2025');
+  assert.equal(normalizeGuidancePeriod('2024Q4'), 'Q42024');
+  assert.equal(normalizeGuidancePeriod('Q4 2024'), 'Q42024');
+  assert.equal(normalizeGuidancePeriod(null), null);
+});
+
+test('reviseGuidance: 按区间中点判断上调、维持和下调，覆盖模型的判断', () => {
+  const revised = reviseGuidance([
+    { metric: 'revenue', period: 'fy2025', low: 130, high: 132, unit: 'USD', scale: 'billion', revision: 'maintained', text: '$130-132B' },
+    { metric: 'Gross Margin', period: '2024Q4', low: 45.5, high: 46.5, unit: '%', scale: 'none', revision: 'raised', text: '45.5-46.5%' },
+    { metric: 'Operating expenses', period: 'Q4 2024', low: 14250, high: 14400, unit: 'USD', scale: 'million', revision: null, text: '$14.25-14.4B' }
+  ], { previousGuidance: PREVIOUS, previousPeriod: '2024Q3' });
+
+  assert.deepEqual(revised.map(item => item.revision), ['raised', 'cut', 'maintained']);
+  assert.deepEqual(revised[0].previous, { reportPeriod: '2024Q3', low: 128, high: 130, unit: 'USD', scale: 'billion' });
+});
+
+test('reviseGuidance: 找不到对应指引时沿用模型判断，模型也未判断时按是否有上一期数据记为 new 或 unclear', () => {
+  const guidance = [
+    { metric: 'Services revenue', period: 'FY 2025', low: null, high: null, revision: 'raised', text: 'Double digits' },
+    { metric: 'Tax rate', period: 'Q4 2024', low: 16, high: 16, unit: '%', revision: null, text: 'About 16%' },
+    { metric: 'Revenue', period: 'FY 2025', low: 130, high: 132, unit: 'EUR', scale: 'billion', revision: null, text: '€130-132B' }
+  ];
+
+  assert.deepEqual(reviseGuidance(guidance, { previousGuidance: PREVIOUS }).map(item => item.revision), ['raised', 'new', 'new']);
+  assert.deepEqual(reviseGuidance(guidance).map(item => item.revision), ['raised', 'unclear', 'unclear']);
+  assert.equal(reviseGuidance(guidance).every(item => item.previous === null), true);
+});
+
+test('countGuidanceRevisions: 统计各调整方向的数量', () => {
+  assert.deepEqual(countGuidanceRevisions([{ revision: 'raised' }, { revision: 'raised' }, { revision: 'new' }, { revision: 'bogus' }]), {
+    total: 4,
+    raised: 2,
+    maintained: 0,
+    cut: 0,
+    new: 1,
+    unclear: 0
+  });
+});
+
+test('groupGuidanceHistory: 同一指标的不同写法归为一组，组名使用最近一期的写法', () => {
+  const groups = groupGuidanceHistory([
+    { metric: 'gross margin', reportPeriod: '2024Q2' },
+    { metric: 'Revenue', reportPeriod: '2024Q2' },
+    { metric: 'Gross Margin', reportPeriod: '2024Q3' }
+  ]);
+
+  assert.deepEqual(groups.map(group => [group.metric, group.items.length]), [['Gross Margin', 2], ['Revenue', 1]]);
+});
@@ -0,0 +1,164 @@
+/**
+ * 摘要生成流水线测试
+ * 使用本地 mock 大模型后端（MockLLMProvider）跑通摘要、问答摘要、语气评分、对话脚本、合规改写、
+ * 数字核对和质量评分，并通过 provider.calls 检查各阶段的调用顺序和提示词
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { createTranscript, parseTranscriptText } from '../src/utils/transcript.js';
+import { GeminiService } from '../src/services/gemini.js';
+import { MockLLMProvider, buildMockSummaryDocument } from '../src/services/llm-providers/mock.js';
+import { LLM_STAGES } from '../src/services/llm-providers/base.js';
+import { SCRIPT_FORMATS, QA_DIGEST_MODES } from '../src/utils/summary-schema.js';
+import { COMPLIANCE_MODES, COMPLIANCE_ACTIONS, getDisclaimer } from '../src/utils/compliance.js';
+import { factCheckSummary } from '../src/utils/fact-check.js';
+import { scoreSummaryQuality } from '../src/utils/quality-rubric.js';
+
+const TRANSCRIPT = createTranscript({
+  symbol: 'AAPL',
+  year: 2024,
+  quarter: 3,
+  turns: parseTranscriptText(fs.readFileSync(new URL('../fixtures/aapl-transcript.txt', import.meta.url), 'utf-8'))
+});
+
+const REQUEST = { transcript: TRANSCRIPT, ticker: 'AAPL', year: '2024', quarter: '3' };
+
+/**
+ * 创建使用 mock 后端的摘要服务（不读取 PROMPT_VERSIONS，始终使用最新模板）
+ * @param {Object} [responses] - 按阶段指定的返回内容
+ * @returns {{ gemini: GeminiService, provider: MockLLMProvider }}
+ */
+function createService(responses = {}) {
+  const provider = new MockLLMProvider({ responses });
+  return { gemini: new GeminiService(null, { provider, promptVersions: {} }), provider };
+}
+
+/**
+ * 在 mock 结构化摘要的结论小节中加入投资建议用语
+ * @param {string} prompt - 提示词
+ * @returns {string} 结构化摘要 JSON
+ */
+function summaryWithAdvice(prompt) {
+  const document = buildMockSummaryDocument(prompt);
+  document.sections.find(section => section.key === 'takeaways').content = 'After a record quarter, this is a good time to buy the shares.';
+  return JSON.stringify(document);
+}
+
+beforeEach(() => {
+  delete process.env.COMPLIANCE_RULES;
+});
+
+test('generateSummary: 单次生成依次调用摘要、问答摘要和语气评分阶段', async () => {
+  const { gemini, provider } = createService();
+  const result = await gemini.generateSummary({ ...REQUEST, language: 'en-US' });
+
+  assert.deepEqual(provider.calls.map(call => call.stage), [LLM_STAGES.SUMMARY, LLM_STAGES.QA, LLM_STAGES.TONE]);
+  assert.ok(provider.calls.every(call => call.json));
+
+  const [summaryCall, qaCall] = provider.calls;
+  assert.match(summaryCall.prompt, /Luca Maestri \(CFO\): Our revenue for the quarter was \$85\.8 billion\./);
+  assert.match(qaCall.prompt, /\[Q1\] Erik Woodring/);
+  assert.match(qaCall.prompt, /\[Q2\] Ben Reitzes \(Analyst, Melius Research\)/);
+
+  assert.equal(result.metadata.strategy, 'single_pass');
+  assert.equal(result.metadata.schemaAttempts, 1);
+  assert.deepEqual(result.metadata.qaDigest, { mode: QA_DIGEST_MODES.STORE, exchanges: 2, evasive: 0, attempts: 1 });
+  assert.deepEqual(result.document.qaDigest.map(item => item.id), ['Q1', 'Q2']);
+  assert.deepEqual(Object.keys(result.toneScores.sections), ['prepared_remarks', 'qa']);
+  assert.equal(result.toneScores.overall, 57.5);
+  assert.deepEqual(result.metadata.prompts.map(prompt => prompt.name), ['summary', 'qa_digest', 'tone']);
+  assert.ok(result.speechText.endsWith(getDisclaimer('en-US')));
+  assert.ok(result.summary.endsWith(getDisclaimer('en-US')));
+  assert.equal(result.chunkNotes, null);
+});
+
+test('generateSummary: 生成结果通过数字核对，评审后得到质量评分', async () => {
+  const { gemini, provider } = createService();
+  const { document, summary, speechText } = await gemini.generateSummary({ ...REQUEST, language: 'en-US' });
+
+  const factCheck = factCheckSummary({ document, transcript: TRANSCRIPT });
+  assert.equal(factCheck.total, 1);
+  assert.equal(factCheck.passed, true);
+
+  const judge = await gemini.judgeSummary({ ...REQUEST, script: summary, language: 'en-US' });
+  assert.equal(provider.calls.at(-1).stage, LLM_STAGES.JUDGE);
+  assert.equal(judge.score, 90);
+
+  const quality = scoreSummaryQuality({ document, speechText, language: 'en-US', factCheck, judge, minScore: 50 });
+  assert.deepEqual(quality.blockers, []);
+  assert.equal(quality.criteria.noAdvice.score, 100);
+  assert.equal(quality.passed, true);
+});
+
+test('generateSummary: 超出单次预算时分块整理笔记，Schema 校验失败时重新请求，对话形式再生成对话脚本', async () => {
+  let summaryRequests = 0;
+  const { gemini, provider } = createService({
+    [LLM_STAGES.SUMMARY]: prompt => (++summaryRequests === 1 ? 'not json' : JSON.stringify(buildMockSummaryDocument(prompt)))
+  });
+  gemini.singlePassTokens = 100;
+  gemini.chunkTokens = 200;
+
+  const result = await gemini.generateSummary({ ...REQUEST, language: 'zh-CN', format: SCRIPT_FORMATS.DIALOGUE });
+
+  assert.deepEqual(provider.calls.map(call => call.stage), [
+    LLM_STAGES.NOTES,
+    LLM_STAGES.NOTES,
+    LLM_STAGES.SUMMARY,
+    LLM_STAGES.SUMMARY,
+    LLM_STAGES.QA,
+    LLM_STAGES.TONE,
+    LLM_STAGES.DIALOGUE
+  ]);
+  assert.equal(provider.calls[0].json, false);
+  assert.equal(result.metadata.strategy, 'map_reduce');
+  assert.equal(result.metadata.schemaAttempts, 2);
+  assert.deepEqual(result.metadata.chunks.map(chunk => chunk.section), ['prepared_remarks', 'qa']);
+  assert.equal(result.chunkNotes.length, 2);
+  assert.equal(result.metadata.dialogueTurns, 12);
+  assert.match(result.speechText, /^\[HOST\] /);
+  assert.ok(result.speechText.endsWith(`[HOST] ${getDisclaimer('zh-CN')}`));
+});
+
+test('generateSummary: 发现投资建议用语时调用合规阶段改写', async () => {
+  const { gemini, provider } = createService({ [LLM_STAGES.SUMMARY]: summaryWithAdvice });
+  const result = await gemini.generateSummary({ ...REQUEST, language: 'en-US' });
+
+  assert.deepEqual(provider.calls.map(call => call.stage), [LLM_STAGES.SUMMARY, LLM_STAGES.QA, LLM_STAGES.TONE, LLM_STAGES.COMPLIANCE]);
+  assert.match(provider.calls.at(-1).prompt, /"path": "sections\[5\]\.content"/);
+
+  const { compliance } = result.metadata;
+  assert.equal(compliance.flagged, 1);
+  assert.equal(compliance.passed, true);
+  assert.equal(compliance.rewriteAttempts, 1);
+  assert.equal(compliance.decisions[0].action, COMPLIANCE_ACTIONS.REWRITTEN);
+  assert.doesNotMatch(result.speechText, /good time to buy/);
+});
+
+test('generateSummary: FAIL 模式下不改写，合规报告标记为未通过', async () => {
+  const { gemini, provider } = createService({ [LLM_STAGES.SUMMARY]: summaryWithAdvice });
+  const result = await gemini.generateSummary({ ...REQUEST, language: 'en-US', complianceMode: COMPLIANCE_MODES.FAIL });
+
+  assert.ok(!provider.calls.some(call => call.stage === LLM_STAGES.COMPLIANCE));
+  assert.equal(result.metadata.compliance.passed, false);
+  assert.equal(result.metadata.compliance.decisions[0].action, COMPLIANCE_ACTIONS.BLOCKED);
+});
+
+test('generateSummary: 关闭问答摘要和语气评分时只调用摘要阶段', async () => {
+  const { gemini, provider } = createService();
+  const result = await gemini.generateSummary({ ...REQUEST, language: 'en-US', qaMode: QA_DIGEST_MODES.OFF, scoreTone: false });
+
+  assert.deepEqual(provider.calls.map(call => call.stage), [LLM_STAGES.SUMMARY]);
+  assert.equal(result.toneScores, null);
+  assert.equal(result.document.qaDigest, undefined);
+});
+
+test('generateSummary: 取消信号中止后不再调用模型', async () => {
+  const { gemini, provider } = createService();
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(gemini.generateSummary({ ...REQUEST, language: 'en-US', signal: controller.signal }));
+  assert.deepEqual(provider.calls, []);
+});
@@ -0,0 +1,109 @@
+/**
+ * 财报后股价反应测试
+ * 使用 fixtures/aapl-candles.csv（AAPL 2024-07-22 至 2024-08-14 日K线，2024-08-01 盘后发布 FY24Q3 财报）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { computePriceReaction, REPORT_TIMING } from '../src/utils/price-reaction.js';
+import { FixtureCandleProvider, getPriceReaction, PRICE_SOURCES } from '../src/services/market-data.js';
+
+const FIXTURE_PATH = fileURLToPath(new URL('../fixtures/aapl-candles.csv', import.meta.url));
+
+const CANDLES = [
+  { date: '2024-07-31', open: 221.44, high: 223.82, low: 220.63, close: 222.08, volume: 50036300 },
+  { date: '2024-08-01', open: 224.37, high: 224.48, low: 217.02, close: 218.36, volume: 62501000 },
+  { date: '2024-08-02', open: 219.15, high: 225.60, low: 217.71, close: 219.86, volume: 105568600 },
+  { date: '2024-08-05', open: 199.09, high: 213.50, low: 196.00, close: 209.27, volume: 119548600 },
+  { date: '2024-08-06', open: 205.30, high: 209.99, low: 201.07, close: 207.23, volume: 69660500 },
+  { date: '2024-08-07', open: 206.90, high: 213.64, low: 206.39, close: 209.82, volume: 63516400 },
+  { date: '2024-08-08', open: 213.11, high: 214.20, low: 208.83, close: 213.31, volume: 47161100 }
+];
+
+test('computePriceReaction: 盘后发布以下一交易日为反应日', () => {
+  const reaction = computePriceReaction({ candles: CANDLES, reportDate: '2024-08-01', timing: REPORT_TIMING.AFTER_CLOSE });
+
+  assert.deepEqual(reaction.priorClose, { date: '2024-08-01', close: 218.36 });
+  assert.deepEqual(reaction.nextDay, { date: '2024-08-02', open: 219.15, close: 219.86, gapPercent: 0.36, changePercent: 0.69 });
+  assert.deepEqual(reaction.fiveDay, { date: '2024-08-08', close: 213.31, changePercent: -2.31 });
+  assert.equal(reaction.complete, true);
+});
+
+test('computePriceReaction: 盘前发布以当天为反应日', () => {
+  const reaction = computePriceReaction({ candles: CANDLES, reportDate: '2024-08-01', timing: REPORT_TIMING.BEFORE_OPEN });
+
+  assert.deepEqual(reaction.priorClose, { date: '2024-07-31', close: 222.08 });
+  assert.deepEqual(reaction.nextDay, { date: '2024-08-01', open: 224.37, close: 218.36, gapPercent: 1.03, changePercent: -1.68 });
+  assert.deepEqual(reaction.fiveDay, { date: '2024-08-07', close: 209.82, changePercent: -5.52 });
+});
+
+test('computePriceReaction: 发布时段未知时按盘后处理', () => {
+  const reaction = computePriceReaction({ candles: CANDLES, reportDate: '2024-08-01' });
+
+  assert.equal(reaction.timing, REPORT_TIMING.UNKNOWN);
+  assert.equal(reaction.nextDay.date, '2024-08-02');
+});
+
+test('computePriceReaction: 缺少下一交易日K线时 nextDay 和 fiveDay 为空', () => {
+  const candles = CANDLES.filter(candle => candle.date <= '2024-08-01');
+  const reaction = computePriceReaction({ candles, reportDate: '2024-08-01', timing: REPORT_TIMING.AFTER_CLOSE });
+
+  assert.deepEqual(reaction.priorClose, { date: '2024-08-01', close: 218.36 });
+  assert.equal(reaction.nextDay, null);
+  assert.equal(reaction.fiveDay, null);
+  assert.equal(reaction.complete, false);
+});
+
+test('computePriceReaction: 交易日不足5天时 fiveDay 为空', () => {
+  const candles = CANDLES.filter(candle => candle.date <= '2024-08-05');
+  const reaction = computePriceReaction({ candles, reportDate: '2024-08-01', timing: REPORT_TIMING.AFTER_CLOSE });
+
+  assert.equal(reaction.nextDay.date, '2024-08-02');
+  assert.equal(reaction.fiveDay, null);
+  assert.equal(reaction.complete, false);
+});
+
+test('computePriceReaction: 发布前没有K线时返回 null', () => {
+  const candles = CANDLES.filter(candle => candle.date >= '2024-08-02');
+
+  assert.equal(computePriceReaction({ candles, reportDate: '2024-08-01', timing: REPORT_TIMING.AFTER_CLOSE }), null);
+});
+
+test('getPriceReaction: 从会议时间判断盘后发布并读取K线文件', async () => {
+  const provider = new FixtureCandleProvider({ filePath: FIXTURE_PATH });
+  const reaction = await getPriceReaction({ provider, symbol: 'aapl', reportDate: '2024-08-01 17:00:00' });
+
+  assert.equal(reaction.symbol, 'AAPL');
+  assert.equal(reaction.source, PRICE_SOURCES.FIXTURE);
+  assert.equal(reaction.reportDate, '2024-08-01');
+  assert.equal(reaction.timing, REPORT_TIMING.AFTER_CLOSE);
+  assert.equal(reaction.priorClose.date, '2024-08-01');
+  assert.equal(reaction.nextDay.date, '2024-08-02');
+  assert.equal(reaction.fiveDay.date, '2024-08-08');
+  assert.equal(reaction.complete, true);
+});
+
+test('getPriceReaction: 财报日历标记盘前发布时以当天为反应日', async () => {
+  const provider = new FixtureCandleProvider({ filePath: FIXTURE_PATH });
+  const reaction = await getPriceReaction({ provider, symbol: 'AAPL', reportDate: '2024-08-01', reportHour: REPORT_TIMING.BEFORE_OPEN });
+
+  assert.equal(reaction.timing, REPORT_TIMING.BEFORE_OPEN);
+  assert.equal(reaction.priorClose.date, '2024-07-31');
+  assert.equal(reaction.nextDay.date, '2024-08-01');
+});
+
+test('getPriceReaction: K线文件中没有下一交易日时返回不完整的反应', async () => {
+  const provider = new FixtureCandleProvider({ filePath: FIXTURE_PATH });
+  const reaction = await getPriceReaction({ provider, symbol: 'AAPL', reportDate: '2024-08-14', reportHour: REPORT_TIMING.AFTER_CLOSE });
+
+  assert.deepEqual(reaction.priorClose, { date: '2024-08-14', close: 221.72 });
+  assert.equal(reaction.nextDay, null);
+  assert.equal(reaction.complete, false);
+});
+
+test('getPriceReaction: K线文件中没有发布前的数据时返回 null', async () => {
+  const provider = new FixtureCandleProvider({ filePath: FIXTURE_PATH });
+
+  assert.equal(await getPriceReaction({ provider, symbol: 'AAPL', reportDate: '2024-07-22', reportHour: REPORT_TIMING.BEFORE_OPEN }), null);
+});
@@ -0,0 +1,128 @@
+/**
+ * 结构化摘要 Schema 校验、修复与 JSON 提取测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SUMMARY_SECTIONS,
+  COMPARISON_SECTION,
+  validateSchema,
+  validateSummaryDocument,
+  repairSummaryDocument,
+  parseJsonResponse,
+  collectTextFields,
+  validateDialogue,
+  repairDialogue,
+  validateQaDigest,
+  repairQaDigest
+} from '../src/utils/summary-schema.js';
+
+/**
+ * 构建通过校验的结构化摘要
+ * @returns {Object} 结构化摘要
+ */
+function buildDocument() {
+  return {
+    headline: 'Apple posts record June quarter revenue',
+    sections: SUMMARY_SECTIONS.map(key => ({ key, title: key, content: `The ${key} section content for the test.` })),
+    keyMetrics: [{ name: 'Revenue', value: 85.8, unit: 'USD', scale: 'billion', period: 'Q3 FY24', changePercent: 5, comparison: 'yoy' }],
+    guidance: [{ metric: 'Revenue growth', period: 'Q4 FY24', low: 3, high: 5, unit: '%', scale: 'none', revision: 'new', text: 'Low to mid single digits' }],
+    risks: [{ title: 'FX', description: 'Currency headwinds' }],
+    quotes: [{ speaker: 'Tim Cook', role: 'CEO', text: 'We are excited.' }]
+  };
+}
+
+test('validateSummaryDocument: 完整的摘要通过校验', () => {
+  assert.deepEqual(validateSummaryDocument(buildDocument()), []);
+});
+
+test('validateSchema: 报告缺少字段、类型错误、枚举错误和过短的文本', () => {
+  const document = buildDocument();
+  delete document.quotes;
+  document.keyMetrics[0].value = '85.8';
+  document.keyMetrics[0].comparison = 'mom';
+  document.sections[0].content = 'Too short';
+
+  assert.deepEqual(validateSchema(document), [
+    '$.quotes is required',
+    '$.sections[0].content is too short',
+    '$.keyMetrics[0].value should be number, got string',
+    '$.keyMetrics[0].comparison should be one of yoy, qoq, consensus'
+  ]);
+});
+
+test('validateSummaryDocument: 检查小节是否齐全，提供往期数据时要求对比小节', () => {
+  const document = buildDocument();
+  document.sections = document.sections.filter(section => section.key !== 'risks')
+    .concat({ key: 'takeaways', title: 'takeaways', content: 'A duplicated takeaways section.' });
+
+  assert.deepEqual(validateSummaryDocument(document), ['$.sections is missing: risks']);
+  assert.deepEqual(validateSummaryDocument(buildDocument(), { requireComparison: true }), [`$.sections is missing: ${COMPARISON_SECTION}`]);
+});
+
+test('repairSummaryDocument: 补全缺失的数组并转换数值字符串和大小写', () => {
+  const document = buildDocument();
+  delete document.quotes;
+  document.sections[0].key = ' Overview ';
+  document.keyMetrics[0] = { name: 'Revenue', value: '$85.8', unit: 'USD', changePercent: '5%' };
+  document.guidance[0].low = '3';
+  document.guidance[0].revision = 'Raised';
+
+  const repaired = repairSummaryDocument(document);
+
+  assert.deepEqual(repaired.quotes, []);
+  assert.equal(repaired.sections[0].key, 'overview');
+  assert.deepEqual(repaired.keyMetrics[0], { name: 'Revenue', value: 85.8, unit: 'USD', changePercent: 5, scale: 'none' });
+  assert.equal(repaired.guidance[0].low, 3);
+  assert.equal(repaired.guidance[0].revision, 'raised');
+  assert.deepEqual(validateSummaryDocument(repaired), []);
+  assert.equal(document.sections[0].key, ' Overview ');
+});
+
+test('parseJsonResponse: 兼容代码块、说明文字、尾随逗号和中文引号', () => {
+  assert.deepEqual(parseJsonResponse('Here you go:\n```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(parseJsonResponse('Result: {"a": [1, 2,],} done'), { a: [1, 2] });
+  assert.deepEqual(parseJsonResponse('{“a”: 1}'), { a: 1 });
+  assert.throws(() => parseJsonResponse('no json here'), SyntaxError);
+});
+
+test('collectTextFields: 列出面向听众的文本字段路径', () => {
+  const document = { ...buildDocument(), qaDigest: [{ id: 'Q1', question: 'Q?', answer: 'A.', evasionNote: null }] };
+  const paths = collectTextFields(document).map(([path]) => path);
+
+  assert.ok(paths.includes('headline'));
+  assert.ok(paths.includes('sections[5].content'));
+  assert.ok(paths.includes('keyMetrics[0].name'));
+  assert.ok(paths.includes('guidance[0].text'));
+  assert.ok(paths.includes('quotes[0].text'));
+  assert.ok(paths.includes('qaDigest[0].answer'));
+  assert.ok(!paths.includes('qaDigest[0].evasionNote'));
+  assert.ok(!paths.includes('quotes[0].speaker'));
+});
+
+test('validateDialogue / repairDialogue: 修复发言角色大小写后要求主持人和分析师都有发言', () => {
+  const turns = Array.from({ length: 6 }, (_, index) => ({ speaker: index % 2 === 0 ? ' HOST ' : 'Analyst', text: ` line ${index} ` }));
+
+  assert.ok(validateDialogue({ turns }).length > 0);
+  const repaired = repairDialogue({ turns: [...turns, { speaker: 'host', text: '  ' }] });
+  assert.equal(repaired.turns.length, 6);
+  assert.deepEqual(repaired.turns[0], { speaker: 'host', text: 'line 0' });
+  assert.deepEqual(validateDialogue(repaired), []);
+
+  const hostOnly = repairDialogue({ turns: turns.map(turn => ({ ...turn, speaker: 'host' })) });
+  assert.deepEqual(validateDialogue(hostOnly), ['$.turns has no lines for: analyst']);
+});
+
+test('validateQaDigest / repairQaDigest: 修复 ID 和话题并检查与输入的问答一一对应', () => {
+  const digest = repairQaDigest({
+    items: [{ id: ' q1 ', topic: 'Unknown Topic', question: 'Q?', answer: 'A.', evasive: 'TRUE', evasionNote: 'Dodged' }]
+  });
+
+  assert.equal(digest.items[0].id, 'Q1');
+  assert.equal(digest.items[0].topic, 'other');
+  assert.equal(digest.items[0].evasive, true);
+  assert.deepEqual(validateQaDigest(digest, { ids: ['Q1'] }), []);
+  assert.deepEqual(validateQaDigest(digest, { ids: ['Q1', 'Q2'] }), ['$.items is missing: Q2']);
+  assert.deepEqual(validateQaDigest(digest, { ids: ['Q2'] }), ['$.items is missing: Q2', '$.items has unknown ids: Q1']);
+});
@@ -0,0 +1,81 @@
+/**
+ * 文字稿分块测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROLES, SECTIONS } from '../src/utils/transcript.js';
+import { estimateTokens, chunkTranscript, getChunkSectionLabel } from '../src/utils/transcript-chunker.js';
+
+/**
+ * 构建测试用文字稿
+ * @param {Array<Array<string>>} specs - [[发言人, 环节, 文本]]
+ * @returns {Object} 结构化文字稿
+ */
+function buildTranscript(specs) {
+  return {
+    turns: specs.map(([speaker, section, text], index) => ({ index, speaker, role: ROLES.UNKNOWN, title: null, firm: null, section, text }))
+  };
+}
+
+test('estimateTokens: 英文约4个字符1个 token，中文每个字符1个 token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('营收增长'), 4);
+  assert.equal(estimateTokens('营收 up'), 3);
+});
+
+test('chunkTranscript: 预算内的文字稿按环节分为两块', () => {
+  const chunks = chunkTranscript(buildTranscript([
+    ['Tim Cook', SECTIONS.PREPARED, 'Revenue was a record.'],
+    ['Luca Maestri', SECTIONS.PREPARED, 'Margins expanded.'],
+    ['Erik Woodring', SECTIONS.QA, 'A question.'],
+    ['Tim Cook', SECTIONS.QA, 'An answer.']
+  ]));
+
+  assert.deepEqual(chunks.map(chunk => [chunk.id, chunk.section, chunk.speakers, chunk.turnRange]), [
+    ['C1', SECTIONS.PREPARED, ['Tim Cook', 'Luca Maestri'], [0, 1]],
+    ['C2', SECTIONS.QA, ['Erik Woodring', 'Tim Cook'], [2, 3]]
+  ]);
+  assert.equal(chunks[0].text, 'Tim Cook (Speaker): Revenue was a record.\nLuca Maestri (Speaker): Margins expanded.');
+  assert.equal(chunks[0].tokens, estimateTokens(chunks[0].text));
+});
+
+test('chunkTranscript: 只在发言轮次之间切开，每块不超过预算', () => {
+  const sentence = 'Revenue grew in every geographic segment this quarter. ';
+  const chunks = chunkTranscript(buildTranscript([
+    ['Tim Cook', SECTIONS.PREPARED, sentence.repeat(3)],
+    ['Luca Maestri', SECTIONS.PREPARED, sentence.repeat(3)],
+    ['Kevan Parekh', SECTIONS.PREPARED, sentence.repeat(3)]
+  ]), { maxTokens: 60 });
+
+  assert.equal(chunks.length, 3);
+  assert.deepEqual(chunks.map(chunk => chunk.turnRange), [[0, 0], [1, 1], [2, 2]]);
+  assert.ok(chunks.every(chunk => chunk.tokens <= 60));
+});
+
+test('chunkTranscript: 单个轮次超出预算时按句子拆分', () => {
+  const chunks = chunkTranscript(buildTranscript([
+    ['Tim Cook', SECTIONS.PREPARED, 'First sentence about revenue growth. '.repeat(20)]
+  ]), { maxTokens: 60 });
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.tokens <= 60));
+  assert.ok(chunks.every(chunk => chunk.text.startsWith('Tim Cook (Speaker): First sentence')));
+  assert.ok(chunks.every(chunk => chunk.turnRange[0] === 0 && chunk.turnRange[1] === 0));
+});
+
+test('chunkTranscript: 纯文本按段落处理，没有发言人', () => {
+  const chunks = chunkTranscript('Paragraph one.\n\nParagraph two.');
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].section, null);
+  assert.deepEqual(chunks[0].speakers, []);
+  assert.equal(chunks[0].text, 'Paragraph one.\nParagraph two.');
+});
+
+test('getChunkSectionLabel: 按语言返回环节名称', () => {
+  assert.equal(getChunkSectionLabel({ section: SECTIONS.QA }, 'zh-CN'), '问答环节');
+  assert.equal(getChunkSectionLabel({ section: SECTIONS.PREPARED }, 'en-US'), 'Prepared Remarks');
+  assert.equal(getChunkSectionLabel({ section: null }, 'zh-TW'), '会议内容');
+});
@@ -0,0 +1,196 @@
+/**
+ * 文字稿解析与问答配对测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  ROLES,
+  SECTIONS,
+  classifyRole,
+  splitTitleAndFirm,
+  cleanSpeech,
+  parseTranscriptText,
+  parseVttText,
+  createTranscript,
+  flattenTranscript,
+  pairQaExchanges
+} from '../src/utils/transcript.js';
+
+const TRANSCRIPT_TEXT = fs.readFileSync(new URL('../fixtures/aapl-transcript.txt', import.meta.url), 'utf-8');
+
+test('classifyRole: 根据职位描述判断角色', () => {
+  assert.equal(classifyRole('Chief Executive Officer'), ROLES.CEO);
+  assert.equal(classifyRole('CFO'), ROLES.CFO);
+  assert.equal(classifyRole('Director, Investor Relations'), ROLES.EXECUTIVE);
+  assert.equal(classifyRole('Morgan Stanley -- Analyst'), ROLES.ANALYST);
+  assert.equal(classifyRole('Morgan Stanley', 'analyst'), ROLES.ANALYST);
+  assert.equal(classifyRole('Morgan Stanley'), ROLES.UNKNOWN);
+});
+
+test('classifyRole: 数据源的职位或角色提示为 null 时不报错', () => {
+  assert.equal(classifyRole('Morgan Stanley', null), ROLES.UNKNOWN);
+  assert.equal(classifyRole(null, 'analyst'), ROLES.ANALYST);
+  assert.equal(classifyRole(null, null), ROLES.UNKNOWN);
+});
+
+test('splitTitleAndFirm: 分析师的头衔和机构顺序不固定', () => {
+  assert.deepEqual(splitTitleAndFirm('Morgan Stanley -- Analyst', ROLES.ANALYST), { title: 'Analyst', firm: 'Morgan Stanley' });
+  assert.deepEqual(splitTitleAndFirm('Analyst, Morgan Stanley', ROLES.ANALYST), { title: 'Analyst', firm: 'Morgan Stanley' });
+  assert.deepEqual(splitTitleAndFirm('Chief Financial Officer', ROLES.CFO), { title: 'Chief Financial Officer', firm: null });
+});
+
+test('cleanSpeech: 合并换行和多余空白并标准化引号', () => {
+  assert.equal(cleanSpeech('  “Record”\n  quarter’s   results \t'), '"Record" quarter\'s results');
+});
+
+test('parseTranscriptText: 解析标题行和行内发言人，并识别问答环节', () => {
+  const turns = parseTranscriptText(TRANSCRIPT_TEXT);
+
+  assert.deepEqual(turns.map(turn => [turn.speaker, turn.role, turn.section]), [
+    ['Operator', ROLES.OPERATOR, SECTIONS.PREPARED],
+    ['Suhasini Chandramouli', ROLES.EXECUTIVE, SECTIONS.PREPARED],
+    ['Tim Cook', ROLES.CEO, SECTIONS.PREPARED],
+    ['Luca Maestri', ROLES.CFO, SECTIONS.PREPARED],
+    ['Operator', ROLES.OPERATOR, SECTIONS.QA],
+    ['Erik Woodring', ROLES.ANALYST, SECTIONS.QA],
+    ['Tim Cook', ROLES.UNKNOWN, SECTIONS.QA],
+    ['Operator', ROLES.OPERATOR, SECTIONS.QA],
+    ['Ben Reitzes', ROLES.ANALYST, SECTIONS.QA],
+    ['Luca Maestri', ROLES.CFO, SECTIONS.QA]
+  ]);
+  assert.deepEqual(turns.map(turn => turn.index), turns.map((turn, index) => index));
+});
+
+test('parseTranscriptText: 财务数据标签行保留在当前发言中', () => {
+  const cfo = parseTranscriptText(TRANSCRIPT_TEXT).find(turn => turn.speaker === 'Luca Maestri');
+
+  assert.match(cfo.text, /Total Revenue: \$85\.8 billion, up 5% year over year\. Services Gross Margin: 74%/);
+});
+
+test('parseTranscriptText: 未知且没有职位说明的行内姓名不开始新的轮次', () => {
+  const turns = parseTranscriptText([
+    'Tim Cook -- Chief Executive Officer',
+    'We had a great quarter.',
+    'Random Person: this line is part of the CEO remarks.'
+  ].join('\n'));
+
+  assert.equal(turns.length, 1);
+  assert.match(turns[0].text, /Random Person: this line/);
+});
+
+test('parseTranscriptText: 正文中提到过或多次出现在行首的地区、业务标签不作为发言人', () => {
+  const turns = parseTranscriptText([
+    'Luca Maestri -- Chief Financial Officer',
+    'iPhone performed strongly in Greater China this quarter.',
+    'Greater China: demand was robust across the lineup.',
+    'Americas: revenue grew 6%.',
+    'Americas: services reached a new record.'
+  ].join('\n'));
+
+  assert.deepEqual(turns.map(turn => turn.speaker), ['Luca Maestri']);
+  assert.match(turns[0].text, /Greater China: demand was robust/);
+  assert.match(turns[0].text, /Americas: services reached a new record\.$/);
+});
+
+test('parseTranscriptText: 调用方提供的参会者姓名可以作为行内发言人', () => {
+  const turns = parseTranscriptText('Operator: Our first question comes from Erik Woodring.\nErik Woodring: Thank you.', {
+    participants: ['Erik Woodring']
+  });
+
+  assert.deepEqual(turns.map(turn => turn.speaker), ['Operator', 'Erik Woodring']);
+});
+
+test('parseTranscriptText: 行内发言人带可识别的职位说明时开始新的轮次', () => {
+  const turns = parseTranscriptText('Jane Doe (Chief Financial Officer): Revenue grew 10%.');
+
+  assert.equal(turns.length, 1);
+  assert.equal(turns[0].speaker, 'Jane Doe');
+  assert.equal(turns[0].role, ROLES.CFO);
+  assert.equal(turns[0].text, 'Revenue grew 10%.');
+});
+
+test('parseTranscriptText: 无法识别发言人时整篇作为一个轮次', () => {
+  const turns = parseTranscriptText('Revenue was up.\nMargins expanded.');
+
+  assert.equal(turns.length, 1);
+  assert.equal(turns[0].speaker, 'Unknown');
+  assert.equal(turns[0].text, 'Revenue was up. Margins expanded.');
+});
+
+test('parseVttText: 按 <v> 标签拆分发言人并去除滚动重复的字幕', () => {
+  const turns = parseVttText([
+    'WEBVTT',
+    '',
+    '1',
+    '00:00:01.000 --> 00:00:03.000',
+    '<v Operator>Welcome to the call.',
+    '',
+    '2',
+    '00:00:03.000 --> 00:00:05.000',
+    '<v Tim Cook>Revenue was a record.',
+    '',
+    '3',
+    '00:00:05.000 --> 00:00:07.000',
+    '<v Tim Cook>Revenue was a record.',
+    '',
+    '4',
+    '00:00:07.000 --> 00:00:09.000',
+    '[Applause] Thank you &amp; welcome.'
+  ].join('\n'));
+
+  assert.deepEqual(turns.map(turn => [turn.speaker, turn.role, turn.text]), [
+    ['Operator', ROLES.OPERATOR, 'Welcome to the call.'],
+    ['Tim Cook', ROLES.UNKNOWN, 'Revenue was a record. Thank you & welcome.']
+  ]);
+});
+
+test('flattenTranscript: 输出环节标题和发言人标签', () => {
+  const transcript = createTranscript({ symbol: 'aapl', year: 2024, quarter: 3, turns: parseTranscriptText(TRANSCRIPT_TEXT) });
+  const text = flattenTranscript(transcript);
+
+  assert.equal(transcript.symbol, 'AAPL');
+  assert.match(text, /^\[Prepared Remarks\]\nOperator \(Operator\): Good day/);
+  assert.match(text, /\n\n\[Q&A\]\n/);
+  assert.match(text, /Ben Reitzes \(Analyst, Melius Research\): Thanks\./);
+  assert.equal(flattenTranscript('plain text'), 'plain text');
+});
+
+test('pairQaExchanges: 开场陈述中发过言的角色未知发言人视为管理层', () => {
+  const transcript = createTranscript({ symbol: 'AAPL', year: 2024, quarter: 3, turns: parseTranscriptText(TRANSCRIPT_TEXT) });
+  const exchanges = pairQaExchanges(transcript);
+
+  assert.deepEqual(exchanges.map(exchange => ({
+    id: exchange.id,
+    analyst: exchange.analyst,
+    firm: exchange.firm,
+    turnRange: exchange.turnRange,
+    answers: exchange.answers.map(answer => answer.speaker)
+  })), [
+    { id: 'Q1', analyst: 'Erik Woodring', firm: 'Morgan Stanley', turnRange: [5, 6], answers: ['Tim Cook'] },
+    { id: 'Q2', analyst: 'Ben Reitzes', firm: 'Melius Research', turnRange: [8, 9], answers: ['Luca Maestri'] }
+  ]);
+});
+
+test('pairQaExchanges: 回答之后的非管理层发言开始新的一组，回答之前的追问并入提问', () => {
+  const turns = [
+    { speaker: 'Tim Cook', role: ROLES.CEO, section: SECTIONS.PREPARED, text: 'Opening remarks.' },
+    { speaker: 'Erik Woodring', role: ROLES.UNKNOWN, title: 'Morgan Stanley', section: SECTIONS.QA, text: 'First question.' },
+    { speaker: 'Erik Woodring', role: ROLES.ANALYST, section: SECTIONS.QA, text: 'And a follow-up.' },
+    { speaker: 'Tim Cook', role: ROLES.CEO, section: SECTIONS.QA, text: 'Answer one.' },
+    { speaker: 'Kevan Parekh', role: ROLES.CFO, section: SECTIONS.QA, text: 'Adding to that.' },
+    { speaker: 'Amit Daryanani', role: ROLES.UNKNOWN, title: 'Evercore', section: SECTIONS.QA, text: 'Second question.' }
+  ].map((turn, index) => ({ index, firm: null, title: null, ...turn }));
+
+  const exchanges = pairQaExchanges({ turns });
+
+  assert.equal(exchanges.length, 2);
+  assert.equal(exchanges[0].firm, 'Morgan Stanley');
+  assert.equal(exchanges[0].question, 'First question. And a follow-up.');
+  assert.deepEqual(exchanges[0].answers.map(answer => answer.speaker), ['Tim Cook', 'Kevan Parekh']);
+  assert.deepEqual(exchanges[0].turnRange, [1, 4]);
+  assert.equal(exchanges[1].analyst, 'Amit Daryanani');
+  assert.equal(exchanges[1].firm, 'Evercore');
+  assert.deepEqual(exchanges[1].answers, []);
+});